@@ -0,0 +1,30 @@
+import { CLASSIFICATION_ID, SNAPSHOT_PATH, refreshIndustryClassifications } from '../lib/index.js';
+
+/**
+ * Main function: refresh the on-disk industry classification snapshot
+ */
+async function main() {
+  console.log(`🚀 Refreshing industry classification snapshot (${CLASSIFICATION_ID})...\n`);
+
+  try {
+    const classifications = await refreshIndustryClassifications();
+
+    const byLevel = {};
+    Object.values(classifications).forEach(item => {
+      byLevel[item.level] = (byLevel[item.level] || 0) + 1;
+    });
+    const untranslated = Object.values(classifications).filter(item => item.isFinnish).length;
+
+    console.log('\n✨ Snapshot refreshed successfully! ✨\n');
+    console.log(`📊 Summary:`);
+    console.log(`   - Classifications: ${Object.keys(classifications).length}`);
+    console.log(`   - By level: ${Object.entries(byLevel).map(([level, count]) => `${level}: ${count}`).join(', ')}`);
+    console.log(`   - Without English name: ${untranslated}`);
+    console.log(`   - Snapshot: ${SNAPSHOT_PATH}`);
+  } catch (error) {
+    console.error('\n💥 Refresh failed:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -1,276 +1,294 @@
-import dotenv from 'dotenv';
-import { createClient } from '@supabase/supabase-js';
-import axios from 'axios';
-
-dotenv.config();
+import { createWriteStream, mkdirSync, readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import {
+  loadConfig,
+  requireConfig,
+  getSupabaseClient,
+  createConfiguredEmbedder,
+  upsertWithEmbeddings,
+  createCompanyText,
+  getTextTemplate,
+  readSyncState,
+  writeSyncState,
+  loadIndustryClassifications,
+  industryHierarchy,
+  createConfiguredTranslator,
+  getHttpClient,
+  normalizePrhCompany,
+  isDissolved,
+  prhBusinessId,
+  getResumeRunId,
+  openRun,
+  reembedTarget,
+  companyFromRow
+} from '../lib/index.js';
 
 // ============================================
 // CONFIGURATION - ADD YOUR API KEYS IN .env FILE
 // ============================================
-const SUPABASE_URL = process.env.SUPABASE_URL;
-const SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY;
-const VOYAGE_API_KEY = process.env.VOYAGE_API_KEY;
-const DEEPL_API_KEY = process.env.DEEPL_API_KEY;
-const BATCH_SIZE = parseInt(process.env.BATCH_SIZE) || 50;
-
-// Initialize Supabase client
-const supabase = createClient(SUPABASE_URL, SUPABASE_ANON_KEY);
+const config = loadConfig();
 
 // PRH API endpoint that returns JSON directly
 const PRH_API_URL = 'https://avoindata.prh.fi/opendata-ytj-api/v3/companies';
 
-// Statistics Finland classification API
-const STATISTICS_FI_API = 'https://data.stat.fi/api/classifications/v2/classifications/toimiala_1_20250101/classificationItems?content=data&meta=max&lang=fi&format=json';
+// Municipalities of Southwest Finland (Varsinais-Suomi), the region Business Turku serves
+const SOUTHWEST_FINLAND_MUNICIPALITIES = [
+  'Aura', 'Kaarina', 'Kemiönsaari', 'Koski Tl', 'Kustavi', 'Laitila', 'Lieto',
+  'Loimaa', 'Marttila', 'Masku', 'Mynämäki', 'Naantali', 'Nousiainen', 'Oripää',
+  'Paimio', 'Parainen', 'Pyhäranta', 'Pöytyä', 'Raisio', 'Rusko', 'Salo', 'Sauvo',
+  'Somero', 'Taivassalo', 'Turku', 'Uusikaupunki', 'Vehmaa'
+];
+
+// Registration date to start from when a municipality has never been synced
+const DEFAULT_SYNC_START = '2020-01-01';
+
+// Safety limit for pages fetched per municipality during a sync
+const MAX_SYNC_PAGES = 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
-// Cache for industry classifications
-let industryClassifications = null;
+// Where --dry-run writes its JSONL when no --out= is given
+const DRY_RUN_DIR = join(dirname(fileURLToPath(import.meta.url)), '../data/dry-run');
+
+// Filters of a run without --municipality, --industry-prefix, --registered-after or --company-form
+const NO_FILTERS = { municipalities: [], industryPrefix: null, registeredAfter: null, companyForm: null };
+
+// Translator with persistent translation memory, created on first use
+let translator = null;
 
 /**
- * Fetch industry classifications from Statistics Finland API
- * @returns {Promise<Object>} Map of code to classification data
+ * Get the configured Finnish to English translator
+ * @returns {{ backend: string, translate: Function }} Translator
  */
-async function fetchIndustryClassifications() {
-  if (industryClassifications) {
-    return industryClassifications;
+function getTranslator() {
+  if (!translator) {
+    translator = createConfiguredTranslator(config);
   }
+  return translator;
+}
 
-  console.log(`📊 Fetching industry classifications from Statistics Finland...`);
-  
-  try {
-    const response = await axios.get(STATISTICS_FI_API, {
-      headers: {
-        'Accept': 'application/json'
-      },
-      timeout: 30000
-    });
+/**
+ * Fetch one page of raw companies from the PRH API
+ * @param {Object} params - PRH query parameters (page, location, registrationDateStart, ...)
+ * @returns {Promise<Array>} Raw PRH company records on the page
+ */
+async function fetchCompaniesPage(params) {
+  // Rate limited and retried by the shared PRH client (PRH_RPM)
+  const response = await getHttpClient(config, 'prh').get(PRH_API_URL, {
+    params,
+    headers: {
+      'Accept': 'application/json'
+    }
+  });
 
-    const data = Array.isArray(response.data) ? response.data : [response.data];
-    
-    // Create a map of code to classification data
-    industryClassifications = {};
-    data.forEach(item => {
-      if (item.code) {
-        // Try to find English name first, otherwise use Finnish
-        let name = '';
-        if (item.classificationItemNames && Array.isArray(item.classificationItemNames)) {
-          const englishName = item.classificationItemNames.find(n => n.lang === 'en');
-          const finnishName = item.classificationItemNames.find(n => n.lang === 'fi');
-          name = englishName?.name || finnishName?.name || '';
-        }
-        
-        // Try to find English description first, otherwise use Finnish
-        let description = '';
-        if (item.explanatoryNotes && Array.isArray(item.explanatoryNotes)) {
-          const note = item.explanatoryNotes[0];
-          if (note?.includes && Array.isArray(note.includes)) {
-            const englishIndex = note.lang?.indexOf('en') || -1;
-            const finnishIndex = note.lang?.indexOf('fi') || -1;
-            
-            if (englishIndex >= 0) {
-              description = note.includes[englishIndex] || '';
-            } else if (finnishIndex >= 0) {
-              description = note.includes[finnishIndex] || '';
-            } else {
-              description = note.includes[0] || '';
-            }
-          }
-        }
-        
-        industryClassifications[item.code] = {
-          name: name,
-          description: description,
-          isFinnish: !item.classificationItemNames?.some(n => n.lang === 'en')
-        };
-      }
-    });
-    
-    console.log(`✅ Loaded ${Object.keys(industryClassifications).length} industry classifications`);
-    return industryClassifications;
-  } catch (error) {
-    console.error('⚠️  Error fetching industry classifications:', error.message);
-    return {};
-  }
+  return Array.isArray(response.data) ? response.data : (response.data.results || response.data.companies || []);
 }
 
 /**
- * Translate Finnish text to English using an API
- * @param {string} text - Finnish text to translate
- * @returns {Promise<string>} English translation
+ * Convert a raw PRH company into the shape stored in the company table,
+ * translating the industry category to English if needed
+ * @param {Object} company - Raw PRH company record
+ * @param {Object} classifications - Industry classifications by code
+ * @returns {Promise<Object>} Company object ({ name, businessId, industryCode, lastModified, details })
  */
-async function translateToEnglish(text) {
-  if (!text || text.length === 0) return text;
+async function processCompany(company, classifications) {
+  // Extract industry classification and translate to English
+  let categoryName = '';
+  const industryCode = company.mainBusinessLine?.type;
   
-  // Check if it's already in English (basic check)
-  const finnishChars = /[äöåÄÖÅ]/;
-  if (!finnishChars.test(text) && /^[a-zA-Z\s,.-]+$/.test(text)) {
-    return text;
-  }
-  
-  try {
-    console.log(`    🌐 Translating: "${text.substring(0, 50)}${text.length > 50 ? '...' : ''}"`);
+  if (industryCode && classifications[industryCode]) {
+    const classification = classifications[industryCode];
     
-    // Using DeepL API (500K characters/month free, best quality for European languages)
-    const response = await axios.post(
-      'https://api-free.deepl.com/v2/translate',
-      null,
-      {
-        params: {
-          auth_key: DEEPL_API_KEY,
-          text: text,
-          source_lang: 'FI',
-          target_lang: 'EN'
-        },
-        timeout: 10000
-      }
-    );
-    
-    const translated = response.data.translations[0].text || text;
-    console.log(`    ✅ Translated to: "${translated.substring(0, 50)}${translated.length > 50 ? '...' : ''}"`);
-    return translated;
-  } catch (error) {
-    console.warn(`    ⚠️  Translation API failed: ${error.message}`);
-    // Fallback to basic translation map
-    const basicTranslation = translateFinnishToEnglishBasic(text);
-    console.log(`    📖 Using fallback translation: "${basicTranslation.substring(0, 50)}${basicTranslation.length > 50 ? '...' : ''}"`);
-    return basicTranslation;
+    // Translate Finnish category name to English if needed
+    if (classification.name && classification.isFinnish) {
+      categoryName = await getTranslator().translate(classification.name);
+    } else {
+      categoryName = classification.name;
+    }
+  } else if (industryCode) {
+    // Fallback: if no match in classifications, just use "Industry Code: XXXXX"
+    categoryName = `Industry Code: ${industryCode}`;
   }
+  
+  return normalizePrhCompany(company, { categoryName, classifications });
 }
 
 /**
- * Simple Finnish to English translation for industry categories (fallback)
- * @param {string} finnishText - Finnish text to translate
- * @returns {string} English translation (basic)
+ * Read the value of a --name=value flag
+ * @param {Array<string>} args - Command line arguments
+ * @param {string} name - Flag name without dashes
+ * @returns {string|undefined} Flag value
  */
-function translateFinnishToEnglishBasic(finnishText) {
-  // Comprehensive translation map for industry terms
-  const translations = {
-    // High-level categories
-    'Maatalous, metsätalous ja kalatalous': 'Agriculture, forestry and fishing',
-    'Kaivostoiminta ja louhinta': 'Mining and quarrying',
-    'Teollisuus': 'Manufacturing',
-    'Sähkö-, kaasu- ja lämpöhuolto, jäähdytysliiketoiminta': 'Electricity, gas, steam and air conditioning supply',
-    'Vesihuolto, viemäri- ja jätevesihuolto, jätehuolto ja muu ympäristön puhtaanapito': 'Water supply; sewerage, waste management',
-    'Rakentaminen': 'Construction',
-    'Tukku- ja vähittäiskauppa': 'Wholesale and retail trade',
-    'Kuljetus ja varastointi': 'Transportation and storage',
-    'Majoitus- ja ravitsemustoiminta': 'Accommodation and food service activities',
-    'Informaatio ja viestintä': 'Information and communication',
-    'Rahoitus- ja vakuutustoiminta': 'Financial and insurance activities',
-    'Kiinteistöalan toiminta': 'Real estate activities',
-    'Ammatillinen, tieteellinen ja tekninen toiminta': 'Professional, scientific and technical activities',
-    'Hallinto- ja tukipalvelutoiminta': 'Administrative and support service activities',
-    'Julkinen hallinto ja maanpuolustus': 'Public administration and defence',
-    'Koulutus': 'Education',
-    'Terveys- ja sosiaalipalvelut': 'Human health and social work activities',
-    'Taiteet, viihde ja virkistys': 'Arts, entertainment and recreation',
-    'Muu palvelutoiminta': 'Other service activities',
-    
-    // Specific industry terms from logs
-    'Asuntojen ja asuinkiinteistöjen hallinta': 'Residential property management',
-    'Muualla luokittelematon muu liike-elämän tukipalvelutoiminta': 'Other business support services not elsewhere classified',
-    'Hevosten ja muiden hevoseläinten kasvatus': 'Raising of horses and other equines',
-    'Sähköasennus': 'Electrical installation',
-    'Muuraustyöt': 'Masonry work',
-    'Hammaslääkäripalvelut': 'Dental practice activities',
-    'Muu lääkintä- ja hammaslääkintäinstrumenttien ja -tarvikkeiden valmistus': 'Other manufacture of medical and dental instruments and supplies',
-    'Tieliikenteen muu kuin säännöllinen henkilökuljetus': 'Other passenger land transport',
-    'Rakennuspaikan valmistelutyöt': 'Site preparation',
-    'Muu kiinteistöalan toiminta palkkio- tai sopimusperhsteella': 'Other real estate activities on a fee or contract basis',
-    'Muualla luokittelematon muu rahoituspalvelutoiminta': 'Other financial service activities not elsewhere classified',
-    'Kiinteistöjä koskevat välityspalvelut': 'Real estate agency services',
-    'Marjojen, pähkinöiden ja muiden puissa ja pensaissa kasvavien hedelmien viljely': 'Growing of berries, nuts and other tree and bush fruits',
-    'Sähkönjakelu- ja valvontalaitteiden valmistus': 'Manufacture of electricity distribution and control apparatus',
-    'Muu rahoitusta palveleva toiminta pois lukien vakuutus- ja eläkevakuutustoiminta': 'Other activities auxiliary to financial services, excluding insurance and pension funding',
-    
-    // Emergency services
-    'Palo- ja pelastustoimi': 'Fire and rescue services',
-    
-    // Common truncated patterns (handle incomplete text gracefully)
-    'Muualla luokittelematon muu liike-elämän tukipalve': 'Other business support services',
-    'Tieliikenteen muu kuin säännöllinen henkilökuljetu': 'Other passenger land transport',
-    'Muu kiinteistöalan toiminta palkkio- tai sopimuspe': 'Other real estate activities on fee or contract basis',
-    'Muualla luokittelematon muu rahoituspalvelutoimint': 'Other financial service activities',
-    'Marjojen, pähkinöiden ja muiden puissa ja pensaiss': 'Growing of berries, nuts and tree fruits',
-    'Muu lääkintä- ja hammaslääkintäinstrumenttien ja -': 'Other manufacture of medical and dental instruments',
-    'Muu rahoitusta palveleva toiminta pois lukien vaku': 'Other activities auxiliary to financial services'
+function getArg(args, name) {
+  const prefix = `--${name}=`;
+  return args.find(arg => arg.startsWith(prefix))?.slice(prefix.length);
+}
+
+/**
+ * Parse the company pipeline flags (everything except --sync mode)
+ * @param {Array<string>} args - Command line arguments
+ * @returns {Object} Options ({ withEmbeddings, limit, offline, input, dryRun, out, onlyEmbed, filters })
+ */
+function parseOptions(args) {
+  const withEmbeddings = args.includes('--with-embeddings') || args.includes('-e');
+  const municipality = getArg(args, 'municipality');
+  const industryPrefix = getArg(args, 'industry-prefix')?.toUpperCase() || null;
+  const registeredAfter = getArg(args, 'registered-after') || null;
+
+  if (industryPrefix && !/^([A-Z]|\d{1,5})$/.test(industryPrefix)) {
+    throw new Error(`--industry-prefix must be a TOL section letter or 1-5 digits, got "${industryPrefix}"`);
+  }
+  if (registeredAfter && !/^\d{4}-\d{2}-\d{2}$/.test(registeredAfter)) {
+    throw new Error(`--registered-after must be a YYYY-MM-DD date, got "${registeredAfter}"`);
+  }
+  // The company form is a PRH query parameter
+  if (getArg(args, 'input') && getArg(args, 'company-form')) {
+    throw new Error('--company-form cannot be combined with --input');
+  }
+
+  return {
+    withEmbeddings,
+    limit: parseInt(getArg(args, 'limit') || (withEmbeddings ? 100 : 2000), 10),
+    offline: args.includes('--offline'),
+    input: getArg(args, 'input') || null,
+    dryRun: args.includes('--dry-run'),
+    out: getArg(args, 'out') || null,
+    onlyEmbed: args.includes('--only-embed'),
+    filters: {
+      municipalities: municipality ? municipality.split(',').map(name => name.trim()).filter(Boolean) : [],
+      industryPrefix,
+      registeredAfter,
+      companyForm: getArg(args, 'company-form')?.toUpperCase() || null
+    }
   };
-  
-  return translations[finnishText] || finnishText;
+}
+
+/**
+ * Whether an industry code falls under an --industry-prefix
+ * @param {string|undefined} code - TOL industry code, e.g. 62010
+ * @param {string|null} prefix - TOL section letter (J) or code prefix (62)
+ * @returns {boolean} True if the code matches, or there is no prefix
+ */
+function matchesIndustryPrefix(code, prefix) {
+  if (!prefix) return true;
+  if (!code) return false;
+  if (/^[A-Z]$/.test(prefix)) return industryHierarchy(code, {})?.section?.code === prefix;
+  return code.startsWith(prefix);
+}
+
+/**
+ * Whether a stored company row matches the filters (for --only-embed, where
+ * PRH cannot filter for us)
+ * @param {Object} row - company row with details
+ * @param {Object} filters - Filters from parseOptions
+ * @returns {boolean} True if the company matches every filter
+ */
+function matchesStoredCompany(row, filters) {
+  const details = row.details || {};
+  const industry = details.industry || {};
+  const code = industry.subclass?.code || industry.class?.code || industry.group?.code || industry.division?.code;
+  if (!matchesIndustryPrefix(code, filters.industryPrefix)) return false;
+
+  if (filters.registeredAfter && !(details.registrationDate >= filters.registeredAfter)) return false;
+
+  if (filters.municipalities.length > 0) {
+    // Addresses end in "<post code> <municipality>"
+    const municipality = details.address?.match(/\d{5}\s+(.+)$/)?.[1]?.trim().toLowerCase();
+    if (!filters.municipalities.some(name => name.toLowerCase() === municipality)) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Describe the active filters for logs
+ * @param {Object} filters - Filters from parseOptions
+ * @returns {string} e.g. "municipality Turku, industry 62", or "no filters"
+ */
+function describeFilters(filters) {
+  const parts = [];
+  if (filters.municipalities.length > 0) parts.push(`municipality ${filters.municipalities.join(', ')}`);
+  if (filters.industryPrefix) parts.push(`industry ${filters.industryPrefix}`);
+  if (filters.registeredAfter) parts.push(`registered on or after ${filters.registeredAfter}`);
+  if (filters.companyForm) parts.push(`company form ${filters.companyForm}`);
+  return parts.join(', ') || 'no filters';
 }
 
 /**
  * Fetch companies from PRH API (JSON endpoint)
  * @param {number} maxResults - Maximum number of companies to fetch
+ * @param {Object} [options]
+ * @param {boolean} [options.offline] - Use the classification snapshot only
+ * @param {Object} [options.filters] - Filters from parseOptions
  * @returns {Promise<Array>} Array of company objects
  */
-async function fetchCompaniesFromAPI(maxResults = 100) {
+async function fetchCompaniesFromAPI(maxResults = 100, { offline = false, filters = NO_FILTERS } = {}) {
   console.log(`📡 Fetching companies from PRH API with pagination...`);
   console.log(`🔗 Base URL: ${PRH_API_URL}`);
   
   try {
     // First, fetch industry classifications
-    const classifications = await fetchIndustryClassifications();
+    const classifications = await loadIndustryClassifications({ offline, http: getHttpClient(config, 'statfi') });
     
     let allFetchedCompanies = [];
-    let page = 1;
     const resultsPerPage = 100;
-    
-    // Fetch companies registered from 2020 onwards using pagination
-    while (allFetchedCompanies.length < maxResults) {
-      console.log(`  📄 Fetching page ${page}...`);
-      
-      const response = await axios.get(PRH_API_URL, {
-        params: {
-          page: page
-          // No date filter - fetch all companies
-        },
-        headers: {
-          'Accept': 'application/json'
-        },
-        timeout: 60000
-      });
+    console.log(`🔎 Filters: ${describeFilters(filters)}`);
 
-      const pageData = Array.isArray(response.data) ? response.data : (response.data.results || response.data.companies || []);
-      
-      if (pageData.length === 0) {
-        console.log(`  ℹ️  No more results on page ${page}`);
-        break;
-      }
-      
-      console.log(`  ✅ Page ${page}: Received ${pageData.length} companies`);
-      
-      // Filter companies that have industry classification
-      const validCompanies = pageData.filter(company => {
-        const hasIndustryCode = company.mainBusinessLine?.type;
-        return hasIndustryCode; // Only filter by industry code, no date restriction
-      });
-      
-      console.log(`  ✅ Page ${page}: ${validCompanies.length} companies match criteria (have industry code)`);
-      
-      allFetchedCompanies.push(...validCompanies);
-      
-      // Check if we have enough
-      if (allFetchedCompanies.length >= maxResults) {
-        console.log(`  🎯 Reached target of ${maxResults} companies`);
-        break;
-      }
-      
-      // Check if we got less than expected (last page)
-      if (pageData.length < resultsPerPage) {
-        console.log(`  ℹ️  Reached last page (got ${pageData.length} < ${resultsPerPage})`);
-        break;
-      }
-      
-      page++;
-      
-      // Safety limit to prevent infinite loops - increased for 2000 companies
-      if (page > 200) {
-        console.log(`  ⚠️  Reached page limit (200 pages)`);
-        break;
+    // PRH filters by one municipality at a time
+    const locations = filters.municipalities.length > 0 ? filters.municipalities : [null];
+
+    for (const location of locations) {
+      if (allFetchedCompanies.length >= maxResults) break;
+      if (location) console.log(`\n📍 ${location}`);
+
+      let page = 1;
+      while (allFetchedCompanies.length < maxResults) {
+        console.log(`  📄 Fetching page ${page}...`);
+
+        const params = { page };
+        if (location) params.location = location;
+        if (filters.registeredAfter) params.registrationDateStart = filters.registeredAfter;
+        if (filters.companyForm) params.companyForm = filters.companyForm;
+        const pageData = await fetchCompaniesPage(params);
+
+        if (pageData.length === 0) {
+          console.log(`  ℹ️  No more results on page ${page}`);
+          break;
+        }
+
+        console.log(`  ✅ Page ${page}: Received ${pageData.length} companies`);
+
+        // Only existing companies with an industry classification, under --industry-prefix if given
+        const validCompanies = pageData.filter(company => {
+          const industryCode = company.mainBusinessLine?.type;
+          return industryCode && !isDissolved(company) && matchesIndustryPrefix(industryCode, filters.industryPrefix);
+        });
+
+        console.log(`  ✅ Page ${page}: ${validCompanies.length} companies match criteria (not dissolved, have ${filters.industryPrefix ? `industry ${filters.industryPrefix}` : 'industry code'})`);
+
+        allFetchedCompanies.push(...validCompanies);
+
+        // Check if we have enough
+        if (allFetchedCompanies.length >= maxResults) {
+          console.log(`  🎯 Reached target of ${maxResults} companies`);
+          break;
+        }
+
+        // Check if we got less than expected (last page)
+        if (pageData.length < resultsPerPage) {
+          console.log(`  ℹ️  Reached last page (got ${pageData.length} < ${resultsPerPage})`);
+          break;
+        }
+
+        page++;
+
+        // Safety limit to prevent infinite loops - increased for 2000 companies
+        if (page > 200) {
+          console.log(`  ⚠️  Reached page limit (200 pages)`);
+          break;
+        }
       }
-      
-      // Small delay to be nice to the API
-      await new Promise(resolve => setTimeout(resolve, 200));
     }
 
     console.log(`✅ Total fetched: ${allFetchedCompanies.length} companies with industry classification`);
@@ -287,87 +305,8 @@ async function fetchCompaniesFromAPI(maxResults = 100) {
     // Process companies and translate Finnish text to English if needed
     const processedCompanies = [];
     
-    for (let i = 0; i < companies.length; i++) {
-      const company = companies[i];
-      
-      // Extract business ID from nested structure
-      const businessId = company.businessId?.value || company.businessId || '';
-      
-      // Extract the latest/current name (first one without endDate or most recent)
-      let companyName = 'Unknown';
-      if (company.names && company.names.length > 0) {
-        // Find active name (type 1 = official name, without endDate)
-        const activeName = company.names.find(n => n.type === '1' && !n.endDate);
-        companyName = activeName?.name || company.names[0]?.name || 'Unknown';
-      }
-      
-      // Extract business description (language code 3 = English)
-      let description = '';
-      if (company.mainBusinessLine?.descriptions) {
-        const englishDesc = company.mainBusinessLine.descriptions.find(d => d.languageCode === '3');
-        description = englishDesc?.description || company.mainBusinessLine.descriptions[0]?.description || '';
-      }
-      
-      // Extract address (type 1 = visiting address)
-      let address = '';
-      if (company.addresses && company.addresses.length > 0) {
-        const visitingAddress = company.addresses.find(a => a.type === 1) || company.addresses[0];
-        if (visitingAddress) {
-          const street = visitingAddress.street || '';
-          const buildingNumber = visitingAddress.buildingNumber || '';
-          const entrance = visitingAddress.entrance ? ` ${visitingAddress.entrance}` : '';
-          const apartmentNumber = visitingAddress.apartmentNumber ? ` ${visitingAddress.apartmentNumber}` : '';
-          const postCode = visitingAddress.postCode || '';
-          const city = visitingAddress.postOffices?.find(p => p.languageCode === '3')?.city || 
-                      visitingAddress.postOffices?.find(p => p.languageCode === '1')?.city ||
-                      visitingAddress.postOffices?.[0]?.city || '';
-          
-          // Build address string with proper spacing
-          const addressParts = [
-            street,
-            buildingNumber,
-            entrance,
-            apartmentNumber
-          ].filter(part => part).join('');
-          
-          address = `${addressParts}, ${postCode} ${city}`.trim().replace(/^,\s*/, '').replace(/,\s*$/, '');
-        }
-      }
-      
-      // Registration date
-      const registrationDate = company.businessId?.registrationDate || 
-                              company.registrationDate || null;
-      
-      // Extract industry classification and translate to English
-      let categoryName = '';
-      const industryCode = company.mainBusinessLine?.type;
-      
-      if (industryCode && classifications[industryCode]) {
-        const classification = classifications[industryCode];
-        
-        // Translate Finnish category name to English if needed
-        if (classification.name && classification.isFinnish) {
-          categoryName = await translateToEnglish(classification.name);
-        } else {
-          categoryName = classification.name;
-        }
-      } else if (industryCode) {
-        // Fallback: if no match in classifications, just use "Industry Code: XXXXX"
-        categoryName = `Industry Code: ${industryCode}`;
-      }
-      
-      processedCompanies.push({
-        name: companyName,
-        businessId: businessId,
-        industryCode: industryCode || '',
-        details: {
-          name: companyName,
-          description: description,
-          address: address,
-          registrationDate: registrationDate,
-          categoryName: categoryName
-        }
-      });
+    for (const company of companies) {
+      processedCompanies.push(await processCompany(company, classifications));
     }
     
     console.log(`✅ Processed all ${processedCompanies.length} companies`);
@@ -383,79 +322,257 @@ async function fetchCompaniesFromAPI(maxResults = 100) {
 }
 
 /**
- * Create text representation of company for vectorization
- * @param {Object} company - Company object
- * @returns {string} Text representation
+ * Read normalized companies from a JSONL file instead of the PRH API, e.g.
+ * --dry-run output or data/fixtures/companies.jsonl, so the pipeline can
+ * run with no network
+ * @param {string} path - JSONL file, one company object per line
+ * @param {number} maxResults - Maximum number of companies to read
+ * @param {Object} [filters] - Filters from parseOptions
+ * @returns {Array} Array of company objects
  */
-function createCompanyText(company) {
-  const name = company.details?.name || company.name;
-  const description = company.details?.description || '';
-  const address = company.details?.address || '';
-  const registrationDate = company.details?.registrationDate || '';
-  const categoryName = company.details?.categoryName || '';
-  
-  return `Company: ${name}. Business ID: ${company.businessId}. Industry: ${categoryName}. Description: ${description}. Address: ${address}. Registration Date: ${registrationDate || 'N/A'}.`;
+function readCompaniesFromFile(path, maxResults, filters = NO_FILTERS) {
+  console.log(`📂 Reading companies from ${path}...`);
+  console.log(`🔎 Filters: ${describeFilters(filters)}`);
+
+  const companies = readFileSync(path, 'utf-8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line))
+    .filter(company => matchesStoredCompany(company, filters))
+    .slice(0, maxResults);
+
+  console.log(`✅ Read ${companies.length} companies`);
+  return companies;
 }
 
 /**
- * Convert text to vectors using Voyage AI (with rate limit handling)
- * @param {Array<string>} texts - Array of text strings to vectorize
- * @returns {Promise<Array<Array<number>>>} Array of vectors
+ * Map a company object to a company table row
+ * @param {Object} company - Company object from processCompany
+ * @returns {Object} Row for the company table
  */
-async function vectorizeWithVoyage(texts) {
-  console.log(`🧮 Vectorizing ${texts.length} company descriptions with Voyage AI...`);
-  
-  // Batch size: 100 companies per request (safe for rate limits)
-  const batchSize = 100;
-  const allVectors = [];
-  
-  for (let i = 0; i < texts.length; i += batchSize) {
-    const batch = texts.slice(i, i + batchSize);
-    const batchNum = Math.floor(i / batchSize) + 1;
-    const totalBatches = Math.ceil(texts.length / batchSize);
-    
-    console.log(`  📦 Batch ${batchNum}/${totalBatches}: Vectorizing ${batch.length} companies...`);
-    
-    try {
-      const response = await axios.post(
-        'https://api.voyageai.com/v1/embeddings',
-        {
-          input: batch,
-          model: 'voyage-2'
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${VOYAGE_API_KEY}`
-          }
-        }
-      );
+function toCompanyRow(company) {
+  return {
+    business_id: company.businessId,
+    name: company.name,
+    details: company.details || {},
+    prh_last_modified: company.lastModified || null
+  };
+}
 
-      const vectors = response.data.data.map(item => item.embedding);
-      allVectors.push(...vectors);
-      console.log(`  ✅ Batch ${batchNum}/${totalBatches}: Generated ${vectors.length} vectors`);
-      
-      // Wait 60 seconds between batches to respect 3 RPM rate limit (free tier)
-      if (i + batchSize < texts.length) {
-        console.log(`  ⏳ Waiting 60 seconds for rate limit...`);
-        await new Promise(resolve => setTimeout(resolve, 60000));
-      }
-    } catch (error) {
-      console.error(`❌ Error in batch ${batchNum}:`, error.response?.data || error.message);
+/**
+ * Look up when each company was last modified in PRH, as stored by the previous run
+ * @param {Array<string>} businessIds - Business IDs to look up
+ * @returns {Promise<Map<string, string|null>>} Stored prh_last_modified by business ID (only for stored companies)
+ */
+async function fetchStoredLastModified(businessIds) {
+  const { data, error } = await getSupabaseClient(config)
+    .from('company')
+    .select('business_id, prh_last_modified')
+    .in('business_id', businessIds);
+
+  if (error) {
+    console.error('❌ Error checking stored companies:', error);
+    throw error;
+  }
+
+  return new Map(data.map(row => [row.business_id, row.prh_last_modified]));
+}
+
+/**
+ * Attach the stored enrichment (user-provided funding, size and hierarchy)
+ * to freshly fetched companies, so their embedding text is the one the API
+ * and reembed build and a PRH refresh does not overwrite it
+ * @param {Array} companies - Array of company objects from processCompany
+ * @returns {Promise<Array>} The companies, with enrichment where one is stored
+ */
+async function withStoredEnrichment(companies) {
+  const supabase = getSupabaseClient(config);
+  const enrichments = new Map();
+
+  for (let i = 0; i < companies.length; i += config.batchSize) {
+    const businessIds = companies.slice(i, i + config.batchSize).map(company => company.businessId);
+    const { data, error } = await supabase
+      .from('company')
+      .select('business_id, company_enrichment(*)')
+      .in('business_id', businessIds);
+
+    if (error) {
+      console.error('❌ Error loading stored enrichment:', error);
       throw error;
     }
+
+    for (const row of data) {
+      const { enrichment } = companyFromRow(row);
+      if (enrichment) enrichments.set(row.business_id, enrichment);
+    }
+  }
+
+  return companies.map(company =>
+    (enrichments.has(company.businessId) ? { ...company, enrichment: enrichments.get(company.businessId) } : company));
+}
+
+/**
+ * Whether a PRH record is new or has changed since it was stored
+ * @param {Object} company - Raw PRH company record
+ * @param {Map<string, string|null>} stored - Stored prh_last_modified by business ID
+ * @returns {boolean} True if the company should be upserted
+ */
+function hasChanged(company, stored) {
+  const businessId = prhBusinessId(company);
+  if (!stored.has(businessId)) return true;
+
+  const storedAt = Date.parse(stored.get(businessId));
+  const modifiedAt = Date.parse(company.lastModified);
+  // Without both timestamps we cannot tell, so refresh the row
+  if (Number.isNaN(storedAt) || Number.isNaN(modifiedAt)) return true;
+  return modifiedAt > storedAt;
+}
+
+/**
+ * Upsert company rows (without embeddings), updating existing ones
+ * @param {Array} companies - Array of company objects
+ */
+async function upsertCompanies(companies) {
+  const supabase = getSupabaseClient(config);
+
+  for (let i = 0; i < companies.length; i += config.batchSize) {
+    const batch = companies.slice(i, i + config.batchSize);
+
+    const { error } = await supabase
+      .from('company')
+      .upsert(batch.map(toCompanyRow), {
+        onConflict: 'business_id',
+        ignoreDuplicates: false
+      });
+
+    if (error) {
+      console.error(`❌ Error upserting companies (batch ${Math.floor(i / config.batchSize) + 1}):`, error);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Whether a municipality is due a full rescan: it never had one, or the
+ * last one is at least SYNC_FULL_INTERVAL_DAYS old
+ * @param {Object|null} state - Stored sync state of the municipality
+ * @returns {boolean} True if the sync should start from DEFAULT_SYNC_START
+ */
+function isFullPassDue(state) {
+  const fullSyncAt = Date.parse(state?.fullSyncAt);
+  if (Number.isNaN(fullSyncAt)) return true;
+  return Date.now() - fullSyncAt >= config.syncFullIntervalDays * DAY_MS;
+}
+
+/**
+ * Incrementally sync one municipality: fetch companies registered since the
+ * stored high-water mark and upsert those that are new or changed in PRH.
+ * PRH cannot be filtered by modification date, so changes to companies
+ * registered before the mark are only seen by a full rescan, which runs
+ * every SYNC_FULL_INTERVAL_DAYS.
+ * @param {string} location - Municipality, as accepted by the PRH location filter
+ * @param {Object} classifications - Industry classifications by code
+ * @param {Object} options
+ * @param {string} [options.since] - Registration date to start from, overriding the stored mark
+ * @param {boolean} [options.full] - Ignore the stored mark and rescan from DEFAULT_SYNC_START
+ * @returns {Promise<Object>} Sync result ({ location, start, full, fetched, changed, companies })
+ */
+async function syncLocation(location, classifications, { since, full }) {
+  const supabase = getSupabaseClient(config);
+  const key = `prh:${location}`;
+  const state = await readSyncState(supabase, key);
+  const fullPass = full || (!since && isFullPassDue(state));
+  const start = since || (fullPass ? DEFAULT_SYNC_START : state.registrationDate);
+
+  const reason = fullPass ? ' (full rescan)' : since ? '' : ' (stored mark)';
+  console.log(`\n📍 ${location}: companies registered since ${start}${reason}`);
+
+  const changed = [];
+  let fetched = 0;
+  let highWaterMark = state?.registrationDate || null;
+
+  for (let page = 1; page <= MAX_SYNC_PAGES; page++) {
+    const pageData = await fetchCompaniesPage({
+      location,
+      registrationDateStart: start,
+      page
+    });
+
+    if (pageData.length === 0) break;
+    fetched += pageData.length;
+
+    for (const company of pageData) {
+      const registrationDate = company.businessId?.registrationDate || company.registrationDate;
+      if (registrationDate && (!highWaterMark || registrationDate > highWaterMark)) {
+        highWaterMark = registrationDate;
+      }
+    }
+
+    // Dissolved companies are not synced; ones stored earlier keep their last record
+    const candidates = pageData.filter(company => company.mainBusinessLine?.type && !isDissolved(company));
+    const stored = await fetchStoredLastModified(candidates.map(prhBusinessId));
+    const pageChanged = candidates.filter(company => hasChanged(company, stored));
+
+    console.log(`  📄 Page ${page}: ${pageData.length} companies, ${pageChanged.length} new or changed`);
+
+    // Upsert page by page so an interrupted sync keeps what it has stored
+    const processed = [];
+    for (const company of pageChanged) {
+      processed.push(await processCompany(company, classifications));
+    }
+    if (processed.length > 0) await upsertCompanies(processed);
+    changed.push(...processed);
+
+    if (pageData.length < 100) break;
+    if (page === MAX_SYNC_PAGES) {
+      console.log(`  ⚠️  Reached page limit (${MAX_SYNC_PAGES} pages), high-water mark not advanced`);
+      return { location, start, full: false, fetched, changed: changed.length, companies: changed };
+    }
   }
 
-  console.log(`✅ Generated ${allVectors.length} vectors total`);
-  return allVectors;
+  // Only advance the mark once the whole range has been stored; the start date is
+  // inclusive, so companies registered on the mark date are re-checked next time.
+  // A scan from DEFAULT_SYNC_START saw every company, so it counts as a full pass.
+  const syncedAt = new Date().toISOString();
+  const complete = start <= DEFAULT_SYNC_START;
+  await writeSyncState(supabase, key, {
+    registrationDate: highWaterMark || start,
+    fullSyncAt: complete ? syncedAt : state?.fullSyncAt ?? null,
+    syncedAt
+  });
+
+  console.log(`  ✅ ${location}: ${fetched} fetched, ${changed.length} upserted, mark ${highWaterMark || start}`);
+  return { location, start, full: complete, fetched, changed: changed.length, companies: changed };
+}
+
+/**
+ * Incrementally sync companies for the given municipalities
+ * @param {Object} options
+ * @param {Array<string>} options.locations - Municipalities to sync
+ * @param {string} [options.since] - Registration date to start from, overriding stored marks
+ * @param {boolean} [options.full] - Rescan from DEFAULT_SYNC_START to pick up changes to older companies
+ * @param {boolean} [options.offline] - Use the classification snapshot only
+ * @returns {Promise<Array<Object>>} One result per municipality
+ */
+async function syncCompanies({ locations, since, full, offline }) {
+  console.log(`🔄 Syncing companies for ${locations.length} municipalities from PRH...`);
+  const classifications = await loadIndustryClassifications({ offline, http: getHttpClient(config, 'statfi') });
+
+  const results = [];
+  for (const location of locations) {
+    results.push(await syncLocation(location, classifications, { since, full }));
+  }
+  return results;
 }
 
 /**
  * Store companies in Supabase without embeddings (skip if already exist)
  * @param {Array} companies - Array of company objects
+ * @returns {Promise<number>} Number of companies inserted
  */
 async function storeCompaniesOnly(companies) {
   console.log(`💾 Storing ${companies.length} companies in Supabase (without embeddings)...`);
+  const supabase = getSupabaseClient(config);
   
   try {
     // Step 1: Check which companies already exist (in batches to avoid header overflow)
@@ -491,7 +608,7 @@ async function storeCompaniesOnly(companies) {
 
     if (newCompanies.length === 0) {
       console.log(`  ℹ️  All companies already exist in database. Skipping insertion.`);
-      return;
+      return 0;
     }
 
     // Step 2: Insert only new companies in batches
@@ -500,11 +617,7 @@ async function storeCompaniesOnly(companies) {
     
     for (let i = 0; i < newCompanies.length; i += INSERT_BATCH_SIZE) {
       const batch = newCompanies.slice(i, i + INSERT_BATCH_SIZE);
-      const companyData = batch.map(company => ({
-        business_id: company.businessId,
-        name: company.name,
-        details: company.details || {}
-      }));
+      const companyData = batch.map(toCompanyRow);
 
       console.log(`  📦 Inserting batch ${Math.floor(i / INSERT_BATCH_SIZE) + 1} (${batch.length} companies)...`);
       
@@ -526,6 +639,7 @@ async function storeCompaniesOnly(companies) {
     }
 
     console.log(`  ✅ Successfully inserted ${totalInserted} new companies`);
+    return totalInserted;
   } catch (error) {
     console.error('❌ Error storing companies:', error.message);
     throw error;
@@ -535,83 +649,248 @@ async function storeCompaniesOnly(companies) {
 /**
  * Store companies with vectors in Supabase
  * @param {Array} companies - Array of company objects
+ * @param {Array<string>} texts - Texts the vectors were generated from
  * @param {Array} vectors - Array of corresponding vectors
+ * @param {string} model - Embedding model that produced the vectors
  */
-async function storeInSupabase(companies, vectors) {
-  console.log(`💾 Storing ${companies.length} companies in Supabase...`);
-  
+async function storeInSupabase(companies, texts, vectors, model) {
+  await upsertWithEmbeddings(getSupabaseClient(config), {
+    table: 'company',
+    keyColumn: 'business_id',
+    embeddingsTable: 'company_embeddings',
+    foreignKey: 'company_id',
+    rows: companies.map(toCompanyRow),
+    texts,
+    vectors,
+    model,
+    batchSize: config.batchSize,
+    label: 'companies'
+  });
+}
+
+/**
+ * Embed the text template's named vectors (e.g. business, funding) for
+ * companies whose main embedding was just stored. Does nothing when the
+ * template defines none.
+ * @param {Object} embedder - Embedder from createConfiguredEmbedder
+ * @param {Array<string>} businessIds - Business IDs of the stored companies
+ * @returns {Promise<number>} Number of named vectors stored
+ */
+async function storeNamedVectors(embedder, businessIds) {
+  if (Object.keys(getTextTemplate(config).company.vectors).length === 0) return 0;
+
+  console.log('\n🧭 Embedding named vectors of the text template...');
+  const ids = new Set(businessIds);
+  const stats = await reembedTarget(getSupabaseClient(config), 'company', embedder, {
+    batchSize: config.batchSize,
+    filter: row => ids.has(row.business_id)
+  });
+  return stats.vectors.reembedded;
+}
+
+/**
+ * Incremental sync mode: upsert new and changed companies in the configured
+ * municipalities, then embed them or leave them for the reembed command
+ * @param {Array<string>} args - Command line arguments
+ * @param {boolean} withEmbeddings - Embed the upserted companies right away
+ */
+async function runSync(args, withEmbeddings) {
+  // --municipality is accepted as in the normal pipeline
+  const locationArg = getArg(args, 'location') || getArg(args, 'municipality');
+  const locations = locationArg
+    ? locationArg.split(',').map(location => location.trim()).filter(Boolean)
+    : SOUTHWEST_FINLAND_MUNICIPALITIES;
+  const since = args.find(arg => arg.startsWith('--since='))?.slice('--since='.length);
+  const full = args.includes('--full');
+  const offline = args.includes('--offline');
+
+  console.log('🚀 Starting incremental company sync...\n');
+
+  let run = null;
+
   try {
-    // Step 1: Insert companies into 'company' table
-    const companyData = companies.map(company => ({
-      business_id: company.businessId,
-      name: company.name,
-      details: company.details || {}
-    }));
+    requireConfig(config, ['storage']);
+    if (withEmbeddings) {
+      requireConfig(config, ['embeddings']);
+    }
 
-    console.log(`  📦 Inserting companies into 'company' table...`);
-    
-    const { data: insertedCompanies, error: companyError } = await supabase
-      .from('company')
-      .upsert(companyData, { 
-        onConflict: 'business_id',
-        ignoreDuplicates: false 
-      })
-      .select('id, business_id');
+    // Recorded for auditing only: high-water marks already make a rerun resume
+    run = await openRun(getSupabaseClient(config), {
+      pipeline: 'company-sync',
+      options: { locations, since: since || null, full, offline, withEmbeddings }
+    });
 
-    if (companyError) {
-      console.error(`❌ Error inserting companies:`, companyError);
-      throw companyError;
+    const results = await run.timed('fetch', () => syncCompanies({ locations, since, full, offline }));
+    const changed = results.flatMap(result => result.companies);
+    const fetched = results.reduce((sum, result) => sum + result.fetched, 0);
+    run.setCounts({ fetched, stored: changed.length });
+
+    if (withEmbeddings && changed.length > 0) {
+      console.log('\n🔮 Vectorizing new and changed companies...');
+      const companyTexts = (await withStoredEnrichment(changed)).map(company => createCompanyText(company));
+      const embedder = createConfiguredEmbedder(config);
+      const vectors = await run.timed('embed', () => embedder.embed(companyTexts, 'companies'));
+      await run.timed('store', () => storeInSupabase(changed, companyTexts, vectors, embedder.model));
+      await run.timed('vectors', () => storeNamedVectors(embedder, changed.map(company => company.businessId)));
+      run.setCounts({ embedded: vectors.length });
     }
+    await run.finish();
+
+    console.log('\n✨ Sync completed successfully! ✨\n');
+    console.log(`📊 Summary:`);
+    console.log(`   - Run: ${run.id}`);
+    console.log(`   - Municipalities synced: ${results.length} (${results.filter(result => result.full).length} fully rescanned)`);
+    console.log(`   - Companies fetched: ${fetched}`);
+    console.log(`   - New or changed companies upserted: ${changed.length}`);
+    if (!withEmbeddings && changed.length > 0) {
+      console.log(`   - Embeddings pending: run \`npm start reembed -- company\` to embed them`);
+    }
+  } catch (error) {
+    console.error('\n💥 Sync failed:', error.message);
+    if (run) {
+      await run.finish(error).catch(finishError => {
+        console.error('⚠️  Could not record the failed run:', finishError.message);
+      });
+    }
+    process.exit(1);
+  }
+}
 
-    console.log(`  ✅ Inserted ${insertedCompanies?.length || companies.length} companies`);
+/**
+ * Embed company texts chunk by chunk, checkpointing every chunk so a resumed
+ * run only embeds what is missing
+ * @param {Object} run - Run from openRun
+ * @param {Object} embedder - Embedder from createConfiguredEmbedder
+ * @param {Array<string>} texts - Company texts
+ * @returns {Promise<Array<Array<number>>>} One vector per text
+ */
+async function embedWithCheckpoints(run, embedder, texts) {
+  const chunkSize = config.embedding.batchSize;
+  const vectors = [];
+
+  for (let i = 0; i < texts.length; i += chunkSize) {
+    const step = `embed-${i / chunkSize + 1}`;
+    const saved = run.has(step) ? run.load(step) : null;
+
+    // Vectors from another model cannot be mixed in, so embed those again
+    if (saved?.model === embedder.model) {
+      console.log(`  ⏭️  ${step}: ${saved.vectors.length} vectors from checkpoint`);
+      vectors.push(...saved.vectors);
+      continue;
+    }
 
-    // Step 2: Get company IDs (either from insert or fetch)
-    const { data: companyRecords, error: fetchError } = await supabase
-      .from('company')
-      .select('id, business_id')
-      .in('business_id', companies.map(c => c.businessId));
+    const chunk = await embedder.embed(texts.slice(i, i + chunkSize), 'companies');
+    await run.save(step, { model: embedder.model, vectors: chunk });
+    vectors.push(...chunk);
+  }
+
+  return vectors;
+}
 
-    if (fetchError) {
-      console.error(`❌ Error fetching company IDs:`, fetchError);
-      throw fetchError;
+/**
+ * Store companies with embeddings chunk by chunk, skipping chunks an earlier
+ * attempt of the run already stored
+ * @param {Object} run - Run from openRun
+ * @param {Array} companies - Array of company objects
+ * @param {Array<string>} texts - Texts the vectors were generated from
+ * @param {Array} vectors - Array of corresponding vectors
+ * @param {string} model - Embedding model that produced the vectors
+ * @returns {Promise<number>} Number of companies stored by this attempt
+ */
+async function storeWithCheckpoints(run, companies, texts, vectors, model) {
+  const chunkSize = config.embedding.batchSize;
+  let stored = 0;
+
+  for (let i = 0; i < companies.length; i += chunkSize) {
+    const step = `store-${i / chunkSize + 1}`;
+    if (run.has(step)) {
+      console.log(`  ⏭️  ${step}: already stored`);
+      continue;
     }
 
-    // Create a map of business_id to company id
-    const businessIdToCompanyId = {};
-    companyRecords.forEach(record => {
-      businessIdToCompanyId[record.business_id] = record.id;
-    });
+    const end = i + chunkSize;
+    await storeInSupabase(companies.slice(i, end), texts.slice(i, end), vectors.slice(i, end), model);
+    await run.save(step);
+    stored += Math.min(chunkSize, companies.length - i);
+  }
 
-    // Step 3: Insert embeddings into 'company_embeddings' table
-    console.log(`  📦 Inserting embeddings into 'company_embeddings' table...`);
-    
-    const embeddingData = companies.map((company, index) => ({
-      company_id: businessIdToCompanyId[company.businessId],
-      embeddings: vectors[index]
-    })).filter(item => item.company_id); // Only insert if we have a valid company_id
-
-    // Insert embeddings in batches
-    for (let i = 0; i < embeddingData.length; i += BATCH_SIZE) {
-      const batch = embeddingData.slice(i, i + BATCH_SIZE);
-      console.log(`  📦 Inserting embedding batch ${Math.floor(i / BATCH_SIZE) + 1}...`);
-      
-      const { error: embeddingError } = await supabase
-        .from('company_embeddings')
-        .upsert(batch, { 
-          onConflict: 'company_id',
-          ignoreDuplicates: false 
-        });
+  return stored;
+}
 
-      if (embeddingError) {
-        console.error(`❌ Error inserting embeddings:`, embeddingError);
-        throw embeddingError;
-      }
+/**
+ * Dry-run mode: fetch and normalize companies as usual, but write them to a
+ * JSONL file instead of Supabase (no run record, no embeddings)
+ * @param {Object} options - Options from parseOptions
+ */
+async function runDryRun({ limit, offline, input, out, filters }) {
+  console.log('🚀 Starting company data pipeline (dry run, nothing is stored)...\n');
+  console.log(`📊 Fetching ${limit} companies\n`);
+
+  try {
+    const companies = input
+      ? readCompaniesFromFile(input, limit, filters)
+      : await fetchCompaniesFromAPI(limit, { offline, filters });
+
+    const path = out || join(DRY_RUN_DIR, `companies-${new Date().toISOString().replace(/[:.]/g, '-')}.jsonl`);
+    mkdirSync(dirname(path), { recursive: true });
+    const stream = createWriteStream(path);
+    for (const company of companies) {
+      stream.write(`${JSON.stringify(company)}\n`);
     }
+    await new Promise((resolve, reject) => stream.end(error => (error ? reject(error) : resolve())));
 
-    console.log(`✅ Successfully stored all companies and embeddings in Supabase`);
+    console.log('\n✨ Dry run completed successfully! ✨\n');
+    console.log(`📊 Summary:`);
+    console.log(`   - Companies fetched: ${companies.length}`);
+    console.log(`   - Normalized records written to: ${path}`);
   } catch (error) {
-    console.error('❌ Error storing in Supabase:', error.message);
-    throw error;
+    console.error('\n💥 Dry run failed:', error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Only-embed mode: embed companies already stored in Supabase whose embedding
+ * is missing or stale, without fetching from PRH
+ * @param {Object} options - Options from parseOptions
+ */
+async function runOnlyEmbed({ filters }) {
+  console.log('🚀 Embedding stored companies...\n');
+  console.log(`🔎 Filters: ${describeFilters(filters)}`);
+
+  let run = null;
+
+  try {
+    // Stored companies do not record their company form
+    if (filters.companyForm) {
+      throw new Error('--company-form cannot be combined with --only-embed');
+    }
+    requireConfig(config, ['storage', 'embeddings']);
+
+    const supabase = getSupabaseClient(config);
+    run = await openRun(supabase, { pipeline: 'company-embed', options: { filters } });
+
+    const embedder = createConfiguredEmbedder(config);
+    const stats = await run.timed('embed', () => reembedTarget(supabase, 'company', embedder, {
+      batchSize: config.batchSize,
+      filter: row => matchesStoredCompany(row, filters)
+    }));
+    run.setCounts({ fetched: stats.scanned, embedded: stats.reembedded, stored: stats.reembedded });
+    await run.finish();
+
+    console.log('\n✨ Embedding completed successfully! ✨\n');
+    console.log(`📊 Summary:`);
+    console.log(`   - Run: ${run.id}`);
+    console.log(`   - Stored companies matching filters: ${stats.scanned}`);
+    console.log(`   - Embedded (missing or stale): ${stats.reembedded} (${embedder.model})`);
+  } catch (error) {
+    console.error('\n💥 Embedding failed:', error.message);
+    if (run) {
+      await run.finish(error).catch(finishError => {
+        console.error('⚠️  Could not record the failed run:', finishError.message);
+      });
+    }
+    process.exit(1);
   }
 }
 
@@ -621,67 +900,120 @@ async function storeInSupabase(companies, vectors) {
 async function main() {
   // Check for command line arguments
   const args = process.argv.slice(2);
-  const withEmbeddings = args.includes('--with-embeddings') || args.includes('-e');
-  const limit = args.find(arg => arg.startsWith('--limit='))?.split('=')[1] || (withEmbeddings ? 100 : 2000);
-  const limitNum = parseInt(limit, 10);
-
-  if (withEmbeddings) {
-    console.log('🚀 Starting company data pipeline WITH EMBEDDINGS...\n');
-    console.log(`📊 Fetching ${limitNum} companies with vectorization enabled\n`);
-  } else {
-    console.log('🚀 Starting company data pipeline (Direct API Version)...\n');
-    console.log(`📊 Fetching ${limitNum} companies (bulk load without embeddings)\n`);
+
+  if (args.includes('--sync')) {
+    return runSync(args, args.includes('--with-embeddings') || args.includes('-e'));
   }
 
+  let options;
+  try {
+    options = parseOptions(args);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  if (options.dryRun) return runDryRun(options);
+  if (options.onlyEmbed) return runOnlyEmbed(options);
+
+  let run = null;
+
   try {
     // Validate environment variables
-    if (!SUPABASE_URL || !SUPABASE_ANON_KEY) {
-      throw new Error('⚠️  Missing required environment variables. Please check your .env file.');
-    }
+    requireConfig(config, ['storage']);
+
+    // A resumed run keeps the options it was started with
+    run = await openRun(getSupabaseClient(config), {
+      pipeline: 'company',
+      runId: getResumeRunId(args),
+      options: {
+        withEmbeddings: options.withEmbeddings,
+        limit: options.limit,
+        offline: options.offline,
+        input: options.input,
+        filters: options.filters
+      }
+    });
+    // Runs started before filters existed have none
+    const { withEmbeddings, limit: limitNum, offline, input, filters = NO_FILTERS } = run.options;
 
-    if (withEmbeddings && !VOYAGE_API_KEY) {
-      throw new Error('⚠️  Missing VOYAGE_API_KEY required for embeddings. Please check your .env file.');
+    if (withEmbeddings) {
+      console.log('🚀 Starting company data pipeline WITH EMBEDDINGS...\n');
+      console.log(`📊 Fetching ${limitNum} companies with vectorization enabled\n`);
+      requireConfig(config, ['embeddings']);
+    } else {
+      console.log('🚀 Starting company data pipeline (Direct API Version)...\n');
+      console.log(`📊 Fetching ${limitNum} companies (bulk load without embeddings)\n`);
     }
 
-    // Step 1: Fetch companies from API
-    const companies = await fetchCompaniesFromAPI(limitNum);
+    // Step 1: Fetch companies from API (or the run's checkpoint)
+    let companies;
+    if (run.has('companies')) {
+      companies = run.load('companies');
+      console.log(`📦 Loaded ${companies.length} fetched companies from checkpoint`);
+    } else {
+      companies = await run.timed('fetch', async () => (input
+        ? readCompaniesFromFile(input, limitNum, filters)
+        : fetchCompaniesFromAPI(limitNum, { offline, filters })));
+      await run.save('companies', companies);
+    }
+    run.setCounts({ fetched: companies.length });
     
     if (companies.length === 0) {
       console.log('⚠️  No companies loaded. Exiting...');
+      await run.finish();
       return;
     }
 
     if (withEmbeddings) {
       // Step 2a: Create company texts for vectorization
       console.log('\n📝 Creating company texts for vectorization...');
-      const companyTexts = companies.map(createCompanyText);
+      const companyTexts = (await withStoredEnrichment(companies)).map(company => createCompanyText(company));
 
-      // Step 3a: Vectorize with Voyage AI
+      // Step 3a: Vectorize with Voyage AI, one checkpoint per batch
       console.log('\n🔮 Vectorizing company data...');
-      const vectors = await vectorizeWithVoyage(companyTexts);
+      const embedder = createConfiguredEmbedder(config);
+      const vectors = await run.timed('embed', () => embedWithCheckpoints(run, embedder, companyTexts));
+      run.setCounts({ embedded: vectors.length });
 
-      // Step 4a: Store companies WITH embeddings
+      // Step 4a: Store companies WITH embeddings, one checkpoint per batch
       console.log('\n💾 Storing companies with embeddings...');
-      await storeInSupabase(companies, vectors);
+      await run.timed('store', () => storeWithCheckpoints(run, companies, companyTexts, vectors, embedder.model));
+      const namedVectors = await run.timed('vectors', () => storeNamedVectors(embedder, companies.map(company => company.businessId)));
+      run.setCounts({ stored: companies.length });
+      await run.finish();
 
       console.log('\n✨ Pipeline completed successfully! ✨\n');
       console.log(`📊 Summary:`);
+      console.log(`   - Run: ${run.id}`);
       console.log(`   - Companies fetched: ${companies.length}`);
-      console.log(`   - Companies vectorized: ${vectors.length}`);
+      console.log(`   - Companies vectorized: ${vectors.length} (${embedder.model}, template: ${config.textTemplate})`);
+      if (namedVectors > 0) console.log(`   - Named vectors stored: ${namedVectors}`);
       console.log(`   - Stored with embeddings`);
     } else {
       // Step 2b: Store companies WITHOUT embeddings (skip existing ones)
       console.log('\n💾 Storing companies...');
-      await storeCompaniesOnly(companies);
+      if (!run.has('stored')) {
+        const inserted = await run.timed('store', () => storeCompaniesOnly(companies));
+        run.setCounts({ stored: inserted });
+        await run.save('stored');
+      }
+      await run.finish();
 
       console.log('\n✨ Pipeline completed successfully! ✨\n');
       console.log(`📊 Summary:`);
+      console.log(`   - Run: ${run.id}`);
       console.log(`   - Companies fetched: ${companies.length}`);
       console.log(`   - Stored without embeddings`);
     }
     
   } catch (error) {
     console.error('\n💥 Pipeline failed:', error.message);
+    if (run) {
+      await run.finish(error).catch(finishError => {
+        console.error('⚠️  Could not record the failed run:', finishError.message);
+      });
+    }
     process.exit(1);
   }
 }
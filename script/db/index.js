@@ -0,0 +1,237 @@
+import { createHash } from 'crypto';
+import { readdirSync, readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { loadConfig, requireConfig, connectPostgres } from '../lib/index.js';
+
+const config = loadConfig();
+
+const MIGRATIONS_DIR = join(dirname(fileURLToPath(import.meta.url)), '../migrations');
+
+// Migration files are named <4-digit version>_<name>.sql and applied in version order
+const MIGRATION_FILE = /^(\d{4})_([\w-]+)\.sql$/;
+
+// Tables `clear` may empty; everything else (e.g. schema_migrations) is left alone
+const CLEARABLE_TABLES = [
+  'company',
+  'company_embeddings',
+  'company_embedding_vectors',
+  'company_enrichment',
+  'investor',
+  'investor_embeddings',
+  'investor_embedding_vectors',
+  'funding_instrument',
+  'funding_instrument_embeddings',
+  'pitch_sessions',
+  'pitch_messages',
+  'sync_state',
+  'pipeline_runs'
+];
+
+/**
+ * Read the migration files
+ * @returns {Array<{ version: string, name: string, sql: string, checksum: string }>} Migrations in version order
+ */
+function loadMigrations() {
+  return readdirSync(MIGRATIONS_DIR)
+    .map(file => ({ file, match: MIGRATION_FILE.exec(file) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const sql = readFileSync(join(MIGRATIONS_DIR, file), 'utf8');
+      return {
+        version: match[1],
+        name: match[2],
+        sql,
+        checksum: createHash('sha256').update(sql, 'utf8').digest('hex')
+      };
+    })
+    .sort((a, b) => a.version.localeCompare(b.version));
+}
+
+/**
+ * Create the schema_migrations table if needed and read the applied migrations
+ * @param {Object} client - Postgres client
+ * @returns {Promise<Map<string, Object>>} Applied migrations by version
+ */
+async function loadApplied(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      checksum TEXT NOT NULL,
+      applied_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    )
+  `);
+
+  const { rows } = await client.query('SELECT version, name, checksum, applied_at FROM schema_migrations');
+  return new Map(rows.map(row => [row.version, row]));
+}
+
+/**
+ * Warn about applied migrations whose file has been edited since
+ * @param {Array} migrations - Migration files
+ * @param {Map<string, Object>} applied - Applied migrations by version
+ */
+function warnChanged(migrations, applied) {
+  migrations
+    .filter(migration => applied.has(migration.version) && applied.get(migration.version).checksum !== migration.checksum)
+    .forEach(migration => {
+      console.warn(`⚠️  ${migration.version}_${migration.name}.sql changed after it was applied; add a new migration instead`);
+    });
+}
+
+/**
+ * Apply pending migrations, each in its own transaction
+ * @param {Object} client - Postgres client
+ * @param {Array<string>} args - Command line arguments
+ */
+async function migrate(client, args) {
+  const dryRun = args.includes('--dry-run');
+  const migrations = loadMigrations();
+  const applied = await loadApplied(client);
+  warnChanged(migrations, applied);
+
+  const pending = migrations.filter(migration => !applied.has(migration.version));
+  if (pending.length === 0) {
+    console.log('✅ Database is up to date');
+    return;
+  }
+
+  console.log(`📋 ${pending.length} pending migration(s)${dryRun ? ' (dry run)' : ''}:`);
+  for (const migration of pending) {
+    console.log(`  ▶️  ${migration.version}_${migration.name}`);
+    if (dryRun) continue;
+
+    try {
+      await client.query('BEGIN');
+      await client.query(migration.sql);
+      await client.query(
+        'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+        [migration.version, migration.name, migration.checksum]
+      );
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw new Error(`Migration ${migration.version}_${migration.name} failed: ${error.message}`);
+    }
+  }
+
+  if (!dryRun) console.log(`\n✨ Applied ${pending.length} migration(s) ✨`);
+}
+
+/**
+ * Show which migrations are applied, pending or changed since they were applied
+ * @param {Object} client - Postgres client
+ */
+async function status(client) {
+  const migrations = loadMigrations();
+  const applied = await loadApplied(client);
+
+  console.log('📋 Migrations:');
+  for (const migration of migrations) {
+    const row = applied.get(migration.version);
+    const state = !row
+      ? '⏳ pending'
+      : row.checksum === migration.checksum
+        ? `✅ applied ${row.applied_at.toISOString()}`
+        : `⚠️  applied ${row.applied_at.toISOString()}, file changed since`;
+    console.log(`  ${migration.version}_${migration.name}: ${state}`);
+  }
+
+  // Applied in the database but missing here, e.g. from a newer checkout
+  const known = new Set(migrations.map(migration => migration.version));
+  [...applied.values()]
+    .filter(row => !known.has(row.version))
+    .forEach(row => console.log(`  ${row.version}_${row.name}: ❓ applied, but no migration file`));
+
+  const pending = migrations.filter(migration => !applied.has(migration.version)).length;
+  console.log(`\n📊 ${migrations.length - pending} applied, ${pending} pending`);
+}
+
+/**
+ * Empty data tables. Without --yes only shows what would be cleared.
+ * @param {Object} client - Postgres client
+ * @param {Array<string>} args - Command line arguments
+ */
+async function clear(client, args) {
+  const tableArg = args.find(arg => arg.startsWith('--table='))?.slice('--table='.length);
+  const tables = tableArg ? tableArg.split(',').map(table => table.trim()).filter(Boolean) : CLEARABLE_TABLES;
+
+  const unknown = tables.filter(table => !CLEARABLE_TABLES.includes(table));
+  if (unknown.length > 0) {
+    throw new Error(`Cannot clear ${unknown.join(', ')}. Clearable tables: ${CLEARABLE_TABLES.join(', ')}`);
+  }
+
+  // Databases that are not fully migrated lack some tables; only named tables must exist
+  const { rows: existingRows } = await client.query(
+    'SELECT name FROM unnest($1::text[]) AS name WHERE to_regclass(name) IS NOT NULL',
+    [tables]
+  );
+  const existing = existingRows.map(row => row.name);
+  const missing = tables.filter(table => !existing.includes(table));
+  if (tableArg && missing.length > 0) {
+    throw new Error(`Table(s) ${missing.join(', ')} do not exist. Run \`npm run migrate\` first.`);
+  }
+  if (existing.length === 0) {
+    console.log('ℹ️  No tables to clear.');
+    return;
+  }
+
+  // TRUNCATE ... CASCADE also empties tables that reference these through foreign keys
+  const { rows } = await client.query(`
+    WITH RECURSIVE dependents(table_name) AS (
+      SELECT unnest($1::text[])
+      UNION
+      SELECT c.conrelid::regclass::text
+      FROM pg_constraint c
+      JOIN dependents d ON c.confrelid = to_regclass(d.table_name)
+      WHERE c.contype = 'f'
+    )
+    SELECT table_name FROM dependents
+  `, [existing]);
+  const affected = rows.map(row => row.table_name);
+
+  console.log(`🧹 Tables to clear: ${affected.join(', ')}`);
+  if (!args.includes('--yes')) {
+    console.log('ℹ️  Nothing deleted. Add --yes to clear these tables.');
+    return;
+  }
+
+  await client.query(`TRUNCATE ${existing.map(table => `"${table}"`).join(', ')} RESTART IDENTITY CASCADE`);
+  console.log(`✅ Cleared ${affected.length} table(s)`);
+}
+
+const COMMANDS = { migrate, status, clear };
+
+/**
+ * Main function
+ */
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  if (!COMMANDS[command]) {
+    console.log(`
+❌ Unknown command: "${command ?? ''}"
+
+Usage:
+  npm run migrate                    - Apply pending migrations (--dry-run to list them)
+  npm run migrate:status             - Show applied and pending migrations
+  npm run clear -- --table=a,b --yes - Empty tables (default: all data tables)
+    `);
+    process.exit(1);
+  }
+
+  let client = null;
+  try {
+    requireConfig(config, ['databaseUrl']);
+    client = await connectPostgres(config);
+    await COMMANDS[command](client, args);
+  } catch (error) {
+    console.error(`\n💥 ${command} failed:`, error.message);
+    process.exitCode = 1;
+  } finally {
+    await client?.end();
+  }
+}
+
+main();
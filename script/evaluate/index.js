@@ -0,0 +1,329 @@
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, relative } from 'path';
+import {
+  loadConfig,
+  requireConfig,
+  getSupabaseClient,
+  createConfiguredEmbedder,
+  createCompanyText,
+  createInvestorText,
+  loadTextTemplate,
+  companyFromRow,
+  createMemoryVectorStore,
+  RANKING_METRICS,
+  loadLabelledPairs,
+  pairLabel,
+  hashLabelledFile,
+  firstRelevantRank,
+  summarizeRankings,
+  saveEvaluationRun,
+  loadPreviousEvaluationRun,
+  diffEvaluationRuns
+} from '../lib/index.js';
+
+const config = loadConfig();
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const INVESTORS_PATH = join(__dirname, '../investors.json');
+const DEFAULT_PAIRS_PATH = join(__dirname, '../evaluation/labelled-pairs.json');
+const DEFAULT_K = [5, 10];
+const SOURCES = ['local', 'stored'];
+
+// Investors fetched per company from match_investors; rankings are cut here
+const STORED_MATCH_COUNT = 100;
+
+const METRIC_LABELS = { precision: 'P', recall: 'R', hitRate: 'hit', ndcg: 'nDCG' };
+
+/**
+ * Value of a --name=value argument
+ * @param {Array<string>} args - Command line arguments
+ * @param {string} name - Argument name without dashes
+ * @returns {string|undefined} Value
+ */
+function getArg(args, name) {
+  const prefix = `--${name}=`;
+  return args.find(arg => arg.startsWith(prefix))?.slice(prefix.length);
+}
+
+/**
+ * Rank investors.json for each labelled company with vectors kept in
+ * memory: nothing is read from or written to Supabase
+ * @param {Array<Object>} pairs - Labelled pairs
+ * @param {Object} template - Text template
+ * @param {Object} embedders - { documents, queries } embedders
+ * @returns {Promise<Array<Array<string>>>} Investor ids per company, best first
+ */
+async function rankLocal(pairs, template, { documents, queries }) {
+  const investors = JSON.parse(readFileSync(INVESTORS_PATH, 'utf-8'));
+  const store = createMemoryVectorStore();
+
+  const vectors = await documents.embed(investors.map(investor => createInvestorText(investor, template)), 'investors');
+  store.upsert(investors.map((investor, index) => ({ id: investor.id, vector: vectors[index] })));
+  console.log(`🎯 Embedded ${store.size()} investors into a local vector store`);
+
+  // Companies are the query side, as in POST /match
+  const companyVectors = await queries.embed(pairs.map(pair => createCompanyText(pair.company, template)), 'companies');
+  return companyVectors.map(vector => store.query(vector).map(match => match.id));
+}
+
+/**
+ * Read the labelled companies that only have a business ID from Supabase
+ * @param {Object} supabase - Supabase client
+ * @param {Array<Object>} pairs - Labelled pairs
+ * @returns {Promise<Array<Object>>} Pairs, each with a full company record
+ */
+async function resolveStoredCompanies(supabase, pairs) {
+  const businessIds = pairs.filter(pair => !pair.company.details).map(pair => pair.company.businessId);
+  if (businessIds.length === 0) return pairs;
+
+  const { data, error } = await supabase
+    .from('company')
+    .select('id, business_id, name, details, company_enrichment(*)')
+    .in('business_id', businessIds);
+  if (error) throw new Error(`Failed to read labelled companies: ${error.message}`);
+
+  const companies = new Map(data.map(row => [row.business_id, companyFromRow(row)]));
+  const missing = businessIds.filter(id => !companies.has(id));
+  if (missing.length > 0) {
+    throw new Error(`Labelled companies not in Supabase: ${missing.join(', ')}`);
+  }
+
+  return pairs.map(pair => pair.company.details ? pair : { ...pair, company: companies.get(pair.company.businessId) });
+}
+
+/**
+ * Rank the stored investor embeddings of the configured model for each
+ * labelled company with match_investors, the similarity search POST /match
+ * starts from (before its rule-based re-ranking)
+ * @param {Object} supabase - Supabase client
+ * @param {Array<Object>} pairs - Labelled pairs with company records
+ * @param {Object} template - Text template
+ * @param {Object} embedders - { queries } embedder
+ * @returns {Promise<Array<Array<string>>>} Investor ids per company, best first
+ */
+async function rankStored(supabase, pairs, template, { queries }) {
+  const companyVectors = await queries.embed(pairs.map(pair => createCompanyText(pair.company, template)), 'companies');
+
+  const rankings = [];
+  for (const vector of companyVectors) {
+    const { data, error } = await supabase.rpc('match_investors', {
+      query_embedding: vector,
+      match_count: STORED_MATCH_COUNT,
+      filter_model: config.embedding.model
+    });
+    if (error) throw new Error(`match_investors failed: ${error.message}`);
+    rankings.push(data.map(row => row.investor_id));
+  }
+
+  if (rankings.every(ranking => ranking.length === 0)) {
+    throw new Error(`No stored investor embeddings for ${config.embedding.model}; run npm start investor or reembed first`);
+  }
+  return rankings;
+}
+
+/**
+ * Format a metric for the results table
+ * @param {number} value - Metric in [0, 1]
+ * @returns {string} Value with three decimals
+ */
+function formatMetric(value) {
+  return value.toFixed(3);
+}
+
+/**
+ * Format a metric change, with its sign
+ * @param {number} delta - Change in a metric
+ * @returns {string} e.g. "+0.125" or "-0.040"
+ */
+function formatDelta(delta) {
+  return `${delta >= 0 ? '+' : ''}${delta.toFixed(3)}`;
+}
+
+/**
+ * Print the mean metrics of a run, one row per cut-off
+ * @param {Object} run - Evaluation run
+ */
+function printMetrics(run) {
+  console.log(`\n📊 Results (${run.source}, ${run.model}, template '${run.template}', ${run.companies.length} companies):\n`);
+  console.log(`   ${'k'.padStart(3)} ${RANKING_METRICS.map(metric => `${METRIC_LABELS[metric]}@k`.padStart(8)).join(' ')} ${'MRR'.padStart(8)}`);
+  for (const [k, metrics] of Object.entries(run.metrics)) {
+    const values = RANKING_METRICS.map(metric => formatMetric(metrics[metric]).padStart(8)).join(' ');
+    console.log(`   ${k.padStart(3)} ${values} ${formatMetric(metrics.mrr).padStart(8)}`);
+  }
+
+  console.log('\n🏢 Rank of the first relevant investor per company:\n');
+  for (const company of run.companies) {
+    console.log(`   ${company.name}: ${company.firstRelevantRank ?? '-'}`);
+  }
+}
+
+/**
+ * Print how a run differs from the previous one
+ * @param {Object} previous - Previous run
+ * @param {Object} run - New run
+ * @returns {Object} Diff from diffEvaluationRuns
+ */
+function printDiff(previous, run) {
+  const diff = diffEvaluationRuns(previous, run);
+  console.log(`\n🔁 Compared with run ${previous.id}:`);
+
+  for (const setting of diff.settings) {
+    const key = setting.key === 'labelsHash' ? 'labelled pairs' : setting.key;
+    const values = setting.key === 'labelsHash' ? 'changed' : `${setting.previous} → ${setting.current}`;
+    console.warn(`⚠️  Different ${key} (${values})`);
+  }
+
+  if (diff.metrics.length === 0) {
+    console.log('   No metrics in common');
+  }
+  for (const { k, metric, previous: before, current, delta } of diff.metrics) {
+    const name = metric === 'mrr' ? 'MRR' : `${METRIC_LABELS[metric]}@${k}`;
+    const marker = delta > 0 ? '📈' : delta < 0 ? '📉' : '  ';
+    console.log(`   ${marker} ${name.padEnd(8)} ${formatMetric(before)} → ${formatMetric(current)} (${formatDelta(delta)})`);
+  }
+
+  if (diff.companies.length === 0) {
+    console.log('   No changes in the rankings of relevant investors');
+  } else {
+    console.log('\n   Changed companies:');
+    for (const company of diff.companies) {
+      const moves = [`first relevant rank ${company.previousRank ?? '-'} → ${company.currentRank ?? '-'}`];
+      if (company.gained.length > 0) moves.push(`gained ${company.gained.join(', ')}`);
+      if (company.lost.length > 0) moves.push(`lost ${company.lost.join(', ')}`);
+      console.log(`   - ${company.name}: ${moves.join('; ')}`);
+    }
+  }
+
+  return diff;
+}
+
+/**
+ * Run the evaluation: rank investors for every labelled company, score the
+ * rankings, save the run and compare it with the previous one
+ * @param {Object} options
+ * @param {string} options.source - 'local' or 'stored'
+ * @param {string} options.pairsPath - Labelled pairs file
+ * @param {Array<number>} options.k - Cut-offs
+ * @param {string} options.templateName - Text template name or path
+ * @param {string} [options.baseline] - Run file to compare with instead of the latest run
+ * @param {string} [options.out] - Extra path to write the run to
+ * @param {boolean} options.save - Record the run in data/evaluation
+ * @param {number} [options.maxDrop] - Fail when a metric drops by more than this
+ * @returns {Promise<boolean>} Whether no metric dropped by more than maxDrop
+ */
+async function evaluate({ source, pairsPath, k, templateName, baseline, out, save, maxDrop }) {
+  requireConfig(config, source === 'stored' ? ['embeddings', 'storage'] : ['embeddings']);
+
+  const template = loadTextTemplate(templateName);
+  let pairs = loadLabelledPairs(pairsPath, { requireRecords: source === 'local' });
+  const embedders = {
+    documents: createConfiguredEmbedder(config),
+    queries: createConfiguredEmbedder(config, { inputType: 'query' })
+  };
+
+  console.log(`🔬 Evaluating ${pairs.length} labelled companies against ${source === 'local' ? 'a local vector store' : 'stored embeddings'}`);
+  console.log('ℹ️  Measuring the vector search only; POST /match re-ranks its results by rules this does not apply');
+  console.log(`📝 Text template: ${template.name}`);
+
+  let rankings;
+  if (source === 'local') {
+    rankings = await rankLocal(pairs, template, embedders);
+  } else {
+    const supabase = getSupabaseClient(config);
+    pairs = await resolveStoredCompanies(supabase, pairs);
+    rankings = await rankStored(supabase, pairs, template, embedders);
+  }
+
+  const unranked = [...new Set(pairs.flatMap(pair => pair.investorIds))]
+    .filter(id => !rankings.some(ranking => ranking.includes(id)));
+  if (unranked.length > 0) {
+    console.warn(`⚠️  Labelled investors never ranked (not embedded?): ${unranked.join(', ')}`);
+  }
+
+  const results = pairs.map((pair, index) => ({ ranking: rankings[index], relevant: pair.investorIds }));
+  const evaluatedAt = new Date().toISOString();
+  const run = {
+    id: `${evaluatedAt.replace(/[:.]/g, '-')}-${source}`,
+    evaluatedAt,
+    source,
+    model: config.embedding.model,
+    template: template.name,
+    labels: relative(process.cwd(), pairsPath),
+    labelsHash: hashLabelledFile(pairsPath),
+    k,
+    metrics: Object.fromEntries(k.map(cutoff => [cutoff, summarizeRankings(results, cutoff)])),
+    companies: pairs.map((pair, index) => ({
+      key: pairLabel(pair),
+      name: pair.company.details?.name || pair.company.name || pair.company.businessId,
+      relevant: pair.investorIds,
+      firstRelevantRank: firstRelevantRank(rankings[index], new Set(pair.investorIds)),
+      ranking: rankings[index].slice(0, Math.max(...k))
+    }))
+  };
+
+  printMetrics(run);
+
+  const previous = loadPreviousEvaluationRun(baseline);
+  let passed = true;
+  if (previous) {
+    const diff = printDiff(previous, run);
+    if (maxDrop !== undefined) {
+      const drops = diff.metrics.filter(metric => metric.delta < -maxDrop);
+      passed = drops.length === 0;
+      if (!passed) {
+        console.error(`\n❌ ${drops.length} metrics dropped by more than ${maxDrop}`);
+      }
+    }
+  } else {
+    console.log('\nℹ️  No previous run to compare with');
+  }
+
+  if (save) {
+    const path = saveEvaluationRun(run, out);
+    console.log(`\n📝 Recorded run in ${relative(process.cwd(), path)}${out ? ` and ${out}` : ''}`);
+  }
+
+  return passed;
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const source = getArg(args, 'source') || 'local';
+  const k = (getArg(args, 'k') || DEFAULT_K.join(','))
+    .split(',').map(value => parseInt(value)).filter(value => value > 0);
+  const maxDrop = getArg(args, 'max-drop');
+
+  if (!SOURCES.includes(source)) {
+    console.error(`❌ Unknown source "${source}". Use local or stored.`);
+    process.exit(1);
+  }
+  if (k.length === 0) {
+    console.error('❌ --k must be one or more positive whole numbers, e.g. --k=5,10');
+    process.exit(1);
+  }
+
+  try {
+    const passed = await evaluate({
+      source,
+      pairsPath: getArg(args, 'pairs') || DEFAULT_PAIRS_PATH,
+      k: [...new Set(k)].sort((a, b) => a - b),
+      templateName: getArg(args, 'template') || config.textTemplate,
+      baseline: getArg(args, 'baseline'),
+      out: getArg(args, 'out'),
+      save: !args.includes('--no-save'),
+      maxDrop: maxDrop !== undefined ? parseFloat(maxDrop) : undefined
+    });
+
+    if (!passed) process.exit(1);
+    console.log('\n✨ Evaluation finished! ✨\n');
+  } catch (error) {
+    console.error('\n💥 Evaluation failed:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
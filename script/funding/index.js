@@ -0,0 +1,165 @@
+import { mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import {
+  loadConfig,
+  requireConfig,
+  getSupabaseClient,
+  createConfiguredEmbedder,
+  upsertWithEmbeddings,
+  createFundingInstrumentText,
+  openRun,
+  validateFundingInstruments,
+  printValidationReport
+} from '../lib/index.js';
+
+// ============================================
+// CONFIGURATION - ADD YOUR API KEYS IN .env FILE
+// ============================================
+const config = loadConfig();
+
+/**
+ * Read and parse the funding instruments JSON file
+ * @returns {Array} Array of funding instrument objects
+ */
+function loadInstrumentsFromJSON() {
+  console.log('📖 Loading funding instruments from JSON file...');
+
+  try {
+    const __dirname = dirname(fileURLToPath(import.meta.url));
+    const jsonPath = join(__dirname, '../funding-instruments.json');
+    const instruments = JSON.parse(readFileSync(jsonPath, 'utf-8'));
+
+    console.log(`✅ Loaded ${instruments.length} funding instruments from JSON`);
+    return instruments;
+  } catch (error) {
+    console.error('❌ Error reading funding-instruments.json:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Validate instruments against the schema, print the report and optionally write it to a file
+ * @param {Array} instruments - Funding instrument objects from JSON
+ * @param {string} [reportPath] - Where to write the JSON report
+ * @returns {Object} Validation report
+ */
+function validateInstrumentData(instruments, reportPath) {
+  console.log('\n🔎 Validating funding instruments against the schema...');
+  const report = validateFundingInstruments(instruments);
+  printValidationReport(report);
+
+  if (reportPath) {
+    mkdirSync(dirname(reportPath), { recursive: true });
+    writeFileSync(reportPath, JSON.stringify({ validatedAt: new Date().toISOString(), ...report }, null, 2));
+    console.log(`📝 Wrote validation report to ${reportPath}`);
+  }
+
+  return report;
+}
+
+/**
+ * Store funding instruments with vectors in Supabase
+ * @param {Array} instruments - Funding instrument objects from JSON
+ * @param {Array<string>} texts - Texts the vectors were generated from
+ * @param {Array} vectors - Array of corresponding vectors
+ * @param {string} model - Embedding model that produced the vectors
+ */
+async function storeInSupabase(instruments, texts, vectors, model) {
+  await upsertWithEmbeddings(getSupabaseClient(config), {
+    table: 'funding_instrument',
+    keyColumn: 'instrument_id',
+    embeddingsTable: 'funding_instrument_embeddings',
+    foreignKey: 'instrument_id',
+    rows: instruments.map(instrument => ({
+      instrument_id: instrument.id,
+      details: instrument,
+      updated_at: new Date().toISOString()
+    })),
+    texts,
+    vectors,
+    model,
+    batchSize: config.batchSize,
+    label: 'funding instruments'
+  });
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  console.log('🚀 Starting funding instrument pipeline...\n');
+
+  const args = process.argv.slice(2);
+  const reportPath = args.find(arg => arg.startsWith('--report='))?.slice('--report='.length);
+
+  let run = null;
+
+  try {
+    // Validation needs no API keys, so --validate-only runs before the environment check
+    if (args.includes('--validate-only')) {
+      const report = validateInstrumentData(loadInstrumentsFromJSON(), reportPath);
+      if (report.invalid > 0) process.exit(1);
+      return;
+    }
+
+    // Validate environment variables
+    requireConfig(config, ['storage', 'embeddings']);
+
+    // Recorded in pipeline_runs for auditing; the catalog is small, so no checkpoints
+    run = await openRun(getSupabaseClient(config), { pipeline: 'funding' });
+
+    // Step 1: Load instruments from JSON
+    const loadedInstruments = loadInstrumentsFromJSON();
+    run.setCounts({ fetched: loadedInstruments.length });
+
+    // Step 2: Validate. Eligibility drives matching, so invalid instruments are never loaded
+    const report = validateInstrumentData(loadedInstruments, reportPath);
+    run.setCounts({ invalid: report.invalid });
+    const invalidIndexes = new Set(report.records.filter(record => record.errors.length > 0).map(record => record.index));
+    if (invalidIndexes.size > 0) {
+      console.warn(`⚠️  Skipping ${invalidIndexes.size} invalid funding instruments`);
+    }
+    const instruments = loadedInstruments.filter((_, index) => !invalidIndexes.has(index));
+
+    if (instruments.length === 0) {
+      console.log('⚠️  No funding instruments to load. Exiting...');
+      await run.finish();
+      return;
+    }
+
+    // Step 3: Create text representations
+    console.log('\n📝 Creating text representations for embeddings...');
+    const texts = instruments.map(createFundingInstrumentText);
+
+    // Step 4: Vectorize with Voyage AI
+    console.log('\n🔄 Vectorizing funding instruments...');
+    const embedder = createConfiguredEmbedder(config);
+    const vectors = await run.timed('embed', () => embedder.embed(texts, 'funding instruments'));
+    run.setCounts({ embedded: vectors.length });
+
+    // Step 5: Store in Supabase
+    console.log('\n💫 Storing in Supabase...');
+    await run.timed('store', () => storeInSupabase(instruments, texts, vectors, embedder.model));
+    run.setCounts({ stored: instruments.length });
+    await run.finish();
+
+    console.log('\n✨ Pipeline completed successfully! ✨\n');
+    console.log(`📊 Summary:`);
+    console.log(`   - Run: ${run.id}`);
+    console.log(`   - Funding instruments processed: ${instruments.length}`);
+    console.log(`   - Vectors generated: ${vectors.length} (${embedder.model})`);
+    console.log(`   - Dimension: ${vectors[0]?.length ?? 0}`);
+  } catch (error) {
+    console.error('\n❌ Pipeline failed:', error.message);
+    if (run) {
+      await run.finish(error).catch(finishError => {
+        console.error('⚠️  Could not record the failed run:', finishError.message);
+      });
+    }
+    process.exit(1);
+  }
+}
+
+// Run the pipeline
+main();
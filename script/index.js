@@ -1,57 +1,94 @@
-import { exec } from 'child_process';
-import { promisify } from 'util';
+import { spawn } from 'child_process';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 
-const execAsync = promisify(exec);
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
 // Get command line arguments (npm start <type>)
 const args = process.argv.slice(2);
 const type = args[0]?.toLowerCase();
 
+/**
+ * Run a pipeline script with the remaining arguments, streaming its output
+ * as it happens, and exit with its exit code if it fails
+ * @param {string} script - Script path relative to this directory
+ * @param {Array<string>} scriptArgs - Arguments passed through to the script
+ * @returns {Promise<void>} Resolves when the script succeeded
+ */
+function runScript(script, scriptArgs) {
+  return new Promise(resolve => {
+    const child = spawn(process.execPath, [script, ...scriptArgs], {
+      cwd: __dirname,
+      stdio: 'inherit'
+    });
+
+    child.on('error', error => {
+      console.error(`❌ Could not start ${script}:`, error.message);
+      process.exit(1);
+    });
+    child.on('exit', (code, signal) => {
+      if (code === 0) return resolve();
+      if (signal) console.error(`❌ ${script} was stopped by ${signal}`);
+      process.exit(code || 1);
+    });
+  });
+}
+
 async function main() {
   if (type === 'investor') {
     console.log('🎯 Running investor data pipeline...\n');
-    try {
-      const { stdout, stderr } = await execAsync('node investor/index.js', { 
-        cwd: __dirname,
-        maxBuffer: 1024 * 1024 * 10
-      });
-      if (stdout) console.log(stdout);
-      if (stderr) console.error(stderr);
-    } catch (error) {
-      if (error.stdout) console.log(error.stdout);
-      if (error.stderr) console.error(error.stderr);
-      process.exit(1);
-    }
+    await runScript('investor/index.js', args.slice(1));
   } else if (type === 'company' || !type) {
     console.log('🏢 Running company data pipeline...\n');
-    try {
-      const { stdout, stderr } = await execAsync('node company/index.js', { 
-        cwd: __dirname,
-        maxBuffer: 1024 * 1024 * 10
-      });
-      if (stdout) console.log(stdout);
-      if (stderr) console.error(stderr);
-    } catch (error) {
-      if (error.stdout) console.log(error.stdout);
-      if (error.stderr) console.error(error.stderr);
-      process.exit(1);
-    }
+    await runScript('company/index.js', args.slice(1));
+  } else if (type === 'funding') {
+    console.log('🏛️  Running funding instrument pipeline...\n');
+    await runScript('funding/index.js', args.slice(1));
+  } else if (type === 'classifications') {
+    console.log('📊 Refreshing industry classifications...\n');
+    await runScript('classifications/index.js', []);
+  } else if (type === 'reembed') {
+    console.log('🔁 Re-embedding stale vectors...\n');
+    await runScript('reembed/index.js', args.slice(1));
+  } else if (type === 'templates') {
+    await runScript('templates/index.js', args.slice(1));
+  } else if (type === 'evaluate') {
+    console.log('🔬 Evaluating investor matching...\n');
+    await runScript('evaluate/index.js', args.slice(1));
   } else {
     console.log(`
 ❌ Invalid argument: "${type}"
 
 Usage:
   npm start              - Run company data pipeline (default)
-  npm start company      - Run company data pipeline  
+  npm start company      - Run company data pipeline
+                           (--municipality=, --industry-prefix=, --registered-after=, --company-form=,
+                            --dry-run: write JSONL instead of Supabase, --only-embed: embed stored companies,
+                            --input=: read companies from a JSONL file instead of PRH,
+                            --sync: incremental sync of Southwest Finland companies)
   npm start investor     - Run investor data pipeline
+                           (--strict: skip invalid investors, --validate-only: only report)
+  npm start funding      - Run funding instrument pipeline (--validate-only: only report)
+  npm start classifications - Refresh the industry classification snapshot
+  npm start reembed      - Re-embed rows with a missing, outdated or stale vector
+                           (optional: company | investor | funding | all, --dry-run)
+  npm start templates    - List the embedding text templates
+                           (show --template=: print sample texts, compare --templates=a,b --k=5:
+                            rank investors for labelled companies with each template)
+  npm start evaluate     - Score investor rankings for labelled companies and diff against the last run
+                           (--source=local | stored, --k=5,10, --template=, --pairs=, --baseline=,
+                            --out=, --no-save, --max-drop=: fail when a metric drops by more;
+                            both sources measure the vector search only, not the re-ranking of POST /match)
 
 Examples:
   npm start
   npm start company
+  npm start company -- --municipality=Turku,Raisio --industry-prefix=62 --registered-after=2023-01-01 --dry-run
   npm start investor
+  npm start investor -- --validate-only --report=data/reports/investors.json
+  npm start reembed -- company --dry-run
+  npm start templates -- compare --templates=legacy,default --pairs=evaluation/labelled-pairs.json
+  npm start evaluate -- --source=stored --k=5,10 --max-drop=0.05
     `);
     process.exit(1);
   }
@@ -1,22 +1,24 @@
-import dotenv from 'dotenv';
-import { createClient } from '@supabase/supabase-js';
-import axios from 'axios';
-import { readFileSync } from 'fs';
+import { mkdirSync, readFileSync, writeFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-
-dotenv.config({ path: join(dirname(fileURLToPath(import.meta.url)), '../.env') });
+import {
+  loadConfig,
+  requireConfig,
+  getSupabaseClient,
+  createConfiguredEmbedder,
+  upsertWithEmbeddings,
+  createInvestorText,
+  getTextTemplate,
+  reembedTarget,
+  openRun,
+  validateInvestors,
+  printValidationReport
+} from '../lib/index.js';
 
 // ============================================
 // CONFIGURATION - ADD YOUR API KEYS IN .env FILE
 // ============================================
-const SUPABASE_URL = process.env.SUPABASE_URL;
-const SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY;
-const VOYAGE_API_KEY = process.env.VOYAGE_API_KEY;
-const BATCH_SIZE = parseInt(process.env.BATCH_SIZE) || 50;
-
-// Initialize Supabase client
-const supabase = createClient(SUPABASE_URL, SUPABASE_ANON_KEY);
+const config = loadConfig();
 
 /**
  * Read and parse investors JSON file
@@ -39,6 +41,46 @@ function loadInvestorsFromJSON() {
   }
 }
 
+/**
+ * Validate investors against the schema, print the report and optionally write it to a file
+ * @param {Array} investors - Investor objects from JSON
+ * @param {string} [reportPath] - Where to write the JSON report
+ * @returns {Object} Validation report
+ */
+function validateInvestorData(investors, reportPath) {
+  console.log('\n🔎 Validating investors against the schema...');
+  const report = validateInvestors(investors);
+  printValidationReport(report);
+
+  if (reportPath) {
+    mkdirSync(dirname(reportPath), { recursive: true });
+    writeFileSync(reportPath, JSON.stringify({ validatedAt: new Date().toISOString(), ...report }, null, 2));
+    console.log(`📝 Wrote validation report to ${reportPath}`);
+  }
+
+  return report;
+}
+
+/**
+ * Pick the investors to load: all of them, or only the valid ones in strict mode
+ * @param {Array} investors - Investor objects from JSON
+ * @param {Object} report - Validation report
+ * @param {boolean} strict - Skip investors with validation errors
+ * @returns {Array} Investors to load
+ */
+function selectInvestorsToLoad(investors, report, strict) {
+  if (report.invalid === 0) return investors;
+
+  if (!strict) {
+    console.warn(`⚠️  Loading ${report.invalid} invalid investors anyway (use --strict to skip them)`);
+    return investors;
+  }
+
+  const invalidIndexes = new Set(report.records.filter(record => record.errors.length > 0).map(record => record.index));
+  console.warn(`⚠️  Strict mode: skipping ${invalidIndexes.size} invalid investors`);
+  return investors.filter((_, index) => !invalidIndexes.has(index));
+}
+
 /**
  * Process investor data for storage and vectorization
  * @param {Object} investor - Investor object from JSON
@@ -53,169 +95,48 @@ function processInvestorData(investor) {
   };
 }
 
-/**
- * Create rich text representation for vectorization (only specified fields)
- * @param {Object} investor - Investor object from JSON
- * @returns {string} Text representation with pipe separators
- */
-function createInvestorText(investor) {
-  const preferredIndustries = investor.preferred_industries?.join(', ') || '';
-  const businessModels = investor.business_models?.join(', ') || '';
-  const preferredRounds = investor.preferred_rounds?.join(', ') || '';
-  const geoFocus = investor.geo_focus?.join(', ') || '';
-  const checkSize = investor.check_size_range || '';
-  const thesis = investor.investment_thesis || '';
-  const avoidIndustries = investor.avoid_industries?.join(', ') || '';
-  
-  // Build parts array
-  const parts = [];
-  
-  if (preferredIndustries) parts.push(`Preferred Industries: ${preferredIndustries}`);
-  if (businessModels) parts.push(`Business Models: ${businessModels}`);
-  if (preferredRounds) parts.push(`Preferred Rounds: ${preferredRounds}`);
-  if (geoFocus) parts.push(`Geographic Focus: ${geoFocus}`);
-  if (checkSize) parts.push(`Check Size Range: ${checkSize}`);
-  if (thesis) parts.push(`Investment Thesis: ${thesis}`);
-  if (avoidIndustries) parts.push(`Avoid Industries: ${avoidIndustries}`);
-  
-  // Join with pipe separator to create a single string
-  return parts.join(' | ');
-}
-
-/**
- * Convert text to vectors using Voyage AI (with rate limit handling)
- * @param {Array<string>} texts - Array of text strings to vectorize
- * @returns {Promise<Array<Array<number>>>} Array of vectors
- */
-async function vectorizeWithVoyage(texts) {
-  console.log(`🧮 Vectorizing ${texts.length} investor profiles with Voyage AI...`);
-  
-  // Batch size: 100 investors per request (safe for rate limits)
-  const batchSize = 100;
-  const allVectors = [];
-  
-  for (let i = 0; i < texts.length; i += batchSize) {
-    const batch = texts.slice(i, i + batchSize);
-    const batchNum = Math.floor(i / batchSize) + 1;
-    const totalBatches = Math.ceil(texts.length / batchSize);
-    
-    console.log(`  📦 Batch ${batchNum}/${totalBatches}: Vectorizing ${batch.length} investors...`);
-    
-    try {
-      const response = await axios.post(
-        'https://api.voyageai.com/v1/embeddings',
-        {
-          input: batch,
-          model: 'voyage-3.5',
-          input_type: 'document'
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${VOYAGE_API_KEY}`
-          }
-        }
-      );
-
-      const vectors = response.data.data.map(item => item.embedding);
-      allVectors.push(...vectors);
-      console.log(`  ✅ Batch ${batchNum}/${totalBatches}: Generated ${vectors.length} vectors`);
-      
-      // Wait 60 seconds between batches to respect 3 RPM rate limit (free tier)
-      if (i + batchSize < texts.length) {
-        console.log(`  ⏳ Waiting 60 seconds for rate limit...`);
-        await new Promise(resolve => setTimeout(resolve, 60000));
-      }
-    } catch (error) {
-      console.error(`❌ Error in batch ${batchNum}:`, error.response?.data || error.message);
-      throw error;
-    }
-  }
-
-  console.log(`✅ Generated ${allVectors.length} vectors total`);
-  return allVectors;
-}
-
 /**
  * Store investors with vectors in Supabase
  * @param {Array} investors - Array of investor objects
+ * @param {Array<string>} texts - Texts the vectors were generated from
  * @param {Array} vectors - Array of corresponding vectors
+ * @param {string} model - Embedding model that produced the vectors
  */
-async function storeInSupabase(investors, vectors) {
-  console.log(`💾 Storing ${investors.length} investors in Supabase...`);
-  
-  try {
-    // Step 1: Insert or update investors in 'investor' table
-    const investorData = investors.map(investor => ({
+async function storeInSupabase(investors, texts, vectors, model) {
+  await upsertWithEmbeddings(getSupabaseClient(config), {
+    table: 'investor',
+    keyColumn: 'investor_id',
+    embeddingsTable: 'investor_embeddings',
+    foreignKey: 'investor_id',
+    rows: investors.map(investor => ({
       investor_id: investor.investor_id,
       details: investor.details
-    }));
-
-    console.log(`  📦 Inserting investors into 'investor' table...`);
-    
-    const { data: insertedInvestors, error: investorError } = await supabase
-      .from('investor')
-      .upsert(investorData, { 
-        onConflict: 'investor_id',
-        ignoreDuplicates: false 
-      })
-      .select('id, investor_id');
-
-    if (investorError) {
-      console.error(`❌ Error inserting investors:`, investorError);
-      throw investorError;
-    }
-
-    console.log(`  ✅ Inserted ${insertedInvestors?.length || investors.length} investors`);
-
-    // Step 2: Get investor IDs (either from insert or fetch)
-    const { data: investorRecords, error: fetchError } = await supabase
-      .from('investor')
-      .select('id, investor_id')
-      .in('investor_id', investors.map(i => i.investor_id));
-
-    if (fetchError) {
-      console.error(`❌ Error fetching investor IDs:`, fetchError);
-      throw fetchError;
-    }
-
-    // Create a map of investor_id to investor id
-    const investorIdToDbId = {};
-    investorRecords.forEach(record => {
-      investorIdToDbId[record.investor_id] = record.id;
-    });
-
-    // Step 3: Insert embeddings into 'investor_embeddings' table
-    console.log(`  📦 Inserting embeddings into 'investor_embeddings' table...`);
-    
-    const embeddingData = investors.map((investor, index) => ({
-      investor_id: investorIdToDbId[investor.investor_id],
-      embeddings: vectors[index]
-    })).filter(item => item.investor_id); // Only insert if we have a valid investor_id
-
-    // Insert embeddings in batches to avoid payload size limits
-    for (let i = 0; i < embeddingData.length; i += BATCH_SIZE) {
-      const batch = embeddingData.slice(i, i + BATCH_SIZE);
-      console.log(`  📦 Inserting embedding batch ${Math.floor(i / BATCH_SIZE) + 1}...`);
-      
-      const { error: embeddingError } = await supabase
-        .from('investor_embeddings')
-        .upsert(batch, {
-          onConflict: 'investor_id',
-          ignoreDuplicates: false
-        });
-
-      if (embeddingError) {
-        console.error(`❌ Error inserting embeddings batch:`, embeddingError);
-        throw embeddingError;
-      }
-    }
+    })),
+    texts,
+    vectors,
+    model,
+    batchSize: config.batchSize,
+    label: 'investors'
+  });
+}
 
-    console.log(`✅ Successfully stored all investors and embeddings in Supabase`);
-  } catch (error) {
-    console.error('❌ Error storing in Supabase:', error);
-    throw error;
-  }
+/**
+ * Embed the text template's named vectors (e.g. business, funding) for the
+ * investors just stored. Does nothing when the template defines none.
+ * @param {Object} embedder - Embedder from createConfiguredEmbedder
+ * @param {Array<Object>} investors - Processed investor objects
+ * @returns {Promise<number>} Number of named vectors stored
+ */
+async function storeNamedVectors(embedder, investors) {
+  if (Object.keys(getTextTemplate(config).investor.vectors).length === 0) return 0;
+
+  console.log('\n🧭 Embedding named vectors of the text template...');
+  const ids = new Set(investors.map(investor => investor.investor_id));
+  const stats = await reembedTarget(getSupabaseClient(config), 'investor', embedder, {
+    batchSize: config.batchSize,
+    filter: row => ids.has(row.investor_id)
+  });
+  return stats.vectors.reembedded;
 }
 
 /**
@@ -224,44 +145,77 @@ async function storeInSupabase(investors, vectors) {
 async function main() {
   console.log('🚀 Starting investor data pipeline...\n');
 
+  const args = process.argv.slice(2);
+  const strict = args.includes('--strict');
+  const reportPath = args.find(arg => arg.startsWith('--report='))?.slice('--report='.length);
+
+  let run = null;
+
   try {
-    // Validate environment variables
-    if (!SUPABASE_URL || !SUPABASE_ANON_KEY || !VOYAGE_API_KEY) {
-      throw new Error('⚠️  Missing required environment variables. Please check your .env file.');
+    // Validation needs no API keys, so --validate-only runs before the environment check
+    if (args.includes('--validate-only')) {
+      const report = validateInvestorData(loadInvestorsFromJSON(), reportPath);
+      if (report.invalid > 0) process.exit(1);
+      return;
     }
 
+    // Validate environment variables
+    requireConfig(config, ['storage', 'embeddings']);
+
+    // Recorded in pipeline_runs for auditing; the pipeline is cheap to rerun, so no checkpoints
+    run = await openRun(getSupabaseClient(config), { pipeline: 'investor', options: { strict } });
+
     // Step 1: Load investors from JSON
-    const rawInvestors = loadInvestorsFromJSON();
+    const loadedInvestors = loadInvestorsFromJSON();
+    run.setCounts({ fetched: loadedInvestors.length });
+
+    // Step 2: Validate, skipping invalid records in strict mode
+    const report = validateInvestorData(loadedInvestors, reportPath);
+    const rawInvestors = selectInvestorsToLoad(loadedInvestors, report, strict);
+    run.setCounts({ invalid: report.invalid });
     
     if (rawInvestors.length === 0) {
-      console.log('⚠️  No investors found in JSON file. Exiting...');
+      console.log('⚠️  No investors to load. Exiting...');
+      await run.finish();
       return;
     }
 
-    // Step 2: Process investor data (store all fields)
+    // Step 3: Process investor data (store all fields)
     console.log('\n📊 Processing investor data...');
     const investors = rawInvestors.map(processInvestorData);
     console.log(`✅ Processed ${investors.length} investors`);
 
-    // Step 3: Create text representations (only specified fields for embeddings)
+    // Step 4: Create text representations (only specified fields for embeddings)
     console.log('\n📝 Creating text representations for embeddings...');
-    const investorTexts = rawInvestors.map(createInvestorText);
+    const investorTexts = rawInvestors.map(investor => createInvestorText(investor));
 
-    // Step 4: Vectorize with Voyage AI
+    // Step 5: Vectorize with Voyage AI
     console.log('\n🔄 Vectorizing investors...');
-    const vectors = await vectorizeWithVoyage(investorTexts);
+    const embedder = createConfiguredEmbedder(config);
+    const vectors = await run.timed('embed', () => embedder.embed(investorTexts, 'investors'));
+    run.setCounts({ embedded: vectors.length });
 
-    // Step 5: Store in Supabase
+    // Step 6: Store in Supabase
     console.log('\n💫 Storing in Supabase...');
-    await storeInSupabase(investors, vectors);
+    await run.timed('store', () => storeInSupabase(investors, investorTexts, vectors, embedder.model));
+    const namedVectors = await run.timed('vectors', () => storeNamedVectors(embedder, investors));
+    run.setCounts({ stored: investors.length });
+    await run.finish();
 
     console.log('\n✨ Pipeline completed successfully! ✨\n');
     console.log(`📊 Summary:`);
+    console.log(`   - Run: ${run.id}`);
     console.log(`   - Investors processed: ${investors.length}`);
-    console.log(`   - Vectors generated: ${vectors.length}`);
-    console.log(`   - Dimension: 1024`);
+    console.log(`   - Vectors generated: ${vectors.length} (${embedder.model}, template: ${config.textTemplate})`);
+    if (namedVectors > 0) console.log(`   - Named vectors stored: ${namedVectors}`);
+    console.log(`   - Dimension: ${vectors[0]?.length ?? 0}`);
   } catch (error) {
     console.error('\n❌ Pipeline failed:', error.message);
+    if (run) {
+      await run.finish(error).catch(finishError => {
+        console.error('⚠️  Could not record the failed run:', finishError.message);
+      });
+    }
     process.exit(1);
   }
 }
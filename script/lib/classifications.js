@@ -0,0 +1,179 @@
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { createHttpClient } from './http.js';
+
+// Statistics Finland industry classification (TOL 2025)
+export const CLASSIFICATION_ID = 'toimiala_1_20250101';
+
+const STATISTICS_FI_API = `https://data.stat.fi/api/classifications/v2/classifications/${CLASSIFICATION_ID}/classificationItems?content=data&meta=max&lang=fi&format=json`;
+
+// Versioned on-disk snapshot, one file per classification version
+export const SNAPSHOT_PATH = join(dirname(fileURLToPath(import.meta.url)), '../data/classifications', `${CLASSIFICATION_ID}.json`);
+
+// TOL 2025 (NACE Rev. 2.1) sections by their first and last division
+const SECTION_DIVISIONS = [
+  ['A', 1, 3], ['B', 5, 9], ['C', 10, 33], ['D', 35, 35], ['E', 36, 39],
+  ['F', 41, 43], ['G', 46, 47], ['H', 49, 53], ['I', 55, 56], ['J', 58, 60],
+  ['K', 61, 63], ['L', 64, 66], ['M', 68, 68], ['N', 69, 75], ['O', 77, 82],
+  ['P', 84, 84], ['Q', 85, 85], ['R', 86, 88], ['S', 90, 93], ['T', 94, 96],
+  ['U', 97, 98], ['V', 99, 99]
+];
+
+// Hierarchy level names, from the section down to the national 5-digit subclass
+const LEVELS = ['section', 'division', 'group', 'class', 'subclass'];
+
+// Classifications loaded during this run
+let industryClassifications = null;
+
+/**
+ * Pick the English explanatory note, falling back to Finnish and then to the first one
+ * @param {Array<Object>} notes - explanatoryNotes of a classification item
+ * @returns {string} Description, or an empty string
+ */
+function pickDescription(notes) {
+  if (!Array.isArray(notes) || notes.length === 0) return '';
+
+  const note = notes.find(n => n.lang === 'en') || notes.find(n => n.lang === 'fi') || notes[0];
+  if (!Array.isArray(note?.includes)) return '';
+
+  // Some responses list the languages of one note in `lang`, parallel to `includes`
+  if (Array.isArray(note.lang)) {
+    const index = ['en', 'fi'].map(lang => note.lang.indexOf(lang)).find(i => i >= 0);
+    return note.includes[index ?? 0] || '';
+  }
+
+  return note.includes[0] || '';
+}
+
+/**
+ * Classification level of a TOL code: 1 = section (letter), 2-5 = number of digits
+ * @param {string} code - TOL code
+ * @returns {number} Level
+ */
+function levelOf(code) {
+  return /^[A-Z]$/.test(code) ? 1 : code.length;
+}
+
+/**
+ * Convert raw classification items into a map of code to classification data
+ * @param {Array<Object>} items - Items from the Statistics Finland API
+ * @returns {Object} Map of code to { code, level, name, nameFi, description, isFinnish }
+ */
+function buildClassifications(items) {
+  const classifications = {};
+
+  items.forEach(item => {
+    if (!item.code) return;
+
+    const names = Array.isArray(item.classificationItemNames) ? item.classificationItemNames : [];
+    const englishName = names.find(n => n.lang === 'en');
+    const finnishName = names.find(n => n.lang === 'fi');
+
+    classifications[item.code] = {
+      code: item.code,
+      level: item.level || levelOf(item.code),
+      name: englishName?.name || finnishName?.name || '',
+      nameFi: finnishName?.name || '',
+      description: pickDescription(item.explanatoryNotes),
+      isFinnish: !englishName
+    };
+  });
+
+  return classifications;
+}
+
+/**
+ * Read the classification snapshot from disk
+ * @returns {Object|null} Snapshot ({ classification, fetchedAt, items }), or null if there is none
+ */
+function readSnapshot() {
+  if (!existsSync(SNAPSHOT_PATH)) return null;
+  return JSON.parse(readFileSync(SNAPSHOT_PATH, 'utf8'));
+}
+
+/**
+ * Fetch the classification from Statistics Finland and write a new snapshot
+ * @param {Object} [options]
+ * @param {Object} [options.http] - HTTP client from createHttpClient
+ * @returns {Promise<Object>} Map of code to classification data
+ */
+export async function refreshIndustryClassifications({ http = createHttpClient({ name: 'statfi', maxRetries: 3 }) } = {}) {
+  console.log(`📊 Fetching industry classifications (${CLASSIFICATION_ID}) from Statistics Finland...`);
+
+  const response = await http.get(STATISTICS_FI_API, {
+    headers: {
+      'Accept': 'application/json'
+    }
+  });
+
+  const items = Array.isArray(response.data) ? response.data : [response.data];
+  const classifications = buildClassifications(items);
+
+  if (Object.keys(classifications).length === 0) {
+    throw new Error(`Statistics Finland returned no classification items for ${CLASSIFICATION_ID}`);
+  }
+
+  mkdirSync(dirname(SNAPSHOT_PATH), { recursive: true });
+  writeFileSync(SNAPSHOT_PATH, JSON.stringify({
+    classification: CLASSIFICATION_ID,
+    fetchedAt: new Date().toISOString(),
+    items: classifications
+  }, null, 2) + '\n');
+
+  console.log(`✅ Saved ${Object.keys(classifications).length} industry classifications to ${SNAPSHOT_PATH}`);
+  industryClassifications = classifications;
+  return classifications;
+}
+
+/**
+ * Load industry classifications, preferring the on-disk snapshot.
+ * Without a snapshot they are fetched and saved, unless running offline.
+ * @param {Object} [options]
+ * @param {boolean} [options.offline] - Never call the Statistics Finland API
+ * @param {Object} [options.http] - HTTP client from createHttpClient
+ * @returns {Promise<Object>} Map of code to classification data
+ */
+export async function loadIndustryClassifications({ offline = false, http } = {}) {
+  if (industryClassifications) {
+    return industryClassifications;
+  }
+
+  const snapshot = readSnapshot();
+  if (snapshot) {
+    industryClassifications = snapshot.items;
+    console.log(`📊 Loaded ${Object.keys(industryClassifications).length} industry classifications from snapshot (fetched ${snapshot.fetchedAt})`);
+    return industryClassifications;
+  }
+
+  if (offline) {
+    throw new Error(`No industry classification snapshot at ${SNAPSHOT_PATH}. Run \`npm start classifications\` while online first.`);
+  }
+
+  return refreshIndustryClassifications({ http });
+}
+
+/**
+ * Full TOL hierarchy of an industry code, from section down to the code itself
+ * @param {string} code - TOL code from PRH, e.g. '62100'
+ * @param {Object} classifications - Map of code to classification data
+ * @returns {Object|null} { section, division, group, class, subclass } with { code, name } per level present, or null
+ */
+export function industryHierarchy(code, classifications) {
+  if (!code || !/^\d{2,5}$/.test(code)) return null;
+
+  const division = parseInt(code.slice(0, 2), 10);
+  const section = SECTION_DIVISIONS.find(([, first, last]) => division >= first && division <= last)?.[0];
+
+  const codes = [section, ...[2, 3, 4, 5].filter(length => length <= code.length).map(length => code.slice(0, length))];
+  const hierarchy = {};
+  codes.forEach((levelCode, index) => {
+    if (!levelCode) return;
+    hierarchy[LEVELS[index]] = {
+      code: levelCode,
+      name: classifications[levelCode]?.name || ''
+    };
+  });
+
+  return hierarchy;
+}
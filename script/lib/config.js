@@ -0,0 +1,128 @@
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { LOCAL_EMBEDDING_MODEL } from './local-embedder.js';
+
+// Both pipelines share the .env file in the script directory
+dotenv.config({ path: join(dirname(fileURLToPath(import.meta.url)), '../.env') });
+
+// Configuration key -> environment variable, for error messages
+const ENV_NAMES = {
+  supabaseUrl: 'SUPABASE_URL',
+  supabaseAnonKey: 'SUPABASE_ANON_KEY',
+  databaseUrl: 'DATABASE_URL',
+  voyageApiKey: 'VOYAGE_API_KEY',
+  deeplApiKey: 'DEEPL_API_KEY',
+  translator: 'TRANSLATOR'
+};
+
+// Requirements that depend on the configured backend: 'storage' needs the
+// Supabase keys unless STORAGE=file, 'embeddings' the Voyage key unless
+// EMBEDDING_PROVIDER=local
+const BACKEND_KEYS = {
+  storage: config => (config.storage === 'supabase' ? ['supabaseUrl', 'supabaseAnonKey'] : []),
+  embeddings: config => (config.embedding.provider === 'voyage' ? ['voyageApiKey'] : [])
+};
+
+/**
+ * Whole number from an environment variable. Only an unset or empty
+ * variable gives the default, so an explicit 0 is kept (HTTP_MAX_RETRIES=0
+ * turns retries off, *_RPM=0 the rate limit)
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Value when the variable is not set
+ * @param {number} [min] - Smallest allowed value
+ * @returns {number} Value of the variable
+ */
+function intFromEnv(name, fallback, min = 0) {
+  const raw = process.env[name]?.trim();
+  const value = raw ? Number.parseInt(raw, 10) : fallback;
+  if (Number.isNaN(value) || value < min) {
+    throw new Error(`⚠️  ${name} must be a whole number of at least ${min}, got '${raw}'. Please check your .env file.`);
+  }
+  return value;
+}
+
+/**
+ * Load pipeline configuration from environment variables
+ * @returns {Object} Configuration shared by the company and investor pipelines
+ */
+export function loadConfig() {
+  // Offline backends are opt-in: a missing key must fail, not quietly
+  // switch to local embeddings or a file store
+  const embeddingProvider = process.env.EMBEDDING_PROVIDER || 'voyage';
+
+  return Object.freeze({
+    supabaseUrl: process.env.SUPABASE_URL,
+    supabaseAnonKey: process.env.SUPABASE_ANON_KEY,
+    // Direct Postgres connection, used by migrations and clear
+    databaseUrl: process.env.DATABASE_URL,
+    voyageApiKey: process.env.VOYAGE_API_KEY,
+    deeplApiKey: process.env.DEEPL_API_KEY,
+    // Translation backend: deepl or stub (offline, returns the Finnish text)
+    translator: process.env.TRANSLATOR || (process.env.DEEPL_API_KEY ? 'deepl' : 'stub'),
+    // Where pipelines store data: supabase, or file (JSON files in LOCAL_STORE_DIR, no network)
+    storage: process.env.STORAGE || 'supabase',
+    localStoreDir: process.env.LOCAL_STORE_DIR || join(dirname(fileURLToPath(import.meta.url)), '../data/local-store'),
+    batchSize: intFromEnv('BATCH_SIZE', 50, 1),
+    // Days between the full rescans --sync makes to catch updates to older companies
+    syncFullIntervalDays: intFromEnv('SYNC_FULL_INTERVAL_DAYS', 7),
+    embedding: Object.freeze({
+      // voyage, or local (deterministic hashing embedder, no network)
+      provider: embeddingProvider,
+      // One model for companies and investors so that both live in the same vector space
+      model: embeddingProvider === 'local' ? LOCAL_EMBEDDING_MODEL : process.env.EMBEDDING_MODEL || 'voyage-3.5',
+      inputType: 'document',
+      batchSize: 100
+    }),
+    // Text template for company and investor embeddings: a name in templates/ or a path to a JSON file
+    textTemplate: process.env.TEXT_TEMPLATE || 'default',
+    // Per-provider request settings for lib/http.js
+    http: Object.freeze({
+      // Free tier allows 3 requests per minute; set VOYAGE_RPM=300 on a paid key
+      voyage: Object.freeze({
+        requestsPerMinute: intFromEnv('VOYAGE_RPM', 3),
+        timeoutMs: 120000,
+        maxRetries: intFromEnv('HTTP_MAX_RETRIES', 5)
+      }),
+      // Translation is optional: give up quickly and stop calling during an outage
+      deepl: Object.freeze({
+        requestsPerMinute: intFromEnv('DEEPL_RPM', 60),
+        timeoutMs: 10000,
+        maxRetries: 2,
+        failureThreshold: 3,
+        cooldownMs: 300000
+      }),
+      prh: Object.freeze({
+        requestsPerMinute: intFromEnv('PRH_RPM', 300),
+        timeoutMs: 60000,
+        maxRetries: intFromEnv('HTTP_MAX_RETRIES', 5)
+      }),
+      statfi: Object.freeze({
+        requestsPerMinute: 60,
+        timeoutMs: 30000,
+        maxRetries: 3
+      })
+    })
+  });
+}
+
+/**
+ * Throw if any of the given configuration keys are missing, or if local
+ * embeddings would be used with Supabase storage
+ * @param {Object} config - Configuration from loadConfig()
+ * @param {Array<string>} keys - Required configuration keys, or 'storage' / 'embeddings' for what the configured backend needs
+ */
+export function requireConfig(config, keys) {
+  // Local vectors are only good for development; keep them out of the shared database
+  if (keys.includes('embeddings') && config.embedding.provider === 'local' && config.storage === 'supabase') {
+    throw new Error('⚠️  EMBEDDING_PROVIDER=local cannot be used with Supabase storage. Set STORAGE=file as well, or use Voyage.');
+  }
+
+  const missing = keys
+    .flatMap(key => (BACKEND_KEYS[key] ? BACKEND_KEYS[key](config) : [key]))
+    .filter(key => !config[key])
+    .map(key => ENV_NAMES[key] || key);
+  if (missing.length > 0) {
+    throw new Error(`⚠️  Missing required environment variables: ${missing.join(', ')}. Please check your .env file.`);
+  }
+}
@@ -0,0 +1,89 @@
+import { getHttpClient } from './http.js';
+import { createLocalEmbedder } from './local-embedder.js';
+
+const VOYAGE_API_URL = 'https://api.voyageai.com/v1/embeddings';
+
+/**
+ * Create a Voyage AI embedder
+ * @param {Object} options
+ * @param {string} options.apiKey - Voyage API key
+ * @param {string} options.model - Embedding model, e.g. voyage-3.5
+ * @param {string} [options.inputType] - Voyage input_type ('document' or 'query')
+ * @param {number} [options.batchSize] - Texts per request
+ * @param {Object} options.http - HTTP client from createHttpClient (rate limit, retries)
+ * @returns {{ model: string, embed: Function }} Embedder
+ */
+export function createEmbedder({ apiKey, model, inputType = 'document', batchSize = 100, http }) {
+  /**
+   * Convert texts to vectors, one request per batch
+   * @param {Array<string>} texts - Array of text strings to vectorize
+   * @param {string} [label] - What is being embedded, for logging
+   * @returns {Promise<Array<Array<number>>>} Array of vectors
+   */
+  async function embed(texts, label = 'texts') {
+    console.log(`🧮 Vectorizing ${texts.length} ${label} with Voyage AI (${model})...`);
+
+    const allVectors = [];
+    const totalBatches = Math.ceil(texts.length / batchSize);
+
+    for (let i = 0; i < texts.length; i += batchSize) {
+      const batch = texts.slice(i, i + batchSize);
+      const batchNum = Math.floor(i / batchSize) + 1;
+
+      console.log(`  📦 Batch ${batchNum}/${totalBatches}: Vectorizing ${batch.length} ${label}...`);
+
+      try {
+        const response = await http.post(
+          VOYAGE_API_URL,
+          {
+            input: batch,
+            model,
+            input_type: inputType
+          },
+          {
+            headers: {
+              'Content-Type': 'application/json',
+              'Authorization': `Bearer ${apiKey}`
+            }
+          }
+        );
+
+        const vectors = response.data.data.map(item => item.embedding);
+        allVectors.push(...vectors);
+        console.log(`  ✅ Batch ${batchNum}/${totalBatches}: Generated ${vectors.length} vectors`);
+      } catch (error) {
+        console.error(`❌ Error in batch ${batchNum}:`, error.response?.data || error.message);
+        throw error;
+      }
+    }
+
+    console.log(`✅ Generated ${allVectors.length} vectors total`);
+    return allVectors;
+  }
+
+  return { model, embed };
+}
+
+/**
+ * Create the embedder configured for the pipelines
+ * (EMBEDDING_PROVIDER=voyage|local; voyage unless set)
+ * @param {Object} config - Configuration from loadConfig()
+ * @param {Object} [overrides] - Embedding settings to change, e.g. { inputType: 'query' }
+ * @returns {{ model: string, embed: Function }} Embedder
+ */
+export function createConfiguredEmbedder(config, overrides = {}) {
+  if (config.embedding.provider === 'local') {
+    return createLocalEmbedder();
+  }
+
+  if (config.embedding.provider !== 'voyage') {
+    throw new Error(`Unknown EMBEDDING_PROVIDER "${config.embedding.provider}". Use voyage or local.`);
+  }
+
+  return createEmbedder({
+    apiKey: config.voyageApiKey,
+    ...config.embedding,
+    ...overrides,
+    http: getHttpClient(config, 'voyage')
+  });
+}
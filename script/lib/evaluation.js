@@ -0,0 +1,237 @@
+import { createHash } from 'crypto';
+import { existsSync, mkdirSync, readdirSync, readFileSync, writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+// One JSON file per evaluation run, so the next run can be compared with it
+export const EVALUATION_RUNS_DIR = join(dirname(fileURLToPath(import.meta.url)), '../data/evaluation');
+
+// Metrics averaged over the labelled companies, in report order
+export const RANKING_METRICS = ['precision', 'recall', 'hitRate', 'ndcg'];
+
+/**
+ * Read a labelled set of company → relevant investor pairs:
+ * { pairs: [{ company: { businessId, name, details, enrichment? }, investorIds: [...] }] }
+ * A company can be given by business ID only when it is read from Supabase.
+ * @param {string} path - Path to the JSON file
+ * @param {Object} [options]
+ * @param {boolean} [options.requireRecords] - Every company must have its details in the file
+ * @returns {Array<{ company: Object, investorIds: Array<string> }>} Labelled pairs
+ */
+export function loadLabelledPairs(path, { requireRecords = true } = {}) {
+  let data;
+  try {
+    data = JSON.parse(readFileSync(path, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Could not read labelled pairs from ${path}: ${error.message}`);
+  }
+
+  const pairs = Array.isArray(data) ? data : data.pairs;
+  if (!Array.isArray(pairs) || pairs.length === 0) {
+    throw new Error(`${path} has no labelled pairs`);
+  }
+
+  pairs.forEach((pair, index) => {
+    if (!pair.company?.businessId && !pair.company?.details) {
+      throw new Error(`Pair ${index + 1} in ${path} has no company business ID or record`);
+    }
+    if (requireRecords && !pair.company.details) {
+      throw new Error(`Pair ${index + 1} in ${path} (${pair.company.businessId}) has no company details; ` +
+        'only stored embeddings can look companies up by business ID');
+    }
+    if (!Array.isArray(pair.investorIds) || pair.investorIds.length === 0) {
+      throw new Error(`Pair ${index + 1} in ${path} (${pairLabel(pair)}) has no relevant investors`);
+    }
+  });
+
+  return pairs;
+}
+
+/**
+ * How a labelled company is identified in reports and run diffs
+ * @param {Object} pair - Labelled pair
+ * @returns {string} Business ID, or the name when there is none
+ */
+export function pairLabel(pair) {
+  return pair.company.businessId || pair.company.details?.name || pair.company.name;
+}
+
+/**
+ * SHA-256 of a labelled file, to tell whether two runs used the same labels
+ * @param {string} path - Path to the labelled file
+ * @returns {string} Hex digest
+ */
+export function hashLabelledFile(path) {
+  return createHash('sha256').update(readFileSync(path)).digest('hex');
+}
+
+/**
+ * Cosine similarity of two vectors
+ * @param {Array<number>} a - Vector
+ * @param {Array<number>} b - Vector of the same dimension
+ * @returns {number} Similarity in [-1, 1]
+ */
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * 1-based rank of the first relevant id in a ranking
+ * @param {Array<string>} ranking - Ids, best first
+ * @param {Set<string>} relevant - Relevant ids
+ * @returns {number|null} Rank, or null when none is ranked
+ */
+export function firstRelevantRank(ranking, relevant) {
+  const index = ranking.findIndex(id => relevant.has(id));
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * Binary-relevance metrics of one ranking at a cut-off
+ * @param {Array<string>} ranking - Ids, best first
+ * @param {Set<string>} relevant - Relevant ids
+ * @param {number} k - Cut-off
+ * @returns {{ precision: number, recall: number, hitRate: number, ndcg: number }} Metrics at k
+ */
+export function scoreRanking(ranking, relevant, k) {
+  const top = ranking.slice(0, k);
+  const hits = top.filter(id => relevant.has(id)).length;
+
+  // Gain 1 per relevant id, discounted by log2 of its position
+  const dcg = top.reduce((sum, id, index) => sum + (relevant.has(id) ? 1 / Math.log2(index + 2) : 0), 0);
+  let idealDcg = 0;
+  for (let index = 0; index < Math.min(relevant.size, k); index++) {
+    idealDcg += 1 / Math.log2(index + 2);
+  }
+
+  return {
+    precision: hits / k,
+    recall: relevant.size ? hits / relevant.size : 0,
+    hitRate: hits > 0 ? 1 : 0,
+    ndcg: idealDcg ? dcg / idealDcg : 0
+  };
+}
+
+/**
+ * Average ranking metrics at k, and MRR, over several rankings
+ * @param {Array<{ ranking: Array<string>, relevant: Array<string> }>} results - One ranking per labelled company
+ * @param {number} k - Cut-off
+ * @returns {{ precision: number, recall: number, hitRate: number, ndcg: number, mrr: number }} Averages over the results
+ */
+export function summarizeRankings(results, k) {
+  const totals = { precision: 0, recall: 0, hitRate: 0, ndcg: 0, mrr: 0 };
+
+  for (const { ranking, relevant } of results) {
+    const relevantIds = new Set(relevant);
+    const scores = scoreRanking(ranking, relevantIds, k);
+    for (const metric of RANKING_METRICS) totals[metric] += scores[metric];
+
+    const rank = firstRelevantRank(ranking, relevantIds);
+    if (rank !== null) totals.mrr += 1 / rank;
+  }
+
+  return Object.fromEntries(Object.entries(totals).map(([metric, total]) => [
+    metric,
+    results.length ? total / results.length : 0
+  ]));
+}
+
+/**
+ * Write an evaluation run to data/evaluation (and optionally another path)
+ * @param {Object} run - Run report, with an id
+ * @param {string} [out] - Extra path to write it to, e.g. a committed baseline
+ * @returns {string} Path of the run in data/evaluation
+ */
+export function saveEvaluationRun(run, out) {
+  mkdirSync(EVALUATION_RUNS_DIR, { recursive: true });
+  const path = join(EVALUATION_RUNS_DIR, `${run.id}.json`);
+  writeFileSync(path, JSON.stringify(run, null, 2));
+
+  if (out) {
+    mkdirSync(dirname(out), { recursive: true });
+    writeFileSync(out, JSON.stringify(run, null, 2));
+  }
+  return path;
+}
+
+/**
+ * Read an evaluation run: the given baseline file, or else the latest run
+ * recorded in data/evaluation
+ * @param {string} [baselinePath] - Run file to compare with
+ * @returns {Object|null} Run report, or null when there is no earlier run
+ */
+export function loadPreviousEvaluationRun(baselinePath) {
+  if (baselinePath) {
+    try {
+      return JSON.parse(readFileSync(baselinePath, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Could not read baseline run ${baselinePath}: ${error.message}`);
+    }
+  }
+
+  if (!existsSync(EVALUATION_RUNS_DIR)) return null;
+  // Run ids start with an ISO timestamp, so names sort by time
+  const latest = readdirSync(EVALUATION_RUNS_DIR).filter(file => file.endsWith('.json')).sort().pop();
+  return latest ? JSON.parse(readFileSync(join(EVALUATION_RUNS_DIR, latest), 'utf-8')) : null;
+}
+
+/**
+ * Compare two evaluation runs: metric deltas per cut-off, and the labelled
+ * companies whose ranking of relevant investors changed
+ * @param {Object} previous - Earlier run
+ * @param {Object} current - New run
+ * @returns {Object} { settings, metrics, companies }
+ */
+export function diffEvaluationRuns(previous, current) {
+  // Settings that make the two runs measure different things
+  const settings = ['source', 'model', 'template', 'labelsHash']
+    .filter(key => previous[key] !== current[key])
+    .map(key => ({ key, previous: previous[key], current: current[key] }));
+
+  const metrics = [];
+  const cutoffs = Object.keys(current.metrics);
+  for (const [k, values] of Object.entries(current.metrics)) {
+    for (const [metric, value] of Object.entries(values)) {
+      const before = previous.metrics?.[k]?.[metric];
+      // MRR does not depend on k, so it is compared once
+      if (before === undefined || (metric === 'mrr' && k !== cutoffs[0])) continue;
+      metrics.push({ k: Number(k), metric, previous: before, current: value, delta: value - before });
+    }
+  }
+
+  const previousCompanies = new Map((previous.companies || []).map(company => [company.key, company]));
+  const maxK = Math.max(...Object.keys(current.metrics).map(Number));
+  const companies = [];
+
+  for (const company of current.companies) {
+    const before = previousCompanies.get(company.key);
+    if (!before) continue;
+
+    const relevant = new Set(company.relevant);
+    const topBefore = new Set(before.ranking.slice(0, maxK).filter(id => relevant.has(id)));
+    const topNow = new Set(company.ranking.slice(0, maxK).filter(id => relevant.has(id)));
+    const gained = [...topNow].filter(id => !topBefore.has(id));
+    const lost = [...topBefore].filter(id => !topNow.has(id));
+
+    if (before.firstRelevantRank !== company.firstRelevantRank || gained.length > 0 || lost.length > 0) {
+      companies.push({
+        key: company.key,
+        name: company.name,
+        previousRank: before.firstRelevantRank,
+        currentRank: company.firstRelevantRank,
+        gained,
+        lost
+      });
+    }
+  }
+
+  return { settings, metrics, companies };
+}
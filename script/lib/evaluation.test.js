@@ -0,0 +1,141 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { diffEvaluationRuns, firstRelevantRank, scoreRanking, summarizeRankings } from './evaluation.js';
+
+// Expected values are worked out by hand to 4 decimals:
+// 1/log2(2) = 1, 1/log2(3) = 0.6309, 1/log2(4) = 0.5
+const TOLERANCE = 1e-4;
+
+/**
+ * Assert that every metric is within TOLERANCE of the expected value
+ * @param {Object} actual - Metrics by name
+ * @param {Object} expected - Expected metrics by name
+ */
+function assertMetrics(actual, expected) {
+  assert.deepEqual(Object.keys(actual).sort(), Object.keys(expected).sort());
+  for (const [metric, value] of Object.entries(expected)) {
+    assert.ok(Math.abs(actual[metric] - value) < TOLERANCE, `${metric}: expected ${value}, got ${actual[metric]}`);
+  }
+}
+
+describe('scoreRanking', () => {
+  it('scores relevant ids at ranks 1 and 3 of 3 relevant', () => {
+    const relevant = new Set(['a', 'b', 'c']);
+
+    // DCG = 1 + 0.5 = 1.5, ideal DCG = 1 + 0.6309 + 0.5 = 2.1309
+    assertMetrics(scoreRanking(['a', 'x', 'b', 'y'], relevant, 4), {
+      precision: 0.5, recall: 0.6667, hitRate: 1, ndcg: 0.7039
+    });
+    // Cut at 2: DCG = 1, ideal DCG = 1 + 0.6309 = 1.6309
+    assertMetrics(scoreRanking(['a', 'x', 'b', 'y'], relevant, 2), {
+      precision: 0.5, recall: 0.3333, hitRate: 1, ndcg: 0.6131
+    });
+  });
+
+  it('divides precision by k even when the ranking is shorter', () => {
+    assertMetrics(scoreRanking(['a', 'b'], new Set(['a', 'b']), 5), {
+      precision: 0.4, recall: 1, hitRate: 1, ndcg: 1
+    });
+  });
+
+  it('discounts a single relevant id by its rank', () => {
+    assertMetrics(scoreRanking(['x', 'a'], new Set(['a']), 2), {
+      precision: 0.5, recall: 1, hitRate: 1, ndcg: 0.6309
+    });
+  });
+
+  it('scores 0 when nothing relevant is ranked in the top k', () => {
+    const zero = { precision: 0, recall: 0, hitRate: 0, ndcg: 0 };
+    assertMetrics(scoreRanking(['x', 'y', 'a'], new Set(['a']), 2), zero);
+    assertMetrics(scoreRanking(['x', 'y'], new Set(), 2), zero);
+  });
+});
+
+describe('summarizeRankings', () => {
+  it('averages the metrics at k and the reciprocal rank over all companies', () => {
+    const results = [
+      { ranking: ['x', 'a'], relevant: ['a'] },
+      { ranking: ['b', 'y'], relevant: ['b', 'c'] },
+      // Relevant id below the cut-off: no metric at k, but 1/4 for MRR
+      { ranking: ['x', 'y', 'z', 'd'], relevant: ['d'] }
+    ];
+
+    // nDCG = (0.6309 + 1 / 1.6309 + 0) / 3, MRR = (1/2 + 1 + 1/4) / 3
+    assertMetrics(summarizeRankings(results, 2), {
+      precision: 0.3333, recall: 0.5, hitRate: 0.6667, ndcg: 0.4147, mrr: 0.5833
+    });
+  });
+
+  it('counts a company with no relevant id ranked as 0 for MRR', () => {
+    const results = [
+      { ranking: ['a'], relevant: ['a'] },
+      { ranking: ['x', 'y'], relevant: ['b'] }
+    ];
+
+    assert.equal(summarizeRankings(results, 1).mrr, 0.5);
+    assert.equal(firstRelevantRank(['x', 'y'], new Set(['b'])), null);
+  });
+
+  it('returns zeros for no results', () => {
+    assertMetrics(summarizeRankings([], 5), { precision: 0, recall: 0, hitRate: 0, ndcg: 0, mrr: 0 });
+  });
+});
+
+describe('diffEvaluationRuns', () => {
+  const others = Array.from({ length: 10 }, (_, index) => `other_${index}`);
+
+  const previous = {
+    source: 'local',
+    model: 'voyage-3.5',
+    template: 'default',
+    labelsHash: 'abc',
+    metrics: {
+      5: { precision: 0.2, mrr: 0.5 },
+      10: { precision: 0.1, mrr: 0.5 }
+    },
+    companies: [
+      { key: 'A', name: 'Alpha Oy', relevant: ['i1', 'i2'], firstRelevantRank: 3, ranking: ['x', 'y', 'i1', ...others] },
+      { key: 'B', name: 'Beta Oy', relevant: ['i3'], firstRelevantRank: 1, ranking: ['i3', ...others] },
+      { key: 'D', name: 'Delta Oy', relevant: ['i5', 'i6'], firstRelevantRank: 1, ranking: ['i6', ...others.slice(0, 6), 'i5', ...others.slice(6)] }
+    ]
+  };
+
+  const current = {
+    ...previous,
+    template: 'multi-vector',
+    metrics: {
+      5: { precision: 0.4, mrr: 0.75 },
+      10: { precision: 0.1, mrr: 0.75, ndcg: 0.3 }
+    },
+    companies: [
+      { key: 'A', name: 'Alpha Oy', relevant: ['i1', 'i2'], firstRelevantRank: 1, ranking: ['i2', 'x', 'i1', ...others] },
+      { key: 'B', name: 'Beta Oy', relevant: ['i3'], firstRelevantRank: 1, ranking: ['i3', ...others] },
+      { key: 'C', name: 'Gamma Oy', relevant: ['i4'], firstRelevantRank: 2, ranking: ['x', 'i4'] },
+      { key: 'D', name: 'Delta Oy', relevant: ['i5', 'i6'], firstRelevantRank: 1, ranking: ['i6', ...others, 'i5'] }
+    ]
+  };
+
+  it('reports the settings that differ', () => {
+    assert.deepEqual(diffEvaluationRuns(previous, current).settings, [
+      { key: 'template', previous: 'default', current: 'multi-vector' }
+    ]);
+    assert.deepEqual(diffEvaluationRuns(previous, { ...current, labelsHash: 'def' }).settings.map(setting => setting.key), [
+      'template', 'labelsHash'
+    ]);
+  });
+
+  it('compares the metrics both runs have, and MRR once', () => {
+    assert.deepEqual(diffEvaluationRuns(previous, current).metrics, [
+      { k: 5, metric: 'precision', previous: 0.2, current: 0.4, delta: 0.2 },
+      { k: 5, metric: 'mrr', previous: 0.5, current: 0.75, delta: 0.25 },
+      { k: 10, metric: 'precision', previous: 0.1, current: 0.1, delta: 0 }
+    ]);
+  });
+
+  it('lists companies whose relevant investors moved within the largest k', () => {
+    assert.deepEqual(diffEvaluationRuns(previous, current).companies, [
+      { key: 'A', name: 'Alpha Oy', previousRank: 3, currentRank: 1, gained: ['i2'], lost: [] },
+      { key: 'D', name: 'Delta Oy', previousRank: 1, currentRank: 1, gained: [], lost: ['i5'] }
+    ]);
+  });
+});
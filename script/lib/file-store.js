@@ -0,0 +1,325 @@
+import { randomUUID } from 'crypto';
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { createMemoryVectorStore } from './vector-store.js';
+
+/**
+ * Tables of the local store, following the migrations: how new ids are made
+ * (BIGSERIAL or UUID) and, for tables that belong to another one, the
+ * column referencing it. `unique` relations are one row per parent, which
+ * PostgREST embeds as an object rather than an array.
+ */
+const TABLES = {
+  company: { id: 'serial' },
+  company_embeddings: { id: 'serial', parent: 'company', foreignKey: 'company_id', unique: true },
+  company_enrichment: { id: 'serial', parent: 'company', foreignKey: 'company_id', unique: true },
+  company_embedding_vectors: { id: 'serial', parent: 'company', foreignKey: 'company_id' },
+  investor: { id: 'uuid' },
+  investor_embeddings: { id: 'uuid', parent: 'investor', foreignKey: 'investor_id', unique: true },
+  investor_embedding_vectors: { id: 'uuid', parent: 'investor', foreignKey: 'investor_id' },
+  funding_instrument: { id: 'uuid' },
+  funding_instrument_embeddings: { id: 'uuid', parent: 'funding_instrument', foreignKey: 'instrument_id', unique: true },
+  sync_state: { id: null },
+  pipeline_runs: { id: 'uuid' }
+};
+
+/**
+ * Split a PostgREST select list on top-level commas, e.g.
+ * "id, details, company_embeddings(model, text_hash)"
+ * @param {string} columns - Select list
+ * @returns {Array<{ column: string, embed: (string|null) }>} Columns and embedded relations
+ */
+function parseSelect(columns) {
+  const items = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of `${columns},`) {
+    if (char === ',' && depth === 0) {
+      const item = current.trim();
+      const relation = /^(\w+)\((.*)\)$/s.exec(item);
+      if (relation) items.push({ column: relation[1], embed: relation[2] });
+      else if (item) items.push({ column: item, embed: null });
+      current = '';
+      continue;
+    }
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    current += char;
+  }
+
+  return items;
+}
+
+/**
+ * Compare two column values for ordering and gt filters (numbers, ISO dates and UUIDs)
+ * @param {*} a - Value
+ * @param {*} b - Value
+ * @returns {number} Negative, zero or positive
+ */
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  return a < b ? -1 : 1;
+}
+
+/**
+ * Create a store that keeps each table in a JSON file, for running the
+ * pipelines with no database. It answers the subset of the Supabase client
+ * the pipelines use: from(table) with select (including embedded relations),
+ * insert, upsert, update, eq, in, gt, order, limit and maybeSingle; and
+ * rpc('match_investors') with exact cosine search. Anything else fails
+ * loudly rather than behaving differently from Postgres.
+ * @param {string} dir - Directory for the table files
+ * @returns {{ from: Function, rpc: Function }} Client with the Supabase client interface
+ */
+export function createFileStore(dir) {
+  const tables = new Map();
+
+  /**
+   * Rows of a table, read from its file on first use
+   * @param {string} table - Table name
+   * @returns {Array<Object>} Rows (mutable)
+   */
+  function rowsOf(table) {
+    if (!TABLES[table]) {
+      throw new Error(`Table '${table}' is not in the local file store`);
+    }
+    if (!tables.has(table)) {
+      const path = join(dir, `${table}.json`);
+      tables.set(table, existsSync(path) ? JSON.parse(readFileSync(path, 'utf-8')) : []);
+    }
+    return tables.get(table);
+  }
+
+  /**
+   * Write a table to its file, replacing it in one step so an interrupted
+   * write never leaves half a file
+   * @param {string} table - Table name
+   */
+  function persist(table) {
+    mkdirSync(dir, { recursive: true });
+    const path = join(dir, `${table}.json`);
+    writeFileSync(`${path}.tmp`, JSON.stringify(rowsOf(table)));
+    renameSync(`${path}.tmp`, path);
+  }
+
+  /**
+   * Id for a new row of a table
+   * @param {string} table - Table name
+   * @returns {number|string} Next serial id or a random UUID
+   */
+  function nextId(table) {
+    if (TABLES[table].id === 'serial') {
+      return rowsOf(table).reduce((max, row) => Math.max(max, row.id), 0) + 1;
+    }
+    return randomUUID();
+  }
+
+  /**
+   * Pick the selected columns of a row, embedding related rows
+   * @param {string} table - Table of the row
+   * @param {Object} row - Stored row
+   * @param {string} columns - Select list
+   * @returns {Object} Selected row
+   */
+  function project(table, row, columns) {
+    const selected = {};
+
+    for (const { column, embed } of parseSelect(columns)) {
+      if (embed === null) {
+        if (column === '*') Object.assign(selected, row);
+        else selected[column] = row[column] ?? null;
+        continue;
+      }
+
+      const relation = TABLES[column];
+      if (relation?.parent !== table) {
+        throw new Error(`'${column}' cannot be embedded in '${table}' in the local file store`);
+      }
+      const related = rowsOf(column)
+        .filter(child => child[relation.foreignKey] === row.id)
+        .map(child => project(column, child, embed));
+      selected[column] = relation.unique ? related[0] ?? null : related;
+    }
+
+    return selected;
+  }
+
+  /**
+   * Query builder for one table; awaiting it runs the query and resolves
+   * to { data, error } like the Supabase client
+   * @param {string} table - Table name
+   * @returns {Object} Query builder
+   */
+  function from(table) {
+    const query = {
+      action: 'select',
+      columns: '*',
+      returning: null,
+      values: null,
+      options: {},
+      filters: [],
+      order: null,
+      limit: null,
+      single: false
+    };
+
+    /**
+     * Run the query
+     * @returns {Object|Array|null} Result rows
+     */
+    function execute() {
+      const rows = rowsOf(table);
+      const matches = row => query.filters.every(filter => filter(row));
+
+      if (query.action === 'select') {
+        let result = rows.filter(matches);
+        if (query.order) {
+          const { column, ascending } = query.order;
+          result = [...result].sort((a, b) => compareValues(a[column], b[column]) * (ascending ? 1 : -1));
+        }
+        if (query.limit !== null) result = result.slice(0, query.limit);
+        result = result.map(row => project(table, row, query.columns));
+        if (query.single) return result[0] ?? null;
+        return result;
+      }
+
+      const affected = [];
+      if (query.action === 'update') {
+        for (const row of rows.filter(matches)) {
+          Object.assign(row, query.values);
+          affected.push(row);
+        }
+      } else {
+        const conflictColumns = query.action === 'upsert' ? (query.options.onConflict || 'id').split(',').map(column => column.trim()) : null;
+
+        for (const values of [].concat(query.values)) {
+          const existing = conflictColumns && rows.find(row => conflictColumns.every(column => row[column] === values[column]));
+          if (existing) {
+            if (query.options.ignoreDuplicates) continue;
+            Object.assign(existing, values);
+            affected.push(existing);
+            continue;
+          }
+
+          const row = TABLES[table].id && values.id === undefined ? { id: nextId(table), ...values } : { ...values };
+          rows.push(row);
+          affected.push(row);
+        }
+      }
+
+      if (affected.length > 0) persist(table);
+      return query.returning === null ? null : affected.map(row => project(table, row, query.returning));
+    }
+
+    const builder = {
+      select(columns = '*') {
+        if (query.action === 'select') query.columns = columns;
+        else query.returning = columns;
+        return builder;
+      },
+      insert(values) {
+        Object.assign(query, { action: 'insert', values });
+        return builder;
+      },
+      upsert(values, options = {}) {
+        Object.assign(query, { action: 'upsert', values, options });
+        return builder;
+      },
+      update(values) {
+        Object.assign(query, { action: 'update', values });
+        return builder;
+      },
+      eq(column, value) {
+        query.filters.push(row => row[column] === value);
+        return builder;
+      },
+      in(column, values) {
+        query.filters.push(row => values.includes(row[column]));
+        return builder;
+      },
+      gt(column, value) {
+        query.filters.push(row => compareValues(row[column], value) > 0);
+        return builder;
+      },
+      order(column, { ascending = true } = {}) {
+        query.order = { column, ascending };
+        return builder;
+      },
+      limit(count) {
+        query.limit = count;
+        return builder;
+      },
+      maybeSingle() {
+        query.single = true;
+        return builder;
+      },
+      then(resolve, reject) {
+        let result;
+        try {
+          result = { data: execute(), error: null };
+        } catch (error) {
+          result = { data: null, error: { message: error.message } };
+        }
+        return Promise.resolve(result).then(resolve, reject);
+      }
+    };
+
+    return builder;
+  }
+
+  /**
+   * Investors nearest to a query vector, as the match_investors function in
+   * migration 0005 returns them
+   * @param {Object} args - match_investors arguments
+   * @returns {Array<{ investor_id: string, details: Object, similarity: number }>} Matches
+   */
+  function matchInvestors({
+    query_embedding: queryEmbedding,
+    match_count: matchCount = 10,
+    filter_geo_focus: geoFocus = null,
+    filter_preferred_rounds: preferredRounds = null,
+    filter_active_status: activeStatus = null,
+    filter_model: model = null
+  }) {
+    const investors = new Map(rowsOf('investor').map(row => [row.id, row]));
+    const overlaps = (values, wanted) => (values || []).some(value =>
+      wanted.some(item => item.toLowerCase() === String(value).toLowerCase()));
+
+    const store = createMemoryVectorStore();
+    store.upsert(rowsOf('investor_embeddings')
+      .filter(row => investors.has(row.investor_id) && (!model || row.model === model))
+      .map(row => ({ id: row.investor_id, vector: row.embeddings, metadata: investors.get(row.investor_id) })));
+
+    return store.query(queryEmbedding, {
+      limit: matchCount,
+      filter: ({ metadata: { details = {} } }) =>
+        (!geoFocus || overlaps(details.geo_focus, geoFocus)) &&
+        (!preferredRounds || overlaps(details.preferred_rounds, preferredRounds)) &&
+        (!activeStatus || String(details.active_status).toLowerCase() === activeStatus.toLowerCase())
+    }).map(match => ({ investor_id: match.metadata.investor_id, details: match.metadata.details, similarity: match.similarity }));
+  }
+
+  const FUNCTIONS = { match_investors: matchInvestors };
+
+  /**
+   * Call a database function
+   * @param {string} name - Function name
+   * @param {Object} [args] - Function arguments
+   * @returns {Promise<{ data: *, error: (Object|null) }>} Result
+   */
+  async function rpc(name, args = {}) {
+    if (!FUNCTIONS[name]) {
+      return { data: null, error: { message: `Function '${name}' is not available in the local file store` } };
+    }
+    try {
+      return { data: FUNCTIONS[name](args), error: null };
+    } catch (error) {
+      return { data: null, error: { message: error.message } };
+    }
+  }
+
+  return { from, rpc };
+}
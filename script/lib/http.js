@@ -0,0 +1,158 @@
+import axios from 'axios';
+
+// Network errors worth retrying (connection dropped, DNS hiccup, timeout)
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'EPIPE']);
+
+/**
+ * Thrown without calling the provider while its circuit breaker is open
+ */
+export class CircuitOpenError extends Error {
+  constructor(provider, retryAt) {
+    super(`${provider} is unavailable (circuit open until ${new Date(retryAt).toISOString()})`);
+    this.name = 'CircuitOpenError';
+    this.provider = provider;
+    this.retryAt = retryAt;
+  }
+}
+
+/**
+ * Sleep for the given number of milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Whether a failed request may succeed when retried: 429, 5xx and network errors
+ * @param {Error} error - Axios error
+ * @returns {boolean} True if the request should be retried
+ */
+function isRetryable(error) {
+  const status = error.response?.status;
+  if (status) return status === 429 || status >= 500;
+  return RETRYABLE_CODES.has(error.code);
+}
+
+/**
+ * Delay requested by a Retry-After header, in seconds or as an HTTP date
+ * @param {Error} error - Axios error
+ * @returns {number|null} Delay in milliseconds, or null without a usable header
+ */
+function retryAfterMs(error) {
+  const header = error.response?.headers?.['retry-after'];
+  if (!header) return null;
+
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Create an HTTP client for one provider with rate limiting, retries with
+ * exponential backoff (honouring Retry-After), timeouts and a circuit breaker
+ * @param {Object} options
+ * @param {string} options.name - Provider name, for logging
+ * @param {number} [options.requestsPerMinute] - Rate limit; requests are spaced evenly
+ * @param {number} [options.timeoutMs] - Per-request timeout
+ * @param {number} [options.maxRetries] - Retries after the first attempt
+ * @param {number} [options.baseDelayMs] - First backoff delay, doubled on every retry
+ * @param {number} [options.maxDelayMs] - Upper bound for a backoff delay
+ * @param {number} [options.failureThreshold] - Consecutive failed requests that open the circuit (0 disables it)
+ * @param {number} [options.cooldownMs] - How long the circuit stays open
+ * @returns {{ name: string, request: Function, get: Function, post: Function }} HTTP client
+ */
+export function createHttpClient({
+  name,
+  requestsPerMinute = 60,
+  timeoutMs = 30000,
+  maxRetries = 5,
+  baseDelayMs = 1000,
+  maxDelayMs = 120000,
+  failureThreshold = 0,
+  cooldownMs = 300000
+}) {
+  const intervalMs = requestsPerMinute > 0 ? 60000 / requestsPerMinute : 0;
+  let nextSlotAt = 0;
+  let consecutiveFailures = 0;
+  let openUntil = 0;
+
+  /**
+   * Wait for the next free slot under the rate limit
+   */
+  async function acquireSlot() {
+    const now = Date.now();
+    const slot = Math.max(now, nextSlotAt);
+    nextSlotAt = slot + intervalMs;
+
+    if (slot - now >= 1000) {
+      console.log(`  ⏳ ${name}: waiting ${Math.round((slot - now) / 1000)} seconds for rate limit...`);
+    }
+    if (slot > now) await sleep(slot - now);
+  }
+
+  /**
+   * Send a request, retrying 429, 5xx and network errors
+   * @param {Object} config - Axios request config
+   * @returns {Promise<Object>} Axios response
+   */
+  async function request(config) {
+    if (failureThreshold > 0 && Date.now() < openUntil) {
+      throw new CircuitOpenError(name, openUntil);
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      await acquireSlot();
+
+      try {
+        const response = await axios.request({ timeout: timeoutMs, ...config });
+        consecutiveFailures = 0;
+        return response;
+      } catch (error) {
+        if (!isRetryable(error) || attempt >= maxRetries) {
+          consecutiveFailures++;
+          if (failureThreshold > 0 && consecutiveFailures >= failureThreshold) {
+            openUntil = Date.now() + cooldownMs;
+            console.warn(`  🔌 ${name}: ${consecutiveFailures} failed requests in a row, pausing calls for ${Math.round(cooldownMs / 1000)} seconds`);
+          }
+          throw error;
+        }
+
+        // Exponential backoff with jitter, unless the provider says how long to wait
+        const delayMs = retryAfterMs(error)
+          ?? Math.min(maxDelayMs, baseDelayMs * 2 ** attempt) * (0.5 + Math.random() / 2);
+        const reason = error.response?.status ? `HTTP ${error.response.status}` : error.code;
+        console.warn(`  🔁 ${name}: ${reason}, retry ${attempt + 1}/${maxRetries} in ${Math.round(delayMs / 1000)}s`);
+
+        // Later requests wait too, so a 429 slows down the whole run
+        nextSlotAt = Math.max(nextSlotAt, Date.now() + delayMs);
+      }
+    }
+  }
+
+  return {
+    name,
+    request,
+    get: (url, config = {}) => request({ ...config, method: 'get', url }),
+    post: (url, data, config = {}) => request({ ...config, method: 'post', url, data })
+  };
+}
+
+// Clients shared by everything in this process, one per provider
+const clients = {};
+
+/**
+ * Get the shared HTTP client for a configured provider
+ * @param {Object} config - Configuration from loadConfig()
+ * @param {string} provider - Key in config.http, e.g. 'voyage', 'deepl', 'prh'
+ * @returns {Object} HTTP client from createHttpClient
+ */
+export function getHttpClient(config, provider) {
+  if (!clients[provider]) {
+    clients[provider] = createHttpClient({ name: provider, ...config.http[provider] });
+  }
+  return clients[provider];
+}
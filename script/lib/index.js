@@ -0,0 +1,76 @@
+export { loadConfig, requireConfig } from './config.js';
+export { getSupabaseClient } from './supabase.js';
+export { createEmbedder, createConfiguredEmbedder } from './embedder.js';
+export {
+  LOCAL_EMBEDDING_MODEL,
+  LOCAL_EMBEDDING_DIMENSION,
+  hashingVector,
+  createLocalEmbedder
+} from './local-embedder.js';
+export { createFileStore } from './file-store.js';
+export { upsertEmbeddings, upsertNamedEmbeddings, upsertWithEmbeddings } from './writer.js';
+export {
+  createCompanyText,
+  createCompanyVectorTexts,
+  createInvestorText,
+  createInvestorVectorTexts,
+  createFundingInstrumentText,
+  hashText
+} from './text.js';
+export {
+  TEMPLATES_DIR,
+  DEFAULT_TEMPLATE,
+  COMPANY_FIELDS,
+  INVESTOR_FIELDS,
+  textTemplatePath,
+  listTextTemplates,
+  loadTextTemplate,
+  getTextTemplate,
+  renderText,
+  renderVectorTexts
+} from './templates.js';
+export { readSyncState, writeSyncState } from './sync-state.js';
+export {
+  CLASSIFICATION_ID,
+  SNAPSHOT_PATH,
+  loadIndustryClassifications,
+  refreshIndustryClassifications,
+  industryHierarchy
+} from './classifications.js';
+export {
+  MEMORY_PATH,
+  OVERRIDES_PATH,
+  createDeepLTranslator,
+  createStubTranslator,
+  createTranslationMemory,
+  createTranslator,
+  createConfiguredTranslator
+} from './translation.js';
+export { CircuitOpenError, createHttpClient, getHttpClient } from './http.js';
+export { RUNS_DIR, getResumeRunId, openRun } from './runs.js';
+export { connectPostgres } from './postgres.js';
+export {
+  INVESTOR_SCHEMA_PATH,
+  FUNDING_INSTRUMENT_SCHEMA_PATH,
+  parseCheckSize,
+  validateInvestors,
+  validateFundingInstruments,
+  printValidationReport
+} from './validation.js';
+export { REEMBED_TARGETS, reembedTarget, companyFromRow } from './reembed.js';
+export { prhBusinessId, isDissolved, formatPrhAddress, normalizePrhCompany } from './prh.js';
+export {
+  EVALUATION_RUNS_DIR,
+  RANKING_METRICS,
+  loadLabelledPairs,
+  pairLabel,
+  hashLabelledFile,
+  cosineSimilarity,
+  firstRelevantRank,
+  scoreRanking,
+  summarizeRankings,
+  saveEvaluationRun,
+  loadPreviousEvaluationRun,
+  diffEvaluationRuns
+} from './evaluation.js';
+export { createMemoryVectorStore } from './vector-store.js';
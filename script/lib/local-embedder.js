@@ -0,0 +1,85 @@
+// Name stored in the embeddings tables' model column, so local vectors are
+// never compared with Voyage vectors (matching and reembed filter by model)
+export const LOCAL_EMBEDDING_MODEL = 'local-hashing-v1';
+
+// Same dimension as the VECTOR(1024) columns, so local vectors fit the schema
+export const LOCAL_EMBEDDING_DIMENSION = 1024;
+
+/**
+ * 32-bit FNV-1a hash of a string
+ * @param {string} text - Text to hash
+ * @returns {number} Unsigned hash
+ */
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Features of a text: lower-cased words, and character trigrams of each word
+ * so that e.g. "robot" and "robotics" share most of their features
+ * @param {string} text - Text to embed
+ * @returns {Map<string, number>} Count per feature
+ */
+function textFeatures(text) {
+  const counts = new Map();
+  const add = feature => counts.set(feature, (counts.get(feature) || 0) + 1);
+
+  for (const word of text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []) {
+    add(`w:${word}`);
+    const padded = `<${word}>`;
+    for (let i = 0; i + 3 <= padded.length; i++) add(`c:${padded.slice(i, i + 3)}`);
+  }
+  return counts;
+}
+
+/**
+ * Embed one text by feature hashing: each feature adds 1 + log(count) to a
+ * hashed dimension, with a hashed sign so collisions cancel out on average.
+ * Whole words weigh more than trigrams. The vector is L2-normalized.
+ * @param {string} text - Text to embed
+ * @param {number} dimension - Vector dimension
+ * @returns {Array<number>} Vector
+ */
+export function hashingVector(text, dimension = LOCAL_EMBEDDING_DIMENSION) {
+  const vector = new Array(dimension).fill(0);
+
+  for (const [feature, count] of textFeatures(text)) {
+    const hash = fnv1a(feature);
+    const weight = (1 + Math.log(count)) * (feature.startsWith('w:') ? 1 : 0.5);
+    vector[hash % dimension] += hash & 0x80000000 ? -weight : weight;
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm ? vector.map(value => value / norm) : vector;
+}
+
+/**
+ * Create a deterministic embedder that runs locally: the same text always
+ * gives the same vector, with no API key or network. Texts sharing words
+ * are similar, so matching works for development and CI, but rankings are
+ * much worse than with Voyage. Documents and queries are embedded alike.
+ * @param {Object} [options]
+ * @param {number} [options.dimension] - Vector dimension
+ * @returns {{ model: string, embed: Function }} Embedder with the same interface as createEmbedder
+ */
+export function createLocalEmbedder({ dimension = LOCAL_EMBEDDING_DIMENSION } = {}) {
+  /**
+   * Embed texts
+   * @param {Array<string>} texts - Texts to embed
+   * @param {string} [label] - What is being embedded, for logging
+   * @returns {Promise<Array<Array<number>>>} Array of vectors
+   */
+  async function embed(texts, label = 'texts') {
+    console.log(`🧮 Vectorizing ${texts.length} ${label} locally (${LOCAL_EMBEDDING_MODEL})...`);
+    const vectors = texts.map(text => hashingVector(text, dimension));
+    console.log(`✅ Generated ${vectors.length} vectors total`);
+    return vectors;
+  }
+
+  return { model: LOCAL_EMBEDDING_MODEL, embed };
+}
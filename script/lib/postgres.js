@@ -0,0 +1,12 @@
+import pg from 'pg';
+
+/**
+ * Connect to Postgres directly (migrations and maintenance need DDL, which the Supabase client cannot run)
+ * @param {Object} config - Configuration from loadConfig()
+ * @returns {Promise<pg.Client>} Connected client; call end() when done
+ */
+export async function connectPostgres(config) {
+  const client = new pg.Client({ connectionString: config.databaseUrl });
+  await client.connect();
+  return client;
+}
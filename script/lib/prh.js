@@ -0,0 +1,275 @@
+import { industryHierarchy } from './classifications.js';
+
+/**
+ * Normalized company record, stored as company.details. The first five
+ * fields (plus industry) are what the embedding text and the API have always
+ * read; the rest keeps the PRH v3 data we used to throw away.
+ * Keep in sync with CompanyDetails in src/companies/interfaces/company.interface.ts.
+ *
+ * @typedef {Object} CompanyDetails
+ * @property {string} name - Current official name
+ * @property {string} description - Main business line description (English if available)
+ * @property {string} address - Visiting address as one line (see formatPrhAddress)
+ * @property {string|null} registrationDate - Business ID registration date (YYYY-MM-DD)
+ * @property {string} categoryName - Industry name (translated to English)
+ * @property {Object|null} industry - TOL hierarchy of the main business line
+ * @property {string|null} euId - EU identifier (EUID), e.g. FIFPRO.1234567-8
+ * @property {CompanyStatus} status - Current status, from company situations and end dates
+ * @property {string|null} endDate - Date the company ended, if it has
+ * @property {CodedValue|null} companyForm - Current company form, e.g. { code: '16', name: 'Limited company' }
+ * @property {Array<CompanyName>} names - Every name, current and historical
+ * @property {Array<string>} auxiliaryNames - Current auxiliary names (aputoiminimet)
+ * @property {{ visiting: CompanyAddress|null, postal: CompanyAddress|null }} addresses - Current addresses by kind
+ * @property {string|null} website - Website URL
+ * @property {Array<CompanySituation>} situations - Liquidation, bankruptcy and restructuring, current and past
+ * @property {Array<RegisteredEntry>} registeredEntries - Registers the company is or was entered in
+ */
+
+/**
+ * @typedef {'active'|'restructuring'|'liquidation'|'bankruptcy'|'dissolved'} CompanyStatus
+ */
+
+/**
+ * @typedef {Object} CodedValue
+ * @property {string} code - PRH code
+ * @property {string} name - Description (English if available)
+ */
+
+/**
+ * @typedef {Object} CompanyName
+ * @property {string} name - Name
+ * @property {'official'|'parallel'|'auxiliary'|'other'} type - Kind of name
+ * @property {string|null} registrationDate - Date the name was registered
+ * @property {string|null} endDate - Date the name stopped being used; null while current
+ */
+
+/**
+ * @typedef {Object} CompanyAddress
+ * @property {string} formatted - Address as one line
+ * @property {string|null} street - Street with building number, entrance and apartment
+ * @property {string|null} postOfficeBox - PO box (postal addresses)
+ * @property {string|null} careOf - c/o line
+ * @property {string|null} postCode - Post code
+ * @property {string|null} city - Post office (English name if available)
+ * @property {string|null} municipalityCode - Statistics Finland municipality code
+ * @property {string|null} country - Country code for foreign addresses
+ */
+
+/**
+ * @typedef {Object} CompanySituation
+ * @property {'restructuring'|'liquidation'|'bankruptcy'|'other'} type - Kind of situation
+ * @property {string} code - PRH situation code (SANE, SELTILA, KONK)
+ * @property {string|null} registrationDate - Date the situation started
+ * @property {string|null} endDate - Date it ended; null while ongoing
+ */
+
+/**
+ * @typedef {Object} RegisteredEntry
+ * @property {string} code - Entry type code
+ * @property {string} description - Entry description (English if available)
+ * @property {string|null} register - Register code, e.g. 1 (trade register)
+ * @property {string|null} authority - Registering authority code
+ * @property {string|null} registrationDate - Date entered
+ * @property {string|null} endDate - Date the entry ended
+ */
+
+// PRH language codes in descriptions and post offices
+const LANGUAGE_FINNISH = '1';
+const LANGUAGE_ENGLISH = '3';
+
+// PRH name types
+const NAME_TYPES = { 1: 'official', 2: 'parallel', 3: 'auxiliary' };
+
+// PRH address types
+const ADDRESS_VISITING = 1;
+const ADDRESS_POSTAL = 2;
+
+// PRH company situation codes
+const SITUATION_TYPES = { SANE: 'restructuring', SELTILA: 'liquidation', KONK: 'bankruptcy' };
+
+// When several situations are ongoing, the most severe one is the status
+const STATUS_SEVERITY = ['active', 'restructuring', 'liquidation', 'bankruptcy', 'dissolved'];
+
+/**
+ * Business ID of a raw PRH company
+ * @param {Object} company - Raw PRH v3 company
+ * @returns {string} Business ID, e.g. 1234567-8
+ */
+export function prhBusinessId(company) {
+  return company.businessId?.value || (typeof company.businessId === 'string' ? company.businessId : '');
+}
+
+/**
+ * Whether a raw PRH company has ceased to exist: it has an end date, or none
+ * of its official names is current any more. Companies in liquidation or
+ * bankruptcy still exist and are not dissolved.
+ * @param {Object} company - Raw PRH v3 company
+ * @returns {boolean} True if the company is dissolved
+ */
+export function isDissolved(company) {
+  if (company.endDate) return true;
+  const officialNames = (company.names || []).filter(name => String(name.type) === '1');
+  return officialNames.length > 0 && officialNames.every(name => name.endDate);
+}
+
+/**
+ * Pick the English description, falling back to the first one (PRH lists Finnish first)
+ * @param {Array<Object>|undefined} descriptions - PRH descriptions ({ languageCode, description })
+ * @returns {string} Description, or an empty string
+ */
+function pickDescription(descriptions) {
+  if (!Array.isArray(descriptions) || descriptions.length === 0) return '';
+  const description = descriptions.find(d => String(d.languageCode) === LANGUAGE_ENGLISH) || descriptions[0];
+  return description?.description || '';
+}
+
+/**
+ * Whether a dated PRH entry is current (no end date)
+ * @param {Object} entry - PRH entry with an optional endDate
+ * @returns {boolean} True if current
+ */
+function isCurrent(entry) {
+  return !entry.endDate;
+}
+
+/**
+ * Format a PRH address as one line, "<street><building> <entrance> <apartment>,
+ * <post code> <city>". The format is part of the embedding text, so changing
+ * it makes every company embedding stale.
+ * @param {Object} address - Raw PRH address
+ * @returns {string} Formatted address
+ */
+export function formatPrhAddress(address) {
+  const city = pickCity(address) || '';
+  const street = [
+    address.street || '',
+    address.buildingNumber || '',
+    address.entrance ? ` ${address.entrance}` : '',
+    address.apartmentNumber ? ` ${address.apartmentNumber}` : ''
+  ].filter(part => part).join('');
+
+  return `${street}, ${address.postCode || ''} ${city}`
+    .trim().replace(/^,\s*/, '').replace(/,\s*$/, '');
+}
+
+/**
+ * Post office name of an address (English, then Finnish, then the first one)
+ * @param {Object} address - Raw PRH address
+ * @returns {string|null} City
+ */
+function pickCity(address) {
+  const offices = address.postOffices || [];
+  const office = offices.find(p => String(p.languageCode) === LANGUAGE_ENGLISH) ||
+    offices.find(p => String(p.languageCode) === LANGUAGE_FINNISH) ||
+    offices[0];
+  return office?.city || null;
+}
+
+/**
+ * Normalize one PRH address
+ * @param {Object|undefined} address - Raw PRH address
+ * @returns {CompanyAddress|null} Normalized address
+ */
+function normalizeAddress(address) {
+  if (!address) return null;
+  const street = [address.street?.trim(), address.buildingNumber?.trim()].filter(Boolean).join(' ');
+  const offices = address.postOffices || [];
+
+  return {
+    formatted: formatPrhAddress(address),
+    street: [street, address.entrance, address.apartmentNumber].filter(Boolean).join(' ') || null,
+    postOfficeBox: address.postOfficeBox || null,
+    careOf: address.co || null,
+    postCode: address.postCode || null,
+    city: pickCity(address),
+    municipalityCode: offices.find(p => p.municipalityCode)?.municipalityCode || null,
+    country: address.country || null
+  };
+}
+
+/**
+ * Map a raw PRH v3 company into the record we store: { name, businessId,
+ * industryCode, lastModified, details }. The industry name is looked up and
+ * translated by the caller, so this stays synchronous and free of I/O.
+ * Keep in sync with normalizePrhCompany in src/prh/prh-normalizer.ts.
+ * @param {Object} company - Raw PRH v3 company
+ * @param {Object} options
+ * @param {string} options.categoryName - English industry name of the main business line
+ * @param {Object} [options.classifications] - Industry classifications by code, for the hierarchy names
+ * @returns {{ name: string, businessId: string, industryCode: string, lastModified: string|null, details: CompanyDetails }} Normalized company
+ */
+export function normalizePrhCompany(company, { categoryName, classifications = {} }) {
+  const names = (company.names || []).map(name => ({
+    name: name.name,
+    type: NAME_TYPES[name.type] || 'other',
+    registrationDate: name.registrationDate || null,
+    endDate: name.endDate || null
+  }));
+
+  // Current official name, falling back to the first one on record
+  const name = names.find(n => n.type === 'official' && !n.endDate)?.name || names[0]?.name || 'Unknown';
+
+  const addresses = company.addresses || [];
+  const visiting = addresses.find(a => a.type === ADDRESS_VISITING && isCurrent(a));
+  const postal = addresses.find(a => a.type === ADDRESS_POSTAL && isCurrent(a));
+  // One-line address as before: the visiting address, or whatever PRH has
+  const address = visiting || addresses[0];
+
+  const companyForm = (company.companyForms || []).find(isCurrent);
+
+  const situations = (company.companySituations || []).map(situation => ({
+    type: SITUATION_TYPES[situation.type] || 'other',
+    code: situation.type,
+    registrationDate: situation.registrationDate || null,
+    endDate: situation.endDate || null
+  }));
+
+  const industryCode = company.mainBusinessLine?.type || '';
+
+  return {
+    name,
+    businessId: prhBusinessId(company),
+    industryCode,
+    lastModified: company.lastModified || null,
+    details: {
+      name,
+      description: pickDescription(company.mainBusinessLine?.descriptions),
+      address: address ? formatPrhAddress(address) : '',
+      registrationDate: company.businessId?.registrationDate || company.registrationDate || null,
+      categoryName,
+      // Section -> division -> group -> class -> subclass, for coarse or fine industry matching
+      industry: industryHierarchy(industryCode, classifications),
+      euId: company.euId?.value || null,
+      status: companyStatus(company, situations),
+      endDate: company.endDate || null,
+      companyForm: companyForm ? { code: String(companyForm.type), name: pickDescription(companyForm.descriptions) } : null,
+      names,
+      auxiliaryNames: names.filter(n => n.type === 'auxiliary' && !n.endDate).map(n => n.name),
+      addresses: { visiting: normalizeAddress(visiting), postal: normalizeAddress(postal) },
+      website: company.website?.url || null,
+      situations,
+      registeredEntries: (company.registeredEntries || []).map(entry => ({
+        code: String(entry.type),
+        description: pickDescription(entry.descriptions),
+        register: entry.register != null ? String(entry.register) : null,
+        authority: entry.authority != null ? String(entry.authority) : null,
+        registrationDate: entry.registrationDate || null,
+        endDate: entry.endDate || null
+      }))
+    }
+  };
+}
+
+/**
+ * Current status: dissolved, otherwise the most severe ongoing situation
+ * @param {Object} company - Raw PRH v3 company
+ * @param {Array<CompanySituation>} situations - Normalized situations
+ * @returns {CompanyStatus} Status
+ */
+function companyStatus(company, situations) {
+  if (isDissolved(company)) return 'dissolved';
+  return situations
+    .filter(situation => !situation.endDate && situation.type !== 'other')
+    .map(situation => situation.type)
+    .reduce((worst, type) => (STATUS_SEVERITY.indexOf(type) > STATUS_SEVERITY.indexOf(worst) ? type : worst), 'active');
+}
@@ -0,0 +1,47 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { describe, it } from 'node:test';
+import { fileURLToPath } from 'url';
+import { isDissolved, normalizePrhCompany, prhBusinessId } from './prh.js';
+
+// PRH v3 API responses and their normalized records, shared with
+// src/prh/prh-normalizer.spec.ts so both normalizers give the same output
+const FIXTURES_DIR = join(dirname(fileURLToPath(import.meta.url)), '../../src/prh/fixtures');
+
+/**
+ * Raw companies of a fixture and the records they normalize to
+ * @param {string} name - Fixture name, e.g. 'active'
+ * @returns {{ companies: Array<Object>, expected: Array<Object> }} Fixture
+ */
+function fixture(name) {
+  const read = file => JSON.parse(readFileSync(join(FIXTURES_DIR, file), 'utf-8'));
+  return { companies: read(`${name}.json`).companies, expected: read(`${name}.expected.json`) };
+}
+
+describe('normalizePrhCompany', () => {
+  for (const name of ['active', 'situations', 'dissolved']) {
+    it(`normalizes the ${name} fixture`, () => {
+      const { companies, expected } = fixture(name);
+
+      assert.deepEqual(companies.map(prhBusinessId), expected.map(company => company.businessId));
+      companies.forEach((company, index) => {
+        assert.deepEqual(normalizePrhCompany(company, { categoryName: expected[index].details.categoryName }), expected[index]);
+      });
+    });
+  }
+});
+
+describe('isDissolved', () => {
+  it('is true for a company with an end date or no current official name', () => {
+    for (const company of fixture('dissolved').companies) {
+      assert.equal(isDissolved(company), true);
+    }
+  });
+
+  it('is false for active companies and those in liquidation or bankruptcy', () => {
+    for (const company of [...fixture('active').companies, ...fixture('situations').companies]) {
+      assert.equal(isDissolved(company), false);
+    }
+  });
+});
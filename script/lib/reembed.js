@@ -0,0 +1,216 @@
+import { upsertEmbeddings, upsertNamedEmbeddings } from './writer.js';
+import {
+  createCompanyText,
+  createCompanyVectorTexts,
+  createInvestorText,
+  createInvestorVectorTexts,
+  createFundingInstrumentText,
+  hashText
+} from './text.js';
+import { getTextTemplate } from './templates.js';
+
+// Rows read per page while scanning for stale embeddings
+const PAGE_SIZE = 500;
+
+/**
+ * How to read each entity and rebuild the text its vector was generated
+ * from. Companies and investors can also have the named vectors of the
+ * text template, stored in vectorsTable.
+ */
+export const REEMBED_TARGETS = {
+  company: {
+    table: 'company',
+    embeddingsTable: 'company_embeddings',
+    vectorsTable: 'company_embedding_vectors',
+    foreignKey: 'company_id',
+    select: 'id, business_id, name, details, company_enrichment(*), company_embeddings(model, dimension, text_hash)',
+    toText: (row, template) => createCompanyText(companyFromRow(row), template),
+    toVectorTexts: (row, template) => createCompanyVectorTexts(companyFromRow(row), template)
+  },
+  investor: {
+    table: 'investor',
+    embeddingsTable: 'investor_embeddings',
+    vectorsTable: 'investor_embedding_vectors',
+    foreignKey: 'investor_id',
+    select: 'id, investor_id, details, investor_embeddings(model, dimension, text_hash)',
+    toText: (row, template) => createInvestorText(row.details || {}, template),
+    toVectorTexts: (row, template) => createInvestorVectorTexts(row.details || {}, template)
+  },
+  funding: {
+    table: 'funding_instrument',
+    embeddingsTable: 'funding_instrument_embeddings',
+    foreignKey: 'instrument_id',
+    select: 'id, instrument_id, details, funding_instrument_embeddings(model, dimension, text_hash)',
+    toText: row => createFundingInstrumentText(row.details || {})
+  }
+};
+
+/**
+ * PostgREST returns one-to-one embeds as an object or a single-element array
+ * depending on the constraint it detects
+ * @param {Object|Array|null} value - Embedded relation
+ * @returns {Object|null} The related row, if any
+ */
+function one(value) {
+  return Array.isArray(value) ? value[0] ?? null : value ?? null;
+}
+
+/**
+ * Map a company row to the shape createCompanyText expects
+ * @param {Object} row - company row with its company_enrichment
+ * @returns {Object} Company object
+ */
+export function companyFromRow(row) {
+  return {
+    businessId: row.business_id,
+    name: row.name,
+    details: row.details || {},
+    enrichment: toEnrichment(one(row.company_enrichment))
+  };
+}
+
+/**
+ * Map a company_enrichment row to the shape createCompanyText expects
+ * @param {Object|null} row - company_enrichment row
+ * @returns {Object|undefined} Enrichment object
+ */
+function toEnrichment(row) {
+  if (!row) return undefined;
+  return {
+    fundingRound: row.funding_round,
+    fundingAmountEur: row.funding_amount_eur,
+    fundingPurpose: row.funding_purpose,
+    valuationEur: row.valuation_eur,
+    sizeClass: row.size_class,
+    hierarchy: row.hierarchy
+  };
+}
+
+/**
+ * Decide why an embedding needs regenerating
+ * @param {Object|null} embedding - Stored embedding metadata
+ * @param {string} textHash - Hash of the current text
+ * @param {string} model - Current embedding model
+ * @param {number|null} dimension - Dimension of the current model, once known
+ * @returns {string|null} Reason, or null when the embedding is up to date
+ */
+function staleReason(embedding, textHash, model, dimension) {
+  if (!embedding) return 'missing';
+  if (embedding.model !== model) return 'model';
+  if (embedding.text_hash !== textHash) return 'text';
+  if (dimension && embedding.dimension !== dimension) return 'dimension';
+  return null;
+}
+
+/**
+ * Re-embed all rows of one entity whose embedding is missing, from another
+ * model or generated from different text. The named vectors of the text
+ * template, if it defines any for the entity, are checked the same way.
+ * Progress is committed page by page, so an interrupted run picks up where
+ * it left off: rows already re-embedded are no longer stale.
+ * @param {Object} supabase - Supabase client
+ * @param {string} name - Target name ('company', 'investor' or 'funding')
+ * @param {Object} embedder - Embedder from createConfiguredEmbedder
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Only report what would be re-embedded
+ * @param {number} [options.batchSize] - Rows per embedding upsert
+ * @param {Function} [options.filter] - Only consider rows it returns true for
+ * @param {Object} [options.template] - Text template (default: TEXT_TEMPLATE)
+ * @returns {Promise<Object>} Counts of scanned, stale and re-embedded rows and named vectors
+ */
+export async function reembedTarget(supabase, name, embedder, {
+  dryRun = false,
+  batchSize = 50,
+  filter = () => true,
+  template = getTextTemplate()
+} = {}) {
+  const target = REEMBED_TARGETS[name];
+  const stats = { scanned: 0, stale: 0, reembedded: 0, reasons: {}, vectors: { stale: 0, reembedded: 0 } };
+  let dimension = null;
+  let lastId = null;
+
+  // Only read the named vectors table when the template uses it, so
+  // databases without migration 0011 keep working with the default template
+  const withVectors = Boolean(target.vectorsTable) && Object.keys(template[name]?.vectors || {}).length > 0;
+  const select = withVectors ? `${target.select}, ${target.vectorsTable}(name, model, dimension, text_hash)` : target.select;
+
+  console.log(`\n🔎 Scanning '${target.table}' for stale embeddings (model: ${embedder.model})...`);
+
+  while (true) {
+    // Keyset pagination keeps pages stable while embeddings are rewritten
+    let query = supabase
+      .from(target.table)
+      .select(select)
+      .order('id', { ascending: true })
+      .limit(PAGE_SIZE);
+    if (lastId !== null) query = query.gt('id', lastId);
+
+    const { data, error } = await query;
+    if (error) {
+      console.error(`❌ Error reading '${target.table}':`, error);
+      throw error;
+    }
+    if (data.length === 0) break;
+
+    lastId = data[data.length - 1].id;
+    const rows = data.filter(filter);
+    stats.scanned += rows.length;
+
+    const stale = [];
+    const staleVectors = [];
+    for (const row of rows) {
+      const text = target.toText(row, template);
+      const reason = staleReason(one(row[target.embeddingsTable]), hashText(text), embedder.model, dimension);
+      if (reason) {
+        stats.reasons[reason] = (stats.reasons[reason] || 0) + 1;
+        stale.push({ id: row.id, text });
+      }
+
+      if (!withVectors) continue;
+      const stored = row[target.vectorsTable] || [];
+      for (const [vectorName, vectorText] of Object.entries(target.toVectorTexts(row, template))) {
+        // Nothing to embed, e.g. a funding vector for a company without enrichment
+        if (!vectorText) continue;
+        const storedVector = stored.find(vector => vector.name === vectorName) ?? null;
+        if (staleReason(storedVector, hashText(vectorText), embedder.model, dimension)) {
+          staleVectors.push({ id: row.id, name: vectorName, text: vectorText });
+        }
+      }
+    }
+
+    stats.stale += stale.length;
+    stats.vectors.stale += staleVectors.length;
+    console.log(`  📄 Page ending at id ${lastId}: ${stale.length}/${rows.length} stale` +
+      (withVectors ? `, ${staleVectors.length} stale named vectors` : ''));
+
+    if (dryRun) continue;
+
+    if (stale.length > 0) {
+      const vectors = await embedder.embed(stale.map(item => item.text), name);
+      dimension = vectors[0]?.length ?? dimension;
+
+      stats.reembedded += await upsertEmbeddings(supabase, {
+        embeddingsTable: target.embeddingsTable,
+        foreignKey: target.foreignKey,
+        items: stale.map((item, index) => ({ ...item, vector: vectors[index] })),
+        model: embedder.model,
+        batchSize
+      });
+    }
+
+    if (staleVectors.length > 0) {
+      const vectors = await embedder.embed(staleVectors.map(item => item.text), `${name} named vectors`);
+      dimension = vectors[0]?.length ?? dimension;
+
+      stats.vectors.reembedded += await upsertNamedEmbeddings(supabase, {
+        vectorsTable: target.vectorsTable,
+        foreignKey: target.foreignKey,
+        items: staleVectors.map((item, index) => ({ ...item, vector: vectors[index] })),
+        model: embedder.model,
+        batchSize
+      });
+    }
+  }
+
+  return stats;
+}
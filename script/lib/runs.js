@@ -0,0 +1,189 @@
+import { randomUUID } from 'crypto';
+import { existsSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+// Local checkpoints, one directory per run; removed when the run succeeds
+export const RUNS_DIR = join(dirname(fileURLToPath(import.meta.url)), '../data/runs');
+
+/**
+ * Read the --resume run id from command line arguments (--resume <id> or --resume=<id>)
+ * @param {Array<string>} args - Command line arguments
+ * @returns {string|null} Run id, or null when not resuming
+ */
+export function getResumeRunId(args) {
+  const inline = args.find(arg => arg.startsWith('--resume='));
+  if (inline) return inline.slice('--resume='.length);
+
+  const index = args.indexOf('--resume');
+  if (index === -1) return null;
+  if (!args[index + 1] || args[index + 1].startsWith('--')) {
+    throw new Error('--resume needs the id of the run to continue');
+  }
+  return args[index + 1];
+}
+
+/**
+ * Update a row in the pipeline_runs table
+ * @param {Object} supabase - Supabase client
+ * @param {string} id - Run id
+ * @param {Object} fields - Columns to update
+ */
+async function updateRunRow(supabase, id, fields) {
+  const { error } = await supabase
+    .from('pipeline_runs')
+    .update(fields)
+    .eq('id', id);
+
+  if (error) {
+    console.error(`❌ Error updating pipeline run ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Start a new pipeline run or resume an earlier one. The run is recorded in
+ * the pipeline_runs table; completed steps are checkpointed on disk so a
+ * resumed run skips them.
+ * @param {Object} supabase - Supabase client
+ * @param {Object} options
+ * @param {string} options.pipeline - Pipeline name, e.g. 'company'
+ * @param {Object} [options.options] - Options of a new run (a resumed run keeps its original options)
+ * @param {string} [options.runId] - Run to resume
+ * @returns {Promise<Object>} Run ({ id, options, resumed, has, load, save, timed, setCounts, finish })
+ */
+export async function openRun(supabase, { pipeline, options = {}, runId = null }) {
+  const id = runId || randomUUID();
+  const dir = join(RUNS_DIR, id);
+  const statePath = join(dir, 'run.json');
+  let state;
+
+  if (runId) {
+    if (!existsSync(statePath)) {
+      throw new Error(`No checkpoints for run ${runId} in ${RUNS_DIR}`);
+    }
+    state = JSON.parse(readFileSync(statePath, 'utf8'));
+    if (state.pipeline !== pipeline) {
+      throw new Error(`Run ${runId} belongs to the ${state.pipeline} pipeline, not ${pipeline}`);
+    }
+
+    state.resumes = (state.resumes || 0) + 1;
+    await updateRunRow(supabase, id, { status: 'running', error: null, resumes: state.resumes, finished_at: null });
+    console.log(`♻️  Resuming run ${id} (completed steps: ${state.completed.length ? state.completed.join(', ') : 'none'})\n`);
+  } else {
+    state = {
+      pipeline,
+      options,
+      startedAt: new Date().toISOString(),
+      completed: [],
+      counts: {},
+      durations: {},
+      resumes: 0
+    };
+
+    const { error } = await supabase
+      .from('pipeline_runs')
+      .insert({ id, pipeline, status: 'running', options, started_at: state.startedAt });
+
+    if (error) {
+      console.error('❌ Error recording pipeline run:', error);
+      throw error;
+    }
+    console.log(`🆔 Run ${id} (continue an interrupted run with --resume ${id})\n`);
+  }
+
+  mkdirSync(dir, { recursive: true });
+
+  /**
+   * Persist the run state file
+   */
+  function writeState() {
+    writeFileSync(statePath, JSON.stringify(state, null, 2));
+  }
+  writeState();
+
+  return {
+    id,
+    options: state.options,
+    resumed: Boolean(runId),
+
+    /**
+     * @param {string} step - Step name, e.g. 'companies' or 'embed-3'
+     * @returns {boolean} True if the step was completed by this or an earlier attempt
+     */
+    has(step) {
+      return state.completed.includes(step);
+    },
+
+    /**
+     * Load the data saved by a completed step
+     * @param {string} step - Step name
+     * @returns {*} Saved data, or null if the step saved none
+     */
+    load(step) {
+      const path = join(dir, `${step}.json`);
+      return existsSync(path) ? JSON.parse(readFileSync(path, 'utf8')) : null;
+    },
+
+    /**
+     * Mark a step as completed, saving its data for a resumed run
+     * @param {string} step - Step name
+     * @param {*} [data] - Data later steps need
+     */
+    async save(step, data) {
+      if (data !== undefined) {
+        writeFileSync(join(dir, `${step}.json`), JSON.stringify(data));
+      }
+      if (!state.completed.includes(step)) state.completed.push(step);
+      writeState();
+      await updateRunRow(supabase, id, { step });
+    },
+
+    /**
+     * Run a stage and add its duration to the run, across resumes
+     * @param {string} stage - Stage name, e.g. 'fetch', 'embed', 'store'
+     * @param {Function} fn - Async work
+     * @returns {Promise<*>} Result of fn
+     */
+    async timed(stage, fn) {
+      const started = Date.now();
+      try {
+        return await fn();
+      } finally {
+        state.durations[stage] = (state.durations[stage] || 0) + (Date.now() - started);
+        writeState();
+      }
+    },
+
+    /**
+     * Record counts for the run (e.g. fetched, embedded, stored)
+     * @param {Object} counts - Counts to merge
+     */
+    setCounts(counts) {
+      Object.assign(state.counts, counts);
+      writeState();
+    },
+
+    /**
+     * Record the outcome. Checkpoints are removed after success and kept after a failure.
+     * @param {Error} [error] - Error that ended the run
+     */
+    async finish(error) {
+      const finishedAt = new Date();
+      await updateRunRow(supabase, id, {
+        status: error ? 'failed' : 'succeeded',
+        counts: state.counts,
+        durations: state.durations,
+        error: error ? error.message : null,
+        finished_at: finishedAt.toISOString(),
+        duration_ms: finishedAt.getTime() - Date.parse(state.startedAt)
+      });
+
+      if (error && state.completed.length > 0) {
+        console.error(`\n♻️  Checkpoints kept. Continue with --resume ${id}`);
+      } else {
+        rmSync(dir, { recursive: true, force: true });
+      }
+    }
+  };
+}
@@ -0,0 +1,23 @@
+import { createClient } from '@supabase/supabase-js';
+import { createFileStore } from './file-store.js';
+
+let client = null;
+
+/**
+ * Get the shared storage client, creating it on first use: the Supabase
+ * client, or with STORAGE=file a local file store with the same interface
+ * @param {Object} config - Configuration from loadConfig()
+ * @returns {Object} Supabase client
+ */
+export function getSupabaseClient(config) {
+  if (!client) {
+    if (config.storage === 'file') {
+      client = createFileStore(config.localStoreDir);
+    } else if (config.storage === 'supabase') {
+      client = createClient(config.supabaseUrl, config.supabaseAnonKey);
+    } else {
+      throw new Error(`Unknown STORAGE "${config.storage}". Use supabase or file.`);
+    }
+  }
+  return client;
+}
@@ -0,0 +1,40 @@
+/**
+ * Read a sync high-water mark from the sync_state table
+ * @param {Object} supabase - Supabase client
+ * @param {string} key - State key, e.g. 'prh:Turku'
+ * @returns {Promise<Object|null>} Stored state, or null if the key has never been synced
+ */
+export async function readSyncState(supabase, key) {
+  const { data, error } = await supabase
+    .from('sync_state')
+    .select('value')
+    .eq('key', key)
+    .maybeSingle();
+
+  if (error) {
+    console.error(`❌ Error reading sync state '${key}':`, error);
+    throw error;
+  }
+
+  return data?.value ?? null;
+}
+
+/**
+ * Save a sync high-water mark to the sync_state table
+ * @param {Object} supabase - Supabase client
+ * @param {string} key - State key, e.g. 'prh:Turku'
+ * @param {Object} value - State to store
+ */
+export async function writeSyncState(supabase, key, value) {
+  const { error } = await supabase
+    .from('sync_state')
+    .upsert(
+      { key, value, updated_at: new Date().toISOString() },
+      { onConflict: 'key', ignoreDuplicates: false }
+    );
+
+  if (error) {
+    console.error(`❌ Error saving sync state '${key}':`, error);
+    throw error;
+  }
+}
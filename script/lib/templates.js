@@ -0,0 +1,273 @@
+import { readFileSync, readdirSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { basename, dirname, join, resolve } from 'path';
+import { loadConfig } from './config.js';
+
+// Templates shipped with the pipelines; TEXT_TEMPLATE picks one by name
+export const TEMPLATES_DIR = join(dirname(fileURLToPath(import.meta.url)), '../templates');
+export const DEFAULT_TEMPLATE = 'default';
+
+// Vector names become rows in the *_embedding_vectors tables
+const VECTOR_NAME = /^[a-z][a-z0-9_]*$/;
+
+/**
+ * Text fields a company template can use. Each field reads the company
+ * ({ businessId, name, details, enrichment? }) and has a default label, which
+ * is what the text used before templates existed.
+ * Keep in sync with COMPANY_FIELDS in src/companies/company-text.ts.
+ */
+export const COMPANY_FIELDS = {
+  name: { label: 'Company', value: company => company.details?.name || company.name },
+  businessId: { label: 'Business ID', value: company => company.businessId },
+  industry: { label: 'Industry', value: company => company.details?.categoryName },
+  industryPath: { label: 'Industry Classification', value: company => industryPath(company.details?.industry) },
+  description: { label: 'Description', value: company => company.details?.description },
+  address: { label: 'Address', value: company => company.details?.address },
+  registrationDate: { label: 'Registration Date', value: company => company.details?.registrationDate },
+  companyForm: { label: 'Company Form', value: company => company.details?.companyForm?.name },
+  auxiliaryNames: { label: 'Also Known As', value: company => company.details?.auxiliaryNames },
+  status: { label: 'Status', value: company => company.details?.status },
+  // User-supplied enrichment (company_enrichment table)
+  fundingRound: { label: 'Funding Round', value: company => company.enrichment?.fundingRound },
+  fundingAmountEur: { label: 'Funding Sought', prefix: 'EUR ', value: company => company.enrichment?.fundingAmountEur },
+  fundingPurpose: { label: 'Funding Purpose', value: company => company.enrichment?.fundingPurpose },
+  valuationEur: { label: 'Valuation', prefix: 'EUR ', value: company => company.enrichment?.valuationEur },
+  sizeClass: { label: 'Company Size', value: company => company.enrichment?.sizeClass },
+  hierarchy: { label: 'Hierarchy', value: company => company.enrichment?.hierarchy }
+};
+
+/**
+ * Text fields an investor template can use, read from the investor record
+ * in investors.json. Keep in sync with INVESTOR_FIELDS in
+ * src/investors/investor-text.ts.
+ */
+export const INVESTOR_FIELDS = {
+  name: { label: 'Investor', value: investor => investor.name },
+  firm: { label: 'Firm', value: investor => investor.firm },
+  role: { label: 'Role', value: investor => investor.role },
+  preferredIndustries: { label: 'Preferred Industries', value: investor => investor.preferred_industries },
+  businessModels: { label: 'Business Models', value: investor => investor.business_models },
+  preferredRounds: { label: 'Preferred Rounds', value: investor => investor.preferred_rounds },
+  preferredRoundRole: { label: 'Round Role', value: investor => investor.preferred_round_role },
+  geoFocus: { label: 'Geographic Focus', value: investor => investor.geo_focus },
+  checkSize: { label: 'Check Size Range', value: investor => investor.check_size_range },
+  thesis: { label: 'Investment Thesis', value: investor => investor.investment_thesis },
+  avoidIndustries: { label: 'Avoid Industries', value: investor => investor.avoid_industries },
+  portfolioIndustries: {
+    label: 'Portfolio Industries',
+    value: investor => [...new Set((investor.portfolio || []).map(item => item.industry).filter(Boolean))]
+  },
+  background: { label: 'Background', value: investor => investor.background }
+};
+
+const ENTITY_FIELDS = { company: COMPANY_FIELDS, investor: INVESTOR_FIELDS };
+
+/**
+ * Industry names from the section down to the most specific level,
+ * e.g. "Information and communication > Computer programming"
+ * @param {Object|null|undefined} hierarchy - TOL hierarchy from company details
+ * @returns {string} Names joined with " > "
+ */
+function industryPath(hierarchy) {
+  if (!hierarchy) return '';
+  const names = ['section', 'division', 'group', 'class', 'subclass']
+    .map(level => hierarchy[level]?.name)
+    .filter(Boolean);
+  // A class and its only subclass often share a name
+  return names.filter((name, index) => name !== names[index - 1]).join(' > ');
+}
+
+/**
+ * Path of a template: a name in script/templates, or a path to a JSON file
+ * @param {string} nameOrPath - Template name (e.g. 'default') or path ending in .json
+ * @returns {string} Absolute path
+ */
+export function textTemplatePath(nameOrPath) {
+  return nameOrPath.endsWith('.json') ? resolve(nameOrPath) : join(TEMPLATES_DIR, `${nameOrPath}.json`);
+}
+
+/**
+ * Names of the templates shipped in script/templates
+ * @returns {Array<string>} Template names
+ */
+export function listTextTemplates() {
+  return readdirSync(TEMPLATES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => basename(file, '.json'))
+    .sort();
+}
+
+/**
+ * Load and validate a text template. A template can extend another one and
+ * override the company or investor settings it lists (fields, separator,
+ * end, collapseEnd, vectors); everything else is inherited.
+ * @param {string} nameOrPath - Template name or path to a JSON file
+ * @param {Array<string>} [seen] - Paths already being loaded, to catch cycles
+ * @returns {Object} Template { name, description, company, investor }
+ */
+export function loadTextTemplate(nameOrPath, seen = []) {
+  const path = textTemplatePath(nameOrPath);
+  if (seen.includes(path)) {
+    throw new Error(`Text template ${path} extends itself`);
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(readFileSync(path, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Could not read text template '${nameOrPath}' (${path}): ${error.message}`);
+  }
+
+  const base = raw.extends ? loadTextTemplate(raw.extends, [...seen, path]) : {};
+  const name = raw.name || basename(path, '.json');
+
+  return {
+    name,
+    description: raw.description || base.description || '',
+    company: normalizeEntity({ ...base.company, ...raw.company }, 'company', name),
+    investor: normalizeEntity({ ...base.investor, ...raw.investor }, 'investor', name)
+  };
+}
+
+/**
+ * Fill in defaults and reject unknown fields, so a typo fails when the
+ * template is loaded rather than silently dropping a field from every text
+ * @param {Object} entity - Company or investor section of a template
+ * @param {string} kind - 'company' or 'investor'
+ * @param {string} templateName - Template name, for error messages
+ * @returns {Object} { separator, end, collapseEnd, fields, vectors }
+ */
+function normalizeEntity(entity, kind, templateName) {
+  const known = ENTITY_FIELDS[kind];
+
+  /**
+   * @param {string|Object} field - Field name or field settings
+   * @returns {Object} Field settings
+   */
+  const toField = field => {
+    const spec = typeof field === 'string' ? { field } : { ...field };
+    if (!known[spec.field]) {
+      throw new Error(`Unknown ${kind} field '${spec.field}' in text template '${templateName}' ` +
+        `(known: ${Object.keys(known).join(', ')})`);
+    }
+    const weight = spec.weight ?? 1;
+    if (!Number.isInteger(weight) || weight < 1) {
+      throw new Error(`Weight of ${kind} field '${spec.field}' in text template '${templateName}' must be a whole number of at least 1`);
+    }
+    return { ...spec, weight };
+  };
+
+  if (!Array.isArray(entity.fields) || entity.fields.length === 0) {
+    throw new Error(`Text template '${templateName}' has no ${kind} fields`);
+  }
+  const fields = entity.fields.map(toField);
+
+  const vectors = {};
+  for (const [name, vector] of Object.entries(entity.vectors || {})) {
+    if (!VECTOR_NAME.test(name)) {
+      throw new Error(`Invalid ${kind} vector name '${name}' in text template '${templateName}'`);
+    }
+    const vectorFields = Array.isArray(vector) ? vector : vector.fields;
+    if (!Array.isArray(vectorFields) || vectorFields.length === 0) {
+      throw new Error(`The ${kind} vector '${name}' in text template '${templateName}' has no fields`);
+    }
+    vectors[name] = {
+      // A vector field uses the settings it has in the main text, if any
+      fields: vectorFields.map(field => toField(
+        typeof field === 'string' ? fields.find(f => f.field === field) || field : field
+      )),
+      weight: Array.isArray(vector) ? 1 : vector.weight ?? 1
+    };
+  }
+
+  return {
+    separator: entity.separator ?? ' ',
+    end: entity.end ?? '',
+    collapseEnd: entity.collapseEnd ?? false,
+    fields,
+    vectors
+  };
+}
+
+/**
+ * Field value as text: lists are joined with commas, missing values and
+ * zero are empty
+ * @param {*} value - Value from a field resolver
+ * @returns {string} Text value
+ */
+function toText(value) {
+  if (Array.isArray(value)) return value.join(', ');
+  if (value === null || value === undefined || value === false || value === 0) return '';
+  return String(value);
+}
+
+/**
+ * Render fields of an entity: "<label>: <prefix><value><end>" per field,
+ * repeated `weight` times. Empty fields are left out unless they have a
+ * default, which is used as the value instead.
+ * @param {Object} entity - Normalized company or investor template
+ * @param {Array<Object>} fields - Field settings to render, in order
+ * @param {Object} known - COMPANY_FIELDS or INVESTOR_FIELDS
+ * @param {Object} record - Company or investor
+ * @returns {string} Text
+ */
+function renderFields(entity, fields, known, record) {
+  const parts = [];
+
+  for (const spec of fields) {
+    const field = known[spec.field];
+    const value = toText(field.value(record));
+    if (!value && spec.default === undefined) continue;
+
+    const text = value ? `${spec.prefix ?? field.prefix ?? ''}${value}` : spec.default;
+    const label = spec.label ?? field.label;
+    const end = spec.end ?? entity.end;
+    // "n.e.c." rather than "n.e.c.." when the template collapses repeated ends
+    const part = `${label ? `${label}: ` : ''}${text}${entity.collapseEnd && end && text.endsWith(end) ? '' : end}`;
+    for (let i = 0; i < spec.weight; i++) parts.push(part);
+  }
+
+  return parts.join(entity.separator);
+}
+
+/**
+ * Text a record is embedded from
+ * @param {Object} template - Template from loadTextTemplate
+ * @param {string} kind - 'company' or 'investor'
+ * @param {Object} record - Company or investor
+ * @returns {string} Text
+ */
+export function renderText(template, kind, record) {
+  const entity = template[kind];
+  return renderFields(entity, entity.fields, ENTITY_FIELDS[kind], record);
+}
+
+/**
+ * Texts of the template's named vectors for a record, e.g.
+ * { business: '...', funding: '...' }. Empty when the template has none.
+ * @param {Object} template - Template from loadTextTemplate
+ * @param {string} kind - 'company' or 'investor'
+ * @param {Object} record - Company or investor
+ * @returns {Object<string, string>} Text per vector name
+ */
+export function renderVectorTexts(template, kind, record) {
+  const entity = template[kind];
+  return Object.fromEntries(Object.entries(entity.vectors).map(([name, vector]) => [
+    name,
+    renderFields(entity, vector.fields, ENTITY_FIELDS[kind], record)
+  ]));
+}
+
+const loaded = new Map();
+
+/**
+ * The template the pipelines embed with (TEXT_TEMPLATE, 'default' if unset),
+ * loaded once per process
+ * @param {Object} [config] - Configuration from loadConfig()
+ * @returns {Object} Template
+ */
+export function getTextTemplate(config = loadConfig()) {
+  const name = config.textTemplate || DEFAULT_TEMPLATE;
+  if (!loaded.has(name)) loaded.set(name, loadTextTemplate(name));
+  return loaded.get(name);
+}
@@ -0,0 +1,75 @@
+import { createHash } from 'crypto';
+import { getTextTemplate, renderText, renderVectorTexts } from './templates.js';
+
+/**
+ * Create text representation of company for vectorization, from the
+ * configured text template (see lib/templates.js).
+ * Keep in sync with createCompanyText in src/companies/company-text.ts:
+ * text hashes are compared across the API and the pipelines.
+ * @param {Object} company - Company object ({ businessId, name, details, enrichment? })
+ * @param {Object} [template] - Template from loadTextTemplate (default: TEXT_TEMPLATE)
+ * @returns {string} Text representation
+ */
+export function createCompanyText(company, template = getTextTemplate()) {
+  return renderText(template, 'company', company);
+}
+
+/**
+ * Texts of the template's named company vectors, e.g. { business, funding }
+ * @param {Object} company - Company object ({ businessId, name, details, enrichment? })
+ * @param {Object} [template] - Template from loadTextTemplate (default: TEXT_TEMPLATE)
+ * @returns {Object<string, string>} Text per vector name; empty when the template has none
+ */
+export function createCompanyVectorTexts(company, template = getTextTemplate()) {
+  return renderVectorTexts(template, 'company', company);
+}
+
+/**
+ * Create rich text representation of an investor for vectorization, from
+ * the configured text template
+ * @param {Object} investor - Investor object from JSON
+ * @param {Object} [template] - Template from loadTextTemplate (default: TEXT_TEMPLATE)
+ * @returns {string} Text representation
+ */
+export function createInvestorText(investor, template = getTextTemplate()) {
+  return renderText(template, 'investor', investor);
+}
+
+/**
+ * Texts of the template's named investor vectors
+ * @param {Object} investor - Investor object from JSON
+ * @param {Object} [template] - Template from loadTextTemplate (default: TEXT_TEMPLATE)
+ * @returns {Object<string, string>} Text per vector name; empty when the template has none
+ */
+export function createInvestorVectorTexts(investor, template = getTextTemplate()) {
+  return renderVectorTexts(template, 'investor', investor);
+}
+
+/**
+ * Create text representation of a public funding instrument for vectorization
+ * @param {Object} instrument - Funding instrument object from JSON
+ * @returns {string} Text representation with pipe separators
+ */
+export function createFundingInstrumentText(instrument) {
+  const eligibility = instrument.eligibility || {};
+  const parts = [];
+
+  parts.push(`Funding Instrument: ${instrument.name} (${instrument.provider})`);
+  if (instrument.type) parts.push(`Type: ${instrument.type}`);
+  if (instrument.description) parts.push(`Description: ${instrument.description}`);
+  if (instrument.funded_activities?.length) parts.push(`Funded Activities: ${instrument.funded_activities.join(', ')}`);
+  if (eligibility.size_classes?.length) parts.push(`Company Size: ${eligibility.size_classes.join(', ')}`);
+  if (eligibility.regions?.length) parts.push(`Regions: ${eligibility.regions.join(', ')}`);
+  if (instrument.max_amount_eur) parts.push(`Maximum Amount: EUR ${instrument.max_amount_eur}`);
+
+  return parts.join(' | ');
+}
+
+/**
+ * Hash the text an embedding was generated from, to detect stale vectors
+ * @param {string} text - Embedded text
+ * @returns {string} SHA-256 hex digest
+ */
+export function hashText(text) {
+  return createHash('sha256').update(text, 'utf8').digest('hex');
+}
@@ -0,0 +1,173 @@
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { getHttpClient } from './http.js';
+
+const DEEPL_API_URL = 'https://api-free.deepl.com/v2/translate';
+
+const TRANSLATIONS_DIR = join(dirname(fileURLToPath(import.meta.url)), '../data/translations');
+
+// Filled automatically with every successful translation
+export const MEMORY_PATH = join(TRANSLATIONS_DIR, 'memory.fi-en.json');
+
+// Hand-reviewed translations ({ "Finnish": "English" }); always win over the memory and the backend
+export const OVERRIDES_PATH = join(TRANSLATIONS_DIR, 'overrides.fi-en.json');
+
+/**
+ * Read a JSON file, or return a default if it does not exist
+ * @param {string} path - File path
+ * @param {Object} fallback - Value to return when the file is missing
+ * @returns {Object} Parsed JSON
+ */
+function readJson(path, fallback) {
+  if (!existsSync(path)) return fallback;
+  return JSON.parse(readFileSync(path, 'utf8'));
+}
+
+/**
+ * Create a DeepL translator backend (500K characters/month free, best quality for European languages)
+ * @param {Object} options
+ * @param {string} options.apiKey - DeepL API key
+ * @param {Object} options.http - HTTP client from createHttpClient (rate limit, retries, circuit breaker)
+ * @returns {{ name: string, translate: Function }} Translator backend; translate throws on failure
+ */
+export function createDeepLTranslator({ apiKey, http }) {
+  return {
+    name: 'deepl',
+    async translate(text) {
+      const response = await http.post(DEEPL_API_URL, null, {
+        params: {
+          auth_key: apiKey,
+          text: text,
+          source_lang: 'FI',
+          target_lang: 'EN'
+        }
+      });
+
+      return response.data.translations[0].text || text;
+    }
+  };
+}
+
+/**
+ * Create an offline translator backend that never calls an API.
+ * Unknown text is returned unchanged.
+ * @param {Object} [options]
+ * @param {Object} [options.translations] - Fixed translations ({ "Finnish": "English" })
+ * @returns {{ name: string, translate: Function }} Translator backend
+ */
+export function createStubTranslator({ translations = {} } = {}) {
+  return {
+    name: 'stub',
+    async translate(text) {
+      return translations[text] ?? text;
+    }
+  };
+}
+
+/**
+ * Create a persistent translation memory backed by JSON files
+ * @param {Object} [options]
+ * @param {string} [options.memoryPath] - Memory file, written on every new translation
+ * @param {string} [options.overridesPath] - Reviewer overrides, read only
+ * @returns {{ lookup: Function, remember: Function, size: Function }} Translation memory
+ */
+export function createTranslationMemory({ memoryPath = MEMORY_PATH, overridesPath = OVERRIDES_PATH } = {}) {
+  const overrides = readJson(overridesPath, {});
+  const entries = readJson(memoryPath, {});
+
+  return {
+    /**
+     * Find a known translation, reviewer overrides first
+     * @param {string} text - Finnish text
+     * @returns {{ text: string, source: string }|null} Translation and where it came from
+     */
+    lookup(text) {
+      if (overrides[text]) return { text: overrides[text], source: 'override' };
+      if (entries[text]) return { text: entries[text].en, source: 'memory' };
+      return null;
+    },
+
+    /**
+     * Store a translation and save the memory file
+     * @param {string} text - Finnish text
+     * @param {string} translated - English translation
+     * @param {string} translator - Backend that produced it
+     */
+    remember(text, translated, translator) {
+      entries[text] = { en: translated, translator, translatedAt: new Date().toISOString() };
+      mkdirSync(dirname(memoryPath), { recursive: true });
+      writeFileSync(memoryPath, JSON.stringify(entries, null, 2) + '\n');
+    },
+
+    /**
+     * @returns {{ overrides: number, memory: number }} Number of known translations
+     */
+    size() {
+      return { overrides: Object.keys(overrides).length, memory: Object.keys(entries).length };
+    }
+  };
+}
+
+/**
+ * Create a Finnish to English translator that checks the translation memory
+ * before calling the backend and remembers every successful translation
+ * @param {Object} options
+ * @param {Object} options.backend - Translator backend (createDeepLTranslator, createStubTranslator, ...)
+ * @param {Object} [options.memory] - Translation memory from createTranslationMemory
+ * @param {boolean} [options.readOnly] - Do not add backend results to the memory
+ * @returns {{ backend: string, translate: Function }} Translator
+ */
+export function createTranslator({ backend, memory = createTranslationMemory(), readOnly = false }) {
+  /**
+   * Translate Finnish text to English. Falls back to the original text when the backend fails,
+   * without remembering it, so the next run tries again.
+   * @param {string} text - Finnish text to translate
+   * @returns {Promise<string>} English translation
+   */
+  async function translate(text) {
+    if (!text || text.length === 0) return text;
+
+    const known = memory.lookup(text);
+    if (known) return known.text;
+
+    // Check if it's already in English (basic check)
+    const finnishChars = /[äöåÄÖÅ]/;
+    if (!finnishChars.test(text) && /^[a-zA-Z\s,.-]+$/.test(text)) {
+      return text;
+    }
+
+    try {
+      console.log(`    🌐 Translating: "${text.substring(0, 50)}${text.length > 50 ? '...' : ''}"`);
+      const translated = await backend.translate(text);
+      console.log(`    ✅ Translated to: "${translated.substring(0, 50)}${translated.length > 50 ? '...' : ''}"`);
+
+      if (!readOnly) memory.remember(text, translated, backend.name);
+      return translated;
+    } catch (error) {
+      console.warn(`    ⚠️  Translation API failed (${backend.name}): ${error.message}`);
+      return text;
+    }
+  }
+
+  return { backend: backend.name, translate };
+}
+
+/**
+ * Create a translator with the backend selected by configuration
+ * (TRANSLATOR=deepl|stub; deepl when a DeepL key is set)
+ * @param {Object} config - Configuration from loadConfig()
+ * @returns {{ backend: string, translate: Function }} Translator
+ */
+export function createConfiguredTranslator(config) {
+  if (config.translator === 'stub') {
+    // Offline runs and tests must not grow the shared memory with untranslated text
+    return createTranslator({ backend: createStubTranslator(), readOnly: true });
+  }
+
+  if (config.translator !== 'deepl') {
+    throw new Error(`Unknown TRANSLATOR "${config.translator}". Use deepl or stub.`);
+  }
+
+  return createTranslator({ backend: createDeepLTranslator({ apiKey: config.deeplApiKey, http: getHttpClient(config, 'deepl') }) });
+}
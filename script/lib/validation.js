@@ -0,0 +1,294 @@
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import Ajv from 'ajv';
+
+const SCHEMAS_DIR = join(dirname(fileURLToPath(import.meta.url)), '../schemas');
+
+// JSON Schemas records are checked against before loading
+export const INVESTOR_SCHEMA_PATH = join(SCHEMAS_DIR, 'investor.schema.json');
+export const FUNDING_INSTRUMENT_SCHEMA_PATH = join(SCHEMAS_DIR, 'funding-instrument.schema.json');
+
+// Currencies, magnitudes and tolerance for comparing check_size_range with
+// check_size_numeric, shared with the API's src/investors/investor-consistency.ts
+export const CHECK_SIZE_RULES_PATH = join(SCHEMAS_DIR, 'check-size.json');
+const CHECK_SIZE_RULES = JSON.parse(readFileSync(CHECK_SIZE_RULES_PATH, 'utf-8'));
+
+// One bound of a range: optional currency, amount, optional magnitude ("€500k", "4M")
+const CHECK_SIZE_BOUND = new RegExp(
+  `^(${Object.keys(CHECK_SIZE_RULES.usdRates).map(escapeRegExp).join('|')})?` +
+  `\\s*(\\d+(?:\\.\\d+)?)([${Object.keys(CHECK_SIZE_RULES.magnitudes).join('')}])?$`
+);
+
+// Words that appear in every kind of industry name and say nothing about overlap
+const GENERIC_TERMS = new Set([
+  'tech', 'technology', 'software', 'saas', 'platform', 'platforms', 'tools', 'tooling',
+  'apps', 'services', 'solutions', 'management', 'related', 'early', 'stage', 'invests',
+  'with', 'that', 'from', 'into', 'their', 'focus', 'focuses', 'companies', 'startups'
+]);
+
+// Compiled schemas by path, compiled once per run
+const validators = new Map();
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text - Literal text, e.g. 'R$'
+ * @returns {string} Pattern matching the text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compile a JSON Schema file once per run
+ * @param {string} schemaPath - Path of the schema
+ * @returns {Function} Ajv validate function
+ */
+function getValidator(schemaPath) {
+  if (!validators.has(schemaPath)) {
+    const schema = JSON.parse(readFileSync(schemaPath, 'utf-8'));
+    validators.set(schemaPath, new Ajv({ allErrors: true }).compile(schema));
+  }
+  return validators.get(schemaPath);
+}
+
+/**
+ * Parse a display check size such as "€500k–€4M" into USD amounts
+ * @param {string} range - check_size_range value
+ * @returns {Object|null} { currency, min_usd, max_usd }, or null if it cannot be parsed
+ */
+export function parseCheckSize(range) {
+  const bounds = String(range ?? '').split(/\s*[–-]\s*/);
+  if (bounds.length !== 2) return null;
+
+  const parsed = bounds.map(bound => bound.match(CHECK_SIZE_BOUND));
+  if (parsed.some(match => !match)) return null;
+
+  // "€500k–4M" carries the currency on the first bound only
+  const currency = parsed[0][1] || parsed[1][1] || '$';
+  const rate = CHECK_SIZE_RULES.usdRates[currency];
+  const [min, max] = parsed.map(([, , amount, magnitude]) =>
+    Number(amount) * (CHECK_SIZE_RULES.magnitudes[magnitude] ?? 1) * rate);
+
+  return { currency, min_usd: Math.round(min), max_usd: Math.round(max) };
+}
+
+/**
+ * Significant lowercase terms of industry names and free text
+ * @param {Array<string>} values - Industry names or sentences
+ * @returns {Set<string>} Terms
+ */
+function termsOf(values) {
+  const terms = values
+    .flatMap(value => String(value).toLowerCase().split(/[^a-z0-9]+/))
+    .filter(term => term.length >= 4 && !GENERIC_TERMS.has(term));
+  return new Set(terms);
+}
+
+/**
+ * Whether two amounts are within the allowed drift of each other
+ * @param {number} a - First amount
+ * @param {number} b - Second amount
+ * @returns {boolean} True if close enough
+ */
+function isClose(a, b) {
+  if (a === 0 || b === 0) return a === b;
+  return Math.max(a, b) / Math.min(a, b) <= CHECK_SIZE_RULES.tolerance;
+}
+
+/**
+ * Cross-field checks of an investor that the schema cannot express
+ * @param {Object} investor - Investor record that passed the schema
+ * @returns {Object} { errors, warnings } as arrays of { field, message }
+ */
+function checkInvestorConsistency(investor) {
+  const errors = [];
+  const warnings = [];
+  const numeric = investor.check_size_numeric;
+
+  if (numeric.min_usd > numeric.max_usd) {
+    errors.push({
+      field: 'check_size_numeric',
+      message: `min_usd ${numeric.min_usd} is greater than max_usd ${numeric.max_usd}`
+    });
+  }
+
+  const parsed = parseCheckSize(investor.check_size_range);
+  if (!parsed) {
+    warnings.push({ field: 'check_size_range', message: `could not parse "${investor.check_size_range}"` });
+  } else if (!isClose(parsed.min_usd, numeric.min_usd) || !isClose(parsed.max_usd, numeric.max_usd)) {
+    errors.push({
+      field: 'check_size_range',
+      message: `"${investor.check_size_range}" (~$${parsed.min_usd}–$${parsed.max_usd}) does not match check_size_numeric $${numeric.min_usd}–$${numeric.max_usd}`
+    });
+  }
+
+  const avoided = new Set((investor.avoid_industries ?? []).map(industry => industry.toLowerCase()));
+  const conflicting = investor.preferred_industries.filter(industry => avoided.has(industry.toLowerCase()));
+  if (conflicting.length > 0) {
+    errors.push({
+      field: 'avoid_industries',
+      message: `also listed in preferred_industries: ${conflicting.join(', ')}`
+    });
+  }
+
+  const portfolio = investor.portfolio ?? [];
+  if (portfolio.length > 0) {
+    const focus = termsOf([...investor.preferred_industries, investor.investment_thesis]);
+    const portfolioTerms = termsOf(portfolio.map(holding => holding.industry));
+    if (![...portfolioTerms].some(term => focus.has(term))) {
+      warnings.push({
+        field: 'portfolio',
+        message: `portfolio industries (${portfolio.map(holding => holding.industry).join(', ')}) share nothing with preferred_industries or investment_thesis`
+      });
+    }
+
+    const stages = new Set(portfolio.map(holding => holding.stage_invested));
+    if (!investor.preferred_rounds.some(round => stages.has(round))) {
+      warnings.push({
+        field: 'preferred_rounds',
+        message: `${investor.preferred_rounds.join(', ')} never appears among portfolio stages (${[...stages].join(', ')})`
+      });
+    }
+
+    const avoidedHoldings = portfolio.filter(holding => avoided.has(holding.industry.toLowerCase()));
+    if (avoidedHoldings.length > 0) {
+      warnings.push({
+        field: 'portfolio',
+        message: `holdings in avoided industries: ${avoidedHoldings.map(holding => holding.company).join(', ')}`
+      });
+    }
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Cross-field checks of a funding instrument that the schema cannot express
+ * @param {Object} instrument - Funding instrument record that passed the schema
+ * @returns {Object} { errors, warnings } as arrays of { field, message }
+ */
+function checkInstrumentConsistency(instrument) {
+  const errors = [];
+  const warnings = [];
+  const eligibility = instrument.eligibility;
+
+  if (eligibility.min_age_years !== undefined && eligibility.max_age_years !== undefined
+    && eligibility.min_age_years > eligibility.max_age_years) {
+    errors.push({
+      field: 'eligibility.min_age_years',
+      message: `${eligibility.min_age_years} is greater than max_age_years ${eligibility.max_age_years}`
+    });
+  }
+
+  const included = eligibility.industry_codes ?? [];
+  const excluded = eligibility.excluded_industry_codes ?? [];
+  const conflicting = included.filter(code => excluded.some(prefix => code.startsWith(prefix)));
+  if (conflicting.length > 0) {
+    errors.push({
+      field: 'eligibility.excluded_industry_codes',
+      message: `excludes industry_codes ${conflicting.join(', ')}`
+    });
+  }
+
+  if (eligibility.regions.includes('Finland') && eligibility.regions.length > 1) {
+    warnings.push({ field: 'eligibility.regions', message: 'Finland already covers every region' });
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Validate records against a JSON Schema and cross-field rules
+ * @param {Array<Object>} records - Records as read from JSON
+ * @param {string} schemaPath - JSON Schema every record must satisfy
+ * @param {Function} checkConsistency - Cross-field checks, run on records that pass the schema
+ * @returns {Object} Report: { total, valid, invalid, warnings, records }, where records lists
+ *   every record with problems as { index, id, errors, warnings }
+ */
+function validateRecords(records, schemaPath, checkConsistency) {
+  const validate = getValidator(schemaPath);
+  const seenIds = new Map();
+  const problems = [];
+  let invalid = 0;
+  let warningCount = 0;
+
+  records.forEach((record, index) => {
+    const errors = [];
+    let warnings = [];
+
+    if (!validate(record)) {
+      for (const error of validate.errors) {
+        const path = [error.instancePath.replace(/^\//, '').replace(/\//g, '.'), error.params.missingProperty];
+        const field = path.filter(Boolean).join('.') || '(record)';
+        const allowed = error.params.allowedValues ? ` (${error.params.allowedValues.join(', ')})` : '';
+        const extra = error.params.additionalProperty ? ` "${error.params.additionalProperty}"` : '';
+        const message = error.keyword === 'required' ? 'is required' : `${error.message}${extra}${allowed}`;
+        errors.push({ field, message });
+      }
+    } else {
+      const consistency = checkConsistency(record);
+      errors.push(...consistency.errors);
+      warnings = consistency.warnings;
+    }
+
+    const id = record?.id;
+    if (typeof id === 'string') {
+      if (seenIds.has(id)) {
+        errors.push({ field: 'id', message: `duplicate of the record at index ${seenIds.get(id)}` });
+      } else {
+        seenIds.set(id, index);
+      }
+    }
+
+    if (errors.length > 0) invalid++;
+    warningCount += warnings.length;
+    if (errors.length > 0 || warnings.length > 0) {
+      problems.push({ index, id: id ?? null, errors, warnings });
+    }
+  });
+
+  return {
+    total: records.length,
+    valid: records.length - invalid,
+    invalid,
+    warnings: warningCount,
+    records: problems
+  };
+}
+
+/**
+ * Validate investor records against the investor schema and cross-field rules
+ * @param {Array<Object>} investors - Investor records as read from JSON
+ * @returns {Object} Validation report (see validateRecords)
+ */
+export function validateInvestors(investors) {
+  return validateRecords(investors, INVESTOR_SCHEMA_PATH, checkInvestorConsistency);
+}
+
+/**
+ * Validate funding instruments against their schema and cross-field rules
+ * @param {Array<Object>} instruments - Funding instrument records as read from JSON
+ * @returns {Object} Validation report (see validateRecords)
+ */
+export function validateFundingInstruments(instruments) {
+  return validateRecords(instruments, FUNDING_INSTRUMENT_SCHEMA_PATH, checkInstrumentConsistency);
+}
+
+/**
+ * Print a validation report to the console
+ * @param {Object} report - Report from validateInvestors or validateFundingInstruments
+ */
+export function printValidationReport(report) {
+  for (const record of report.records) {
+    const label = record.id ?? `#${record.index}`;
+    for (const error of record.errors) {
+      console.error(`   ❌ ${label} ${error.field}: ${error.message}`);
+    }
+    for (const warning of record.warnings) {
+      console.warn(`   ⚠️  ${label} ${warning.field}: ${warning.message}`);
+    }
+  }
+
+  console.log(`📋 Validation: ${report.valid}/${report.total} valid, ${report.invalid} invalid, ${report.warnings} warnings`);
+}
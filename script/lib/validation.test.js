@@ -0,0 +1,210 @@
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { dirname, join } from 'path';
+import { after, describe, it } from 'node:test';
+import { fileURLToPath } from 'url';
+import { parseCheckSize, validateFundingInstruments, validateInvestors } from './validation.js';
+
+const SCRIPT_DIR = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+// Cross-field cases shared with src/investors/investor-consistency.spec.ts,
+// so the pipeline and the API reject the same investors
+const CONSISTENCY = JSON.parse(readFileSync(join(SCRIPT_DIR, '../src/investors/fixtures/consistency.json'), 'utf-8'));
+
+const INVESTORS = JSON.parse(readFileSync(join(SCRIPT_DIR, 'investors.json'), 'utf-8'));
+const INSTRUMENTS = JSON.parse(readFileSync(join(SCRIPT_DIR, 'funding-instruments.json'), 'utf-8'));
+
+// A record with no errors or warnings to change one field at a time
+const BASE = INVESTORS.find(investor => investor.id === 'investor_02');
+
+/**
+ * Fields of the errors validateInvestors reports for one investor
+ * @param {Object} investor - Investor record
+ * @returns {Array<string>} Fields with an error
+ */
+function errorFields(investor) {
+  const [problems] = validateInvestors([investor]).records;
+  return (problems?.errors ?? []).map(error => error.field);
+}
+
+/**
+ * Warnings validateInvestors reports for one investor
+ * @param {Object} investor - Investor record
+ * @returns {Array<Object>} Warnings as { field, message }
+ */
+function warningsOf(investor) {
+  const [problems] = validateInvestors([investor]).records;
+  return problems?.warnings ?? [];
+}
+
+/**
+ * Run the investor pipeline offline (file store, local embeddings), so it
+ * needs no API keys
+ * @param {Array<string>} args - Pipeline arguments
+ * @param {string} storeDir - LOCAL_STORE_DIR for the run
+ * @returns {Object} spawnSync result with stdout and stderr as text
+ */
+function runInvestorPipeline(args, storeDir) {
+  return spawnSync(process.execPath, [join(SCRIPT_DIR, 'investor/index.js'), ...args], {
+    cwd: SCRIPT_DIR,
+    encoding: 'utf-8',
+    env: { ...process.env, STORAGE: 'file', EMBEDDING_PROVIDER: 'local', LOCAL_STORE_DIR: storeDir, TEXT_TEMPLATE: 'default' }
+  });
+}
+
+describe('validateInvestors', () => {
+  it('reports only investor_01 in investors.json, whose range is in billions', () => {
+    const report = validateInvestors(INVESTORS);
+    const invalid = report.records.filter(record => record.errors.length > 0);
+
+    assert.equal(report.total, INVESTORS.length);
+    assert.equal(report.invalid, 1);
+    assert.deepEqual(invalid.map(record => record.id), ['investor_01']);
+    assert.deepEqual(invalid[0].errors.map(error => error.field), ['check_size_range']);
+    assert.match(invalid[0].errors[0].message, /"\$10B–\$15B" \(~\$10000000000–\$15000000000\) does not match check_size_numeric \$250000–\$1500000/);
+  });
+
+  it('reports missing required fields by name', () => {
+    const { id, name, check_size_numeric, ...rest } = BASE;
+    assert.ok(id && name && check_size_numeric);
+    const [problems] = validateInvestors([rest]).records;
+
+    assert.deepEqual(problems.errors, [
+      { field: 'id', message: 'is required' },
+      { field: 'name', message: 'is required' },
+      { field: 'check_size_numeric', message: 'is required' }
+    ]);
+  });
+
+  it('reports values outside the schema enums with the allowed values', () => {
+    const [problems] = validateInvestors([{ ...BASE, preferred_rounds: ['Series Z'], active_status: 'Dormant' }]).records;
+
+    const byField = Object.fromEntries(problems.errors.map(error => [error.field, error.message]));
+    assert.deepEqual(Object.keys(byField).sort(), ['active_status', 'preferred_rounds.0']);
+    assert.match(byField.active_status, /\(Active, Inactive\)$/);
+  });
+
+  it('rejects unknown fields and wrong types', () => {
+    const investor = { ...BASE, nickname: 'Bob', check_size_numeric: { min_usd: '500000', max_usd: 4400000 } };
+    const [problems] = validateInvestors([investor]).records;
+
+    const byField = Object.fromEntries(problems.errors.map(error => [error.field, error.message]));
+    assert.deepEqual(Object.keys(byField).sort(), ['(record)', 'check_size_numeric.min_usd']);
+    assert.match(byField['(record)'], /"nickname"$/);
+  });
+
+  it('skips the cross-field checks of a record that fails the schema', () => {
+    const investor = { ...BASE, check_size_range: '$10B–$15B', active_status: 'Dormant' };
+    assert.deepEqual(errorFields(investor), ['active_status']);
+  });
+
+  it('reports a duplicate id with the index of the first record', () => {
+    const report = validateInvestors([BASE, { ...BASE }]);
+
+    assert.equal(report.invalid, 1);
+    assert.deepEqual(report.records[0].errors, [{ field: 'id', message: 'duplicate of the record at index 0' }]);
+  });
+
+  it('rejects a check_size_range that is not a range through the schema', () => {
+    const [problems] = validateInvestors([{ ...BASE, check_size_range: 'Up to €4M' }]).records;
+
+    assert.equal(problems.errors.length, 1);
+    assert.equal(problems.errors[0].field, 'check_size_range');
+    assert.match(problems.errors[0].message, /must match pattern/);
+  });
+
+  it('warns about a portfolio that does not fit the stated focus', () => {
+    const investor = {
+      ...BASE,
+      avoid_industries: ['Gaming'],
+      portfolio: [
+        { company: 'PixelCo', industry: 'Gaming', stage_invested: 'Growth' },
+        { company: 'FarmBot', industry: 'Agriculture', stage_invested: 'Growth' }
+      ]
+    };
+
+    assert.deepEqual(errorFields(investor), []);
+    assert.deepEqual(warningsOf(investor).map(warning => warning.field), ['portfolio', 'preferred_rounds', 'portfolio']);
+    assert.match(warningsOf(investor)[2].message, /PixelCo$/);
+  });
+});
+
+describe('validateFundingInstruments', () => {
+  it('accepts funding-instruments.json', () => {
+    assert.equal(validateFundingInstruments(INSTRUMENTS).invalid, 0);
+  });
+
+  it('rejects an age range that ends before it starts', () => {
+    const [instrument] = INSTRUMENTS;
+    const eligibility = { ...instrument.eligibility, min_age_years: 5, max_age_years: 2 };
+    const [problems] = validateFundingInstruments([{ ...instrument, eligibility }]).records;
+
+    assert.deepEqual(problems.errors.map(error => error.field), ['eligibility.min_age_years']);
+  });
+});
+
+describe('investor pipeline validation flags', () => {
+  const storeDir = mkdtempSync(join(tmpdir(), 'investor-pipeline-'));
+  after(() => rmSync(storeDir, { recursive: true, force: true }));
+
+  /**
+   * investor_id of the investors the last run stored
+   * @returns {Array<string>} Stored investor IDs
+   */
+  const storedIds = () => JSON.parse(readFileSync(join(storeDir, 'investor.json'), 'utf-8'))
+    .map(row => row.investor_id)
+    .sort();
+
+  it('--validate-only writes the report, stores nothing and exits with 1 on errors', () => {
+    const reportPath = join(storeDir, 'report.json');
+    const result = runInvestorPipeline(['--validate-only', `--report=${reportPath}`], storeDir);
+    const report = JSON.parse(readFileSync(reportPath, 'utf-8'));
+
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /investor_01 check_size_range/);
+    assert.equal(report.invalid, 1);
+    assert.equal(report.records.find(record => record.errors.length > 0).id, 'investor_01');
+    assert.throws(() => readFileSync(join(storeDir, 'investor.json')), { code: 'ENOENT' });
+  });
+
+  it('--strict skips investor_01 and loads the rest', () => {
+    const result = runInvestorPipeline(['--strict'], storeDir);
+
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stderr, /Strict mode: skipping 1 invalid investors/);
+    assert.deepEqual(storedIds(), INVESTORS.map(investor => investor.id).filter(id => id !== 'investor_01').sort());
+  });
+
+  it('loads invalid investors with a warning without --strict', () => {
+    const result = runInvestorPipeline([], storeDir);
+
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stderr, /Loading 1 invalid investors anyway/);
+    assert.deepEqual(storedIds(), INVESTORS.map(investor => investor.id).sort());
+  });
+});
+
+describe('parseCheckSize', () => {
+  it('converts both bounds to USD', () => {
+    assert.deepEqual(parseCheckSize('€500k–€4M'), { currency: '€', min_usd: 550000, max_usd: 4400000 });
+    assert.deepEqual(parseCheckSize('$25k-$200k'), { currency: '$', min_usd: 25000, max_usd: 200000 });
+  });
+
+  it('returns null for anything but a two-bound range', () => {
+    assert.equal(parseCheckSize('Up to $1M'), null);
+    assert.equal(parseCheckSize('$1M'), null);
+    assert.equal(parseCheckSize(undefined), null);
+  });
+});
+
+describe('investor consistency', () => {
+  const base = INVESTORS.find(investor => investor.id === CONSISTENCY.base);
+
+  for (const { name, changes, errors } of CONSISTENCY.cases) {
+    it(`reports ${errors.join(', ') || 'no errors'} for ${name}`, () => {
+      assert.deepEqual(errorFields({ ...base, ...changes }), errors);
+    });
+  }
+});
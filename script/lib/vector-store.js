@@ -0,0 +1,44 @@
+import { cosineSimilarity } from './evaluation.js';
+
+/**
+ * Create an in-memory vector store with exact (brute-force) cosine search.
+ * Enough for the few hundred investors the evaluation ranks; results match
+ * pgvector's `1 - (a <=> b)` similarity.
+ * @returns {{ size: Function, upsert: Function, get: Function, query: Function }} Vector store
+ */
+export function createMemoryVectorStore() {
+  const entries = new Map();
+
+  /**
+   * Add or replace vectors
+   * @param {Array<{ id: string, vector: Array<number>, metadata?: Object }>} items - Vectors to store
+   */
+  function upsert(items) {
+    for (const { id, vector, metadata = {} } of items) {
+      entries.set(id, { id, vector, metadata });
+    }
+  }
+
+  /**
+   * Nearest vectors to a query vector, most similar first
+   * @param {Array<number>} vector - Query vector
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Maximum number of results (default: all)
+   * @param {Function} [options.filter] - Only consider entries it returns true for
+   * @returns {Array<{ id: string, similarity: number, metadata: Object }>} Matches
+   */
+  function query(vector, { limit = Infinity, filter = () => true } = {}) {
+    return [...entries.values()]
+      .filter(filter)
+      .map(entry => ({ id: entry.id, similarity: cosineSimilarity(vector, entry.vector), metadata: entry.metadata }))
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, limit);
+  }
+
+  return {
+    size: () => entries.size,
+    upsert,
+    get: id => entries.get(id) ?? null,
+    query
+  };
+}
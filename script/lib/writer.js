@@ -0,0 +1,163 @@
+import { hashText } from './text.js';
+
+/**
+ * Upsert embeddings with the metadata needed to detect stale vectors:
+ * model, dimension and a hash of the embedded text
+ * @param {Object} supabase - Supabase client
+ * @param {Object} options
+ * @param {string} options.embeddingsTable - Embeddings table, e.g. 'company_embeddings'
+ * @param {string} options.foreignKey - Column referencing the entity id, e.g. 'company_id'
+ * @param {Array<{ id: (number|string), text: string, vector: Array<number> }>} options.items - Embeddings to store
+ * @param {string} options.model - Embedding model that produced the vectors
+ * @param {number} [options.batchSize] - Rows per request
+ * @returns {Promise<number>} Number of embeddings stored
+ */
+export async function upsertEmbeddings(supabase, { embeddingsTable, foreignKey, items, model, batchSize = 50 }) {
+  console.log(`  📦 Upserting embeddings into '${embeddingsTable}' table...`);
+
+  const embeddingData = items.map(item => ({
+    [foreignKey]: item.id,
+    embeddings: item.vector,
+    model,
+    dimension: item.vector.length,
+    text_hash: hashText(item.text)
+  }));
+
+  for (let i = 0; i < embeddingData.length; i += batchSize) {
+    const batch = embeddingData.slice(i, i + batchSize);
+    console.log(`  📦 Upserting embedding batch ${Math.floor(i / batchSize) + 1}...`);
+
+    const { error } = await supabase
+      .from(embeddingsTable)
+      .upsert(batch, {
+        onConflict: foreignKey,
+        ignoreDuplicates: false
+      });
+
+    if (error) {
+      console.error(`❌ Error upserting embeddings:`, error);
+      throw error;
+    }
+  }
+
+  return embeddingData.length;
+}
+
+/**
+ * Upsert named vectors (see the text template's "vectors"), one row per
+ * entity and vector name
+ * @param {Object} supabase - Supabase client
+ * @param {Object} options
+ * @param {string} options.vectorsTable - Named vectors table, e.g. 'company_embedding_vectors'
+ * @param {string} options.foreignKey - Column referencing the entity id, e.g. 'company_id'
+ * @param {Array<{ id: (number|string), name: string, text: string, vector: Array<number> }>} options.items - Vectors to store
+ * @param {string} options.model - Embedding model that produced the vectors
+ * @param {number} [options.batchSize] - Rows per request
+ * @returns {Promise<number>} Number of vectors stored
+ */
+export async function upsertNamedEmbeddings(supabase, { vectorsTable, foreignKey, items, model, batchSize = 50 }) {
+  console.log(`  📦 Upserting named vectors into '${vectorsTable}' table...`);
+
+  const vectorData = items.map(item => ({
+    [foreignKey]: item.id,
+    name: item.name,
+    embeddings: item.vector,
+    model,
+    dimension: item.vector.length,
+    text_hash: hashText(item.text),
+    updated_at: new Date().toISOString()
+  }));
+
+  for (let i = 0; i < vectorData.length; i += batchSize) {
+    const batch = vectorData.slice(i, i + batchSize);
+
+    const { error } = await supabase
+      .from(vectorsTable)
+      .upsert(batch, {
+        onConflict: `${foreignKey},name`,
+        ignoreDuplicates: false
+      });
+
+    if (error) {
+      console.error(`❌ Error upserting named vectors:`, error);
+      throw error;
+    }
+  }
+
+  return vectorData.length;
+}
+
+/**
+ * Upsert entity rows and their embeddings in batches
+ * @param {Object} supabase - Supabase client
+ * @param {Object} options
+ * @param {string} options.table - Entity table, e.g. 'company'
+ * @param {string} options.keyColumn - Natural key with a unique constraint, e.g. 'business_id'
+ * @param {string} options.embeddingsTable - Embeddings table, e.g. 'company_embeddings'
+ * @param {string} options.foreignKey - Embeddings column referencing the entity id, e.g. 'company_id'
+ * @param {Array<Object>} options.rows - Entity rows to upsert
+ * @param {Array<string>} options.texts - Text each vector was generated from, in the same order
+ * @param {Array<Array<number>>} options.vectors - One vector per row, in the same order
+ * @param {string} options.model - Embedding model that produced the vectors
+ * @param {number} [options.batchSize] - Rows per request
+ * @param {string} [options.label] - What is being stored, for logging
+ * @returns {Promise<number>} Number of embeddings stored
+ */
+export async function upsertWithEmbeddings(supabase, {
+  table,
+  keyColumn,
+  embeddingsTable,
+  foreignKey,
+  rows,
+  texts,
+  vectors,
+  model,
+  batchSize = 50,
+  label = 'rows'
+}) {
+  console.log(`💾 Storing ${rows.length} ${label} in Supabase...`);
+
+  try {
+    // Step 1: Upsert entities and collect their ids
+    console.log(`  📦 Upserting ${label} into '${table}' table...`);
+
+    const keyToId = {};
+    for (let i = 0; i < rows.length; i += batchSize) {
+      const batch = rows.slice(i, i + batchSize);
+
+      const { data, error } = await supabase
+        .from(table)
+        .upsert(batch, {
+          onConflict: keyColumn,
+          ignoreDuplicates: false
+        })
+        .select(`id, ${keyColumn}`);
+
+      if (error) {
+        console.error(`❌ Error upserting ${label} (batch ${Math.floor(i / batchSize) + 1}):`, error);
+        throw error;
+      }
+
+      data.forEach(record => {
+        keyToId[record[keyColumn]] = record.id;
+      });
+    }
+
+    console.log(`  ✅ Upserted ${Object.keys(keyToId).length} ${label}`);
+
+    // Step 2: Upsert embeddings for every entity we have an id for
+    const items = rows.map((row, index) => ({
+      id: keyToId[row[keyColumn]],
+      text: texts[index],
+      vector: vectors[index]
+    })).filter(item => item.id);
+
+    const stored = await upsertEmbeddings(supabase, { embeddingsTable, foreignKey, items, model, batchSize });
+
+    console.log(`✅ Successfully stored ${stored} ${label} with embeddings in Supabase`);
+    return stored;
+  } catch (error) {
+    console.error(`❌ Error storing ${label} in Supabase:`, error.message);
+    throw error;
+  }
+}
@@ -0,0 +1,43 @@
+-- Company and investor tables with their embeddings, as originally set up by hand.
+-- Uses IF NOT EXISTS so databases created before migrations can be brought under them.
+
+CREATE EXTENSION IF NOT EXISTS vector;
+
+CREATE TABLE IF NOT EXISTS company (
+  id BIGSERIAL PRIMARY KEY,
+  business_id TEXT UNIQUE NOT NULL,
+  name TEXT NOT NULL,
+  details JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS company_embeddings (
+  id BIGSERIAL PRIMARY KEY,
+  company_id BIGINT REFERENCES company(id) ON DELETE CASCADE,
+  embeddings VECTOR(1024),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS investor (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  investor_id VARCHAR UNIQUE NOT NULL,
+  details JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS investor_embeddings (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  investor_id UUID REFERENCES investor(id) ON DELETE CASCADE UNIQUE,
+  embeddings VECTOR(1024),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_company_business_id ON company(business_id);
+CREATE INDEX IF NOT EXISTS idx_company_embeddings_company_id ON company_embeddings(company_id);
+CREATE INDEX IF NOT EXISTS idx_company_embeddings_vector ON company_embeddings USING hnsw (embeddings vector_cosine_ops);
+
+CREATE INDEX IF NOT EXISTS idx_investor_investor_id ON investor(investor_id);
+CREATE INDEX IF NOT EXISTS idx_investor_embeddings_investor_id ON investor_embeddings(investor_id);
+CREATE INDEX IF NOT EXISTS idx_investor_embeddings_vector ON investor_embeddings USING hnsw (embeddings vector_cosine_ops);
@@ -0,0 +1,30 @@
+-- Record which model produced each vector, its dimension and a hash of the embedded text,
+-- and make company embeddings one per company (the pipelines upsert on company_id).
+
+ALTER TABLE company_embeddings
+  ADD COLUMN IF NOT EXISTS model TEXT,
+  ADD COLUMN IF NOT EXISTS dimension INT,
+  ADD COLUMN IF NOT EXISTS text_hash TEXT;
+
+ALTER TABLE investor_embeddings
+  ADD COLUMN IF NOT EXISTS model TEXT,
+  ADD COLUMN IF NOT EXISTS dimension INT,
+  ADD COLUMN IF NOT EXISTS text_hash TEXT;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conrelid = 'company_embeddings'::regclass AND contype = 'u'
+      AND conkey = ARRAY[(SELECT attnum FROM pg_attribute
+        WHERE attrelid = 'company_embeddings'::regclass AND attname = 'company_id')]
+  ) THEN
+    -- Keep the newest embedding of companies that have several
+    DELETE FROM company_embeddings a
+    USING company_embeddings b
+    WHERE a.company_id = b.company_id AND a.id < b.id;
+
+    ALTER TABLE company_embeddings
+      ADD CONSTRAINT company_embeddings_company_id_key UNIQUE (company_id);
+  END IF;
+END $$;
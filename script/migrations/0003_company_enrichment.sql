@@ -0,0 +1,15 @@
+-- User-supplied company data, kept apart from PRH-sourced company.details
+
+CREATE TABLE IF NOT EXISTS company_enrichment (
+  id BIGSERIAL PRIMARY KEY,
+  company_id BIGINT REFERENCES company(id) ON DELETE CASCADE UNIQUE,
+  funding_round TEXT,
+  funding_amount_eur NUMERIC,
+  funding_purpose TEXT,
+  valuation_eur NUMERIC,
+  size_class TEXT CHECK (size_class IN ('micro', 'small', 'medium', 'large')),
+  hierarchy TEXT CHECK (hierarchy IN ('independent', 'parent', 'subsidiary')),
+  parent_business_id TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
@@ -0,0 +1,23 @@
+-- Pitch refinement sessions and their turns
+
+CREATE TABLE IF NOT EXISTS pitch_sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_id BIGINT REFERENCES company(id) ON DELETE CASCADE NOT NULL,
+  investor_id UUID REFERENCES investor(id) ON DELETE CASCADE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS pitch_messages (
+  id BIGSERIAL PRIMARY KEY,
+  session_id UUID REFERENCES pitch_sessions(id) ON DELETE CASCADE NOT NULL,
+  role TEXT NOT NULL CHECK (role IN ('user', 'assistant')),
+  content TEXT NOT NULL,
+  version INT,
+  reverted_from INT,
+  model TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (session_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_pitch_sessions_company_investor ON pitch_sessions(company_id, investor_id);
+CREATE INDEX IF NOT EXISTS idx_pitch_messages_session_id ON pitch_messages(session_id);
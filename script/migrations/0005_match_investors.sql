@@ -0,0 +1,31 @@
+-- Investor matching runs inside Postgres. Only investor embeddings from the
+-- query's model are compared.
+
+DROP FUNCTION IF EXISTS match_investors(VECTOR, INT, TEXT[], TEXT[], TEXT);
+
+CREATE OR REPLACE FUNCTION match_investors(
+  query_embedding VECTOR(1024),
+  match_count INT DEFAULT 10,
+  filter_geo_focus TEXT[] DEFAULT NULL,
+  filter_preferred_rounds TEXT[] DEFAULT NULL,
+  filter_active_status TEXT DEFAULT NULL,
+  filter_model TEXT DEFAULT NULL
+)
+RETURNS TABLE (investor_id VARCHAR, details JSONB, similarity FLOAT)
+LANGUAGE sql STABLE
+AS $$
+  SELECT i.investor_id, i.details, 1 - (e.embeddings <=> query_embedding) AS similarity
+  FROM investor_embeddings e
+  JOIN investor i ON i.id = e.investor_id
+  WHERE (filter_geo_focus IS NULL OR EXISTS (
+      SELECT 1 FROM jsonb_array_elements_text(i.details->'geo_focus') g
+      WHERE lower(g) IN (SELECT lower(f) FROM unnest(filter_geo_focus) f)))
+    AND (filter_preferred_rounds IS NULL OR EXISTS (
+      SELECT 1 FROM jsonb_array_elements_text(i.details->'preferred_rounds') r
+      WHERE lower(r) IN (SELECT lower(f) FROM unnest(filter_preferred_rounds) f)))
+    AND (filter_active_status IS NULL
+      OR lower(i.details->>'active_status') = lower(filter_active_status))
+    AND (filter_model IS NULL OR e.model = filter_model)
+  ORDER BY e.embeddings <=> query_embedding
+  LIMIT match_count;
+$$;
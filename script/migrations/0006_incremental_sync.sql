@@ -0,0 +1,9 @@
+-- Incremental PRH sync: when each company last changed in PRH, and per-municipality high-water marks
+
+ALTER TABLE company ADD COLUMN IF NOT EXISTS prh_last_modified TIMESTAMP WITH TIME ZONE;
+
+CREATE TABLE IF NOT EXISTS sync_state (
+  key TEXT PRIMARY KEY,
+  value JSONB NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
@@ -0,0 +1,18 @@
+-- Pipeline runs, for resuming and auditing data freshness
+
+CREATE TABLE IF NOT EXISTS pipeline_runs (
+  id UUID PRIMARY KEY,
+  pipeline TEXT NOT NULL,
+  status TEXT NOT NULL CHECK (status IN ('running', 'succeeded', 'failed')),
+  options JSONB,
+  step TEXT,
+  counts JSONB,
+  durations JSONB,
+  error TEXT,
+  resumes INT DEFAULT 0,
+  started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  finished_at TIMESTAMP WITH TIME ZONE,
+  duration_ms BIGINT
+);
+
+CREATE INDEX IF NOT EXISTS idx_pipeline_runs_pipeline_started ON pipeline_runs(pipeline, started_at DESC);
@@ -0,0 +1,42 @@
+-- Public funding instruments (Business Finland, ELY-Centres, Finnvera, ...),
+-- matched against companies like investors. Eligibility rules live in details.
+
+CREATE TABLE IF NOT EXISTS funding_instrument (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  instrument_id VARCHAR UNIQUE NOT NULL,
+  details JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS funding_instrument_embeddings (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  instrument_id UUID REFERENCES funding_instrument(id) ON DELETE CASCADE UNIQUE,
+  embeddings VECTOR(1024),
+  model TEXT,
+  dimension INT,
+  text_hash TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_funding_instrument_embeddings_vector
+  ON funding_instrument_embeddings USING hnsw (embeddings vector_cosine_ops);
+
+-- Candidates by similarity; eligibility is checked by the API, which knows the company
+CREATE OR REPLACE FUNCTION match_funding_instruments(
+  query_embedding VECTOR(1024),
+  match_count INT DEFAULT 10,
+  filter_model TEXT DEFAULT NULL
+)
+RETURNS TABLE (instrument_id VARCHAR, details JSONB, similarity FLOAT)
+LANGUAGE sql STABLE
+AS $$
+  SELECT f.instrument_id, f.details, 1 - (e.embeddings <=> query_embedding) AS similarity
+  FROM funding_instrument_embeddings e
+  JOIN funding_instrument f ON f.id = e.instrument_id
+  WHERE lower(coalesce(f.details->>'active_status', 'active')) = 'active'
+    AND (filter_model IS NULL OR e.model = filter_model)
+  ORDER BY e.embeddings <=> query_embedding
+  LIMIT match_count;
+$$;
@@ -0,0 +1,39 @@
+-- Company-to-company similarity search for GET /companies/:businessId/similar.
+-- Filters read the PRH-sourced company.details: the most specific TOL code
+-- (or the section letter), the registration year and the municipality at
+-- the end of the address ("Linnankatu 1, 20100 Turku").
+
+CREATE OR REPLACE FUNCTION match_companies(
+  query_embedding VECTOR(1024),
+  match_count INT DEFAULT 10,
+  exclude_business_id TEXT DEFAULT NULL,
+  filter_industry_prefix TEXT DEFAULT NULL,
+  filter_registration_year INT DEFAULT NULL,
+  filter_municipality TEXT DEFAULT NULL,
+  filter_model TEXT DEFAULT NULL
+)
+RETURNS TABLE (business_id TEXT, name TEXT, details JSONB, similarity FLOAT)
+LANGUAGE sql STABLE
+AS $$
+  SELECT c.business_id, c.name, c.details, 1 - (e.embeddings <=> query_embedding) AS similarity
+  FROM company_embeddings e
+  JOIN company c ON c.id = e.company_id
+  WHERE (exclude_business_id IS NULL OR c.business_id <> exclude_business_id)
+    AND (filter_industry_prefix IS NULL OR (
+      CASE WHEN filter_industry_prefix ~ '^[A-Za-z]$'
+        THEN upper(c.details->'industry'->'section'->>'code') = upper(filter_industry_prefix)
+        ELSE coalesce(
+          c.details->'industry'->'subclass'->>'code',
+          c.details->'industry'->'class'->>'code',
+          c.details->'industry'->'group'->>'code',
+          c.details->'industry'->'division'->>'code'
+        ) LIKE filter_industry_prefix || '%'
+      END))
+    AND (filter_registration_year IS NULL
+      OR substring(c.details->>'registrationDate' FROM '^\d{4}')::INT = filter_registration_year)
+    AND (filter_municipality IS NULL
+      OR lower(trim(substring(c.details->>'address' FROM '\d{5}\s+(.+)$'))) = lower(trim(filter_municipality)))
+    AND (filter_model IS NULL OR e.model = filter_model)
+  ORDER BY e.embeddings <=> query_embedding
+  LIMIT match_count;
+$$;
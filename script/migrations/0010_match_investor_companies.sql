@@ -0,0 +1,24 @@
+-- Reverse matching for GET /investors/:investorId/matches: companies nearest
+-- to an investor's query embedding, with their enrichment so the API can
+-- justify stage and check-size fit.
+
+CREATE OR REPLACE FUNCTION match_investor_companies(
+  query_embedding VECTOR(1024),
+  match_count INT DEFAULT 50,
+  filter_model TEXT DEFAULT NULL
+)
+RETURNS TABLE (
+  id BIGINT, business_id TEXT, name TEXT, details JSONB,
+  company_enrichment JSONB, similarity FLOAT
+)
+LANGUAGE sql STABLE
+AS $$
+  SELECT c.id, c.business_id, c.name, c.details, to_jsonb(ce) AS company_enrichment,
+    1 - (e.embeddings <=> query_embedding) AS similarity
+  FROM company_embeddings e
+  JOIN company c ON c.id = e.company_id
+  LEFT JOIN company_enrichment ce ON ce.company_id = c.id
+  WHERE filter_model IS NULL OR e.model = filter_model
+  ORDER BY e.embeddings <=> query_embedding
+  LIMIT match_count;
+$$;
@@ -0,0 +1,35 @@
+-- Optional extra vectors per company and investor, one per vector a text
+-- template defines (e.g. "business" for what they do, "funding" for stage
+-- and funding). The main vector stays in company_embeddings and
+-- investor_embeddings and is what matching uses.
+
+CREATE TABLE IF NOT EXISTS company_embedding_vectors (
+  id BIGSERIAL PRIMARY KEY,
+  company_id BIGINT NOT NULL REFERENCES company(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  embeddings VECTOR(1024),
+  model TEXT,
+  dimension INT,
+  text_hash TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (company_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS investor_embedding_vectors (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  investor_id UUID NOT NULL REFERENCES investor(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  embeddings VECTOR(1024),
+  model TEXT,
+  dimension INT,
+  text_hash TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (investor_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_company_embedding_vectors_vector
+  ON company_embedding_vectors USING hnsw (embeddings vector_cosine_ops);
+CREATE INDEX IF NOT EXISTS idx_investor_embedding_vectors_vector
+  ON investor_embedding_vectors USING hnsw (embeddings vector_cosine_ops);
@@ -0,0 +1,27 @@
+-- Store a new pitch session together with its first turns, in one
+-- transaction, so a failed insert never leaves a session without version 1.
+-- turns is a JSON array of { role, content, version, reverted_from, model },
+-- stored in array order.
+
+CREATE OR REPLACE FUNCTION create_pitch_session(
+  new_company_id BIGINT,
+  new_investor_id UUID,
+  turns JSONB
+)
+RETURNS SETOF pitch_messages
+LANGUAGE sql
+AS $$
+  WITH session AS (
+    INSERT INTO pitch_sessions (company_id, investor_id)
+    VALUES (new_company_id, new_investor_id)
+    RETURNING id
+  )
+  INSERT INTO pitch_messages (session_id, role, content, version, reverted_from, model)
+  SELECT session.id, turn.role, turn.content, turn.version, turn.reverted_from, turn.model
+  FROM session,
+    ROWS FROM (
+      jsonb_to_recordset(turns) AS (role TEXT, content TEXT, version INT, reverted_from INT, model TEXT)
+    ) WITH ORDINALITY AS turn(role, content, version, reverted_from, model, position)
+  ORDER BY turn.position
+  RETURNING *;
+$$;
@@ -0,0 +1,140 @@
+-- Filtered nearest-neighbour search. The match functions filter rows (model,
+-- industry, registration year, municipality, geography, round, status) in
+-- the same query that orders by distance, and an HNSW index scan only
+-- returns the hnsw.ef_search (default 40) nearest vectors before the filters
+-- run. A selective filter could leave fewer than match_count rows, or none,
+-- although matching rows existed.
+--
+-- With hnsw.iterative_scan (pgvector 0.8 or later) the scan continues past
+-- ef_search until match_count rows pass the filters, or until it has visited
+-- hnsw.max_scan_tuples (default 20000) vectors. relaxed_order lets the scan
+-- return rows slightly out of distance order, so each function re-sorts the
+-- rows it found. The result is still approximate: on very large tables a
+-- filter that only a few distant rows pass can return fewer rows than asked
+-- for. Raise hnsw.max_scan_tuples for the API role if that matters more than
+-- latency.
+
+CREATE OR REPLACE FUNCTION match_investors(
+  query_embedding VECTOR(1024),
+  match_count INT DEFAULT 10,
+  filter_geo_focus TEXT[] DEFAULT NULL,
+  filter_preferred_rounds TEXT[] DEFAULT NULL,
+  filter_active_status TEXT DEFAULT NULL,
+  filter_model TEXT DEFAULT NULL
+)
+RETURNS TABLE (investor_id VARCHAR, details JSONB, similarity FLOAT)
+LANGUAGE sql STABLE
+SET hnsw.iterative_scan = relaxed_order
+AS $$
+  WITH nearest AS MATERIALIZED (
+    SELECT i.investor_id, i.details, e.embeddings <=> query_embedding AS distance
+    FROM investor_embeddings e
+    JOIN investor i ON i.id = e.investor_id
+    WHERE (filter_geo_focus IS NULL OR EXISTS (
+        SELECT 1 FROM jsonb_array_elements_text(i.details->'geo_focus') g
+        WHERE lower(g) IN (SELECT lower(f) FROM unnest(filter_geo_focus) f)))
+      AND (filter_preferred_rounds IS NULL OR EXISTS (
+        SELECT 1 FROM jsonb_array_elements_text(i.details->'preferred_rounds') r
+        WHERE lower(r) IN (SELECT lower(f) FROM unnest(filter_preferred_rounds) f)))
+      AND (filter_active_status IS NULL
+        OR lower(i.details->>'active_status') = lower(filter_active_status))
+      AND (filter_model IS NULL OR e.model = filter_model)
+    ORDER BY distance
+    LIMIT match_count
+  )
+  -- "+ 0" keeps Postgres 17 from trusting the order of the scan
+  SELECT investor_id, details, 1 - distance AS similarity
+  FROM nearest
+  ORDER BY distance + 0;
+$$;
+
+CREATE OR REPLACE FUNCTION match_companies(
+  query_embedding VECTOR(1024),
+  match_count INT DEFAULT 10,
+  exclude_business_id TEXT DEFAULT NULL,
+  filter_industry_prefix TEXT DEFAULT NULL,
+  filter_registration_year INT DEFAULT NULL,
+  filter_municipality TEXT DEFAULT NULL,
+  filter_model TEXT DEFAULT NULL
+)
+RETURNS TABLE (business_id TEXT, name TEXT, details JSONB, similarity FLOAT)
+LANGUAGE sql STABLE
+SET hnsw.iterative_scan = relaxed_order
+AS $$
+  WITH nearest AS MATERIALIZED (
+    SELECT c.business_id, c.name, c.details, e.embeddings <=> query_embedding AS distance
+    FROM company_embeddings e
+    JOIN company c ON c.id = e.company_id
+    WHERE (exclude_business_id IS NULL OR c.business_id <> exclude_business_id)
+      AND (filter_industry_prefix IS NULL OR (
+        CASE WHEN filter_industry_prefix ~ '^[A-Za-z]$'
+          THEN upper(c.details->'industry'->'section'->>'code') = upper(filter_industry_prefix)
+          ELSE coalesce(
+            c.details->'industry'->'subclass'->>'code',
+            c.details->'industry'->'class'->>'code',
+            c.details->'industry'->'group'->>'code',
+            c.details->'industry'->'division'->>'code'
+          ) LIKE filter_industry_prefix || '%'
+        END))
+      AND (filter_registration_year IS NULL
+        OR substring(c.details->>'registrationDate' FROM '^\d{4}')::INT = filter_registration_year)
+      AND (filter_municipality IS NULL
+        OR lower(trim(substring(c.details->>'address' FROM '\d{5}\s+(.+)$'))) = lower(trim(filter_municipality)))
+      AND (filter_model IS NULL OR e.model = filter_model)
+    ORDER BY distance
+    LIMIT match_count
+  )
+  SELECT business_id, name, details, 1 - distance AS similarity
+  FROM nearest
+  ORDER BY distance + 0;
+$$;
+
+CREATE OR REPLACE FUNCTION match_investor_companies(
+  query_embedding VECTOR(1024),
+  match_count INT DEFAULT 50,
+  filter_model TEXT DEFAULT NULL
+)
+RETURNS TABLE (
+  id BIGINT, business_id TEXT, name TEXT, details JSONB,
+  company_enrichment JSONB, similarity FLOAT
+)
+LANGUAGE sql STABLE
+SET hnsw.iterative_scan = relaxed_order
+AS $$
+  WITH nearest AS MATERIALIZED (
+    SELECT c.id, c.business_id, c.name, c.details, to_jsonb(ce) AS company_enrichment,
+      e.embeddings <=> query_embedding AS distance
+    FROM company_embeddings e
+    JOIN company c ON c.id = e.company_id
+    LEFT JOIN company_enrichment ce ON ce.company_id = c.id
+    WHERE filter_model IS NULL OR e.model = filter_model
+    ORDER BY distance
+    LIMIT match_count
+  )
+  SELECT id, business_id, name, details, company_enrichment, 1 - distance AS similarity
+  FROM nearest
+  ORDER BY distance + 0;
+$$;
+
+CREATE OR REPLACE FUNCTION match_funding_instruments(
+  query_embedding VECTOR(1024),
+  match_count INT DEFAULT 10,
+  filter_model TEXT DEFAULT NULL
+)
+RETURNS TABLE (instrument_id VARCHAR, details JSONB, similarity FLOAT)
+LANGUAGE sql STABLE
+SET hnsw.iterative_scan = relaxed_order
+AS $$
+  WITH nearest AS MATERIALIZED (
+    SELECT f.instrument_id, f.details, e.embeddings <=> query_embedding AS distance
+    FROM funding_instrument_embeddings e
+    JOIN funding_instrument f ON f.id = e.instrument_id
+    WHERE lower(coalesce(f.details->>'active_status', 'active')) = 'active'
+      AND (filter_model IS NULL OR e.model = filter_model)
+    ORDER BY distance
+    LIMIT match_count
+  )
+  SELECT instrument_id, details, 1 - distance AS similarity
+  FROM nearest
+  ORDER BY distance + 0;
+$$;
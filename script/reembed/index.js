@@ -0,0 +1,55 @@
+import {
+  loadConfig,
+  requireConfig,
+  getSupabaseClient,
+  createConfiguredEmbedder,
+  REEMBED_TARGETS,
+  reembedTarget
+} from '../lib/index.js';
+
+const config = loadConfig();
+
+/**
+ * Main function
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const which = args.find(arg => !arg.startsWith('--'))?.toLowerCase() || 'all';
+  const names = which === 'all' ? Object.keys(REEMBED_TARGETS) : [which];
+
+  if (names.some(name => !REEMBED_TARGETS[name])) {
+    console.error(`❌ Unknown target "${which}". Use company, investor, funding or all.`);
+    process.exit(1);
+  }
+
+  console.log(`🚀 Starting re-embed${dryRun ? ' (dry run)' : ''}...`);
+  console.log(`📝 Text template: ${config.textTemplate}`);
+
+  try {
+    requireConfig(config, ['storage']);
+    if (!dryRun) requireConfig(config, ['embeddings']);
+
+    const embedder = createConfiguredEmbedder(config);
+
+    for (const name of names) {
+      const stats = await reembedTarget(getSupabaseClient(config), name, embedder, { dryRun, batchSize: config.batchSize });
+      const reasons = Object.entries(stats.reasons).map(([reason, count]) => `${reason}: ${count}`).join(', ');
+
+      console.log(`\n📊 ${name}:`);
+      console.log(`   - Rows scanned: ${stats.scanned}`);
+      console.log(`   - Stale: ${stats.stale}${reasons ? ` (${reasons})` : ''}`);
+      console.log(`   - Re-embedded: ${stats.reembedded}`);
+      if (stats.vectors.stale > 0) {
+        console.log(`   - Named vectors stale: ${stats.vectors.stale}, re-embedded: ${stats.vectors.reembedded}`);
+      }
+    }
+
+    console.log('\n✨ Re-embed finished! ✨\n');
+  } catch (error) {
+    console.error('\n💥 Re-embed failed:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
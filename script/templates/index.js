@@ -0,0 +1,301 @@
+import { mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import {
+  loadConfig,
+  requireConfig,
+  createConfiguredEmbedder,
+  createCompanyText,
+  createCompanyVectorTexts,
+  createInvestorText,
+  createInvestorVectorTexts,
+  listTextTemplates,
+  loadTextTemplate,
+  loadLabelledPairs,
+  cosineSimilarity,
+  firstRelevantRank,
+  summarizeRankings
+} from '../lib/index.js';
+
+const config = loadConfig();
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const INVESTORS_PATH = join(__dirname, '../investors.json');
+const DEFAULT_PAIRS_PATH = join(__dirname, '../evaluation/labelled-pairs.json');
+const DEFAULT_K = 5;
+
+/**
+ * Value of a --name=value argument
+ * @param {Array<string>} args - Command line arguments
+ * @param {string} name - Argument name without dashes
+ * @returns {string|undefined} Value
+ */
+function getArg(args, name) {
+  const prefix = `--${name}=`;
+  return args.find(arg => arg.startsWith(prefix))?.slice(prefix.length);
+}
+
+/**
+ * Print the available templates
+ */
+function listTemplates() {
+  console.log('📝 Text templates (set TEXT_TEMPLATE to a name or a path to a JSON file):\n');
+  for (const name of listTextTemplates()) {
+    const template = loadTextTemplate(name);
+    const vectors = [...new Set([
+      ...Object.keys(template.company.vectors),
+      ...Object.keys(template.investor.vectors)
+    ])];
+    const marker = name === config.textTemplate ? ' (current)' : '';
+    console.log(`  - ${name}${marker}: ${template.description}`);
+    console.log(`      company fields: ${template.company.fields.map(field => field.field).join(', ')}`);
+    console.log(`      investor fields: ${template.investor.fields.map(field => field.field).join(', ')}`);
+    if (vectors.length > 0) console.log(`      named vectors: ${vectors.join(', ')}`);
+  }
+}
+
+/**
+ * Print the texts a template produces for the first labelled company and
+ * the first investor, without embedding anything
+ * @param {string} name - Template name or path
+ * @param {string} pairsPath - Labelled pairs file
+ */
+function showTemplate(name, pairsPath) {
+  const template = loadTextTemplate(name);
+  const [{ company }] = loadLabelledPairs(pairsPath);
+  const [investor] = JSON.parse(readFileSync(INVESTORS_PATH, 'utf-8'));
+
+  console.log(`📝 Template '${template.name}': ${template.description}\n`);
+  console.log(`🏢 ${company.name}:\n${createCompanyText(company, template)}\n`);
+  for (const [vector, text] of Object.entries(createCompanyVectorTexts(company, template))) {
+    console.log(`   [${vector}] ${text}`);
+  }
+  console.log(`\n🎯 ${investor.id}:\n${createInvestorText(investor, template)}\n`);
+  for (const [vector, text] of Object.entries(createInvestorVectorTexts(investor, template))) {
+    console.log(`   [${vector}] ${text}`);
+  }
+}
+
+/**
+ * Embed texts once per process: templates share many texts (the investor
+ * text rarely changes between them), and Voyage quota is scarce
+ * @param {Object} embedder - Embedder from createConfiguredEmbedder
+ * @returns {Function} async (texts, label) => vectors, in the same order
+ */
+function createCachedEmbedder(embedder) {
+  const cache = new Map();
+
+  return async (texts, label) => {
+    const missing = [...new Set(texts.filter(text => text && !cache.has(text)))];
+    if (missing.length > 0) {
+      const vectors = await embedder.embed(missing, label);
+      missing.forEach((text, index) => cache.set(text, vectors[index]));
+    }
+    return texts.map(text => cache.get(text) ?? null);
+  };
+}
+
+/**
+ * Embed the main and named vectors of records with one template
+ * @param {Function} embed - Cached embedder
+ * @param {Array<string>} texts - Main texts
+ * @param {Array<Object<string, string>>} vectorTexts - Named vector texts per record
+ * @param {string} label - What is being embedded, for logging
+ * @returns {Promise<Array<{ main: Array<number>, vectors: Object<string, Array<number>> }>>} Vectors per record
+ */
+async function embedRecords(embed, texts, vectorTexts, label) {
+  const main = await embed(texts, label);
+  const names = [...new Set(vectorTexts.flatMap(Object.keys))];
+
+  const vectors = texts.map(() => ({}));
+  for (const name of names) {
+    const embedded = await embed(vectorTexts.map(record => record[name] || ''), `${label} (${name})`);
+    embedded.forEach((vector, index) => {
+      if (vector) vectors[index][name] = vector;
+    });
+  }
+
+  return main.map((vector, index) => ({ main: vector, vectors: vectors[index] }));
+}
+
+/**
+ * Score of an investor for a company with the named vectors both have,
+ * weighted by the company template's vector weights; the main vector has
+ * weight 1
+ * @param {Object} company - Company vectors from embedRecords
+ * @param {Object} investor - Investor vectors from embedRecords
+ * @param {Object} vectorWeights - Weight per company vector name
+ * @returns {number} Weighted cosine similarity
+ */
+function combinedScore(company, investor, vectorWeights) {
+  let score = cosineSimilarity(company.main, investor.main);
+  let weights = 1;
+
+  for (const [name, weight] of Object.entries(vectorWeights)) {
+    if (!company.vectors[name] || !investor.vectors[name]) continue;
+    score += weight * cosineSimilarity(company.vectors[name], investor.vectors[name]);
+    weights += weight;
+  }
+
+  return score / weights;
+}
+
+/**
+ * Rank every investor for every labelled company with one template
+ * @param {Object} template - Template from loadTextTemplate
+ * @param {Array<Object>} pairs - Labelled pairs
+ * @param {Array<Object>} investors - Investors from investors.json
+ * @param {Object} embedders - Cached { documents, queries } embedders
+ * @returns {Promise<Object>} Rankings by the main vector and, if the template has shared named vectors, combined
+ */
+async function rankWithTemplate(template, pairs, investors, { documents, queries }) {
+  console.log(`\n📝 Template '${template.name}'`);
+
+  const investorVectors = await embedRecords(
+    documents,
+    investors.map(investor => createInvestorText(investor, template)),
+    investors.map(investor => createInvestorVectorTexts(investor, template)),
+    'investors'
+  );
+  // Companies are the query side, as in POST /match
+  const companyVectors = await embedRecords(
+    queries,
+    pairs.map(pair => createCompanyText(pair.company, template)),
+    pairs.map(pair => createCompanyVectorTexts(pair.company, template)),
+    'companies'
+  );
+
+  const vectorWeights = Object.fromEntries(
+    Object.entries(template.company.vectors)
+      .filter(([name]) => template.investor.vectors[name])
+      .map(([name, vector]) => [name, vector.weight])
+  );
+  const rank = score => investors
+    .map((investor, index) => ({ id: investor.id, score: score(investorVectors[index]) }))
+    .sort((a, b) => b.score - a.score)
+    .map(item => item.id);
+
+  const main = [];
+  const combined = [];
+  pairs.forEach((pair, index) => {
+    const company = companyVectors[index];
+    main.push({ ranking: rank(investor => cosineSimilarity(company.main, investor.main)), relevant: pair.investorIds });
+    combined.push({ ranking: rank(investor => combinedScore(company, investor, vectorWeights)), relevant: pair.investorIds });
+  });
+
+  return { main, combined: Object.keys(vectorWeights).length > 0 ? combined : null };
+}
+
+/**
+ * Format a metric for the results table
+ * @param {number} value - Metric in [0, 1]
+ * @returns {string} Value with three decimals
+ */
+function formatMetric(value) {
+  return value.toFixed(3);
+}
+
+/**
+ * Compare templates on a labelled set of company–investor pairs: embed
+ * companies and investors with each template, rank all investors for each
+ * company by cosine similarity and report hit rate at k and MRR
+ * @param {Array<string>} names - Templates to compare
+ * @param {Object} options
+ * @param {string} options.pairsPath - Labelled pairs file
+ * @param {number} options.k - Cut-off for the hit rate
+ * @param {string} [options.out] - Where to write the JSON report
+ */
+async function compareTemplates(names, { pairsPath, k, out }) {
+  requireConfig(config, ['embeddings']);
+
+  const templates = names.map(name => loadTextTemplate(name));
+  const pairs = loadLabelledPairs(pairsPath);
+  const investors = JSON.parse(readFileSync(INVESTORS_PATH, 'utf-8'));
+
+  const unknown = [...new Set(pairs.flatMap(pair => pair.investorIds))]
+    .filter(id => !investors.some(investor => investor.id === id));
+  if (unknown.length > 0) {
+    console.warn(`⚠️  Labelled investors not in investors.json: ${unknown.join(', ')}`);
+  }
+
+  console.log(`🔬 Comparing ${templates.length} templates on ${pairs.length} labelled companies and ${investors.length} investors`);
+
+  const embedders = {
+    documents: createCachedEmbedder(createConfiguredEmbedder(config)),
+    queries: createCachedEmbedder(createConfiguredEmbedder(config, { inputType: 'query' }))
+  };
+
+  const results = [];
+  for (const template of templates) {
+    const rankings = await rankWithTemplate(template, pairs, investors, embedders);
+    results.push({
+      template: template.name,
+      main: summarizeRankings(rankings.main, k),
+      combined: rankings.combined ? summarizeRankings(rankings.combined, k) : null,
+      ranks: rankings.main.map((result, index) => ({
+        company: pairs[index].company.name,
+        firstRelevantRank: firstRelevantRank(result.ranking, new Set(result.relevant)),
+        combinedFirstRelevantRank: rankings.combined
+          ? firstRelevantRank(rankings.combined[index].ranking, new Set(result.relevant))
+          : null
+      }))
+    });
+  }
+
+  console.log(`\n📊 Results (${config.embedding.model}, k=${k}):\n`);
+  console.log(`   ${'template'.padEnd(20)} ${`hit@${k}`.padStart(7)} ${'MRR'.padStart(7)}   named vectors hit@${k} / MRR`);
+  for (const result of results) {
+    const combined = result.combined
+      ? `${formatMetric(result.combined.hitRate)} / ${formatMetric(result.combined.mrr)}`
+      : '-';
+    console.log(`   ${result.template.padEnd(20)} ${formatMetric(result.main.hitRate).padStart(7)} ${formatMetric(result.main.mrr).padStart(7)}   ${combined}`);
+  }
+
+  console.log('\n🏢 Rank of the first relevant investor per company:\n');
+  pairs.forEach((pair, index) => {
+    const ranks = results.map(result => `${result.template}: ${result.ranks[index].firstRelevantRank ?? '-'}`);
+    console.log(`   ${pair.company.name}: ${ranks.join(', ')}`);
+  });
+
+  if (out) {
+    mkdirSync(dirname(out), { recursive: true });
+    writeFileSync(out, JSON.stringify({
+      comparedAt: new Date().toISOString(),
+      model: config.embedding.model,
+      pairs: pairsPath,
+      k,
+      results
+    }, null, 2));
+    console.log(`\n📝 Wrote comparison report to ${out}`);
+  }
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const command = args.find(arg => !arg.startsWith('--')) || 'list';
+  const pairsPath = getArg(args, 'pairs') || DEFAULT_PAIRS_PATH;
+
+  try {
+    if (command === 'list') {
+      listTemplates();
+    } else if (command === 'show') {
+      showTemplate(getArg(args, 'template') || config.textTemplate, pairsPath);
+    } else if (command === 'compare') {
+      const names = (getArg(args, 'templates') || listTextTemplates().join(','))
+        .split(',').map(name => name.trim()).filter(Boolean);
+      const k = parseInt(getArg(args, 'k')) || DEFAULT_K;
+      await compareTemplates(names, { pairsPath, k, out: getArg(args, 'out') });
+    } else {
+      console.error(`❌ Unknown command "${command}". Use list, show or compare.`);
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error('\n💥 Template command failed:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
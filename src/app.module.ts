@@ -1,9 +1,22 @@
 import { Module } from '@nestjs/common';
+import { ConfigModule } from '@nestjs/config';
 import { AppController } from './app.controller';
 import { AppService } from './app.service';
+import { CompaniesModule } from './companies/companies.module';
+import { InvestorsModule } from './investors/investors.module';
+import { MatchModule } from './match/match.module';
+import { PitchModule } from './pitch/pitch.module';
+import { SupabaseModule } from './supabase/supabase.module';
 
 @Module({
-  imports: [],
+  imports: [
+    ConfigModule.forRoot({ isGlobal: true }),
+    SupabaseModule,
+    CompaniesModule,
+    InvestorsModule,
+    MatchModule,
+    PitchModule,
+  ],
   controllers: [AppController],
   providers: [AppService],
 })
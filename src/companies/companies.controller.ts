@@ -0,0 +1,46 @@
+import { Body, Controller, Get, Param, Patch, Query } from '@nestjs/common';
+import { CompaniesService } from './companies.service';
+import { CompanyEnrichmentService } from './company-enrichment.service';
+import { CompanySimilarityService } from './company-similarity.service';
+import { SearchCompaniesDto } from './dto/search-companies.dto';
+import { SimilarCompaniesDto } from './dto/similar-companies.dto';
+import { UpdateEnrichmentDto } from './dto/update-enrichment.dto';
+import {
+  Company,
+  SimilarCompaniesResult,
+} from './interfaces/company.interface';
+
+@Controller('companies')
+export class CompaniesController {
+  constructor(
+    private readonly companiesService: CompaniesService,
+    private readonly enrichmentService: CompanyEnrichmentService,
+    private readonly similarityService: CompanySimilarityService,
+  ) {}
+
+  @Get()
+  search(@Query() query: SearchCompaniesDto): Promise<Company[]> {
+    return this.companiesService.search(query.q, query.limit);
+  }
+
+  @Get(':businessId')
+  findOne(@Param('businessId') businessId: string): Promise<Company> {
+    return this.companiesService.findByBusinessId(businessId);
+  }
+
+  @Get(':businessId/similar')
+  findSimilar(
+    @Param('businessId') businessId: string,
+    @Query() query: SimilarCompaniesDto,
+  ): Promise<SimilarCompaniesResult> {
+    return this.similarityService.findSimilar(businessId, query);
+  }
+
+  @Patch(':businessId/enrichment')
+  updateEnrichment(
+    @Param('businessId') businessId: string,
+    @Body() update: UpdateEnrichmentDto,
+  ): Promise<Company> {
+    return this.enrichmentService.update(businessId, update);
+  }
+}
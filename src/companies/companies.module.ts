@@ -0,0 +1,19 @@
+import { Module } from '@nestjs/common';
+import { EmbeddingsModule } from '../embeddings/embeddings.module';
+import { PrhModule } from '../prh/prh.module';
+import { CompaniesController } from './companies.controller';
+import { CompaniesService } from './companies.service';
+import { CompanyEnrichmentService } from './company-enrichment.service';
+import { CompanySimilarityService } from './company-similarity.service';
+
+@Module({
+  imports: [PrhModule, EmbeddingsModule],
+  controllers: [CompaniesController],
+  providers: [
+    CompaniesService,
+    CompanyEnrichmentService,
+    CompanySimilarityService,
+  ],
+  exports: [CompaniesService],
+})
+export class CompaniesModule {}
@@ -0,0 +1,208 @@
+import {
+  BadRequestException,
+  Injectable,
+  Logger,
+  NotFoundException,
+} from '@nestjs/common';
+import { PrhService } from '../prh/prh.service';
+import { SupabaseService } from '../supabase/supabase.service';
+import {
+  Company,
+  CompanyDetails,
+  CompanyEnrichment,
+} from './interfaces/company.interface';
+
+// Finnish business ID (Y-tunnus), e.g. 1234567-8
+export const BUSINESS_ID_PATTERN = /^\d{7}-\d$/;
+
+const DEFAULT_SEARCH_LIMIT = 20;
+
+const COMPANY_COLUMNS = 'id, business_id, name, details, company_enrichment(*)';
+
+export interface CompanyEnrichmentRow {
+  company_id: number;
+  funding_round: CompanyEnrichment['fundingRound'] | null;
+  funding_amount_eur: number | null;
+  funding_purpose: string | null;
+  valuation_eur: number | null;
+  size_class: CompanyEnrichment['sizeClass'] | null;
+  hierarchy: CompanyEnrichment['hierarchy'] | null;
+  parent_business_id: string | null;
+  updated_at: string | null;
+}
+
+export interface CompanyRow {
+  id: number;
+  business_id: string;
+  name: string;
+  details: CompanyDetails | null;
+  // One-to-one embed; PostgREST returns an array on older versions
+  company_enrichment?: CompanyEnrichmentRow | CompanyEnrichmentRow[] | null;
+}
+
+@Injectable()
+export class CompaniesService {
+  private readonly logger = new Logger(CompaniesService.name);
+
+  constructor(
+    private readonly supabase: SupabaseService,
+    private readonly prh: PrhService,
+  ) {}
+
+  /**
+   * Find a company by business ID from the `company` table,
+   * falling back to a live PRH lookup when it isn't stored yet.
+   */
+  async findByBusinessId(businessId: string): Promise<Company> {
+    if (!BUSINESS_ID_PATTERN.test(businessId)) {
+      throw new BadRequestException(`Invalid business ID: ${businessId}`);
+    }
+
+    const { data, error } = await this.supabase.client
+      .from('company')
+      .select(COMPANY_COLUMNS)
+      .eq('business_id', businessId)
+      .maybeSingle<CompanyRow>();
+
+    if (error) {
+      this.logger.error(`Error fetching company ${businessId}`, error.message);
+      throw error;
+    }
+
+    if (data) {
+      return toCompany(data);
+    }
+
+    const company = await this.prh.findByBusinessId(businessId);
+    if (!company) {
+      throw new NotFoundException(`Company ${businessId} not found`);
+    }
+    return company;
+  }
+
+  /**
+   * Like findByBusinessId, but inserts a company found only in PRH into
+   * the `company` table so that rows can reference it.
+   */
+  async findOrStore(businessId: string): Promise<Company & { id: number }> {
+    const company = await this.findByBusinessId(businessId);
+    if (company.id !== undefined) {
+      return { ...company, id: company.id };
+    }
+
+    const { data, error } = await this.supabase.client
+      .from('company')
+      .upsert(
+        {
+          business_id: company.businessId,
+          name: company.name,
+          details: company.details,
+        },
+        { onConflict: 'business_id', ignoreDuplicates: false },
+      )
+      .select('id')
+      .single<Pick<CompanyRow, 'id'>>();
+
+    if (error) {
+      this.logger.error(`Error storing company ${businessId}`, error.message);
+      throw error;
+    }
+
+    return { ...company, id: data.id, source: 'database' };
+  }
+
+  /**
+   * Search stored companies by name. A query that is a business ID
+   * is resolved through findByBusinessId instead.
+   */
+  async search(q: string, limit = DEFAULT_SEARCH_LIMIT): Promise<Company[]> {
+    const query = q.trim();
+
+    if (BUSINESS_ID_PATTERN.test(query)) {
+      try {
+        return [await this.findByBusinessId(query)];
+      } catch (error) {
+        if (error instanceof NotFoundException) return [];
+        throw error;
+      }
+    }
+
+    const { data, error } = await this.supabase.client
+      .from('company')
+      .select(COMPANY_COLUMNS)
+      .ilike('name', `%${escapeLike(query)}%`)
+      .order('name')
+      .limit(limit)
+      .overrideTypes<CompanyRow[], { merge: false }>();
+
+    if (error) {
+      this.logger.error(
+        `Error searching companies for "${query}"`,
+        error.message,
+      );
+      throw error;
+    }
+
+    return (data ?? []).map(toCompany);
+  }
+
+  /**
+   * Business IDs of stored companies, oldest first.
+   */
+  async listBusinessIds(limit: number, offset = 0): Promise<string[]> {
+    const { data, error } = await this.supabase.client
+      .from('company')
+      .select('business_id')
+      .order('id')
+      .range(offset, offset + limit - 1)
+      .overrideTypes<Pick<CompanyRow, 'business_id'>[], { merge: false }>();
+
+    if (error) {
+      this.logger.error('Error listing companies', error.message);
+      throw error;
+    }
+
+    return (data ?? []).map((row) => row.business_id);
+  }
+}
+
+export function toCompany(row: CompanyRow): Company {
+  const enrichment = Array.isArray(row.company_enrichment)
+    ? row.company_enrichment[0]
+    : row.company_enrichment;
+
+  return {
+    id: row.id,
+    businessId: row.business_id,
+    name: row.name,
+    details: {
+      description: '',
+      address: '',
+      registrationDate: null,
+      categoryName: '',
+      ...row.details,
+      // The name embedding texts use, as in companyFromRow in
+      // script/lib/reembed.js: details.name, else the company name
+      name: row.details?.name || row.name,
+    },
+    enrichment: enrichment ? toEnrichment(enrichment) : undefined,
+    source: 'database',
+  };
+}
+
+export function toEnrichment(row: CompanyEnrichmentRow): CompanyEnrichment {
+  return {
+    fundingRound: row.funding_round ?? undefined,
+    fundingAmountEur: row.funding_amount_eur ?? undefined,
+    fundingPurpose: row.funding_purpose ?? undefined,
+    valuationEur: row.valuation_eur ?? undefined,
+    sizeClass: row.size_class ?? undefined,
+    hierarchy: row.hierarchy ?? undefined,
+    parentBusinessId: row.parent_business_id ?? undefined,
+    updatedAt: row.updated_at ?? undefined,
+  };
+}
+
+function escapeLike(value: string): string {
+  return value.replace(/[%_\\]/g, (c) => `\\${c}`);
+}
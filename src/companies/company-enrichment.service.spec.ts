@@ -0,0 +1,92 @@
+import { ConfigService } from '@nestjs/config';
+import { EmbeddingsService } from '../embeddings/embeddings.service';
+import { TextTemplateService } from '../embeddings/text-template.service';
+import { SupabaseService } from '../supabase/supabase.service';
+import { CompaniesService } from './companies.service';
+import { CompanyEnrichmentService } from './company-enrichment.service';
+import { Company } from './interfaces/company.interface';
+
+const COMPANY: Company = {
+  id: 7,
+  businessId: '3400001-1',
+  name: 'Saaristo Robotics Oy',
+  details: {
+    name: 'Saaristo Robotics Oy',
+    description: 'Autonomous mobile robots for warehouse picking',
+    address: 'Tykistökatu 4, 20520 Turku',
+    registrationDate: '2022-03-14',
+    categoryName: 'Manufacture of other special-purpose machinery',
+  },
+  source: 'database',
+};
+
+describe('CompanyEnrichmentService', () => {
+  let upserts: Record<string, unknown[]>;
+  let embedded: string[][];
+  let service: CompanyEnrichmentService;
+
+  beforeEach(() => {
+    upserts = {};
+    embedded = [];
+
+    // Just enough of the Supabase query builder for update()
+    const client = {
+      from: (table: string) => ({
+        upsert: (rows: unknown) => {
+          upserts[table] = ([] as unknown[]).concat(rows);
+          const result = { data: null, error: null };
+          return {
+            select: () => ({
+              single: () =>
+                Promise.resolve({
+                  data: { company_id: COMPANY.id, ...(rows as object) },
+                  error: null,
+                }),
+            }),
+            then: (resolve: (value: typeof result) => unknown) =>
+              Promise.resolve(result).then(resolve),
+          };
+        },
+      }),
+    };
+    const embeddings = {
+      model: 'voyage-3.5',
+      embed: (texts: string[]) => {
+        embedded.push(texts);
+        return Promise.resolve(texts.map(() => [0.1, 0.2]));
+      },
+    };
+    const config = { get: () => 'multi-vector' };
+
+    service = new CompanyEnrichmentService(
+      { client } as unknown as SupabaseService,
+      {
+        findOrStore: () => Promise.resolve(COMPANY),
+      } as unknown as CompaniesService,
+      embeddings as unknown as EmbeddingsService,
+      new TextTemplateService(config as unknown as ConfigService),
+    );
+  });
+
+  it('does not embed or store empty named vectors', async () => {
+    // Nothing in the funding vector's fields is set
+    await service.update(COMPANY.businessId, {});
+
+    expect(embedded).toHaveLength(1);
+    expect(embedded[0]).toHaveLength(2);
+    expect(embedded[0].every((text) => text.length > 0)).toBe(true);
+    expect(upserts.company_embedding_vectors).toEqual([
+      expect.objectContaining({ company_id: COMPANY.id, name: 'business' }),
+    ]);
+  });
+
+  it('embeds the funding vector once it has text', async () => {
+    await service.update(COMPANY.businessId, { fundingRound: 'Seed' });
+
+    expect(embedded[0]).toHaveLength(3);
+    expect(upserts.company_embedding_vectors).toEqual([
+      expect.objectContaining({ name: 'business' }),
+      expect.objectContaining({ name: 'funding' }),
+    ]);
+  });
+});
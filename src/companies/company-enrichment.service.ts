@@ -0,0 +1,142 @@
+import { Injectable, Logger } from '@nestjs/common';
+import { EmbeddingsService } from '../embeddings/embeddings.service';
+import { TextTemplateService } from '../embeddings/text-template.service';
+import { SupabaseService } from '../supabase/supabase.service';
+import {
+  CompaniesService,
+  CompanyEnrichmentRow,
+  toEnrichment,
+} from './companies.service';
+import { hashText } from './company-text';
+import { UpdateEnrichmentDto } from './dto/update-enrichment.dto';
+import { Company } from './interfaces/company.interface';
+
+// DTO field -> company_enrichment column
+const ENRICHMENT_COLUMNS: Record<keyof UpdateEnrichmentDto, string> = {
+  fundingRound: 'funding_round',
+  fundingAmountEur: 'funding_amount_eur',
+  fundingPurpose: 'funding_purpose',
+  valuationEur: 'valuation_eur',
+  sizeClass: 'size_class',
+  hierarchy: 'hierarchy',
+  parentBusinessId: 'parent_business_id',
+};
+
+@Injectable()
+export class CompanyEnrichmentService {
+  private readonly logger = new Logger(CompanyEnrichmentService.name);
+
+  constructor(
+    private readonly supabase: SupabaseService,
+    private readonly companies: CompaniesService,
+    private readonly embeddings: EmbeddingsService,
+    private readonly textTemplates: TextTemplateService,
+  ) {}
+
+  /**
+   * Save user-supplied enrichment fields and regenerate the company
+   * embedding. Only the fields present in the update are changed;
+   * send null to clear one.
+   */
+  async update(
+    businessId: string,
+    update: UpdateEnrichmentDto,
+  ): Promise<Company> {
+    const company = await this.companies.findOrStore(businessId);
+
+    const row: Record<string, unknown> = {
+      company_id: company.id,
+      updated_at: new Date().toISOString(),
+    };
+    for (const [field, column] of Object.entries(ENRICHMENT_COLUMNS)) {
+      const value = update[field as keyof UpdateEnrichmentDto];
+      if (value !== undefined) row[column] = value;
+    }
+
+    const { data, error } = await this.supabase.client
+      .from('company_enrichment')
+      .upsert(row, { onConflict: 'company_id', ignoreDuplicates: false })
+      .select('*')
+      .single<CompanyEnrichmentRow>();
+
+    if (error) {
+      this.logger.error(
+        `Error saving enrichment for ${businessId}`,
+        error.message,
+      );
+      throw error;
+    }
+
+    const enriched: Company = { ...company, enrichment: toEnrichment(data) };
+    await this.reembed(company.id, enriched);
+    return enriched;
+  }
+
+  private async reembed(companyId: number, company: Company): Promise<void> {
+    const text = this.textTemplates.companyText(
+      company.businessId,
+      company.details,
+      company.enrichment,
+    );
+    // Named vectors of the template, e.g. business and funding, are
+    // refreshed with the main one like the company pipeline does. An empty
+    // text has nothing to embed, e.g. funding without a funding round.
+    const namedTexts = Object.entries(
+      this.textTemplates.companyVectorTexts(
+        company.businessId,
+        company.details,
+        company.enrichment,
+      ),
+    ).filter(([, namedText]) => namedText);
+    const [vector, ...namedVectors] = await this.embeddings.embed(
+      [text, ...namedTexts.map(([, namedText]) => namedText)],
+      'document',
+    );
+
+    const { error } = await this.supabase.client
+      .from('company_embeddings')
+      .upsert(
+        {
+          company_id: companyId,
+          embeddings: vector,
+          model: this.embeddings.model,
+          dimension: vector.length,
+          text_hash: hashText(text),
+        },
+        { onConflict: 'company_id', ignoreDuplicates: false },
+      );
+
+    if (error) {
+      this.logger.error(
+        `Error updating embedding for ${company.businessId}`,
+        error.message,
+      );
+      throw error;
+    }
+
+    if (namedTexts.length === 0) return;
+
+    const { error: vectorsError } = await this.supabase.client
+      .from('company_embedding_vectors')
+      .upsert(
+        namedTexts.map(([name, namedText], i) => ({
+          company_id: companyId,
+          name,
+          embeddings: namedVectors[i],
+          model: this.embeddings.model,
+          dimension: namedVectors[i].length,
+          text_hash: hashText(namedText),
+          updated_at: new Date().toISOString(),
+        })),
+        { onConflict: 'company_id,name', ignoreDuplicates: false },
+      );
+
+    if (vectorsError) {
+      this.logger.error(
+        `Error updating named vectors for ${company.businessId}`,
+        vectorsError.message,
+      );
+      throw vectorsError;
+    }
+  }
+}
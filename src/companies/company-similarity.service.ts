@@ -0,0 +1,127 @@
+import { Injectable, Logger } from '@nestjs/common';
+import { EmbeddingsService } from '../embeddings/embeddings.service';
+import { TextTemplateService } from '../embeddings/text-template.service';
+import { SupabaseService } from '../supabase/supabase.service';
+import { CompaniesService } from './companies.service';
+import { SimilarCompaniesDto } from './dto/similar-companies.dto';
+import {
+  Company,
+  CompanyDetails,
+  SimilarCompaniesResult,
+} from './interfaces/company.interface';
+
+const DEFAULT_SIMILAR_COUNT = 10;
+
+interface MatchCompaniesRow {
+  business_id: string;
+  name: string;
+  details: CompanyDetails | null;
+  similarity: number;
+}
+
+interface CompanyEmbeddingRow {
+  // pgvector columns come back from PostgREST as "[0.1,0.2,...]"
+  embeddings: string | number[] | null;
+}
+
+@Injectable()
+export class CompanySimilarityService {
+  private readonly logger = new Logger(CompanySimilarityService.name);
+
+  constructor(
+    private readonly supabase: SupabaseService,
+    private readonly companies: CompaniesService,
+    private readonly embeddings: EmbeddingsService,
+    private readonly textTemplates: TextTemplateService,
+  ) {}
+
+  /**
+   * Stored companies nearest to a company by embedding, optionally limited
+   * to an industry, registration year or municipality. The company itself
+   * is never included.
+   */
+  async findSimilar(
+    businessId: string,
+    query: SimilarCompaniesDto = {},
+  ): Promise<SimilarCompaniesResult> {
+    const company = await this.companies.findByBusinessId(businessId);
+    const embedding = await this.companyEmbedding(company);
+
+    let rows: MatchCompaniesRow[];
+    try {
+      rows = await this.supabase.rpc<MatchCompaniesRow>('match_companies', {
+        query_embedding: embedding,
+        match_count: query.limit ?? DEFAULT_SIMILAR_COUNT,
+        exclude_business_id: company.businessId,
+        filter_industry_prefix: query.industryPrefix ?? null,
+        filter_registration_year: query.registrationYear ?? null,
+        filter_municipality: query.municipality?.trim() || null,
+        // Vectors from another model live in a different space
+        filter_model: this.embeddings.model,
+      });
+    } catch (error) {
+      this.logger.error(
+        `Error finding companies similar to ${businessId}`,
+        (error as Error).message,
+      );
+      throw error;
+    }
+
+    return {
+      company,
+      model: this.embeddings.model,
+      matches: rows.map((row) => ({
+        businessId: row.business_id,
+        name: row.name,
+        similarity: row.similarity,
+        details: {
+          name: row.name,
+          description: '',
+          address: '',
+          registrationDate: null,
+          categoryName: '',
+          ...row.details,
+        },
+      })),
+    };
+  }
+
+  /**
+   * The company's stored embedding when it was made with the current
+   * model. Companies only found in PRH, or embedded with another model,
+   * are embedded on the fly as documents so they compare like for like.
+   */
+  private async companyEmbedding(company: Company): Promise<number[]> {
+    if (company.id !== undefined) {
+      const { data, error } = await this.supabase.client
+        .from('company_embeddings')
+        .select('embeddings')
+        .eq('company_id', company.id)
+        .eq('model', this.embeddings.model)
+        .maybeSingle<CompanyEmbeddingRow>();
+
+      if (error) {
+        this.logger.error(
+          `Error fetching embedding for ${company.businessId}`,
+          error.message,
+        );
+        throw error;
+      }
+
+      if (data?.embeddings) {
+        return typeof data.embeddings === 'string'
+          ? (JSON.parse(data.embeddings) as number[])
+          : data.embeddings;
+      }
+    }
+
+    return this.embeddings.embedOne(
+      this.textTemplates.companyText(
+        company.businessId,
+        company.details,
+        company.enrichment,
+      ),
+      'document',
+    );
+  }
+}
@@ -0,0 +1,123 @@
+import { createHash } from 'crypto';
+import {
+  renderText,
+  renderVectorTexts,
+  TextFields,
+  TextTemplate,
+} from '../embeddings/text-template';
+import {
+  CompanyDetails,
+  CompanyEnrichment,
+  IndustryHierarchy,
+} from './interfaces/company.interface';
+
+export interface CompanyTextInput {
+  businessId?: string;
+  details: Partial<CompanyDetails> & { name: string };
+  enrichment?: CompanyEnrichment;
+}
+
+/**
+ * Text fields a company template can use, with the labels the text had
+ * before templates existed. Keep in sync with COMPANY_FIELDS in
+ * script/lib/templates.js.
+ */
+export const COMPANY_FIELDS: TextFields<CompanyTextInput> = {
+  name: { label: 'Company', value: (c) => c.details.name },
+  businessId: { label: 'Business ID', value: (c) => c.businessId },
+  industry: { label: 'Industry', value: (c) => c.details.categoryName },
+  industryPath: {
+    label: 'Industry Classification',
+    value: (c) => industryPath(c.details.industry),
+  },
+  description: { label: 'Description', value: (c) => c.details.description },
+  address: { label: 'Address', value: (c) => c.details.address },
+  registrationDate: {
+    label: 'Registration Date',
+    value: (c) => c.details.registrationDate,
+  },
+  companyForm: {
+    label: 'Company Form',
+    value: (c) => c.details.companyForm?.name,
+  },
+  auxiliaryNames: {
+    label: 'Also Known As',
+    value: (c) => c.details.auxiliaryNames,
+  },
+  status: { label: 'Status', value: (c) => c.details.status },
+  // User-supplied enrichment (company_enrichment table)
+  fundingRound: {
+    label: 'Funding Round',
+    value: (c) => c.enrichment?.fundingRound,
+  },
+  fundingAmountEur: {
+    label: 'Funding Sought',
+    prefix: 'EUR ',
+    value: (c) => c.enrichment?.fundingAmountEur,
+  },
+  fundingPurpose: {
+    label: 'Funding Purpose',
+    value: (c) => c.enrichment?.fundingPurpose,
+  },
+  valuationEur: {
+    label: 'Valuation',
+    prefix: 'EUR ',
+    value: (c) => c.enrichment?.valuationEur,
+  },
+  sizeClass: { label: 'Company Size', value: (c) => c.enrichment?.sizeClass },
+  hierarchy: { label: 'Hierarchy', value: (c) => c.enrichment?.hierarchy },
+};
+
+// Section -> subclass names joined with " > "; a class and its only
+// subclass often share a name, which is given once
+function industryPath(hierarchy: IndustryHierarchy | null | undefined) {
+  if (!hierarchy) return '';
+  const names = (['section', 'division', 'group', 'class', 'subclass'] as const)
+    .map((level) => hierarchy[level]?.name)
+    .filter((name): name is string => Boolean(name));
+  return names.filter((name, i) => name !== names[i - 1]).join(' > ');
+}
+
+/**
+ * Text representation of a company for vectorization, from the configured
+ * text template (see TextTemplateService).
+ * Keep in sync with createCompanyText in script/lib/text.js (text hashes
+ * are compared across both to find stale embeddings).
+ */
+export function createCompanyText(
+  template: TextTemplate,
+  businessId: string | undefined,
+  details: Partial<CompanyDetails> & { name: string },
+  enrichment?: CompanyEnrichment,
+): string {
+  return renderText(template.company, COMPANY_FIELDS, {
+    businessId,
+    details,
+    enrichment,
+  });
+}
+
+/**
+ * Texts of the template's named company vectors, e.g. business and funding.
+ */
+export function createCompanyVectorTexts(
+  template: TextTemplate,
+  businessId: string | undefined,
+  details: Partial<CompanyDetails> & { name: string },
+  enrichment?: CompanyEnrichment,
+): Record<string, string> {
+  return renderVectorTexts(template.company, COMPANY_FIELDS, {
+    businessId,
+    details,
+    enrichment,
+  });
+}
+
+/**
+ * Hash of an embedded text, stored next to the vector so the reembed
+ * script can tell when it is out of date. Same as hashText in
+ * script/lib/text.js.
+ */
+export function hashText(text: string): string {
+  return createHash('sha256').update(text, 'utf8').digest('hex');
+}
@@ -0,0 +1,38 @@
+import { Type } from 'class-transformer';
+import {
+  IsInt,
+  IsNotEmpty,
+  IsOptional,
+  IsString,
+  Matches,
+  Max,
+  Min,
+} from 'class-validator';
+
+export class SimilarCompaniesDto {
+  // TOL section letter (e.g. J) or the start of a code (e.g. 62, 6201)
+  @IsOptional()
+  @Matches(/^([A-Za-z]|\d{1,5})$/, {
+    message: 'industryPrefix must be a TOL section letter or 1-5 digits',
+  })
+  industryPrefix?: string;
+
+  @IsOptional()
+  @Type(() => Number)
+  @IsInt()
+  @Min(1800)
+  @Max(2100)
+  registrationYear?: number;
+
+  @IsOptional()
+  @IsString()
+  @IsNotEmpty()
+  municipality?: string;
+
+  @IsOptional()
+  @Type(() => Number)
+  @IsInt()
+  @Min(1)
+  @Max(100)
+  limit?: number;
+}
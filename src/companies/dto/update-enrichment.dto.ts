@@ -0,0 +1,54 @@
+import {
+  IsIn,
+  IsNumber,
+  IsOptional,
+  IsString,
+  Matches,
+  MaxLength,
+  Min,
+} from 'class-validator';
+import {
+  COMPANY_HIERARCHIES,
+  COMPANY_SIZE_CLASSES,
+  FUNDING_ROUNDS,
+} from '../interfaces/company.interface';
+import type {
+  CompanyHierarchy,
+  CompanySizeClass,
+  FundingRound,
+} from '../interfaces/company.interface';
+
+export class UpdateEnrichmentDto {
+  @IsOptional()
+  @IsIn(FUNDING_ROUNDS)
+  fundingRound?: FundingRound;
+
+  @IsOptional()
+  @IsNumber()
+  @Min(0)
+  fundingAmountEur?: number;
+
+  @IsOptional()
+  @IsString()
+  @MaxLength(1000)
+  fundingPurpose?: string;
+
+  @IsOptional()
+  @IsNumber()
+  @Min(0)
+  valuationEur?: number;
+
+  @IsOptional()
+  @IsIn(COMPANY_SIZE_CLASSES)
+  sizeClass?: CompanySizeClass;
+
+  @IsOptional()
+  @IsIn(COMPANY_HIERARCHIES)
+  hierarchy?: CompanyHierarchy;
+
+  @IsOptional()
+  @Matches(/^\d{7}-\d$/, {
+    message: 'parentBusinessId must be a Finnish business ID',
+  })
+  parentBusinessId?: string;
+}
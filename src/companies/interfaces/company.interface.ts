@@ -0,0 +1,158 @@
+export interface IndustryLevel {
+  code: string;
+  name: string;
+}
+
+// TOL 2025 hierarchy of a company's main business line, from the section
+// down to the code PRH reports (usually the 5-digit subclass)
+export interface IndustryHierarchy {
+  section?: IndustryLevel;
+  division?: IndustryLevel;
+  group?: IndustryLevel;
+  class?: IndustryLevel;
+  subclass?: IndustryLevel;
+}
+
+export const COMPANY_STATUSES = [
+  'active',
+  'restructuring',
+  'liquidation',
+  'bankruptcy',
+  'dissolved',
+] as const;
+
+export type CompanyStatus = (typeof COMPANY_STATUSES)[number];
+
+export interface CodedValue {
+  code: string;
+  name: string;
+}
+
+export interface CompanyName {
+  name: string;
+  type: 'official' | 'parallel' | 'auxiliary' | 'other';
+  registrationDate: string | null;
+  // null while the name is in use
+  endDate: string | null;
+}
+
+export interface CompanyAddress {
+  formatted: string;
+  street: string | null;
+  postOfficeBox: string | null;
+  careOf: string | null;
+  postCode: string | null;
+  city: string | null;
+  municipalityCode: string | null;
+  country: string | null;
+}
+
+export interface CompanySituation {
+  type: 'restructuring' | 'liquidation' | 'bankruptcy' | 'other';
+  // PRH code: SANE, SELTILA or KONK
+  code: string;
+  registrationDate: string | null;
+  // null while ongoing
+  endDate: string | null;
+}
+
+export interface RegisteredEntry {
+  code: string;
+  description: string;
+  register: string | null;
+  authority: string | null;
+  registrationDate: string | null;
+  endDate: string | null;
+}
+
+// Normalized PRH record, stored as company.details. The fields after
+// industry were added later, so rows stored before them lack them. Keep in
+// sync with the CompanyDetails typedef in script/lib/prh.js.
+export interface CompanyDetails {
+  name: string;
+  description: string;
+  // Visiting address as one line; part of the embedding text
+  address: string;
+  registrationDate: string | null;
+  categoryName: string;
+  industry?: IndustryHierarchy | null;
+  euId?: string | null;
+  status?: CompanyStatus;
+  endDate?: string | null;
+  companyForm?: CodedValue | null;
+  // Every name, current and historical
+  names?: CompanyName[];
+  // Current auxiliary names (aputoiminimet)
+  auxiliaryNames?: string[];
+  addresses?: {
+    visiting: CompanyAddress | null;
+    postal: CompanyAddress | null;
+  };
+  website?: string | null;
+  // Restructuring, liquidation and bankruptcy, current and past
+  situations?: CompanySituation[];
+  registeredEntries?: RegisteredEntry[];
+}
+
+export const FUNDING_ROUNDS = [
+  'Pre-Seed',
+  'Seed',
+  'Series A',
+  'Series B',
+  'Series C',
+  'Growth',
+] as const;
+
+// EU SME definition (Recommendation 2003/361/EC)
+export const COMPANY_SIZE_CLASSES = [
+  'micro',
+  'small',
+  'medium',
+  'large',
+] as const;
+
+export const COMPANY_HIERARCHIES = [
+  'independent',
+  'parent',
+  'subsidiary',
+] as const;
+
+export type FundingRound = (typeof FUNDING_ROUNDS)[number];
+export type CompanySizeClass = (typeof COMPANY_SIZE_CLASSES)[number];
+export type CompanyHierarchy = (typeof COMPANY_HIERARCHIES)[number];
+
+// User-supplied data, stored in company_enrichment so that PRH refreshes
+// of company.details never overwrite it.
+export interface CompanyEnrichment {
+  fundingRound?: FundingRound;
+  fundingAmountEur?: number;
+  fundingPurpose?: string;
+  valuationEur?: number;
+  sizeClass?: CompanySizeClass;
+  hierarchy?: CompanyHierarchy;
+  parentBusinessId?: string;
+  updatedAt?: string;
+}
+
+export interface Company {
+  id?: number;
+  businessId: string;
+  name: string;
+  industryCode?: string;
+  details: CompanyDetails;
+  enrichment?: CompanyEnrichment;
+  source: 'database' | 'prh';
+}
+
+export interface SimilarCompany {
+  businessId: string;
+  name: string;
+  similarity: number;
+  details: CompanyDetails;
+}
+
+export interface SimilarCompaniesResult {
+  company: Company;
+  model: string;
+  matches: SimilarCompany[];
+}
@@ -0,0 +1,9 @@
+import { Module } from '@nestjs/common';
+import { EmbeddingsService } from './embeddings.service';
+import { TextTemplateService } from './text-template.service';
+
+@Module({
+  providers: [EmbeddingsService, TextTemplateService],
+  exports: [EmbeddingsService, TextTemplateService],
+})
+export class EmbeddingsModule {}
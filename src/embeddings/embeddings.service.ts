@@ -0,0 +1,68 @@
+import { Injectable, Logger } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import axios from 'axios';
+
+const VOYAGE_API_URL = 'https://api.voyageai.com/v1/embeddings';
+
+// The pipelines in script/ embed with EMBEDDING_MODEL (default voyage-3.5), so
+// queries against the stored embeddings read the same variable to share a
+// vector space.
+const DEFAULT_EMBEDDING_MODEL = 'voyage-3.5';
+
+export type EmbeddingInputType = 'query' | 'document';
+
+interface VoyageResponse {
+  data: { embedding: number[] }[];
+}
+
+@Injectable()
+export class EmbeddingsService {
+  private readonly logger = new Logger(EmbeddingsService.name);
+
+  constructor(private readonly config: ConfigService) {}
+
+  get model(): string {
+    return (
+      this.config.get<string>('EMBEDDING_MODEL') || DEFAULT_EMBEDDING_MODEL
+    );
+  }
+
+  /**
+   * Embed texts with Voyage AI, returning one vector per text.
+   */
+  async embed(
+    texts: string[],
+    inputType: EmbeddingInputType = 'query',
+  ): Promise<number[][]> {
+    const apiKey = this.config.getOrThrow<string>('VOYAGE_API_KEY');
+
+    try {
+      const response = await axios.post<VoyageResponse>(
+        VOYAGE_API_URL,
+        { input: texts, model: this.model, input_type: inputType },
+        {
+          headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${apiKey}`,
+          },
+          timeout: 30000,
+        },
+      );
+      return response.data.data.map((item) => item.embedding);
+    } catch (error) {
+      this.logger.error(
+        `Error embedding ${texts.length} texts with ${this.model}`,
+        (error as Error).message,
+      );
+      throw error;
+    }
+  }
+
+  async embedOne(
+    text: string,
+    inputType: EmbeddingInputType = 'query',
+  ): Promise<number[]> {
+    const [vector] = await this.embed([text], inputType);
+    return vector;
+  }
+}
@@ -0,0 +1,68 @@
+import { Injectable, Logger } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import {
+  COMPANY_FIELDS,
+  createCompanyText,
+  createCompanyVectorTexts,
+} from '../companies/company-text';
+import {
+  CompanyDetails,
+  CompanyEnrichment,
+} from '../companies/interfaces/company.interface';
+import { InvestorDetails } from '../investors/interfaces/investor.interface';
+import {
+  createInvestorText,
+  createInvestorVectorTexts,
+  INVESTOR_FIELDS,
+} from '../investors/investor-text';
+import {
+  DEFAULT_TEXT_TEMPLATE,
+  loadTextTemplate,
+  TextTemplate,
+} from './text-template';
+
+@Injectable()
+export class TextTemplateService {
+  private readonly logger = new Logger(TextTemplateService.name);
+  readonly template: TextTemplate;
+
+  constructor(config: ConfigService) {
+    // Must be the template the pipelines use (TEXT_TEMPLATE in script/.env),
+    // or every embedding the API writes looks stale to the reembed script
+    const name = config.get<string>('TEXT_TEMPLATE') || DEFAULT_TEXT_TEMPLATE;
+    this.template = loadTextTemplate(name, {
+      company: Object.keys(COMPANY_FIELDS),
+      investor: Object.keys(INVESTOR_FIELDS),
+    });
+    this.logger.log(`Embedding texts use the '${this.template.name}' template`);
+  }
+
+  companyText(
+    businessId: string | undefined,
+    details: Partial<CompanyDetails> & { name: string },
+    enrichment?: CompanyEnrichment,
+  ): string {
+    return createCompanyText(this.template, businessId, details, enrichment);
+  }
+
+  companyVectorTexts(
+    businessId: string | undefined,
+    details: Partial<CompanyDetails> & { name: string },
+    enrichment?: CompanyEnrichment,
+  ): Record<string, string> {
+    return createCompanyVectorTexts(
+      this.template,
+      businessId,
+      details,
+      enrichment,
+    );
+  }
+
+  investorText(investor: InvestorDetails): string {
+    return createInvestorText(this.template, investor);
+  }
+
+  investorVectorTexts(investor: InvestorDetails): Record<string, string> {
+    return createInvestorVectorTexts(this.template, investor);
+  }
+}
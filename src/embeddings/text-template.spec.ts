@@ -0,0 +1,227 @@
+import { execFileSync } from 'child_process';
+import { readdirSync, readFileSync } from 'fs';
+import { basename } from 'path';
+import { pathToFileURL } from 'url';
+import { CompanyRow, toCompany } from '../companies/companies.service';
+import {
+  COMPANY_FIELDS,
+  createCompanyText,
+  createCompanyVectorTexts,
+  hashText,
+} from '../companies/company-text';
+import { InvestorDetails } from '../investors/interfaces/investor.interface';
+import {
+  createInvestorText,
+  createInvestorVectorTexts,
+  INVESTOR_FIELDS,
+} from '../investors/investor-text';
+import { repoPath } from '../repo-paths';
+import { loadTextTemplate, TEXT_TEMPLATES_DIR } from './text-template';
+
+// The reembed script compares stored text hashes with the ones it computes,
+// so the API and the pipelines must render the same text from the same
+// stored rows. Both render the shipped templates over the pipelines' own
+// fixtures here and the hashes are compared.
+const TEMPLATES = readdirSync(TEXT_TEMPLATES_DIR)
+  .filter((file) => file.endsWith('.json'))
+  .map((file) => basename(file, '.json'));
+
+interface FixtureCompany {
+  businessId: string;
+  name: string;
+  details: CompanyRow['details'];
+}
+
+type Hashes = Record<string, Record<string, string>>;
+
+function companyRows(): CompanyRow[] {
+  const companies = readFileSync(
+    repoPath('script', 'data', 'fixtures', 'companies.jsonl'),
+    'utf-8',
+  )
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => JSON.parse(line) as FixtureCompany);
+  const rows = companies.map(
+    (company, index): CompanyRow => ({
+      id: index + 1,
+      business_id: company.businessId,
+      name: company.name,
+      details: company.details,
+      company_enrichment: null,
+    }),
+  );
+
+  // Enrichment fills the funding fields and vectors; a row whose details
+  // have no name falls back to the company name on both sides
+  const [first, second] = rows;
+  rows.push(
+    {
+      ...first,
+      id: rows.length + 1,
+      business_id: '3400098-0',
+      company_enrichment: {
+        company_id: rows.length + 1,
+        funding_round: 'Seed',
+        funding_amount_eur: 1500000,
+        funding_purpose: 'Pilot deployments in two warehouses',
+        valuation_eur: null,
+        size_class: 'small',
+        hierarchy: null,
+        parent_business_id: null,
+        updated_at: '2025-01-01T00:00:00Z',
+      },
+    },
+    {
+      ...second,
+      id: rows.length + 2,
+      business_id: '3400099-9',
+      details: { ...second.details!, name: '' },
+    },
+  );
+  return rows;
+}
+
+function tsHashes(rows: CompanyRow[], investors: InvestorDetails[]): Hashes {
+  const hashes: Hashes = {};
+  for (const name of TEMPLATES) {
+    const template = loadTextTemplate(name, {
+      company: Object.keys(COMPANY_FIELDS),
+      investor: Object.keys(INVESTOR_FIELDS),
+    });
+    const texts: Record<string, string> = {};
+    for (const row of rows) {
+      const { businessId, details, enrichment } = toCompany(row);
+      texts[businessId] = createCompanyText(
+        template,
+        businessId,
+        details,
+        enrichment,
+      );
+      const vectors = createCompanyVectorTexts(
+        template,
+        businessId,
+        details,
+        enrichment,
+      );
+      for (const [vector, text] of Object.entries(vectors)) {
+        texts[`${businessId}/${vector}`] = text;
+      }
+    }
+    for (const investor of investors) {
+      texts[investor.id] = createInvestorText(template, investor);
+      const vectors = createInvestorVectorTexts(template, investor);
+      for (const [vector, text] of Object.entries(vectors)) {
+        texts[`${investor.id}/${vector}`] = text;
+      }
+    }
+    hashes[name] = Object.fromEntries(
+      Object.entries(texts).map(([key, text]) => [key, hashText(text)]),
+    );
+  }
+  return hashes;
+}
+
+// Runs the pipelines' modules in a separate node process, as they are ES
+// modules Jest does not load
+function jsHashes(rows: CompanyRow[], investors: InvestorDetails[]): Hashes {
+  const lib = (file: string) =>
+    JSON.stringify(pathToFileURL(repoPath('script', 'lib', file)).href);
+  const source = `
+    import { readFileSync } from 'fs';
+    import { loadTextTemplate } from ${lib('templates.js')};
+    import { companyFromRow } from ${lib('reembed.js')};
+    import {
+      createCompanyText,
+      createCompanyVectorTexts,
+      createInvestorText,
+      createInvestorVectorTexts,
+      hashText
+    } from ${lib('text.js')};
+
+    const { templates, rows, investors } = JSON.parse(readFileSync(0, 'utf-8'));
+    const hashes = {};
+    for (const name of templates) {
+      const template = loadTextTemplate(name);
+      const texts = {};
+      for (const row of rows) {
+        const company = companyFromRow(row);
+        texts[company.businessId] = createCompanyText(company, template);
+        for (const [vector, text] of Object.entries(createCompanyVectorTexts(company, template))) {
+          texts[company.businessId + '/' + vector] = text;
+        }
+      }
+      for (const investor of investors) {
+        texts[investor.id] = createInvestorText(investor, template);
+        for (const [vector, text] of Object.entries(createInvestorVectorTexts(investor, template))) {
+          texts[investor.id + '/' + vector] = text;
+        }
+      }
+      hashes[name] = Object.fromEntries(
+        Object.entries(texts).map(([key, text]) => [key, hashText(text)])
+      );
+    }
+    process.stdout.write(JSON.stringify(hashes));
+  `;
+  const output = execFileSync(
+    process.execPath,
+    ['--input-type=module', '--eval', source],
+    {
+      cwd: repoPath('script'),
+      input: JSON.stringify({ templates: TEMPLATES, rows, investors }),
+      encoding: 'utf-8',
+    },
+  );
+  return JSON.parse(output) as Hashes;
+}
+
+describe('text templates', () => {
+  it('ships the default, legacy and multi-vector templates', () => {
+    expect(TEMPLATES).toEqual(
+      expect.arrayContaining(['default', 'legacy', 'multi-vector']),
+    );
+  });
+
+  it('renders the same texts as the pipelines for every shipped template', () => {
+    const rows = companyRows();
+    const investors = JSON.parse(
+      readFileSync(repoPath('script', 'investors.json'), 'utf-8'),
+    ) as InvestorDetails[];
+
+    const expected = jsHashes(rows, investors);
+    const actual = tsHashes(rows, investors);
+
+    expect(Object.keys(actual.default)).toHaveLength(
+      rows.length + investors.length,
+    );
+    expect(actual).toEqual(expected);
+  });
+
+  it('uses the company name when the stored details have none', () => {
+    const template = loadTextTemplate('default', {
+      company: Object.keys(COMPANY_FIELDS),
+      investor: Object.keys(INVESTOR_FIELDS),
+    });
+    const row = companyRows().at(-1)!;
+    const { businessId, details } = toCompany(row);
+
+    expect(createCompanyText(template, businessId, details)).toContain(
+      `Company: ${row.name}`,
+    );
+  });
+
+  it('finds templates from the repository root, not the working directory', () => {
+    const cwd = process.cwd();
+    process.chdir(repoPath('src'));
+    try {
+      expect(
+        loadTextTemplate('legacy', {
+          company: Object.keys(COMPANY_FIELDS),
+          investor: Object.keys(INVESTOR_FIELDS),
+        }).name,
+      ).toBe('legacy');
+    } finally {
+      process.chdir(cwd);
+    }
+  });
+});
@@ -0,0 +1,256 @@
+import { readFileSync } from 'fs';
+import { basename } from 'path';
+import { repoPath } from '../repo-paths';
+
+// Templates shipped with the pipelines, found from the repository root like
+// the industry classification snapshot
+export const TEXT_TEMPLATES_DIR = repoPath('script', 'templates');
+export const DEFAULT_TEXT_TEMPLATE = 'default';
+
+// Vector names become rows in the *_embedding_vectors tables
+const VECTOR_NAME = /^[a-z][a-z0-9_]*$/;
+
+export type TextTemplateEntity = 'company' | 'investor';
+
+// A field a template can use: its default label and how to read it
+export interface TextField<T> {
+  label: string;
+  prefix?: string;
+  value: (record: T) => unknown;
+}
+
+export type TextFields<T> = Record<string, TextField<T>>;
+
+export interface TextFieldSettings {
+  field: string;
+  label?: string;
+  prefix?: string;
+  end?: string;
+  // Used instead of leaving the field out when it is empty
+  default?: string;
+  // How many times the field is repeated in the text
+  weight: number;
+}
+
+export interface TextVectorSettings {
+  fields: TextFieldSettings[];
+  weight: number;
+}
+
+export interface TextEntityTemplate {
+  separator: string;
+  end: string;
+  collapseEnd: boolean;
+  fields: TextFieldSettings[];
+  vectors: Record<string, TextVectorSettings>;
+}
+
+export interface TextTemplate {
+  name: string;
+  description: string;
+  company: TextEntityTemplate;
+  investor: TextEntityTemplate;
+}
+
+type RawField = string | (Partial<TextFieldSettings> & { field: string });
+
+interface RawEntityTemplate {
+  separator?: string;
+  end?: string;
+  collapseEnd?: boolean;
+  fields?: RawField[];
+  vectors?: Record<string, string[] | { fields: RawField[]; weight?: number }>;
+}
+
+interface RawTextTemplate {
+  name?: string;
+  description?: string;
+  extends?: string;
+  company?: RawEntityTemplate;
+  investor?: RawEntityTemplate;
+}
+
+/**
+ * Path of a template: a name in script/templates, or a path to a JSON file,
+ * relative to the repository root.
+ */
+export function textTemplatePath(nameOrPath: string): string {
+  return nameOrPath.endsWith('.json')
+    ? repoPath(nameOrPath)
+    : repoPath(TEXT_TEMPLATES_DIR, `${nameOrPath}.json`);
+}
+
+/**
+ * Load and validate a text template, resolving `extends`. Unknown fields
+ * are rejected so a typo fails at startup instead of silently changing
+ * every embedding text. Keep in sync with loadTextTemplate in
+ * script/lib/templates.js.
+ */
+export function loadTextTemplate(
+  nameOrPath: string,
+  known: Record<TextTemplateEntity, string[]>,
+  seen: string[] = [],
+): TextTemplate {
+  const path = textTemplatePath(nameOrPath);
+  if (seen.includes(path)) {
+    throw new Error(`Text template ${path} extends itself`);
+  }
+
+  let raw: RawTextTemplate;
+  try {
+    raw = JSON.parse(readFileSync(path, 'utf-8')) as RawTextTemplate;
+  } catch (error) {
+    throw new Error(
+      `Could not read text template '${nameOrPath}' (${path}): ${(error as Error).message}`,
+    );
+  }
+
+  const base = raw.extends
+    ? loadTextTemplate(raw.extends, known, [...seen, path])
+    : undefined;
+  const name = raw.name || basename(path, '.json');
+
+  return {
+    name,
+    description: raw.description || base?.description || '',
+    company: normalizeEntity(
+      { ...base?.company, ...raw.company } as RawEntityTemplate,
+      'company',
+      known.company,
+      name,
+    ),
+    investor: normalizeEntity(
+      { ...base?.investor, ...raw.investor } as RawEntityTemplate,
+      'investor',
+      known.investor,
+      name,
+    ),
+  };
+}
+
+function normalizeEntity(
+  entity: RawEntityTemplate,
+  kind: TextTemplateEntity,
+  known: string[],
+  templateName: string,
+): TextEntityTemplate {
+  const toField = (field: RawField): TextFieldSettings => {
+    const settings = typeof field === 'string' ? { field } : { ...field };
+    if (!known.includes(settings.field)) {
+      throw new Error(
+        `Unknown ${kind} field '${settings.field}' in text template '${templateName}' (known: ${known.join(', ')})`,
+      );
+    }
+    const weight = settings.weight ?? 1;
+    if (!Number.isInteger(weight) || weight < 1) {
+      throw new Error(
+        `Weight of ${kind} field '${settings.field}' in text template '${templateName}' must be a whole number of at least 1`,
+      );
+    }
+    return { ...settings, weight };
+  };
+
+  if (!Array.isArray(entity.fields) || entity.fields.length === 0) {
+    throw new Error(`Text template '${templateName}' has no ${kind} fields`);
+  }
+  const fields = entity.fields.map(toField);
+
+  const vectors: Record<string, TextVectorSettings> = {};
+  for (const [name, vector] of Object.entries(entity.vectors ?? {})) {
+    if (!VECTOR_NAME.test(name)) {
+      throw new Error(
+        `Invalid ${kind} vector name '${name}' in text template '${templateName}'`,
+      );
+    }
+    const vectorFields = Array.isArray(vector) ? vector : vector.fields;
+    if (!Array.isArray(vectorFields) || vectorFields.length === 0) {
+      throw new Error(
+        `The ${kind} vector '${name}' in text template '${templateName}' has no fields`,
+      );
+    }
+    vectors[name] = {
+      // A vector field uses the settings it has in the main text, if any
+      fields: vectorFields.map((field) =>
+        toField(
+          typeof field === 'string'
+            ? (fields.find((f) => f.field === field) ?? field)
+            : field,
+        ),
+      ),
+      weight: Array.isArray(vector) ? 1 : (vector.weight ?? 1),
+    };
+  }
+
+  return {
+    separator: entity.separator ?? ' ',
+    end: entity.end ?? '',
+    collapseEnd: entity.collapseEnd ?? false,
+    fields,
+    vectors,
+  };
+}
+
+// Lists are joined with commas; missing values and zero are empty. Fields
+// only resolve to strings, numbers or lists of strings.
+function toText(value: unknown): string {
+  if (Array.isArray(value)) return value.join(', ');
+  if (value === null || value === undefined || value === false || value === 0)
+    return '';
+  return String(value as string | number);
+}
+
+function renderFields<T>(
+  entity: TextEntityTemplate,
+  fields: TextFieldSettings[],
+  known: TextFields<T>,
+  record: T,
+): string {
+  const parts: string[] = [];
+
+  for (const settings of fields) {
+    const field = known[settings.field];
+    const value = toText(field.value(record));
+    if (!value && settings.default === undefined) continue;
+
+    const text = value
+      ? `${settings.prefix ?? field.prefix ?? ''}${value}`
+      : (settings.default ?? '');
+    const label = settings.label ?? field.label;
+    const end = settings.end ?? entity.end;
+    const part = `${label ? `${label}: ` : ''}${text}${
+      entity.collapseEnd && end && text.endsWith(end) ? '' : end
+    }`;
+    for (let i = 0; i < settings.weight; i++) parts.push(part);
+  }
+
+  return parts.join(entity.separator);
+}
+
+/**
+ * Text a record is embedded from: "<label>: <prefix><value><end>" per
+ * field, in template order. Same as renderText in script/lib/templates.js.
+ */
+export function renderText<T>(
+  entity: TextEntityTemplate,
+  known: TextFields<T>,
+  record: T,
+): string {
+  return renderFields(entity, entity.fields, known, record);
+}
+
+/**
+ * Texts of the template's named vectors for a record; empty when the
+ * template defines none.
+ */
+export function renderVectorTexts<T>(
+  entity: TextEntityTemplate,
+  known: TextFields<T>,
+  record: T,
+): Record<string, string> {
+  return Object.fromEntries(
+    Object.entries(entity.vectors).map(([name, vector]) => [
+      name,
+      renderFields(entity, vector.fields, known, record),
+    ]),
+  );
+}
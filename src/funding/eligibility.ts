@@ -0,0 +1,211 @@
+import { MatchCompany } from '../match/interfaces/match.interface';
+import { industryHierarchy } from '../prh/industry-hierarchy';
+import {
+  EligibilityCriterionStatus,
+  EligibilityStatus,
+  FundingInstrumentDetails,
+  InstrumentEligibility,
+} from './interfaces/funding-instrument.interface';
+
+// Nationwide instruments list this instead of regions
+const NATIONWIDE = 'Finland';
+
+// Municipalities of Southwest Finland (Varsinais-Suomi), the region the
+// company pipeline syncs. Companies elsewhere have an unknown region unless
+// the instrument is nationwide.
+const SOUTHWEST_FINLAND_MUNICIPALITIES = [
+  'aura',
+  'kaarina',
+  'kemiönsaari',
+  'koski tl',
+  'kustavi',
+  'laitila',
+  'lieto',
+  'loimaa',
+  'marttila',
+  'masku',
+  'mynämäki',
+  'naantali',
+  'nousiainen',
+  'oripää',
+  'paimio',
+  'parainen',
+  'pyhäranta',
+  'pöytyä',
+  'raisio',
+  'rusko',
+  'salo',
+  'sauvo',
+  'somero',
+  'taivassalo',
+  'turku',
+  'uusikaupunki',
+  'vehmaa',
+];
+
+/**
+ * Check a company against an instrument's eligibility rules. Criteria the
+ * company has no data for (e.g. no size class in its enrichment) are
+ * unknown rather than failed.
+ */
+export function assessEligibility(
+  company: MatchCompany,
+  instrument: FundingInstrumentDetails,
+  today = new Date(),
+): InstrumentEligibility {
+  const rules = instrument.eligibility;
+  const reasons: string[] = [];
+
+  const sizeClass = company.enrichment?.sizeClass;
+  const size: InstrumentEligibility['size'] = {
+    status: sizeClass
+      ? statusOf(rules.size_classes.includes(sizeClass))
+      : 'unknown',
+    sizeClass,
+    sizeClasses: rules.size_classes,
+  };
+  if (size.status === 'mismatch') {
+    reasons.push(`Open to ${rules.size_classes.join(', ')} companies only`);
+  }
+
+  const ageYears = yearsSince(company.details.registrationDate, today);
+  const age: InstrumentEligibility['age'] = {
+    status:
+      ageYears === undefined
+        ? 'unknown'
+        : statusOf(
+            ageYears >= (rules.min_age_years ?? 0) &&
+              ageYears <= (rules.max_age_years ?? Infinity),
+          ),
+    ageYears,
+    minAgeYears: rules.min_age_years,
+    maxAgeYears: rules.max_age_years,
+  };
+  if (age.status === 'mismatch') {
+    reasons.push(
+      (ageYears ?? 0) < (rules.min_age_years ?? 0)
+        ? `For companies at least ${rules.min_age_years} years old`
+        : `For companies up to ${rules.max_age_years} years old`,
+    );
+  }
+
+  const industry = assessIndustry(company, instrument);
+  if (industry.status === 'mismatch') {
+    reasons.push(`Not open to industry ${industry.code}`);
+  }
+
+  const region = assessRegion(company, instrument);
+  if (region.status === 'mismatch') {
+    reasons.push(`Only for companies in ${rules.regions.join(', ')}`);
+  }
+
+  const amountEur = company.funding?.amountEur;
+  const maxAmountEur = instrument.max_amount_eur;
+  const amount: InstrumentEligibility['amount'] = {
+    status:
+      amountEur === undefined || maxAmountEur === undefined
+        ? 'unknown'
+        : statusOf(amountEur <= maxAmountEur),
+    amountEur,
+    maxAmountEur,
+  };
+  if (amount.status === 'mismatch') {
+    reasons.push(`Provides at most EUR ${maxAmountEur}`);
+  }
+
+  const statuses = [size, age, industry, region, amount].map((c) => c.status);
+  let status: EligibilityStatus = 'unknown';
+  if (statuses.includes('mismatch')) status = 'ineligible';
+  else if (statuses.every((s) => s === 'match')) status = 'eligible';
+
+  return { status, size, age, industry, region, amount, reasons };
+}
+
+function statusOf(matches: boolean): EligibilityCriterionStatus {
+  return matches ? 'match' : 'mismatch';
+}
+
+function yearsSince(date: string | null | undefined, today: Date) {
+  if (!date) return undefined;
+  const start = new Date(date);
+  if (Number.isNaN(start.getTime())) return undefined;
+
+  let years = today.getFullYear() - start.getFullYear();
+  const beforeAnniversary =
+    today.getMonth() < start.getMonth() ||
+    (today.getMonth() === start.getMonth() &&
+      today.getDate() < start.getDate());
+  if (beforeAnniversary) years--;
+  return Math.max(years, 0);
+}
+
+function assessIndustry(
+  company: MatchCompany,
+  instrument: FundingInstrumentDetails,
+): InstrumentEligibility['industry'] {
+  const industryCodes = instrument.eligibility.industry_codes ?? [];
+  const excludedIndustryCodes =
+    instrument.eligibility.excluded_industry_codes ?? [];
+
+  // Most specific TOL code known, plus the section letter for section rules
+  const hierarchy = company.details.industry;
+  const code =
+    company.industryCode ||
+    hierarchy?.subclass?.code ||
+    hierarchy?.class?.code ||
+    hierarchy?.group?.code ||
+    hierarchy?.division?.code;
+  const section =
+    hierarchy?.section?.code ??
+    industryHierarchy(code, () => undefined)?.section?.code;
+
+  const covers = (rule: string) =>
+    /^[A-Z]$/.test(rule) ? rule === section : !!code?.startsWith(rule);
+  const ruleApplies = (rules: string[]) =>
+    rules.some((rule) => (/^[A-Z]$/.test(rule) ? section : code));
+
+  let status: EligibilityCriterionStatus = 'unknown';
+  if (excludedIndustryCodes.some(covers)) status = 'mismatch';
+  else if (industryCodes.length > 0 && industryCodes.some(covers))
+    status = 'match';
+  else if (industryCodes.length > 0 && ruleApplies(industryCodes))
+    status = 'mismatch';
+  else if (industryCodes.length === 0 && (code || section)) status = 'match';
+
+  return {
+    status,
+    code: code || section,
+    industryCodes,
+    excludedIndustryCodes,
+  };
+}
+
+function assessRegion(
+  company: MatchCompany,
+  instrument: FundingInstrumentDetails,
+): InstrumentEligibility['region'] {
+  const regions = instrument.eligibility.regions;
+  const region = regionOf(company.details.address);
+
+  let status: EligibilityCriterionStatus = 'unknown';
+  // Every matched company is in the Finnish trade register
+  if (regions.includes(NATIONWIDE)) status = 'match';
+  else if (region) status = statusOf(regions.includes(region));
+
+  return { status, region, regions };
+}
+
+/**
+ * Region of a PRH address such as "Linnankatu 1, 20100 Turku", when the
+ * municipality is one we know.
+ */
+function regionOf(address: string | undefined): string | undefined {
+  const municipality = address
+    ?.match(/\d{5}\s+(.+)$/)?.[1]
+    ?.trim()
+    .toLowerCase();
+  if (!municipality) return undefined;
+  return SOUTHWEST_FINLAND_MUNICIPALITIES.includes(municipality)
+    ? 'Southwest Finland'
+    : undefined;
+}
@@ -0,0 +1,10 @@
+import { Module } from '@nestjs/common';
+import { EmbeddingsModule } from '../embeddings/embeddings.module';
+import { FundingService } from './funding.service';
+
+@Module({
+  imports: [EmbeddingsModule],
+  providers: [FundingService],
+  exports: [FundingService],
+})
+export class FundingModule {}
@@ -0,0 +1,82 @@
+import { Injectable, Logger } from '@nestjs/common';
+import { EmbeddingsService } from '../embeddings/embeddings.service';
+import { MatchCompany } from '../match/interfaces/match.interface';
+import { SupabaseService } from '../supabase/supabase.service';
+import { assessEligibility } from './eligibility';
+import {
+  EligibilityStatus,
+  FundingInstrumentDetails,
+  FundingInstrumentMatch,
+} from './interfaces/funding-instrument.interface';
+
+// Ineligible candidates are dropped after the similarity search, so fetch
+// more than we return. The catalog is small.
+const CANDIDATE_POOL = 50;
+
+const STATUS_ORDER: Record<EligibilityStatus, number> = {
+  eligible: 0,
+  unknown: 1,
+  ineligible: 2,
+};
+
+interface MatchFundingInstrumentsRow {
+  instrument_id: string;
+  details: FundingInstrumentDetails;
+  similarity: number;
+}
+
+@Injectable()
+export class FundingService {
+  private readonly logger = new Logger(FundingService.name);
+
+  constructor(
+    private readonly supabase: SupabaseService,
+    private readonly embeddings: EmbeddingsService,
+  ) {}
+
+  /**
+   * Funding instruments for a company, by similarity to the company's query
+   * embedding. Instruments the company is ineligible for are left out;
+   * eligible ones come before those with unknown eligibility.
+   */
+  async matchInstruments(
+    company: MatchCompany,
+    queryEmbedding: number[],
+    limit: number,
+  ): Promise<FundingInstrumentMatch[]> {
+    if (limit === 0) return [];
+
+    let rows: MatchFundingInstrumentsRow[];
+    try {
+      rows = await this.supabase.rpc<MatchFundingInstrumentsRow>(
+        'match_funding_instruments',
+        {
+          query_embedding: queryEmbedding,
+          match_count: Math.max(limit, CANDIDATE_POOL),
+          filter_model: this.embeddings.model,
+        },
+      );
+    } catch (error) {
+      this.logger.error(
+        'Error matching funding instruments',
+        (error as Error).message,
+      );
+      throw error;
+    }
+
+    return rows
+      .map((row) => ({
+        instrumentId: row.instrument_id,
+        similarity: row.similarity,
+        details: row.details,
+        eligibility: assessEligibility(company, row.details),
+      }))
+      .filter((match) => match.eligibility.status !== 'ineligible')
+      .sort(
+        (a, b) =>
+          STATUS_ORDER[a.eligibility.status] -
+            STATUS_ORDER[b.eligibility.status] || b.similarity - a.similarity,
+      )
+      .slice(0, limit);
+  }
+}
@@ -0,0 +1,73 @@
+import { CompanySizeClass } from '../../companies/interfaces/company.interface';
+
+// Shape of a record in script/funding-instruments.json, stored as-is in
+// funding_instrument.details (script/schemas/funding-instrument.schema.json).
+
+export interface FundingInstrumentEligibility {
+  size_classes: CompanySizeClass[];
+  min_age_years?: number;
+  max_age_years?: number;
+  // TOL 2025 section letters or code prefixes; empty means every industry
+  industry_codes?: string[];
+  excluded_industry_codes?: string[];
+  // "Finland" for nationwide instruments, otherwise regions (maakunnat)
+  regions: string[];
+}
+
+export interface FundingInstrumentDetails {
+  id: string;
+  name: string;
+  provider: string;
+  type: 'grant' | 'loan' | 'guarantee' | 'equity' | 'voucher';
+  description: string;
+  funded_activities?: string[];
+  max_amount_eur?: number;
+  // Share of the eligible costs covered, 0-1
+  funding_share?: number;
+  eligibility: FundingInstrumentEligibility;
+  active_status: string;
+}
+
+export type EligibilityStatus = 'eligible' | 'ineligible' | 'unknown';
+
+export type EligibilityCriterionStatus = 'match' | 'mismatch' | 'unknown';
+
+export interface InstrumentEligibility {
+  // ineligible if any criterion is a mismatch, eligible if all match
+  status: EligibilityStatus;
+  size: {
+    status: EligibilityCriterionStatus;
+    sizeClass?: CompanySizeClass;
+    sizeClasses: CompanySizeClass[];
+  };
+  age: {
+    status: EligibilityCriterionStatus;
+    ageYears?: number;
+    minAgeYears?: number;
+    maxAgeYears?: number;
+  };
+  industry: {
+    status: EligibilityCriterionStatus;
+    code?: string;
+    industryCodes: string[];
+    excludedIndustryCodes: string[];
+  };
+  region: {
+    status: EligibilityCriterionStatus;
+    region?: string;
+    regions: string[];
+  };
+  amount: {
+    status: EligibilityCriterionStatus;
+    amountEur?: number;
+    maxAmountEur?: number;
+  };
+  reasons: string[];
+}
+
+export interface FundingInstrumentMatch {
+  instrumentId: string;
+  similarity: number;
+  details: FundingInstrumentDetails;
+  eligibility: InstrumentEligibility;
+}
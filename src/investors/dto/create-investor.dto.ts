@@ -0,0 +1,155 @@
+import { Type } from 'class-transformer';
+import {
+  ArrayMinSize,
+  ArrayUnique,
+  IsArray,
+  IsIn,
+  IsInt,
+  IsNotEmpty,
+  IsOptional,
+  IsString,
+  Matches,
+  Min,
+  MinLength,
+  ValidateNested,
+} from 'class-validator';
+import { FUNDING_ROUNDS } from '../../companies/interfaces/company.interface';
+import type { FundingRound } from '../../companies/interfaces/company.interface';
+import {
+  BUSINESS_MODELS,
+  INVESTOR_STATUSES,
+  ROUND_ROLES,
+} from '../interfaces/investor.interface';
+import type {
+  BusinessModel,
+  InvestorStatus,
+  RoundRole,
+} from '../interfaces/investor.interface';
+
+export class CheckSizeDto {
+  @IsInt()
+  @Min(0)
+  min_usd: number;
+
+  @IsInt()
+  @Min(1)
+  max_usd: number;
+}
+
+export class PortfolioCompanyDto {
+  @IsString()
+  @IsNotEmpty()
+  company: string;
+
+  @IsString()
+  @IsNotEmpty()
+  industry: string;
+
+  @IsIn(FUNDING_ROUNDS)
+  stage_invested: FundingRound;
+}
+
+// Same shape and rules as a record in script/investors.json
+// (script/schemas/investor.schema.json).
+export class CreateInvestorDto {
+  @Matches(/^[a-z0-9][a-z0-9_-]*$/, {
+    message: 'id must be lowercase letters, digits, _ or -, e.g. investor_21',
+  })
+  id: string;
+
+  @IsString()
+  @IsNotEmpty()
+  name: string;
+
+  @IsOptional()
+  @IsString()
+  role?: string;
+
+  @IsOptional()
+  @IsString()
+  firm?: string;
+
+  @IsOptional()
+  @IsString()
+  location?: string;
+
+  @IsArray()
+  @ArrayMinSize(1)
+  @ArrayUnique()
+  @IsString({ each: true })
+  @IsNotEmpty({ each: true })
+  geo_focus: string[];
+
+  @IsString()
+  @MinLength(20)
+  investment_thesis: string;
+
+  @IsArray()
+  @ArrayMinSize(1)
+  @ArrayUnique()
+  @IsIn(FUNDING_ROUNDS, { each: true })
+  preferred_rounds: FundingRound[];
+
+  @IsOptional()
+  @IsIn(ROUND_ROLES)
+  preferred_round_role?: RoundRole;
+
+  @IsString()
+  @IsNotEmpty()
+  check_size_range: string;
+
+  @ValidateNested()
+  @Type(() => CheckSizeDto)
+  check_size_numeric: CheckSizeDto;
+
+  @IsArray()
+  @ArrayMinSize(1)
+  @ArrayUnique()
+  @IsString({ each: true })
+  @IsNotEmpty({ each: true })
+  preferred_industries: string[];
+
+  @IsArray()
+  @ArrayMinSize(1)
+  @ArrayUnique()
+  @IsIn(BUSINESS_MODELS, { each: true })
+  business_models: BusinessModel[];
+
+  @IsOptional()
+  @IsArray()
+  @ArrayUnique()
+  @IsString({ each: true })
+  @IsNotEmpty({ each: true })
+  avoid_industries?: string[];
+
+  @IsOptional()
+  @IsArray()
+  @ValidateNested({ each: true })
+  @Type(() => PortfolioCompanyDto)
+  portfolio?: PortfolioCompanyDto[];
+
+  @IsOptional()
+  @IsString()
+  background?: string;
+
+  @IsOptional()
+  @IsArray()
+  @IsString({ each: true })
+  @IsNotEmpty({ each: true })
+  evaluation_criteria?: string[];
+
+  @IsOptional()
+  @IsString()
+  personality_type?: string;
+
+  @IsOptional()
+  @IsString()
+  support_level?: string;
+
+  @IsOptional()
+  @IsString()
+  contact_policy?: string;
+
+  @IsIn(INVESTOR_STATUSES)
+  active_status: InvestorStatus;
+}
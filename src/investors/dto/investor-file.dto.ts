@@ -0,0 +1,20 @@
+import { Transform } from 'class-transformer';
+import { IsBoolean, IsIn, IsOptional } from 'class-validator';
+
+export const INVESTOR_FILE_FORMATS = ['json', 'csv'] as const;
+
+export type InvestorFileFormat = (typeof INVESTOR_FILE_FORMATS)[number];
+
+export class ExportInvestorsDto {
+  @IsOptional()
+  @IsIn(INVESTOR_FILE_FORMATS)
+  format?: InvestorFileFormat;
+}
+
+export class ImportInvestorsDto {
+  // Validate and report without writing anything
+  @IsOptional()
+  @Transform(({ value }) => value === true || value === 'true')
+  @IsBoolean()
+  dryRun?: boolean;
+}
@@ -0,0 +1,23 @@
+import { Type } from 'class-transformer';
+import { IsIn, IsInt, IsOptional, Max, Min } from 'class-validator';
+import { INVESTOR_STATUSES } from '../interfaces/investor.interface';
+import type { InvestorStatus } from '../interfaces/investor.interface';
+
+export class ListInvestorsDto {
+  @IsOptional()
+  @IsIn(INVESTOR_STATUSES)
+  status?: InvestorStatus;
+
+  @IsOptional()
+  @Type(() => Number)
+  @IsInt()
+  @Min(1)
+  @Max(500)
+  limit?: number;
+
+  @IsOptional()
+  @Type(() => Number)
+  @IsInt()
+  @Min(0)
+  offset?: number;
+}
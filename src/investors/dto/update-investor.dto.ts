@@ -0,0 +1,8 @@
+import { OmitType, PartialType } from '@nestjs/mapped-types';
+import { CreateInvestorDto } from './create-investor.dto';
+
+// The investor ID is the key and cannot change; every other field is
+// replaced when present.
+export class UpdateInvestorDto extends PartialType(
+  OmitType(CreateInvestorDto, ['id'] as const),
+) {}
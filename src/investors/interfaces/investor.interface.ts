@@ -0,0 +1,105 @@
+// Shape of an investor record in script/investors.json, stored as-is in investor.details.
+// The enums match script/schemas/investor.schema.json; rounds are FUNDING_ROUNDS.
+
+export const BUSINESS_MODELS = [
+  'B2B',
+  'B2C',
+  'B2B2C',
+  'B2G',
+  'SaaS',
+  'PLG (Product-Led Growth)',
+  'Usage-Based',
+  'Usage-Based Pricing',
+  'Seat-Based Pricing',
+  'Subscription',
+  'B2C Subscription',
+  'Freemium with Upsell',
+  'Transaction Take-Rate',
+  'Licensing',
+  'Enterprise Contracts',
+  'APIs',
+  'API-First',
+  'Platform',
+  'Data Platform',
+  'Platform + Marketplace',
+  'Platform + Services',
+  'Marketplace',
+  'Hardware + SaaS',
+  'Hardware + Software',
+  'Project-Based + SaaS',
+  'Public-Private Partnerships',
+] as const;
+
+export const ROUND_ROLES = [
+  'Lead',
+  'Co-Lead',
+  'Follow',
+  'Lead or Co-Lead',
+  'Lead or Follow',
+  'Co-Lead or Follow',
+] as const;
+
+export const INVESTOR_STATUSES = ['Active', 'Inactive'] as const;
+
+export type BusinessModel = (typeof BUSINESS_MODELS)[number];
+export type RoundRole = (typeof ROUND_ROLES)[number];
+export type InvestorStatus = (typeof INVESTOR_STATUSES)[number];
+
+export interface PortfolioCompany {
+  company: string;
+  industry: string;
+  stage_invested: string;
+}
+
+export interface InvestorDetails {
+  id: string;
+  name: string;
+  role?: string;
+  firm?: string;
+  location?: string;
+  geo_focus?: string[];
+  investment_thesis?: string;
+  preferred_rounds?: string[];
+  preferred_round_role?: string;
+  check_size_range?: string;
+  check_size_numeric?: {
+    min_usd: number;
+    max_usd: number;
+  };
+  preferred_industries?: string[];
+  business_models?: string[];
+  avoid_industries?: string[];
+  portfolio?: PortfolioCompany[];
+  background?: string;
+  evaluation_criteria?: string[];
+  personality_type?: string;
+  support_level?: string;
+  contact_policy?: string;
+  active_status?: string;
+}
+
+export interface Investor {
+  // investor.id (UUID), referenced by investor_embeddings
+  id: string;
+  // investor.investor_id, e.g. investor_01
+  investorId: string;
+  details: InvestorDetails;
+  updatedAt?: string;
+}
+
+export interface InvestorImportFailure {
+  // Position of the record in the imported file
+  index: number;
+  id: string | null;
+  errors: string[];
+}
+
+export interface InvestorImportResult {
+  dryRun: boolean;
+  created: string[];
+  updated: string[];
+  unchanged: string[];
+  // Investors whose embedding text changed and were re-embedded
+  reembedded: string[];
+  failed: InvestorImportFailure[];
+}
@@ -0,0 +1,58 @@
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { repoPath } from '../repo-paths';
+import { InvestorDetails } from './interfaces/investor.interface';
+import { findInconsistencies, parseCheckSize } from './investor-consistency';
+
+// Cross-field cases shared with script/lib/validation.test.js, so the API
+// rejects the same investors as `npm start investor -- --strict`
+interface ConsistencyCase {
+  name: string;
+  changes: Partial<InvestorDetails>;
+  errors: string[];
+}
+
+const CONSISTENCY = JSON.parse(
+  readFileSync(join(__dirname, 'fixtures', 'consistency.json'), 'utf-8'),
+) as { base: string; cases: ConsistencyCase[] };
+
+const INVESTORS = JSON.parse(
+  readFileSync(repoPath('script', 'investors.json'), 'utf-8'),
+) as InvestorDetails[];
+
+// Messages start with the field they are about, e.g.
+// "check_size_numeric.min_usd 5 is greater than max_usd 1"
+function errorFields(investor: InvestorDetails): string[] {
+  return findInconsistencies(investor).map(
+    (message) => message.split(/[\s.]/)[0],
+  );
+}
+
+describe('parseCheckSize', () => {
+  it('converts both bounds to USD', () => {
+    expect(parseCheckSize('€500k–€4M')).toEqual({
+      min_usd: 550000,
+      max_usd: 4400000,
+    });
+    expect(parseCheckSize('$25k-$200k')).toEqual({
+      min_usd: 25000,
+      max_usd: 200000,
+    });
+  });
+
+  it('returns null for anything but a two-bound range', () => {
+    expect(parseCheckSize('Up to $1M')).toBeNull();
+    expect(parseCheckSize('$1M')).toBeNull();
+  });
+});
+
+describe('findInconsistencies', () => {
+  const base = INVESTORS.find((investor) => investor.id === CONSISTENCY.base)!;
+
+  it.each(CONSISTENCY.cases)(
+    'reports the errors of the pipeline for $name',
+    ({ changes, errors }) => {
+      expect(errorFields({ ...base, ...changes })).toEqual(errors);
+    },
+  );
+});
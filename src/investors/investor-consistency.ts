@@ -0,0 +1,99 @@
+import { readFileSync } from 'fs';
+import { repoPath } from '../repo-paths';
+import { InvestorDetails } from './interfaces/investor.interface';
+
+// Cross-field rules that class-validator cannot express. Mirrors the error
+// checks of validateInvestors in script/lib/validation.js, so records the
+// API accepts also pass `npm start investor -- --strict`. Both read the
+// currencies, magnitudes and tolerance from the same file, and
+// src/investors/fixtures/consistency.json holds the cases both are tested on.
+
+interface CheckSizeRules {
+  usdRates: Record<string, number>;
+  magnitudes: Record<string, number>;
+  tolerance: number;
+}
+
+const CHECK_SIZE_RULES = JSON.parse(
+  readFileSync(repoPath('script', 'schemas', 'check-size.json'), 'utf-8'),
+) as CheckSizeRules;
+
+// One bound of a range: optional currency, amount, optional magnitude
+const CHECK_SIZE_BOUND = new RegExp(
+  `^(${Object.keys(CHECK_SIZE_RULES.usdRates).map(escapeRegExp).join('|')})?` +
+    `\\s*(\\d+(?:\\.\\d+)?)([${Object.keys(CHECK_SIZE_RULES.magnitudes).join('')}])?$`,
+);
+
+function escapeRegExp(text: string): string {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Parse a display check size such as "€500k–€4M" into USD amounts,
+ * or null if it is not in that form.
+ */
+export function parseCheckSize(
+  range: string,
+): { min_usd: number; max_usd: number } | null {
+  const bounds = range.split(/\s*[–-]\s*/);
+  if (bounds.length !== 2) return null;
+
+  const [low, high] = bounds.map((bound) => bound.match(CHECK_SIZE_BOUND));
+  if (!low || !high) return null;
+
+  // "€500k–4M" carries the currency on the first bound only
+  const rate = CHECK_SIZE_RULES.usdRates[low[1] || high[1] || '$'];
+  const toUsd = (match: RegExpMatchArray) =>
+    Number(match[2]) * (CHECK_SIZE_RULES.magnitudes[match[3]] ?? 1) * rate;
+  const [min, max] = [toUsd(low), toUsd(high)];
+  return { min_usd: Math.round(min), max_usd: Math.round(max) };
+}
+
+function isClose(a: number, b: number): boolean {
+  if (a === 0 || b === 0) return a === b;
+  return Math.max(a, b) / Math.min(a, b) <= CHECK_SIZE_RULES.tolerance;
+}
+
+/**
+ * Problems between fields of an investor that is otherwise valid.
+ */
+export function findInconsistencies(investor: InvestorDetails): string[] {
+  const errors: string[] = [];
+  const numeric = investor.check_size_numeric;
+
+  if (numeric && numeric.min_usd > numeric.max_usd) {
+    errors.push(
+      `check_size_numeric.min_usd ${numeric.min_usd} is greater than max_usd ${numeric.max_usd}`,
+    );
+  }
+
+  if (investor.check_size_range && numeric) {
+    const parsed = parseCheckSize(investor.check_size_range);
+    if (!parsed) {
+      errors.push(
+        `check_size_range "${investor.check_size_range}" must look like "€500k–€4M"`,
+      );
+    } else if (
+      !isClose(parsed.min_usd, numeric.min_usd) ||
+      !isClose(parsed.max_usd, numeric.max_usd)
+    ) {
+      errors.push(
+        `check_size_range "${investor.check_size_range}" does not match check_size_numeric $${numeric.min_usd}–$${numeric.max_usd}`,
+      );
+    }
+  }
+
+  const avoided = new Set(
+    (investor.avoid_industries ?? []).map((industry) => industry.toLowerCase()),
+  );
+  const conflicting = (investor.preferred_industries ?? []).filter((industry) =>
+    avoided.has(industry.toLowerCase()),
+  );
+  if (conflicting.length > 0) {
+    errors.push(
+      `avoid_industries also listed in preferred_industries: ${conflicting.join(', ')}`,
+    );
+  }
+
+  return errors;
+}
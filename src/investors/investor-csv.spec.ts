@@ -0,0 +1,65 @@
+import { readFileSync } from 'fs';
+import { repoPath } from '../repo-paths';
+import { InvestorDetails } from './interfaces/investor.interface';
+import {
+  INVESTOR_CSV_COLUMNS,
+  parseInvestorCsv,
+  toInvestorCsv,
+} from './investor-csv';
+
+const INVESTORS = JSON.parse(
+  readFileSync(repoPath('script', 'investors.json'), 'utf-8'),
+) as InvestorDetails[];
+
+describe('investor CSV', () => {
+  it('reads back every investor in investors.json as it was written', () => {
+    const csv = toInvestorCsv(INVESTORS);
+
+    expect(csv.split('\r\n')[0]).toBe(INVESTOR_CSV_COLUMNS.join(','));
+    expect(parseInvestorCsv(csv)).toEqual(INVESTORS);
+  });
+
+  it('quotes commas, quotes and line breaks inside cells', () => {
+    const investor: InvestorDetails = {
+      ...INVESTORS[0],
+      name: 'Smith, Jane',
+      investment_thesis: 'Backs "boring" software.\nSecond line, with a comma.',
+      background: 'Line one\r\nLine two',
+    };
+
+    const csv = toInvestorCsv([investor]);
+
+    expect(csv).toContain('"Smith, Jane"');
+    expect(csv).toContain('"Backs ""boring"" software.\nSecond line');
+    expect(parseInvestorCsv(csv)).toEqual([investor]);
+  });
+
+  it('reads CSV saved by a spreadsheet with a BOM and LF line endings', () => {
+    const csv = `\uFEFF${toInvestorCsv(INVESTORS.slice(0, 2)).replace(/\r\n/g, '\n')}\n`;
+
+    expect(parseInvestorCsv(csv)).toEqual(INVESTORS.slice(0, 2));
+  });
+
+  it('leaves out empty scalar cells and keeps unknown columns', () => {
+    const csv = 'id,name,role,geo_focus,nickname\r\ninvestor_99,Ann,,,Annie';
+
+    expect(parseInvestorCsv(csv)).toEqual([
+      { id: 'investor_99', name: 'Ann', geo_focus: [], nickname: 'Annie' },
+    ]);
+  });
+
+  it('keeps a malformed portfolio entry as text for validation to report', () => {
+    const csv =
+      'id,portfolio\r\ninvestor_99,"Acme (Fintech, Seed); Broken entry"';
+
+    expect(parseInvestorCsv(csv)).toEqual([
+      {
+        id: 'investor_99',
+        portfolio: [
+          { company: 'Acme', industry: 'Fintech', stage_invested: 'Seed' },
+          'Broken entry',
+        ],
+      },
+    ]);
+  });
+});
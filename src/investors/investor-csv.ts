@@ -0,0 +1,186 @@
+import {
+  InvestorDetails,
+  PortfolioCompany,
+} from './interfaces/investor.interface';
+
+// One investor per row. Lists are joined with "; ", check_size_numeric is
+// split into two columns and portfolio entries are written as
+// "Company (Industry, Stage)".
+export const INVESTOR_CSV_COLUMNS = [
+  'id',
+  'name',
+  'role',
+  'firm',
+  'location',
+  'geo_focus',
+  'investment_thesis',
+  'preferred_rounds',
+  'preferred_round_role',
+  'check_size_range',
+  'check_size_min_usd',
+  'check_size_max_usd',
+  'preferred_industries',
+  'business_models',
+  'avoid_industries',
+  'portfolio',
+  'background',
+  'evaluation_criteria',
+  'personality_type',
+  'support_level',
+  'contact_policy',
+  'active_status',
+] as const;
+
+const LIST_COLUMNS = new Set<string>([
+  'geo_focus',
+  'preferred_rounds',
+  'preferred_industries',
+  'business_models',
+  'avoid_industries',
+  'evaluation_criteria',
+]);
+
+const LIST_SEPARATOR = '; ';
+
+function quote(value: string): string {
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+function formatPortfolio(portfolio: PortfolioCompany[]): string {
+  return portfolio
+    .map(
+      (holding) =>
+        `${holding.company} (${holding.industry}, ${holding.stage_invested})`,
+    )
+    .join(LIST_SEPARATOR);
+}
+
+function parsePortfolio(cell: string): unknown[] {
+  return splitList(cell).map((entry) => {
+    const match = entry.match(/^(.+?) \((.+), ([^,]+)\)$/);
+    // Left as a string so validation reports the malformed entry
+    if (!match) return entry;
+    return { company: match[1], industry: match[2], stage_invested: match[3] };
+  });
+}
+
+function splitList(cell: string): string[] {
+  return cell
+    .split(';')
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+function cellOf(investor: InvestorDetails, column: string): string {
+  switch (column) {
+    case 'check_size_min_usd':
+      return String(investor.check_size_numeric?.min_usd ?? '');
+    case 'check_size_max_usd':
+      return String(investor.check_size_numeric?.max_usd ?? '');
+    case 'portfolio':
+      return formatPortfolio(investor.portfolio ?? []);
+  }
+
+  // Every other column is a string or a list of strings
+  const value = investor[column as keyof InvestorDetails] as
+    | string
+    | string[]
+    | undefined;
+  if (Array.isArray(value)) return value.join(LIST_SEPARATOR);
+  return value ?? '';
+}
+
+/**
+ * Write investors as CSV with a header row.
+ */
+export function toInvestorCsv(investors: InvestorDetails[]): string {
+  const rows = investors.map((investor) =>
+    INVESTOR_CSV_COLUMNS.map((column) => quote(cellOf(investor, column))),
+  );
+  return [INVESTOR_CSV_COLUMNS as readonly string[], ...rows]
+    .map((row) => row.join(','))
+    .join('\r\n');
+}
+
+/**
+ * Split CSV text into rows of cells (RFC 4180: quoted cells may contain
+ * commas, quotes and line breaks).
+ */
+function parseCsv(text: string): string[][] {
+  const rows: string[][] = [];
+  let row: string[] = [];
+  let cell = '';
+  let quoted = false;
+
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Blank lines, e.g. a trailing newline
+  return rows.filter((cells) => cells.some((value) => value.trim() !== ''));
+}
+
+/**
+ * Read investors from CSV written by toInvestorCsv (or edited in a
+ * spreadsheet). Returns plain records for validation; empty scalar cells
+ * are left out and unknown columns are kept so validation can reject them.
+ */
+export function parseInvestorCsv(text: string): Record<string, unknown>[] {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+  const columns = header.map((column) => column.trim());
+
+  return rows.map((cells) => {
+    const record: Record<string, unknown> = {};
+    const checkSize: Record<string, number> = {};
+
+    columns.forEach((column, index) => {
+      const cell = (cells[index] ?? '').trim();
+
+      // An empty list cell is an empty list, as in investors.json
+      if (column === 'portfolio') record.portfolio = parsePortfolio(cell);
+      else if (LIST_COLUMNS.has(column)) record[column] = splitList(cell);
+      else if (cell === '') return;
+      else if (column === 'check_size_min_usd')
+        checkSize.min_usd = Number(cell);
+      else if (column === 'check_size_max_usd')
+        checkSize.max_usd = Number(cell);
+      else record[column] = cell;
+    });
+
+    if (Object.keys(checkSize).length > 0) {
+      record.check_size_numeric = checkSize;
+    }
+    return record;
+  });
+}
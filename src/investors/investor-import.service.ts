@@ -0,0 +1,212 @@
+import { Injectable, Logger } from '@nestjs/common';
+import { plainToInstance } from 'class-transformer';
+import { validate, ValidationError } from 'class-validator';
+import { SupabaseService } from '../supabase/supabase.service';
+import { CreateInvestorDto } from './dto/create-investor.dto';
+import {
+  InvestorDetails,
+  InvestorImportFailure,
+  InvestorImportResult,
+} from './interfaces/investor.interface';
+import { findInconsistencies } from './investor-consistency';
+import { InvestorRow, InvestorsService, toInvestor } from './investors.service';
+
+// PostgREST returns at most 1000 rows per request
+const EXPORT_PAGE_SIZE = 1000;
+
+/**
+ * Bulk import and export of investors, so the investor database can be
+ * maintained as a JSON or CSV file instead of script/investors.json.
+ */
+@Injectable()
+export class InvestorImportService {
+  private readonly logger = new Logger(InvestorImportService.name);
+
+  constructor(
+    private readonly supabase: SupabaseService,
+    private readonly investors: InvestorsService,
+  ) {}
+
+  /**
+   * Validate records and upsert the valid ones by investor ID. Invalid
+   * records are reported and skipped; only investors whose embedding text
+   * changed are re-embedded.
+   */
+  async import(
+    records: unknown[],
+    dryRun = false,
+  ): Promise<InvestorImportResult> {
+    const result: InvestorImportResult = {
+      dryRun,
+      created: [],
+      updated: [],
+      unchanged: [],
+      reembedded: [],
+      failed: [],
+    };
+
+    const valid: InvestorDetails[] = [];
+    const seen = new Set<string>();
+    for (const [index, record] of records.entries()) {
+      const failure = await checkRecord(record, index, seen);
+      if (failure) result.failed.push(failure);
+      else valid.push(toDetails(record as CreateInvestorDto));
+    }
+
+    const existing = await this.findExisting(
+      valid.map((details) => details.id),
+    );
+    const changed: InvestorDetails[] = [];
+    for (const details of valid) {
+      const current = existing.get(details.id);
+      if (!current) {
+        result.created.push(details.id);
+        changed.push(details);
+      } else if (
+        stableStringify(current.details) === stableStringify(details)
+      ) {
+        result.unchanged.push(details.id);
+      } else {
+        result.updated.push(details.id);
+        changed.push(details);
+      }
+    }
+
+    if (dryRun || changed.length === 0) return result;
+
+    const { data, error } = await this.supabase.client
+      .from('investor')
+      .upsert(
+        changed.map((details) => ({
+          investor_id: details.id,
+          details,
+          updated_at: new Date().toISOString(),
+        })),
+        { onConflict: 'investor_id', ignoreDuplicates: false },
+      )
+      .select('id, investor_id, details, updated_at')
+      .returns<InvestorRow[]>();
+
+    if (error) {
+      this.logger.error(
+        `Error importing ${changed.length} investors`,
+        error.message,
+      );
+      throw error;
+    }
+
+    result.reembedded = await this.investors.refreshEmbeddings(
+      (data ?? []).map(toInvestor),
+    );
+    this.logger.log(
+      `Imported investors: ${result.created.length} created, ${result.updated.length} updated, ${result.failed.length} failed`,
+    );
+    return result;
+  }
+
+  /**
+   * Every stored investor's details, ordered by investor ID, in the
+   * investors.json shape.
+   */
+  async exportAll(): Promise<InvestorDetails[]> {
+    const investors: InvestorDetails[] = [];
+
+    for (let offset = 0; ; offset += EXPORT_PAGE_SIZE) {
+      const { data, error } = await this.supabase.client
+        .from('investor')
+        .select('details')
+        .order('investor_id')
+        .range(offset, offset + EXPORT_PAGE_SIZE - 1)
+        .returns<Pick<InvestorRow, 'details'>[]>();
+
+      if (error) {
+        this.logger.error('Error exporting investors', error.message);
+        throw error;
+      }
+
+      investors.push(...(data ?? []).map((row) => row.details));
+      if (!data || data.length < EXPORT_PAGE_SIZE) return investors;
+    }
+  }
+
+  private async findExisting(
+    investorIds: string[],
+  ): Promise<Map<string, InvestorRow>> {
+    if (investorIds.length === 0) return new Map();
+
+    const { data, error } = await this.supabase.client
+      .from('investor')
+      .select('id, investor_id, details')
+      .in('investor_id', investorIds)
+      .returns<InvestorRow[]>();
+
+    if (error) {
+      this.logger.error('Error fetching investors to import', error.message);
+      throw error;
+    }
+
+    return new Map((data ?? []).map((row) => [row.investor_id, row]));
+  }
+}
+
+/**
+ * Validation problems of one imported record, or null if it can be loaded.
+ */
+async function checkRecord(
+  record: unknown,
+  index: number,
+  seen: Set<string>,
+): Promise<InvestorImportFailure | null> {
+  if (typeof record !== 'object' || record === null || Array.isArray(record)) {
+    return { index, id: null, errors: ['record must be an object'] };
+  }
+
+  const { id: rawId } = record as Record<string, unknown>;
+  const id = typeof rawId === 'string' ? rawId : null;
+  const dto = plainToInstance(CreateInvestorDto, record);
+  const errors = flattenErrors(
+    await validate(dto, { whitelist: true, forbidNonWhitelisted: true }),
+  );
+  if (errors.length === 0) {
+    errors.push(...findInconsistencies(dto));
+  }
+  if (id !== null) {
+    if (seen.has(id)) errors.push(`id ${id} appears more than once`);
+    seen.add(id);
+  }
+
+  return errors.length > 0 ? { index, id, errors } : null;
+}
+
+function flattenErrors(errors: ValidationError[], path = ''): string[] {
+  return errors.flatMap((error) => {
+    const property = path ? `${path}.${error.property}` : error.property;
+    const messages = Object.values(error.constraints ?? {}).map((message) =>
+      // class-validator messages start with the bare property name
+      message.startsWith(error.property)
+        ? `${property}${message.slice(error.property.length)}`
+        : message,
+    );
+    return [...messages, ...flattenErrors(error.children ?? [], property)];
+  });
+}
+
+/**
+ * Plain investors.json-shaped details from a validated record.
+ */
+function toDetails(record: CreateInvestorDto): InvestorDetails {
+  return JSON.parse(JSON.stringify(record)) as InvestorDetails;
+}
+
+/**
+ * JSON with sorted keys, to compare details regardless of key order.
+ */
+function stableStringify(value: unknown): string {
+  return JSON.stringify(value, (_, nested: unknown) =>
+    nested && typeof nested === 'object' && !Array.isArray(nested)
+      ? Object.fromEntries(
+          Object.entries(nested).sort(([a], [b]) => a.localeCompare(b)),
+        )
+      : nested,
+  );
+}
@@ -0,0 +1,69 @@
+import {
+  renderText,
+  renderVectorTexts,
+  TextFields,
+  TextTemplate,
+} from '../embeddings/text-template';
+import { InvestorDetails } from './interfaces/investor.interface';
+
+/**
+ * Text fields an investor template can use. Keep in sync with
+ * INVESTOR_FIELDS in script/lib/templates.js.
+ */
+export const INVESTOR_FIELDS: TextFields<InvestorDetails> = {
+  name: { label: 'Investor', value: (i) => i.name },
+  firm: { label: 'Firm', value: (i) => i.firm },
+  role: { label: 'Role', value: (i) => i.role },
+  preferredIndustries: {
+    label: 'Preferred Industries',
+    value: (i) => i.preferred_industries,
+  },
+  businessModels: { label: 'Business Models', value: (i) => i.business_models },
+  preferredRounds: {
+    label: 'Preferred Rounds',
+    value: (i) => i.preferred_rounds,
+  },
+  preferredRoundRole: {
+    label: 'Round Role',
+    value: (i) => i.preferred_round_role,
+  },
+  geoFocus: { label: 'Geographic Focus', value: (i) => i.geo_focus },
+  checkSize: { label: 'Check Size Range', value: (i) => i.check_size_range },
+  thesis: { label: 'Investment Thesis', value: (i) => i.investment_thesis },
+  avoidIndustries: {
+    label: 'Avoid Industries',
+    value: (i) => i.avoid_industries,
+  },
+  portfolioIndustries: {
+    label: 'Portfolio Industries',
+    value: (i) => [
+      ...new Set(
+        (i.portfolio ?? []).map((item) => item.industry).filter(Boolean),
+      ),
+    ],
+  },
+  background: { label: 'Background', value: (i) => i.background },
+};
+
+/**
+ * Text representation of an investor for vectorization, from the
+ * configured text template.
+ * Keep in sync with createInvestorText in script/lib/text.js (text hashes
+ * are compared across both to find stale embeddings).
+ */
+export function createInvestorText(
+  template: TextTemplate,
+  investor: InvestorDetails,
+): string {
+  return renderText(template.investor, INVESTOR_FIELDS, investor);
+}
+
+/**
+ * Texts of the template's named investor vectors.
+ */
+export function createInvestorVectorTexts(
+  template: TextTemplate,
+  investor: InvestorDetails,
+): Record<string, string> {
+  return renderVectorTexts(template.investor, INVESTOR_FIELDS, investor);
+}
@@ -0,0 +1,95 @@
+import {
+  BadRequestException,
+  Body,
+  Controller,
+  Get,
+  Param,
+  Patch,
+  Post,
+  Query,
+  Res,
+} from '@nestjs/common';
+import type { Response } from 'express';
+import { CreateInvestorDto } from './dto/create-investor.dto';
+import {
+  ExportInvestorsDto,
+  ImportInvestorsDto,
+} from './dto/investor-file.dto';
+import { ListInvestorsDto } from './dto/list-investors.dto';
+import { UpdateInvestorDto } from './dto/update-investor.dto';
+import {
+  Investor,
+  InvestorDetails,
+  InvestorImportResult,
+} from './interfaces/investor.interface';
+import { parseInvestorCsv, toInvestorCsv } from './investor-csv';
+import { InvestorImportService } from './investor-import.service';
+import { InvestorsService } from './investors.service';
+
+@Controller('investors')
+export class InvestorsController {
+  constructor(
+    private readonly investorsService: InvestorsService,
+    private readonly importService: InvestorImportService,
+  ) {}
+
+  @Get()
+  findAll(@Query() query: ListInvestorsDto): Promise<Investor[]> {
+    return this.investorsService.findAll(query);
+  }
+
+  @Get('export')
+  async export(
+    @Query() query: ExportInvestorsDto,
+    @Res({ passthrough: true }) res: Response,
+  ): Promise<InvestorDetails[] | string> {
+    const investors = await this.importService.exportAll();
+    const format = query.format ?? 'json';
+
+    res.attachment(`investors.${format}`);
+    if (format === 'csv') {
+      res.type('text/csv');
+      return toInvestorCsv(investors);
+    }
+    return investors;
+  }
+
+  @Get(':investorId')
+  findOne(@Param('investorId') investorId: string): Promise<Investor> {
+    return this.investorsService.findByInvestorId(investorId);
+  }
+
+  @Post()
+  create(@Body() investor: CreateInvestorDto): Promise<Investor> {
+    return this.investorsService.create(investor);
+  }
+
+  // Body: a JSON array in the investors.json shape, or CSV as exported
+  // (Content-Type: text/csv)
+  @Post('import')
+  import(
+    @Body() body: unknown,
+    @Query() query: ImportInvestorsDto,
+  ): Promise<InvestorImportResult> {
+    const records = typeof body === 'string' ? parseInvestorCsv(body) : body;
+    if (!Array.isArray(records)) {
+      throw new BadRequestException(
+        'Expected a JSON array of investors or a text/csv body',
+      );
+    }
+    return this.importService.import(records, query.dryRun);
+  }
+
+  @Patch(':investorId')
+  update(
+    @Param('investorId') investorId: string,
+    @Body() update: UpdateInvestorDto,
+  ): Promise<Investor> {
+    return this.investorsService.update(investorId, update);
+  }
+
+  @Post(':investorId/deactivate')
+  deactivate(@Param('investorId') investorId: string): Promise<Investor> {
+    return this.investorsService.deactivate(investorId);
+  }
+}
@@ -0,0 +1,13 @@
+import { Module } from '@nestjs/common';
+import { EmbeddingsModule } from '../embeddings/embeddings.module';
+import { InvestorImportService } from './investor-import.service';
+import { InvestorsController } from './investors.controller';
+import { InvestorsService } from './investors.service';
+
+@Module({
+  imports: [EmbeddingsModule],
+  controllers: [InvestorsController],
+  providers: [InvestorsService, InvestorImportService],
+  exports: [InvestorsService],
+})
+export class InvestorsModule {}
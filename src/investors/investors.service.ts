@@ -0,0 +1,299 @@
+import {
+  BadRequestException,
+  ConflictException,
+  Injectable,
+  Logger,
+  NotFoundException,
+} from '@nestjs/common';
+import { hashText } from '../companies/company-text';
+import { EmbeddingsService } from '../embeddings/embeddings.service';
+import { TextTemplateService } from '../embeddings/text-template.service';
+import { SupabaseService } from '../supabase/supabase.service';
+import { CreateInvestorDto } from './dto/create-investor.dto';
+import { ListInvestorsDto } from './dto/list-investors.dto';
+import { UpdateInvestorDto } from './dto/update-investor.dto';
+import { Investor, InvestorDetails } from './interfaces/investor.interface';
+import { findInconsistencies } from './investor-consistency';
+
+const DEFAULT_LIST_LIMIT = 50;
+
+const INVESTOR_COLUMNS = 'id, investor_id, details, updated_at';
+
+export interface InvestorRow {
+  id: string;
+  investor_id: string;
+  details: InvestorDetails;
+  updated_at?: string | null;
+}
+
+interface InvestorEmbeddingRow {
+  investor_id: string;
+  model: string | null;
+  text_hash: string | null;
+}
+
+export function toInvestor(row: InvestorRow): Investor {
+  return {
+    id: row.id,
+    investorId: row.investor_id,
+    details: row.details,
+    updatedAt: row.updated_at ?? undefined,
+  };
+}
+
+@Injectable()
+export class InvestorsService {
+  private readonly logger = new Logger(InvestorsService.name);
+
+  constructor(
+    private readonly supabase: SupabaseService,
+    private readonly embeddings: EmbeddingsService,
+    private readonly textTemplates: TextTemplateService,
+  ) {}
+
+  /**
+   * Find an investor by its investors.json ID, e.g. investor_01.
+   */
+  async findByInvestorId(investorId: string): Promise<Investor> {
+    const { data, error } = await this.supabase.client
+      .from('investor')
+      .select(INVESTOR_COLUMNS)
+      .eq('investor_id', investorId)
+      .maybeSingle<InvestorRow>();
+
+    if (error) {
+      this.logger.error(`Error fetching investor ${investorId}`, error.message);
+      throw error;
+    }
+    if (!data) {
+      throw new NotFoundException(`Investor ${investorId} not found`);
+    }
+
+    return toInvestor(data);
+  }
+
+  /**
+   * List investors ordered by investor ID, optionally by active status.
+   */
+  async findAll(query: ListInvestorsDto = {}): Promise<Investor[]> {
+    const limit = query.limit ?? DEFAULT_LIST_LIMIT;
+    const offset = query.offset ?? 0;
+
+    let request = this.supabase.client
+      .from('investor')
+      .select(INVESTOR_COLUMNS)
+      .order('investor_id')
+      .range(offset, offset + limit - 1);
+    if (query.status) {
+      request = request.eq('details->>active_status', query.status);
+    }
+
+    const { data, error } = await request.returns<InvestorRow[]>();
+    if (error) {
+      this.logger.error('Error listing investors', error.message);
+      throw error;
+    }
+
+    return (data ?? []).map(toInvestor);
+  }
+
+  /**
+   * Store a new investor and embed it.
+   */
+  async create(investor: CreateInvestorDto): Promise<Investor> {
+    const details: InvestorDetails = { ...investor };
+    assertConsistent(details);
+
+    const { data, error } = await this.supabase.client
+      .from('investor')
+      .insert({ investor_id: details.id, details })
+      .select(INVESTOR_COLUMNS)
+      .single<InvestorRow>();
+
+    if (error) {
+      // unique_violation on investor_id
+      if (error.code === '23505') {
+        throw new ConflictException(`Investor ${details.id} already exists`);
+      }
+      this.logger.error(`Error creating investor ${details.id}`, error.message);
+      throw error;
+    }
+
+    const created = toInvestor(data);
+    await this.refreshEmbeddings([created]);
+    return created;
+  }
+
+  /**
+   * Replace the fields present in the update. The investor is re-embedded
+   * only when its embedding text changed.
+   */
+  async update(
+    investorId: string,
+    update: UpdateInvestorDto,
+  ): Promise<Investor> {
+    const existing = await this.findByInvestorId(investorId);
+    const details: InvestorDetails = { ...existing.details, ...update };
+    assertConsistent(details);
+
+    const updated = await this.saveDetails(existing, details);
+    await this.refreshEmbeddings([updated]);
+    return updated;
+  }
+
+  /**
+   * Mark an investor Inactive. It stays stored and matchable; scoring
+   * ranks it down and `exclude.inactive` drops it.
+   */
+  async deactivate(investorId: string): Promise<Investor> {
+    const existing = await this.findByInvestorId(investorId);
+    if (existing.details.active_status === 'Inactive') return existing;
+
+    // active_status is not part of the embedding text
+    return this.saveDetails(existing, {
+      ...existing.details,
+      active_status: 'Inactive',
+    });
+  }
+
+  /**
+   * Embed the investors whose stored embedding is missing, from another
+   * model or built from a different text. Returns the investor IDs that
+   * were re-embedded, whose named vectors are refreshed as well.
+   */
+  async refreshEmbeddings(investors: Investor[]): Promise<string[]> {
+    if (investors.length === 0) return [];
+
+    const { data, error } = await this.supabase.client
+      .from('investor_embeddings')
+      .select('investor_id, model, text_hash')
+      .in(
+        'investor_id',
+        investors.map((investor) => investor.id),
+      )
+      .returns<InvestorEmbeddingRow[]>();
+
+    if (error) {
+      this.logger.error('Error fetching investor embeddings', error.message);
+      throw error;
+    }
+
+    const stored = new Map((data ?? []).map((row) => [row.investor_id, row]));
+    const stale = investors
+      .map((investor) => ({
+        investor,
+        text: this.textTemplates.investorText(investor.details),
+      }))
+      .filter(({ investor, text }) => {
+        const embedding = stored.get(investor.id);
+        return (
+          embedding?.model !== this.embeddings.model ||
+          embedding.text_hash !== hashText(text)
+        );
+      });
+    if (stale.length === 0) return [];
+
+    const vectors = await this.embeddings.embed(
+      stale.map(({ text }) => text),
+      'document',
+    );
+
+    const { error: upsertError } = await this.supabase.client
+      .from('investor_embeddings')
+      .upsert(
+        stale.map(({ investor, text }, i) => ({
+          investor_id: investor.id,
+          embeddings: vectors[i],
+          model: this.embeddings.model,
+          dimension: vectors[i].length,
+          text_hash: hashText(text),
+          updated_at: new Date().toISOString(),
+        })),
+        { onConflict: 'investor_id', ignoreDuplicates: false },
+      );
+
+    if (upsertError) {
+      this.logger.error(
+        `Error updating embeddings for ${stale.length} investors`,
+        upsertError.message,
+      );
+      throw upsertError;
+    }
+
+    await this.refreshNamedVectors(stale.map(({ investor }) => investor));
+
+    return stale.map(({ investor }) => investor.investorId);
+  }
+
+  /**
+   * Embed and store the template's named vectors (e.g. business, funding)
+   * of investors whose main embedding was refreshed, like the investor
+   * pipeline does.
+   */
+  private async refreshNamedVectors(investors: Investor[]): Promise<void> {
+    const named = investors.flatMap((investor) =>
+      Object.entries(this.textTemplates.investorVectorTexts(investor.details))
+        // Nothing to embed, e.g. a vector whose fields are all empty
+        .filter(([, text]) => text)
+        .map(([name, text]) => ({ investor, name, text })),
+    );
+    if (named.length === 0) return;
+
+    const vectors = await this.embeddings.embed(
+      named.map(({ text }) => text),
+      'document',
+    );
+
+    const { error } = await this.supabase.client
+      .from('investor_embedding_vectors')
+      .upsert(
+        named.map(({ investor, name, text }, i) => ({
+          investor_id: investor.id,
+          name,
+          embeddings: vectors[i],
+          model: this.embeddings.model,
+          dimension: vectors[i].length,
+          text_hash: hashText(text),
+          updated_at: new Date().toISOString(),
+        })),
+        { onConflict: 'investor_id,name', ignoreDuplicates: false },
+      );
+
+    if (error) {
+      this.logger.error(
+        `Error updating named vectors for ${investors.length} investors`,
+        error.message,
+      );
+      throw error;
+    }
+  }
+
+  private async saveDetails(
+    existing: Investor,
+    details: InvestorDetails,
+  ): Promise<Investor> {
+    const { data, error } = await this.supabase.client
+      .from('investor')
+      .update({ details, updated_at: new Date().toISOString() })
+      .eq('id', existing.id)
+      .select(INVESTOR_COLUMNS)
+      .single<InvestorRow>();
+
+    if (error) {
+      this.logger.error(
+        `Error updating investor ${existing.investorId}`,
+        error.message,
+      );
+      throw error;
+    }
+
+    return toInvestor(data);
+  }
+}
+
+function assertConsistent(details: InvestorDetails): void {
+  const problems = findInconsistencies(details);
+  if (problems.length > 0) {
+    throw new BadRequestException(problems);
+  }
+}
@@ -0,0 +1,12 @@
+export interface LlmMessage {
+  role: 'system' | 'user' | 'assistant';
+  content: string;
+}
+
+export interface LlmClient {
+  readonly model: string;
+  complete(messages: LlmMessage[]): Promise<string>;
+}
+
+// Injection token for the configured LlmClient implementation
+export const LLM_CLIENT = Symbol('LLM_CLIENT');
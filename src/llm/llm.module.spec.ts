@@ -0,0 +1,27 @@
+import { ConfigService } from '@nestjs/config';
+import { createLlmClient } from './llm.module';
+import { OpenAiLlmClient } from './openai-llm.client';
+import { StubLlmClient } from './stub-llm.client';
+
+// Only the given values, whatever is set in the environment
+function config(values: Record<string, string>): ConfigService {
+  return { get: (key: string) => values[key] } as unknown as ConfigService;
+}
+
+describe('createLlmClient', () => {
+  it('refuses to start without an OpenAI key', () => {
+    expect(() => createLlmClient(config({}))).toThrow(/OPENAI_API_KEY/);
+  });
+
+  it('uses OpenAI when a key is set', () => {
+    expect(
+      createLlmClient(config({ OPENAI_API_KEY: 'sk-test' })),
+    ).toBeInstanceOf(OpenAiLlmClient);
+  });
+
+  it('uses the stub only when asked to', () => {
+    expect(createLlmClient(config({ LLM_PROVIDER: 'stub' }))).toBeInstanceOf(
+      StubLlmClient,
+    );
+  });
+});
@@ -0,0 +1,42 @@
+import { Module } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import { LLM_CLIENT, LlmClient } from './llm-client.interface';
+import { OpenAiLlmClient } from './openai-llm.client';
+import { StubLlmClient } from './stub-llm.client';
+
+const DEFAULT_OPENAI_MODEL = 'gpt-4o-mini';
+
+// LLM_PROVIDER=openai|stub, openai by default. The stub is opt-in: without
+// an OpenAI key the app fails at startup instead of serving echoed prompts.
+export function createLlmClient(config: ConfigService): LlmClient {
+  const provider = config.get<string>('LLM_PROVIDER') || 'openai';
+
+  if (provider === 'stub') {
+    return new StubLlmClient();
+  }
+  if (provider === 'openai') {
+    const apiKey = config.get<string>('OPENAI_API_KEY');
+    if (!apiKey) {
+      throw new Error(
+        'OPENAI_API_KEY is required for pitch generation. Set LLM_PROVIDER=stub to run without OpenAI.',
+      );
+    }
+    return new OpenAiLlmClient(
+      apiKey,
+      config.get<string>('OPENAI_MODEL') || DEFAULT_OPENAI_MODEL,
+    );
+  }
+  throw new Error(`Unknown LLM_PROVIDER: ${provider}`);
+}
+
+@Module({
+  providers: [
+    {
+      provide: LLM_CLIENT,
+      useFactory: createLlmClient,
+      inject: [ConfigService],
+    },
+  ],
+  exports: [LLM_CLIENT],
+})
+export class LlmModule {}
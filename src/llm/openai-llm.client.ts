@@ -0,0 +1,41 @@
+import { Logger } from '@nestjs/common';
+import axios from 'axios';
+import { LlmClient, LlmMessage } from './llm-client.interface';
+
+const OPENAI_API_URL = 'https://api.openai.com/v1/chat/completions';
+
+interface ChatCompletionResponse {
+  choices: { message: { content: string | null } }[];
+}
+
+export class OpenAiLlmClient implements LlmClient {
+  private readonly logger = new Logger(OpenAiLlmClient.name);
+
+  constructor(
+    private readonly apiKey: string,
+    readonly model: string,
+  ) {}
+
+  async complete(messages: LlmMessage[]): Promise<string> {
+    try {
+      const response = await axios.post<ChatCompletionResponse>(
+        OPENAI_API_URL,
+        { model: this.model, messages, temperature: 0.7 },
+        {
+          headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${this.apiKey}`,
+          },
+          timeout: 60000,
+        },
+      );
+      return response.data.choices[0]?.message.content?.trim() ?? '';
+    } catch (error) {
+      this.logger.error(
+        `Error completing with ${this.model}`,
+        (error as Error).message,
+      );
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,19 @@
+import { LlmClient, LlmMessage } from './llm-client.interface';
+
+/**
+ * Deterministic offline client for local development and tests: echoes
+ * the whole prompt, so the same prompt always gives the same output and
+ * tests can check what the model was given.
+ */
+export class StubLlmClient implements LlmClient {
+  readonly model = 'stub';
+
+  complete(messages: LlmMessage[]): Promise<string> {
+    const prompt = messages
+      .map((message) => `[${message.role}]\n${message.content}`)
+      .join('\n\n');
+    return Promise.resolve(
+      `[stub response to ${messages.length} messages]\n\n${prompt}`,
+    );
+  }
+}
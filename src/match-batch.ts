@@ -0,0 +1,74 @@
+import { NestFactory } from '@nestjs/core';
+import { Logger } from '@nestjs/common';
+import { createWriteStream, readFileSync } from 'fs';
+import { AppModule } from './app.module';
+import { CompaniesService } from './companies/companies.service';
+import { MatchService } from './match/match.service';
+import { ScoringOptionsDto } from './scoring/dto/scoring-options.dto';
+
+// Batch investor matching for stored companies, one JSON line per company.
+//
+//   npm run match:batch -- --limit=100 --top=5 --out=matches.jsonl
+//   npm run match:batch -- --file=business-ids.txt --scoring='{"exclude":{"inactive":true}}'
+
+function getArg(args: string[], name: string): string | undefined {
+  const prefix = `--${name}=`;
+  return args.find((arg) => arg.startsWith(prefix))?.slice(prefix.length);
+}
+
+async function bootstrap() {
+  const args = process.argv.slice(2);
+  const file = getArg(args, 'file');
+  const out = getArg(args, 'out');
+  const limit = parseInt(getArg(args, 'limit') ?? '100', 10);
+  const top = parseInt(getArg(args, 'top') ?? '10', 10);
+  const scoringArg = getArg(args, 'scoring');
+  const scoring = scoringArg
+    ? (JSON.parse(scoringArg) as ScoringOptionsDto)
+    : undefined;
+
+  const app = await NestFactory.createApplicationContext(AppModule, {
+    logger: ['error', 'warn'],
+  });
+  const companies = app.get(CompaniesService);
+  const matchService = app.get(MatchService);
+
+  const businessIds = file
+    ? readFileSync(file, 'utf-8')
+        .split('\n')
+        .map((line) => line.trim())
+        .filter(Boolean)
+    : await companies.listBusinessIds(limit);
+
+  const output = out ? createWriteStream(out) : process.stdout;
+  let failed = 0;
+
+  for (const businessId of businessIds) {
+    try {
+      const result = await matchService.matchInvestors({
+        businessId,
+        scoring,
+        limit: top,
+      });
+      output.write(`${JSON.stringify(result)}\n`);
+    } catch (error) {
+      failed++;
+      Logger.error(
+        `Matching ${businessId} failed: ${(error as Error).message}`,
+      );
+    }
+  }
+
+  if (out) output.end();
+  await app.close();
+
+  // stdout may carry the JSONL output, so report on stderr
+  process.stderr.write(
+    `Matched ${businessIds.length - failed}/${businessIds.length} companies\n`,
+  );
+  if (failed > 0) process.exitCode = 1;
+}
+bootstrap().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,97 @@
+import { Type } from 'class-transformer';
+import { ScoringOptionsDto } from '../../scoring/dto/scoring-options.dto';
+import {
+  IsArray,
+  IsInt,
+  IsNotEmpty,
+  IsNumber,
+  IsOptional,
+  IsString,
+  Matches,
+  Max,
+  Min,
+  ValidateNested,
+} from 'class-validator';
+
+export class CompanyProfileDto {
+  @IsString()
+  @IsNotEmpty()
+  name: string;
+
+  @IsOptional()
+  @IsString()
+  description?: string;
+
+  @IsOptional()
+  @IsString()
+  address?: string;
+
+  @IsOptional()
+  @IsString()
+  registrationDate?: string;
+
+  @IsOptional()
+  @IsString()
+  categoryName?: string;
+
+  @IsOptional()
+  @IsString()
+  fundingRound?: string;
+
+  @IsOptional()
+  @IsNumber()
+  @Min(0)
+  fundingAmountUsd?: number;
+}
+
+export class MatchFiltersDto {
+  @IsOptional()
+  @IsArray()
+  @IsString({ each: true })
+  geoFocus?: string[];
+
+  @IsOptional()
+  @IsArray()
+  @IsString({ each: true })
+  preferredRounds?: string[];
+
+  @IsOptional()
+  @IsString()
+  activeStatus?: string;
+}
+
+export class MatchRequestDto {
+  @IsOptional()
+  @Matches(/^\d{7}-\d$/, {
+    message: 'businessId must be a Finnish business ID',
+  })
+  businessId?: string;
+
+  @IsOptional()
+  @ValidateNested()
+  @Type(() => CompanyProfileDto)
+  company?: CompanyProfileDto;
+
+  @IsOptional()
+  @ValidateNested()
+  @Type(() => MatchFiltersDto)
+  filters?: MatchFiltersDto;
+
+  @IsOptional()
+  @ValidateNested()
+  @Type(() => ScoringOptionsDto)
+  scoring?: ScoringOptionsDto;
+
+  @IsOptional()
+  @IsInt()
+  @Min(1)
+  @Max(100)
+  limit?: number;
+
+  // Funding instruments to return alongside investors; 0 skips them
+  @IsOptional()
+  @IsInt()
+  @Min(0)
+  @Max(20)
+  instrumentLimit?: number;
+}
@@ -0,0 +1,89 @@
+import {
+  CompanyDetails,
+  CompanyEnrichment,
+} from '../../companies/interfaces/company.interface';
+import { FundingInstrumentMatch } from '../../funding/interfaces/funding-instrument.interface';
+import {
+  Investor,
+  InvestorDetails,
+} from '../../investors/interfaces/investor.interface';
+import { ScoreBreakdown } from '../../scoring/interfaces/scoring.interface';
+
+export interface MatchCompany {
+  businessId?: string;
+  industryCode?: string;
+  details: Partial<CompanyDetails> & { name: string };
+  enrichment?: CompanyEnrichment;
+  funding?: {
+    round?: string;
+    amountUsd?: number;
+    amountEur?: number;
+  };
+}
+
+export type CriterionStatus = 'match' | 'mismatch' | 'unknown';
+
+export interface MatchJustification {
+  industry: {
+    status: CriterionStatus | 'avoid';
+    categoryName: string;
+    matched: string[];
+    avoided: string[];
+  };
+  stage: {
+    status: CriterionStatus;
+    round?: string;
+    preferredRounds: string[];
+  };
+  geography: {
+    status: CriterionStatus;
+    matched: string[];
+    geoFocus: string[];
+  };
+  checkSize: {
+    status: CriterionStatus;
+    amountUsd?: number;
+    minUsd?: number;
+    maxUsd?: number;
+  };
+  flags: string[];
+  reasons: string[];
+}
+
+export interface InvestorMatch {
+  investorId: string;
+  score: number;
+  similarity: number;
+  scoreBreakdown: ScoreBreakdown;
+  details: InvestorDetails;
+  justification: MatchJustification;
+}
+
+export interface MatchResult {
+  company: MatchCompany;
+  model: string;
+  matches: InvestorMatch[];
+  // Public funding instruments the company may be eligible for
+  instruments: FundingInstrumentMatch[];
+}
+
+export interface CompanyMatch {
+  businessId: string;
+  name: string;
+  score: number;
+  similarity: number;
+  scoreBreakdown: ScoreBreakdown;
+  details: CompanyDetails;
+  enrichment?: CompanyEnrichment;
+  justification: MatchJustification;
+}
+
+export interface InvestorMatchResult {
+  investor: Investor;
+  model: string;
+  offset: number;
+  limit: number;
+  // Whether another page follows this one
+  hasMore: boolean;
+  matches: CompanyMatch[];
+}
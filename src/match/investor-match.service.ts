@@ -0,0 +1,106 @@
+import { Injectable, Logger } from '@nestjs/common';
+import { CompanyRow, toCompany } from '../companies/companies.service';
+import { EmbeddingsService } from '../embeddings/embeddings.service';
+import { TextTemplateService } from '../embeddings/text-template.service';
+import { InvestorsService } from '../investors/investors.service';
+import { ScoringService } from '../scoring/scoring.service';
+import { SupabaseService } from '../supabase/supabase.service';
+import { InvestorMatchesDto } from './dto/investor-matches.dto';
+import { InvestorMatchResult } from './interfaces/match.interface';
+import { justifyMatch } from './justification';
+import { toMatchCompany } from './match.service';
+
+const DEFAULT_PAGE_SIZE = 10;
+
+// Same re-ranking headroom as forward matching, over every page up to the
+// requested one
+const CANDIDATE_POOL_FACTOR = 5;
+const MIN_CANDIDATE_POOL = 50;
+
+type MatchInvestorCompaniesRow = CompanyRow & { similarity: number };
+
+@Injectable()
+export class InvestorMatchService {
+  private readonly logger = new Logger(InvestorMatchService.name);
+
+  constructor(
+    private readonly supabase: SupabaseService,
+    private readonly investors: InvestorsService,
+    private readonly embeddings: EmbeddingsService,
+    private readonly textTemplates: TextTemplateService,
+    private readonly scoring: ScoringService,
+  ) {}
+
+  /**
+   * Rank stored companies for an investor: the reverse of matchInvestors.
+   * The investor profile is embedded as a query against company_embeddings
+   * and the companies are scored with the same justification and default
+   * weights as forward matching, so companies in its avoid_industries are
+   * kept but demoted to the end.
+   */
+  async matchCompanies(
+    investorId: string,
+    query: InvestorMatchesDto = {},
+  ): Promise<InvestorMatchResult> {
+    const investor = await this.investors.findByInvestorId(investorId);
+    const limit = query.limit ?? DEFAULT_PAGE_SIZE;
+    const offset = query.offset ?? 0;
+
+    const queryEmbedding = await this.embeddings.embedOne(
+      this.textTemplates.investorText(investor.details),
+      'query',
+    );
+
+    let rows: MatchInvestorCompaniesRow[];
+    try {
+      rows = await this.supabase.rpc<MatchInvestorCompaniesRow>(
+        'match_investor_companies',
+        {
+          query_embedding: queryEmbedding,
+          match_count: Math.max(
+            (offset + limit) * CANDIDATE_POOL_FACTOR,
+            MIN_CANDIDATE_POOL,
+          ),
+          // Vectors from another model live in a different space
+          filter_model: this.embeddings.model,
+        },
+      );
+    } catch (error) {
+      this.logger.error(
+        `Error matching companies for ${investorId}`,
+        (error as Error).message,
+      );
+      throw error;
+    }
+
+    const candidates = rows.map((row) => {
+      const company = toCompany(row);
+      return {
+        company,
+        similarity: row.similarity,
+        activeStatus: investor.details.active_status,
+        justification: justifyMatch(toMatchCompany(company), investor.details),
+      };
+    });
+
+    const ranked = this.scoring.rank(candidates);
+
+    return {
+      investor,
+      model: this.embeddings.model,
+      offset,
+      limit,
+      hasMore: ranked.length > offset + limit,
+      matches: ranked.slice(offset, offset + limit).map((match) => ({
+        businessId: match.company.businessId,
+        name: match.company.name,
+        score: match.score,
+        similarity: match.similarity,
+        scoreBreakdown: match.scoreBreakdown,
+        details: match.company.details,
+        enrichment: match.company.enrichment,
+        justification: match.justification,
+      })),
+    };
+  }
+}
@@ -0,0 +1,18 @@
+import { Controller, Get, Param, Query } from '@nestjs/common';
+import { InvestorMatchesDto } from './dto/investor-matches.dto';
+import { InvestorMatchResult } from './interfaces/match.interface';
+import { InvestorMatchService } from './investor-match.service';
+
+// Lives in MatchModule rather than InvestorsModule, which matching depends on
+@Controller('investors')
+export class InvestorMatchesController {
+  constructor(private readonly investorMatchService: InvestorMatchService) {}
+
+  @Get(':investorId/matches')
+  matches(
+    @Param('investorId') investorId: string,
+    @Query() query: InvestorMatchesDto,
+  ): Promise<InvestorMatchResult> {
+    return this.investorMatchService.matchCompanies(investorId, query);
+  }
+}
@@ -0,0 +1,59 @@
+import { InvestorDetails } from '../investors/interfaces/investor.interface';
+import { MatchCompany } from './interfaces/match.interface';
+import { AVOIDED_INDUSTRY_FLAG, justifyMatch } from './justification';
+
+function company(categoryName: string): MatchCompany {
+  return { details: { name: 'Example Oy', categoryName } };
+}
+
+function investor(avoidIndustries: string[]): InvestorDetails {
+  return {
+    id: 'investor_01',
+    name: 'Example Investor',
+    avoid_industries: avoidIndustries,
+  };
+}
+
+describe('justifyMatch', () => {
+  describe('avoided industries', () => {
+    it.each([
+      ['Real estate agency services', 'Real-Money Gambling'],
+      ['Non-life insurance', 'Non-Tech-Enabled Services'],
+      ['Non-life insurance', 'Non-Compliant Crypto'],
+      ['Non-life insurance', 'Non-Technical Marketplaces'],
+      ['Non-life insurance', 'Non-Scalable Services'],
+      ['Non-life insurance', 'Non-Tech Services'],
+      ['Non-life insurance', 'Non-AI-Enabled SaaS'],
+      ['Non-life insurance', 'Non-Tech Logistics'],
+      ['Manufacture of other food products', 'Enterprise-Only Products'],
+      ['Manufacture of other food products', 'Entertainment-Only Products'],
+      ['Retail sale of computers', 'Retail Banking Apps'],
+      ['Retail sale of computers', 'Traditional Retail'],
+    ])('does not flag "%s" for "%s"', (categoryName, avoided) => {
+      const justification = justifyMatch(
+        company(categoryName),
+        investor([avoided]),
+      );
+
+      expect(justification.industry.status).not.toBe('avoid');
+      expect(justification.industry.avoided).toEqual([]);
+      expect(justification.flags).not.toContain(AVOIDED_INDUSTRY_FLAG);
+    });
+
+    it.each([
+      ['Gambling and betting activities', 'Gambling'],
+      ['Manufacture of tobacco products', 'Tobacco or Adult Content'],
+      ['Retail sale of computers', 'Retail'],
+      ['Online gambling', 'Online Gambling'],
+    ])('flags "%s" for "%s"', (categoryName, avoided) => {
+      const justification = justifyMatch(
+        company(categoryName),
+        investor([avoided]),
+      );
+
+      expect(justification.industry.status).toBe('avoid');
+      expect(justification.industry.avoided).toEqual([avoided]);
+      expect(justification.flags).toContain(AVOIDED_INDUSTRY_FLAG);
+    });
+  });
+});
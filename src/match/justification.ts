@@ -0,0 +1,208 @@
+import { InvestorDetails } from '../investors/interfaces/investor.interface';
+import {
+  CriterionStatus,
+  MatchCompany,
+  MatchJustification,
+} from './interfaces/match.interface';
+
+// Flag set when the company's industry is in the investor's avoid_industries
+export const AVOIDED_INDUSTRY_FLAG = 'avoided_industry';
+
+// Every company we match is in the PRH registry, so it is Finnish. These
+// are the geo_focus values in investors.json that cover Finland.
+const COMPANY_REGIONS = ['finland', 'nordics', 'northern europe', 'europe'];
+
+// Words too generic to count as industry overlap on their own
+const STOP_WORDS = new Set([
+  'and',
+  'the',
+  'for',
+  'other',
+  'activities',
+  'activity',
+  'services',
+  'service',
+  'industry',
+  'code',
+  'n.e.c.',
+  'non',
+  'only',
+  'products',
+  'real',
+  'retail',
+]);
+
+/**
+ * Explain a match from the structured investor fields, independent of the
+ * embedding score: industry, stage, geography and check size.
+ */
+export function justifyMatch(
+  company: MatchCompany,
+  investor: InvestorDetails,
+): MatchJustification {
+  const industry = justifyIndustry(company, investor);
+  const stage = justifyStage(company, investor);
+  const geography = justifyGeography(investor);
+  const checkSize = justifyCheckSize(company, investor);
+
+  const flags: string[] = [];
+  const reasons: string[] = [];
+
+  if (industry.status === 'avoid') {
+    flags.push(AVOIDED_INDUSTRY_FLAG);
+    reasons.push(`Avoids ${industry.avoided.join(', ')}`);
+  } else if (industry.status === 'match') {
+    reasons.push(`Invests in ${industry.matched.join(', ')}`);
+  }
+
+  if (stage.status === 'match') {
+    reasons.push(`Invests at ${stage.round}`);
+  } else if (stage.status === 'mismatch') {
+    reasons.push(
+      `Prefers ${stage.preferredRounds.join(', ')}, not ${stage.round}`,
+    );
+  }
+
+  if (geography.status === 'match') {
+    reasons.push(`Geographic focus includes ${geography.matched.join(', ')}`);
+  } else if (geography.status === 'mismatch') {
+    reasons.push(`Geographic focus is ${geography.geoFocus.join(', ')}`);
+  }
+
+  if (checkSize.status === 'match') {
+    reasons.push('Requested amount is within check size');
+  } else if (checkSize.status === 'mismatch') {
+    reasons.push(
+      `Requested amount is outside check size ${investor.check_size_range ?? ''}`.trim(),
+    );
+  }
+
+  return { industry, stage, geography, checkSize, flags, reasons };
+}
+
+function justifyIndustry(
+  company: MatchCompany,
+  investor: InvestorDetails,
+): MatchJustification['industry'] {
+  const categoryName = company.details.categoryName || '';
+  const companyText = `${categoryName} ${company.details.description || ''}`;
+
+  const avoided = (investor.avoid_industries ?? []).filter((industry) =>
+    coversIndustry(industry, categoryName),
+  );
+  const matched = (investor.preferred_industries ?? []).filter((industry) =>
+    termsOverlap(industry, companyText),
+  );
+
+  let status: MatchJustification['industry']['status'] = 'unknown';
+  if (avoided.length > 0) status = 'avoid';
+  else if (matched.length > 0) status = 'match';
+  else if (categoryName && investor.preferred_industries?.length)
+    status = 'mismatch';
+
+  return { status, categoryName, matched, avoided };
+}
+
+function justifyStage(
+  company: MatchCompany,
+  investor: InvestorDetails,
+): MatchJustification['stage'] {
+  const round = company.funding?.round;
+  const preferredRounds = investor.preferred_rounds ?? [];
+
+  let status: CriterionStatus = 'unknown';
+  if (round && preferredRounds.length > 0) {
+    status = preferredRounds.some((r) => sameTerm(r, round))
+      ? 'match'
+      : 'mismatch';
+  }
+
+  return { status, round, preferredRounds };
+}
+
+function justifyGeography(
+  investor: InvestorDetails,
+): MatchJustification['geography'] {
+  const geoFocus = investor.geo_focus ?? [];
+  const matched = geoFocus.filter((region) =>
+    COMPANY_REGIONS.includes(normalize(region)),
+  );
+
+  let status: CriterionStatus = 'unknown';
+  if (geoFocus.length > 0) status = matched.length > 0 ? 'match' : 'mismatch';
+
+  return { status, matched, geoFocus };
+}
+
+function justifyCheckSize(
+  company: MatchCompany,
+  investor: InvestorDetails,
+): MatchJustification['checkSize'] {
+  const amountUsd = company.funding?.amountUsd;
+  const minUsd = investor.check_size_numeric?.min_usd;
+  const maxUsd = investor.check_size_numeric?.max_usd;
+
+  let status: CriterionStatus = 'unknown';
+  if (
+    amountUsd !== undefined &&
+    (minUsd !== undefined || maxUsd !== undefined)
+  ) {
+    const aboveMin = minUsd === undefined || amountUsd >= minUsd;
+    const belowMax = maxUsd === undefined || amountUsd <= maxUsd;
+    status = aboveMin && belowMax ? 'match' : 'mismatch';
+  }
+
+  return { status, amountUsd, minUsd, maxUsd };
+}
+
+function normalize(value: string): string {
+  return value.toLowerCase().replace(/[-_]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function sameTerm(a: string, b: string): boolean {
+  return normalize(a) === normalize(b);
+}
+
+function words(value: string): string[] {
+  return normalize(value)
+    .split(/[^a-z0-9.]+/)
+    .filter((word) => word.length > 0);
+}
+
+function keywords(value: string): string[] {
+  return words(value).filter(
+    (word) => word.length > 2 && !STOP_WORDS.has(word),
+  );
+}
+
+/**
+ * True when two industry descriptions share a meaningful keyword,
+ * e.g. "Logistics Tech" and "Freight transport logistics".
+ */
+function termsOverlap(a: string, b: string): boolean {
+  const words = new Set(keywords(b));
+  return keywords(a).some((word) => words.has(word));
+}
+
+/**
+ * True when an avoided industry clearly names the company's industry: as a
+ * whole phrase, or with every meaningful word of it present. Any one of
+ * "Tobacco or Adult Content" is enough. Stricter than termsOverlap, since a
+ * single shared word ("Real-Money Gambling" and "Real estate agency
+ * services") must not rule an investor out.
+ */
+function coversIndustry(avoided: string, categoryName: string): boolean {
+  const phrase = ` ${words(categoryName).join(' ')} `;
+  const categoryWords = new Set(keywords(categoryName));
+
+  return avoided.split(/\s+or\s+|\//i).some((term) => {
+    const termWords = words(term);
+    if (termWords.length === 0) return false;
+    if (phrase.includes(` ${termWords.join(' ')} `)) return true;
+
+    const required = keywords(term);
+    return (
+      required.length > 0 && required.every((word) => categoryWords.has(word))
+    );
+  });
+}
@@ -0,0 +1,15 @@
+import { Body, Controller, HttpCode, Post } from '@nestjs/common';
+import { MatchRequestDto } from './dto/match-request.dto';
+import { MatchResult } from './interfaces/match.interface';
+import { MatchService } from './match.service';
+
+@Controller('match')
+export class MatchController {
+  constructor(private readonly matchService: MatchService) {}
+
+  @Post()
+  @HttpCode(200)
+  match(@Body() request: MatchRequestDto): Promise<MatchResult> {
+    return this.matchService.matchInvestors(request);
+  }
+}
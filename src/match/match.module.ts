@@ -0,0 +1,24 @@
+import { Module } from '@nestjs/common';
+import { CompaniesModule } from '../companies/companies.module';
+import { EmbeddingsModule } from '../embeddings/embeddings.module';
+import { FundingModule } from '../funding/funding.module';
+import { InvestorsModule } from '../investors/investors.module';
+import { ScoringModule } from '../scoring/scoring.module';
+import { InvestorMatchService } from './investor-match.service';
+import { InvestorMatchesController } from './investor-matches.controller';
+import { MatchController } from './match.controller';
+import { MatchService } from './match.service';
+
+@Module({
+  imports: [
+    CompaniesModule,
+    EmbeddingsModule,
+    FundingModule,
+    InvestorsModule,
+    ScoringModule,
+  ],
+  controllers: [MatchController, InvestorMatchesController],
+  providers: [MatchService, InvestorMatchService],
+  exports: [MatchService],
+})
+export class MatchModule {}
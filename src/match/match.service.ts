@@ -0,0 +1,181 @@
+import { BadRequestException, Injectable, Logger } from '@nestjs/common';
+import { CompaniesService } from '../companies/companies.service';
+import { Company } from '../companies/interfaces/company.interface';
+import { EmbeddingsService } from '../embeddings/embeddings.service';
+import { TextTemplateService } from '../embeddings/text-template.service';
+import { FundingService } from '../funding/funding.service';
+import { InvestorDetails } from '../investors/interfaces/investor.interface';
+import { ScoringService } from '../scoring/scoring.service';
+import { SupabaseService } from '../supabase/supabase.service';
+import { MatchRequestDto } from './dto/match-request.dto';
+import {
+  InvestorMatch,
+  MatchCompany,
+  MatchResult,
+} from './interfaces/match.interface';
+import { justifyMatch } from './justification';
+
+const DEFAULT_MATCH_COUNT = 10;
+const DEFAULT_INSTRUMENT_COUNT = 5;
+
+// Enrichment amounts are in EUR, investor check sizes in USD. Same rate
+// as the check_size_numeric conversions in investors.json.
+const EUR_TO_USD = 1.1;
+
+// Rule-based re-ranking can promote investors from below the top-N by
+// similarity, so fetch a wider candidate pool than we return.
+const CANDIDATE_POOL_FACTOR = 5;
+const MIN_CANDIDATE_POOL = 50;
+
+interface MatchInvestorsRow {
+  investor_id: string;
+  details: InvestorDetails;
+  similarity: number;
+}
+
+/**
+ * Matching view of a stored company, with its enrichment funding amount
+ * converted to USD for investor check sizes.
+ */
+export function toMatchCompany(company: Company): MatchCompany {
+  const { fundingRound, fundingAmountEur } = company.enrichment ?? {};
+  return {
+    businessId: company.businessId,
+    industryCode: company.industryCode || undefined,
+    details: company.details,
+    enrichment: company.enrichment,
+    funding: {
+      round: fundingRound,
+      amountUsd:
+        fundingAmountEur !== undefined
+          ? fundingAmountEur * EUR_TO_USD
+          : undefined,
+      amountEur: fundingAmountEur,
+    },
+  };
+}
+
+@Injectable()
+export class MatchService {
+  private readonly logger = new Logger(MatchService.name);
+
+  constructor(
+    private readonly supabase: SupabaseService,
+    private readonly companies: CompaniesService,
+    private readonly embeddings: EmbeddingsService,
+    private readonly textTemplates: TextTemplateService,
+    private readonly scoring: ScoringService,
+    private readonly funding: FundingService,
+  ) {}
+
+  /**
+   * Rank investors for a stored company or an ad-hoc company profile.
+   * Candidates come from cosine similarity against investor_embeddings
+   * and are re-ranked by ScoringService with the request's weights and
+   * exclusions. Public funding instruments the company may be eligible
+   * for are matched with the same query.
+   */
+  async matchInvestors(request: MatchRequestDto): Promise<MatchResult> {
+    const company = await this.resolveCompany(request);
+
+    // Always embed a fresh query: company_embeddings may come from a
+    // different model than the one investor_embeddings were built with.
+    const queryEmbedding = await this.embeddings.embedOne(
+      this.textTemplates.companyText(
+        company.businessId,
+        company.details,
+        company.enrichment,
+      ),
+      'query',
+    );
+
+    const limit = request.limit ?? DEFAULT_MATCH_COUNT;
+    const filters = request.filters ?? {};
+    let rows: MatchInvestorsRow[];
+    try {
+      rows = await this.supabase.rpc<MatchInvestorsRow>('match_investors', {
+        query_embedding: queryEmbedding,
+        match_count: Math.max(
+          limit * CANDIDATE_POOL_FACTOR,
+          MIN_CANDIDATE_POOL,
+        ),
+        filter_geo_focus: filters.geoFocus?.length ? filters.geoFocus : null,
+        filter_preferred_rounds: filters.preferredRounds?.length
+          ? filters.preferredRounds
+          : null,
+        filter_active_status: filters.activeStatus ?? null,
+        // Vectors from another model live in a different space
+        filter_model: this.embeddings.model,
+      });
+    } catch (error) {
+      this.logger.error('Error matching investors', (error as Error).message);
+      throw error;
+    }
+
+    const candidates = rows.map((row) => ({
+      investorId: row.investor_id,
+      similarity: row.similarity,
+      activeStatus: row.details.active_status,
+      details: row.details,
+      justification: justifyMatch(company, row.details),
+    }));
+
+    const matches: InvestorMatch[] = this.scoring
+      .rank(candidates, request.scoring)
+      .slice(0, limit)
+      .map((match) => ({
+        investorId: match.investorId,
+        score: match.score,
+        similarity: match.similarity,
+        scoreBreakdown: match.scoreBreakdown,
+        details: match.details,
+        justification: match.justification,
+      }));
+
+    const instruments = await this.funding.matchInstruments(
+      company,
+      queryEmbedding,
+      request.instrumentLimit ?? DEFAULT_INSTRUMENT_COUNT,
+    );
+
+    return {
+      company,
+      model: this.embeddings.model,
+      matches,
+      instruments,
+    };
+  }
+
+  private async resolveCompany(
+    request: MatchRequestDto,
+  ): Promise<MatchCompany> {
+    if (request.businessId && request.company) {
+      throw new BadRequestException(
+        'Provide either businessId or company, not both',
+      );
+    }
+
+    if (request.businessId) {
+      return toMatchCompany(
+        await this.companies.findByBusinessId(request.businessId),
+      );
+    }
+
+    if (request.company) {
+      const { fundingRound, fundingAmountUsd, ...details } = request.company;
+      return {
+        details,
+        funding: {
+          round: fundingRound,
+          amountUsd: fundingAmountUsd,
+          amountEur:
+            fundingAmountUsd !== undefined
+              ? fundingAmountUsd / EUR_TO_USD
+              : undefined,
+        },
+      };
+    }
+
+    throw new BadRequestException('Provide either businessId or company');
+  }
+}
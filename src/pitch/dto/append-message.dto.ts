@@ -0,0 +1,8 @@
+import { IsNotEmpty, IsString, MaxLength } from 'class-validator';
+
+export class AppendMessageDto {
+  @IsString()
+  @IsNotEmpty()
+  @MaxLength(4000)
+  content: string;
+}
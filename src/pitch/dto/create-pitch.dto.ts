@@ -0,0 +1,12 @@
+import { IsNotEmpty, IsString, Matches } from 'class-validator';
+
+export class CreatePitchDto {
+  @Matches(/^\d{7}-\d$/, {
+    message: 'businessId must be a Finnish business ID',
+  })
+  businessId: string;
+
+  @IsString()
+  @IsNotEmpty()
+  investorId: string;
+}
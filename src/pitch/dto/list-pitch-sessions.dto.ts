@@ -0,0 +1,13 @@
+import { IsNotEmpty, IsOptional, IsString, Matches } from 'class-validator';
+
+export class ListPitchSessionsDto {
+  @Matches(/^\d{7}-\d$/, {
+    message: 'businessId must be a Finnish business ID',
+  })
+  businessId: string;
+
+  @IsOptional()
+  @IsString()
+  @IsNotEmpty()
+  investorId?: string;
+}
@@ -0,0 +1,7 @@
+import { IsInt, Min } from 'class-validator';
+
+export class RevertPitchDto {
+  @IsInt()
+  @Min(1)
+  version: number;
+}
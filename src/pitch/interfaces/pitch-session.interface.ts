@@ -0,0 +1,23 @@
+export type PitchMessageRole = 'user' | 'assistant';
+
+export interface PitchMessage {
+  id: number;
+  sessionId: string;
+  role: PitchMessageRole;
+  content: string;
+  // Pitch version, set on assistant messages only
+  version: number | null;
+  // Version this message restored, set by reverts
+  revertedFrom: number | null;
+  model: string | null;
+  createdAt: string;
+}
+
+export interface PitchSession {
+  id: string;
+  businessId: string;
+  investorId: string;
+  currentVersion: number;
+  pitch: string;
+  messages: PitchMessage[];
+}
@@ -0,0 +1,6 @@
+export interface Pitch {
+  businessId: string;
+  investorId: string;
+  model: string;
+  pitch: string;
+}
@@ -0,0 +1,82 @@
+import { Company } from '../companies/interfaces/company.interface';
+import { InvestorDetails } from '../investors/interfaces/investor.interface';
+import { LlmMessage } from '../llm/llm-client.interface';
+
+const SYSTEM_PROMPT = `You write concise, factual investor pitches for Finnish companies.
+Use only the company facts given; never invent metrics, customers or funding history.
+Follow the investor's contact policy and tailor tone to their personality.`;
+
+/**
+ * Company facts and investor preferences that every pitch prompt,
+ * including later refinement turns, must carry.
+ */
+export function buildPitchContext(
+  company: Company,
+  investor: InvestorDetails,
+): string {
+  const { details, enrichment } = company;
+  const companyLines = [
+    `Name: ${details.name}`,
+    `Business ID: ${company.businessId}`,
+    `Industry: ${details.categoryName || 'N/A'}`,
+    `Description: ${details.description || 'N/A'}`,
+    `Address: ${details.address || 'N/A'}`,
+    `Registration Date: ${details.registrationDate || 'N/A'}`,
+  ];
+  if (enrichment?.fundingRound)
+    companyLines.push(`Funding Round: ${enrichment.fundingRound}`);
+  if (enrichment?.fundingAmountEur)
+    companyLines.push(`Funding Sought: EUR ${enrichment.fundingAmountEur}`);
+  if (enrichment?.fundingPurpose)
+    companyLines.push(`Funding Purpose: ${enrichment.fundingPurpose}`);
+  if (enrichment?.sizeClass)
+    companyLines.push(`Company Size: ${enrichment.sizeClass}`);
+
+  const investorLines = [
+    `Name: ${investor.name}${investor.firm ? ` (${investor.firm})` : ''}`,
+    `Investment Thesis: ${investor.investment_thesis || 'N/A'}`,
+    `Evaluation Criteria: ${investor.evaluation_criteria?.join('; ') || 'N/A'}`,
+    `Personality: ${investor.personality_type || 'N/A'}`,
+    `Contact Policy: ${investor.contact_policy || 'N/A'}`,
+  ];
+
+  return `Company:\n${companyLines.join('\n')}\n\nInvestor:\n${investorLines.join('\n')}`;
+}
+
+export function buildPitchMessages(
+  company: Company,
+  investor: InvestorDetails,
+): LlmMessage[] {
+  return [
+    {
+      role: 'system',
+      content: `${SYSTEM_PROMPT}\n\n${buildPitchContext(company, investor)}`,
+    },
+    {
+      role: 'user',
+      content: `Write a pitch from ${company.details.name} to ${investor.name}. Address how the company fits the investment thesis and each evaluation criterion, and keep the format the contact policy asks for.`,
+    },
+  ];
+}
+
+/**
+ * Messages for a refinement turn. The system prompt is rebuilt from the
+ * current company and investor data on every turn, so company facts and
+ * the contact policy stay in context however long the session gets.
+ */
+export function buildRevisionMessages(
+  company: Company,
+  investor: InvestorDetails,
+  history: LlmMessage[],
+  instruction: string,
+): LlmMessage[] {
+  const [system] = buildPitchMessages(company, investor);
+  return [
+    {
+      role: 'system',
+      content: `${system.content}\n\nWhen asked for changes, reply with the full revised pitch only.`,
+    },
+    ...history,
+    { role: 'user', content: instruction },
+  ];
+}
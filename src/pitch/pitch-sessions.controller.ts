@@ -0,0 +1,59 @@
+import {
+  Body,
+  Controller,
+  Get,
+  MessageEvent,
+  Param,
+  ParseUUIDPipe,
+  Post,
+  Query,
+  Sse,
+} from '@nestjs/common';
+import { Observable } from 'rxjs';
+import { AppendMessageDto } from './dto/append-message.dto';
+import { CreatePitchDto } from './dto/create-pitch.dto';
+import { ListPitchSessionsDto } from './dto/list-pitch-sessions.dto';
+import { RevertPitchDto } from './dto/revert-pitch.dto';
+import { PitchSession } from './interfaces/pitch-session.interface';
+import { PitchSessionsService } from './pitch-sessions.service';
+
+@Controller('pitches/sessions')
+export class PitchSessionsController {
+  constructor(private readonly sessionsService: PitchSessionsService) {}
+
+  @Post()
+  create(@Body() request: CreatePitchDto): Promise<PitchSession> {
+    return this.sessionsService.create(request);
+  }
+
+  @Get()
+  findAll(@Query() query: ListPitchSessionsDto): Promise<PitchSession[]> {
+    return this.sessionsService.findAll(query.businessId, query.investorId);
+  }
+
+  @Get(':id')
+  findOne(@Param('id', ParseUUIDPipe) id: string): Promise<PitchSession> {
+    return this.sessionsService.findOne(id);
+  }
+
+  @Post(':id/messages')
+  appendMessage(
+    @Param('id', ParseUUIDPipe) id: string,
+    @Body() message: AppendMessageDto,
+  ): Promise<PitchSession> {
+    return this.sessionsService.appendMessage(id, message.content);
+  }
+
+  @Post(':id/revert')
+  revert(
+    @Param('id', ParseUUIDPipe) id: string,
+    @Body() request: RevertPitchDto,
+  ): Promise<PitchSession> {
+    return this.sessionsService.revert(id, request.version);
+  }
+
+  @Sse(':id/events')
+  events(@Param('id', ParseUUIDPipe) id: string): Observable<MessageEvent> {
+    return this.sessionsService.stream(id);
+  }
+}
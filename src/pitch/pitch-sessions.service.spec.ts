@@ -0,0 +1,230 @@
+import { ConflictException, MessageEvent } from '@nestjs/common';
+import { firstValueFrom, take, toArray } from 'rxjs';
+import { CompaniesService } from '../companies/companies.service';
+import { Company } from '../companies/interfaces/company.interface';
+import { Investor } from '../investors/interfaces/investor.interface';
+import { InvestorsService } from '../investors/investors.service';
+import { LlmClient } from '../llm/llm-client.interface';
+import { StubLlmClient } from '../llm/stub-llm.client';
+import { SupabaseService } from '../supabase/supabase.service';
+import { PitchMessage } from './interfaces/pitch-session.interface';
+import { PitchSessionsService } from './pitch-sessions.service';
+
+const SESSION_ID = '0b6a3f43-5d0e-4a4c-9f7e-5a1d2c3b4a50';
+
+const COMPANY: Company = {
+  id: 7,
+  businessId: '3400002-0',
+  name: 'Kirjanpito Pilvi Oy',
+  details: {
+    name: 'Kirjanpito Pilvi Oy',
+    description: 'Cloud bookkeeping',
+    address: 'Linnankatu 12, 20100 Turku',
+    registrationDate: '2021-09-01',
+    categoryName: 'Computer programming activities',
+  },
+  source: 'database',
+};
+
+const INVESTOR: Investor = {
+  id: '6f1c2a3e-0000-4000-8000-000000000001',
+  investorId: 'investor_07',
+  details: { id: 'investor_07', name: 'Aino Virtanen' },
+};
+
+type Row = Record<string, unknown>;
+
+/**
+ * In-memory pitch_sessions and pitch_messages behind just enough of the
+ * Supabase query builder for PitchSessionsService.
+ */
+class FakeSupabase {
+  messages: Row[] = [];
+  insertError: { code: string; message: string } | null = null;
+  // Called while a session is read: before and after reading its messages
+  beforeMessagesRead: () => Promise<void> = () => Promise.resolve();
+  afterMessagesRead: () => Promise<void> = () => Promise.resolve();
+
+  readonly client = {
+    from: (table: string) =>
+      table === 'pitch_sessions' ? this.sessions() : this.pitchMessages(),
+  };
+
+  rpc = jest.fn();
+
+  addMessage(row: Row): Row {
+    const stored = {
+      id: this.messages.length + 1,
+      session_id: SESSION_ID,
+      version: null,
+      reverted_from: null,
+      model: null,
+      created_at: '2026-01-01T00:00:00Z',
+      ...row,
+    };
+    this.messages.push(stored);
+    return stored;
+  }
+
+  private sessions() {
+    const session = {
+      id: SESSION_ID,
+      company: { business_id: COMPANY.businessId },
+      investor: { investor_id: INVESTOR.investorId },
+    };
+    const query = {
+      select: () => query,
+      eq: () => query,
+      maybeSingle: async () => {
+        await this.beforeMessagesRead();
+        return { data: session, error: null };
+      },
+    };
+    return query;
+  }
+
+  private pitchMessages() {
+    let inserted: Row[] | null = null;
+    const query = {
+      select: () => query,
+      eq: () => query,
+      order: () => query,
+      insert: (rows: Row[]) => {
+        inserted = rows;
+        return query;
+      },
+      overrideTypes: () => {
+        if (!inserted) {
+          const data = [...this.messages];
+          return this.afterMessagesRead().then(() => ({ data, error: null }));
+        }
+        if (this.insertError) {
+          return Promise.resolve({ data: null, error: this.insertError });
+        }
+        return Promise.resolve({
+          data: inserted.map((row) => this.addMessage(row)),
+          error: null,
+        });
+      },
+    };
+    return query;
+  }
+}
+
+function messageIds(events: MessageEvent[]): number[] {
+  return events.map((event) => (event.data as PitchMessage).id);
+}
+
+describe('PitchSessionsService', () => {
+  let supabase: FakeSupabase;
+  let llm: LlmClient;
+  let service: PitchSessionsService;
+
+  beforeEach(() => {
+    supabase = new FakeSupabase();
+    supabase.addMessage({ role: 'user', content: 'Write a pitch' });
+    supabase.addMessage({ role: 'assistant', content: 'Pitch', version: 1 });
+    llm = new StubLlmClient();
+    service = new PitchSessionsService(
+      supabase as unknown as SupabaseService,
+      {
+        findOrStore: () => Promise.resolve(COMPANY),
+        findByBusinessId: () => Promise.resolve(COMPANY),
+      } as unknown as CompaniesService,
+      {
+        findByInvestorId: () => Promise.resolve(INVESTOR),
+      } as unknown as InvestorsService,
+      llm,
+    );
+  });
+
+  describe('create', () => {
+    it('stores nothing when the pitch cannot be written', async () => {
+      jest.spyOn(llm, 'complete').mockRejectedValue(new Error('timeout'));
+
+      await expect(
+        service.create({
+          businessId: COMPANY.businessId,
+          investorId: INVESTOR.investorId,
+        }),
+      ).rejects.toThrow('timeout');
+      expect(supabase.rpc).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('appendMessage', () => {
+    it('stores the request and the revision together', async () => {
+      const session = await service.appendMessage(SESSION_ID, 'Shorter');
+
+      expect(
+        session.messages.map(({ role, version }) => [role, version]),
+      ).toEqual([
+        ['user', null],
+        ['assistant', 1],
+        ['user', null],
+        ['assistant', 2],
+      ]);
+      expect(session.currentVersion).toBe(2);
+    });
+
+    it('leaves no user turn behind when the completion fails', async () => {
+      jest.spyOn(llm, 'complete').mockRejectedValue(new Error('timeout'));
+
+      await expect(
+        service.appendMessage(SESSION_ID, 'Shorter'),
+      ).rejects.toThrow('timeout');
+      expect(supabase.messages).toHaveLength(2);
+    });
+
+    it('answers a concurrent revision of the same version with a 409', async () => {
+      supabase.insertError = {
+        code: '23505',
+        message: 'duplicate key value violates unique constraint',
+      };
+
+      await expect(
+        service.appendMessage(SESSION_ID, 'Shorter'),
+      ).rejects.toBeInstanceOf(ConflictException);
+      expect(supabase.messages).toHaveLength(2);
+    });
+  });
+
+  describe('stream', () => {
+    it('sends turns stored right after the history was read', async () => {
+      supabase.afterMessagesRead = async () => {
+        supabase.afterMessagesRead = () => Promise.resolve();
+        await service.revert(SESSION_ID, 1);
+      };
+
+      const events = await firstValueFrom(
+        service.stream(SESSION_ID).pipe(take(3), toArray()),
+      );
+
+      expect(messageIds(events)).toEqual([1, 2, 3]);
+    });
+
+    it('sends turns stored while the history loads once', async () => {
+      supabase.beforeMessagesRead = async () => {
+        supabase.beforeMessagesRead = () => Promise.resolve();
+        // Another request revises the session in the meantime
+        await service.revert(SESSION_ID, 1);
+      };
+
+      const events = await firstValueFrom(
+        service.stream(SESSION_ID).pipe(take(3), toArray()),
+      );
+
+      expect(messageIds(events)).toEqual([1, 2, 3]);
+    });
+
+    it('sends turns stored after the history', async () => {
+      const events = firstValueFrom(
+        service.stream(SESSION_ID).pipe(take(4), toArray()),
+      );
+      await new Promise((resolve) => setImmediate(resolve));
+      await service.appendMessage(SESSION_ID, 'Shorter');
+
+      expect(messageIds(await events)).toEqual([1, 2, 3, 4]);
+    });
+  });
+});
@@ -0,0 +1,366 @@
+import {
+  ConflictException,
+  Inject,
+  Injectable,
+  Logger,
+  MessageEvent,
+  NotFoundException,
+} from '@nestjs/common';
+import {
+  concat,
+  defer,
+  filter,
+  finalize,
+  from,
+  map,
+  mergeMap,
+  Observable,
+  ReplaySubject,
+  Subject,
+} from 'rxjs';
+import { CompaniesService } from '../companies/companies.service';
+import { InvestorsService } from '../investors/investors.service';
+import { LLM_CLIENT } from '../llm/llm-client.interface';
+import { SupabaseService } from '../supabase/supabase.service';
+import type { LlmClient } from '../llm/llm-client.interface';
+import { CreatePitchDto } from './dto/create-pitch.dto';
+import {
+  PitchMessage,
+  PitchMessageRole,
+  PitchSession,
+} from './interfaces/pitch-session.interface';
+import { buildPitchMessages, buildRevisionMessages } from './pitch-prompt';
+
+interface PitchSessionRow {
+  id: string;
+  company: { business_id: string } | null;
+  investor: { investor_id: string } | null;
+}
+
+interface PitchMessageRow {
+  id: number;
+  session_id: string;
+  role: PitchMessageRole;
+  content: string;
+  version: number | null;
+  reverted_from: number | null;
+  model: string | null;
+  created_at: string;
+}
+
+interface PitchTurn {
+  role: PitchMessageRole;
+  content: string;
+  version?: number;
+  revertedFrom?: number;
+  model?: string | null;
+}
+
+const SESSION_COLUMNS = 'id, company(business_id), investor(investor_id)';
+
+// unique_violation, here on (session_id, version)
+const UNIQUE_VIOLATION = '23505';
+
+@Injectable()
+export class PitchSessionsService {
+  private readonly logger = new Logger(PitchSessionsService.name);
+  private readonly messages$ = new Subject<PitchMessage>();
+
+  constructor(
+    private readonly supabase: SupabaseService,
+    private readonly companies: CompaniesService,
+    private readonly investors: InvestorsService,
+    @Inject(LLM_CLIENT) private readonly llm: LlmClient,
+  ) {}
+
+  /**
+   * Start a session for a company and investor and generate version 1
+   * of the pitch.
+   */
+  async create({
+    businessId,
+    investorId,
+  }: CreatePitchDto): Promise<PitchSession> {
+    const [company, investor] = await Promise.all([
+      this.companies.findOrStore(businessId),
+      this.investors.findByInvestorId(investorId),
+    ]);
+
+    // Nothing is stored until the pitch is written, and the session is
+    // stored together with its turns, so a failure leaves no half session
+    const [system, request] = buildPitchMessages(company, investor.details);
+    const pitch = await this.llm.complete([system, request]);
+
+    const turns: PitchTurn[] = [
+      { role: 'user', content: request.content },
+      { role: 'assistant', content: pitch, version: 1, model: this.llm.model },
+    ];
+
+    let rows: PitchMessageRow[];
+    try {
+      rows = await this.supabase.rpc<PitchMessageRow>('create_pitch_session', {
+        new_company_id: company.id,
+        new_investor_id: investor.id,
+        turns: turns.map(toTurnRow),
+      });
+    } catch (error) {
+      this.logger.error(
+        `Error creating pitch session for ${businessId}/${investorId}`,
+        (error as Error).message,
+      );
+      throw error;
+    }
+    rows.map(toPitchMessage).forEach((message) => this.messages$.next(message));
+
+    return this.findOne(rows[0].session_id);
+  }
+
+  /**
+   * Sessions for a company, optionally narrowed to one investor.
+   */
+  async findAll(
+    businessId: string,
+    investorId?: string,
+  ): Promise<PitchSession[]> {
+    const company = await this.companies.findByBusinessId(businessId);
+    if (company.id === undefined) return [];
+
+    let query = this.supabase.client
+      .from('pitch_sessions')
+      .select('id')
+      .eq('company_id', company.id)
+      .order('created_at', { ascending: false });
+    if (investorId) {
+      const investor = await this.investors.findByInvestorId(investorId);
+      query = query.eq('investor_id', investor.id);
+    }
+
+    const { data, error } = await query.overrideTypes<
+      { id: string }[],
+      { merge: false }
+    >();
+    if (error) {
+      this.logger.error(
+        `Error listing pitch sessions for ${businessId}`,
+        error.message,
+      );
+      throw error;
+    }
+
+    return Promise.all((data ?? []).map((row) => this.findOne(row.id)));
+  }
+
+  /**
+   * A session with its full message history and current pitch.
+   */
+  async findOne(sessionId: string): Promise<PitchSession> {
+    const { data, error } = await this.supabase.client
+      .from('pitch_sessions')
+      .select(SESSION_COLUMNS)
+      .eq('id', sessionId)
+      .maybeSingle<PitchSessionRow>();
+
+    if (error) {
+      this.logger.error(
+        `Error fetching pitch session ${sessionId}`,
+        error.message,
+      );
+      throw error;
+    }
+    if (!data) {
+      throw new NotFoundException(`Pitch session ${sessionId} not found`);
+    }
+
+    const messages = await this.findMessages(sessionId);
+    const current = latestPitch(messages);
+
+    return {
+      id: data.id,
+      businessId: data.company?.business_id ?? '',
+      investorId: data.investor?.investor_id ?? '',
+      currentVersion: current?.version ?? 0,
+      pitch: current?.content ?? '',
+      messages,
+    };
+  }
+
+  /**
+   * Ask for a revision, e.g. "make it shorter". Stores the user turn and
+   * the revised pitch as the next version.
+   */
+  async appendMessage(
+    sessionId: string,
+    content: string,
+  ): Promise<PitchSession> {
+    const session = await this.findOne(sessionId);
+    const [company, investor] = await Promise.all([
+      this.companies.findByBusinessId(session.businessId),
+      this.investors.findByInvestorId(session.investorId),
+    ]);
+
+    const history = session.messages.map(({ role, content }) => ({
+      role,
+      content,
+    }));
+    const revision = await this.llm.complete(
+      buildRevisionMessages(company, investor.details, history, content),
+    );
+
+    // Both turns or neither: a failed completion or a concurrent revision
+    // must not leave a user turn that later prompts replay
+    await this.insertTurns(sessionId, [
+      { role: 'user', content },
+      {
+        role: 'assistant',
+        content: revision,
+        version: session.currentVersion + 1,
+        model: this.llm.model,
+      },
+    ]);
+
+    return this.findOne(sessionId);
+  }
+
+  /**
+   * Restore an earlier version as the new current version. History is
+   * kept; the revert is recorded as its own assistant turn.
+   */
+  async revert(sessionId: string, version: number): Promise<PitchSession> {
+    const session = await this.findOne(sessionId);
+    const target = session.messages.find(
+      (message) => message.role === 'assistant' && message.version === version,
+    );
+    if (!target) {
+      throw new NotFoundException(
+        `Pitch session ${sessionId} has no version ${version}`,
+      );
+    }
+
+    await this.insertTurns(sessionId, [
+      {
+        role: 'assistant',
+        content: target.content,
+        version: session.currentVersion + 1,
+        revertedFrom: version,
+        model: target.model,
+      },
+    ]);
+
+    return this.findOne(sessionId);
+  }
+
+  /**
+   * Server-sent events for a session: the stored history first, then
+   * every new turn as it is persisted. New turns are buffered from the
+   * start, so none stored while the history loads is lost, and those the
+   * history already holds are not sent twice.
+   */
+  stream(sessionId: string): Observable<MessageEvent> {
+    return defer(() => {
+      const live = new ReplaySubject<PitchMessage>();
+      const subscription = this.live(sessionId).subscribe(live);
+
+      return from(this.findOne(sessionId)).pipe(
+        mergeMap((session) => {
+          const lastId = Math.max(0, ...session.messages.map((m) => m.id));
+          return concat(
+            from(session.messages),
+            live.pipe(filter((message) => message.id > lastId)),
+          );
+        }),
+        finalize(() => subscription.unsubscribe()),
+      );
+    }).pipe(map((message) => ({ type: 'message', data: message })));
+  }
+
+  private live(sessionId: string): Observable<PitchMessage> {
+    return this.messages$.pipe(
+      filter((message) => message.sessionId === sessionId),
+    );
+  }
+
+  private async findMessages(sessionId: string): Promise<PitchMessage[]> {
+    const { data, error } = await this.supabase.client
+      .from('pitch_messages')
+      .select('*')
+      .eq('session_id', sessionId)
+      .order('id')
+      .overrideTypes<PitchMessageRow[], { merge: false }>();
+
+    if (error) {
+      this.logger.error(
+        `Error fetching messages for pitch session ${sessionId}`,
+        error.message,
+      );
+      throw error;
+    }
+
+    return (data ?? []).map(toPitchMessage);
+  }
+
+  /**
+   * Store turns in one insert, so they are stored together or not at all.
+   * A version taken by a concurrent revision is a 409.
+   */
+  private async insertTurns(
+    sessionId: string,
+    turns: PitchTurn[],
+  ): Promise<PitchMessage[]> {
+    const { data, error } = await this.supabase.client
+      .from('pitch_messages')
+      .insert(
+        turns.map((turn) => ({ session_id: sessionId, ...toTurnRow(turn) })),
+      )
+      .select('*')
+      .order('id')
+      .overrideTypes<PitchMessageRow[], { merge: false }>();
+
+    if (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        throw new ConflictException(
+          `Pitch session ${sessionId} was revised concurrently; reload it and try again`,
+        );
+      }
+      this.logger.error(
+        `Error storing messages for pitch session ${sessionId}`,
+        error.message,
+      );
+      throw error;
+    }
+
+    const stored = (data ?? []).map(toPitchMessage);
+    stored.forEach((message) => this.messages$.next(message));
+    return stored;
+  }
+}
+
+function toTurnRow(turn: PitchTurn) {
+  return {
+    role: turn.role,
+    content: turn.content,
+    version: turn.version ?? null,
+    reverted_from: turn.revertedFrom ?? null,
+    model: turn.model ?? null,
+  };
+}
+
+function toPitchMessage(row: PitchMessageRow): PitchMessage {
+  return {
+    id: row.id,
+    sessionId: row.session_id,
+    role: row.role,
+    content: row.content,
+    version: row.version,
+    revertedFrom: row.reverted_from,
+    model: row.model,
+    createdAt: row.created_at,
+  };
+}
+
+function latestPitch(messages: PitchMessage[]): PitchMessage | undefined {
+  return messages
+    .filter((message) => message.role === 'assistant')
+    .reduce<
+      PitchMessage | undefined
+    >((latest, message) => (!latest || (message.version ?? 0) > (latest.version ?? 0) ? message : latest), undefined);
+}
@@ -0,0 +1,14 @@
+import { Body, Controller, Post } from '@nestjs/common';
+import { CreatePitchDto } from './dto/create-pitch.dto';
+import { Pitch } from './interfaces/pitch.interface';
+import { PitchService } from './pitch.service';
+
+@Controller('pitches')
+export class PitchController {
+  constructor(private readonly pitchService: PitchService) {}
+
+  @Post()
+  create(@Body() request: CreatePitchDto): Promise<Pitch> {
+    return this.pitchService.create(request);
+  }
+}
@@ -0,0 +1,15 @@
+import { Module } from '@nestjs/common';
+import { CompaniesModule } from '../companies/companies.module';
+import { InvestorsModule } from '../investors/investors.module';
+import { LlmModule } from '../llm/llm.module';
+import { PitchSessionsController } from './pitch-sessions.controller';
+import { PitchSessionsService } from './pitch-sessions.service';
+import { PitchController } from './pitch.controller';
+import { PitchService } from './pitch.service';
+
+@Module({
+  imports: [CompaniesModule, InvestorsModule, LlmModule],
+  controllers: [PitchController, PitchSessionsController],
+  providers: [PitchService, PitchSessionsService],
+})
+export class PitchModule {}
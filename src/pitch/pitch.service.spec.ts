@@ -0,0 +1,89 @@
+import { CompaniesService } from '../companies/companies.service';
+import { Company } from '../companies/interfaces/company.interface';
+import { Investor } from '../investors/interfaces/investor.interface';
+import { InvestorsService } from '../investors/investors.service';
+import { StubLlmClient } from '../llm/stub-llm.client';
+import { buildPitchMessages } from './pitch-prompt';
+import { PitchService } from './pitch.service';
+
+const COMPANY: Company = {
+  id: 7,
+  businessId: '3400002-0',
+  name: 'Kirjanpito Pilvi Oy',
+  details: {
+    name: 'Kirjanpito Pilvi Oy',
+    description: 'Cloud bookkeeping and automated VAT reporting',
+    address: 'Linnankatu 12, 20100 Turku',
+    registrationDate: '2021-09-01',
+    categoryName: 'Computer programming activities',
+  },
+  enrichment: { fundingRound: 'Seed', fundingAmountEur: 500000 },
+  source: 'database',
+};
+
+const INVESTOR: Investor = {
+  id: '6f1c2a3e-0000-4000-8000-000000000001',
+  investorId: 'investor_07',
+  details: {
+    id: 'investor_07',
+    name: 'Aino Virtanen',
+    firm: 'Archipelago Ventures',
+    investment_thesis: 'Back B2B software that automates finance work',
+    evaluation_criteria: ['Recurring revenue', 'Founder-market fit'],
+    personality_type: 'Analytical and direct',
+    contact_policy: 'Email intro of at most five sentences',
+  },
+};
+
+describe('buildPitchMessages', () => {
+  it('puts the investor preferences and company facts in the prompt', () => {
+    const prompt = buildPitchMessages(COMPANY, INVESTOR.details)
+      .map((message) => message.content)
+      .join('\n');
+
+    expect(prompt).toContain(
+      'Investment Thesis: Back B2B software that automates finance work',
+    );
+    expect(prompt).toContain(
+      'Evaluation Criteria: Recurring revenue; Founder-market fit',
+    );
+    expect(prompt).toContain('Personality: Analytical and direct');
+    expect(prompt).toContain(
+      'Contact Policy: Email intro of at most five sentences',
+    );
+    expect(prompt).toContain('Funding Round: Seed');
+  });
+});
+
+describe('PitchService', () => {
+  it('generates a pitch with the stub client', async () => {
+    const service = new PitchService(
+      {
+        findByBusinessId: () => Promise.resolve(COMPANY),
+      } as unknown as CompaniesService,
+      {
+        findByInvestorId: () => Promise.resolve(INVESTOR),
+      } as unknown as InvestorsService,
+      new StubLlmClient(),
+    );
+
+    const pitch = await service.create({
+      businessId: COMPANY.businessId,
+      investorId: INVESTOR.investorId,
+    });
+
+    expect(pitch).toMatchObject({
+      businessId: COMPANY.businessId,
+      investorId: INVESTOR.investorId,
+      model: 'stub',
+    });
+    for (const value of [
+      INVESTOR.details.investment_thesis,
+      'Recurring revenue; Founder-market fit',
+      INVESTOR.details.personality_type,
+      INVESTOR.details.contact_policy,
+    ]) {
+      expect(pitch.pitch).toContain(value);
+    }
+  });
+});
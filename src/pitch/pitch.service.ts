@@ -0,0 +1,33 @@
+import { Inject, Injectable } from '@nestjs/common';
+import { CompaniesService } from '../companies/companies.service';
+import { InvestorsService } from '../investors/investors.service';
+import { LLM_CLIENT } from '../llm/llm-client.interface';
+import type { LlmClient } from '../llm/llm-client.interface';
+import { CreatePitchDto } from './dto/create-pitch.dto';
+import { Pitch } from './interfaces/pitch.interface';
+import { buildPitchMessages } from './pitch-prompt';
+
+@Injectable()
+export class PitchService {
+  constructor(
+    private readonly companies: CompaniesService,
+    private readonly investors: InvestorsService,
+    @Inject(LLM_CLIENT) private readonly llm: LlmClient,
+  ) {}
+
+  /**
+   * Generate a pitch from a company to an investor.
+   */
+  async create({ businessId, investorId }: CreatePitchDto): Promise<Pitch> {
+    const [company, investor] = await Promise.all([
+      this.companies.findByBusinessId(businessId),
+      this.investors.findByInvestorId(investorId),
+    ]);
+
+    const pitch = await this.llm.complete(
+      buildPitchMessages(company, investor.details),
+    );
+
+    return { businessId, investorId, model: this.llm.model, pitch };
+  }
+}
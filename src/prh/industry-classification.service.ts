@@ -0,0 +1,137 @@
+import { Injectable, Logger } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import axios from 'axios';
+import { readFile } from 'fs/promises';
+import { join } from 'path';
+import { repoPath } from '../repo-paths';
+import { IndustryHierarchy } from '../companies/interfaces/company.interface';
+import { industryHierarchy } from './industry-hierarchy';
+
+// Statistics Finland classification API (TOL 2025)
+const CLASSIFICATION_ID = 'toimiala_1_20250101';
+const STATISTICS_FI_API = `https://data.stat.fi/api/classifications/v2/classifications/${CLASSIFICATION_ID}/classificationItems?content=data&meta=max&lang=fi&format=json`;
+
+// Snapshot written by `npm start classifications` in script/
+const DEFAULT_SNAPSHOT_PATH = join(
+  'script',
+  'data',
+  'classifications',
+  `${CLASSIFICATION_ID}.json`,
+);
+
+export interface IndustryClassification {
+  name: string;
+  isFinnish: boolean;
+}
+
+interface ClassificationItem {
+  code?: string;
+  classificationItemNames?: { lang: string; name: string }[];
+}
+
+interface ClassificationSnapshot {
+  classification: string;
+  fetchedAt: string;
+  items: Record<string, IndustryClassification>;
+}
+
+@Injectable()
+export class IndustryClassificationService {
+  private readonly logger = new Logger(IndustryClassificationService.name);
+  private readonly snapshotPath: string;
+  private classifications: Record<string, IndustryClassification> | null = null;
+
+  constructor(config: ConfigService) {
+    this.snapshotPath = repoPath(
+      config.get<string>('INDUSTRY_CLASSIFICATIONS_PATH') ??
+        DEFAULT_SNAPSHOT_PATH,
+    );
+  }
+
+  /**
+   * Look up an industry code, loading the classification list on first use.
+   * Returns undefined when the code is unknown or the API is unavailable.
+   */
+  async find(code: string): Promise<IndustryClassification | undefined> {
+    const classifications = await this.load();
+    return classifications[code];
+  }
+
+  /**
+   * Section -> division -> group -> class -> subclass for an industry code,
+   * named from the classification list when it is available.
+   */
+  async hierarchy(code: string | undefined): Promise<IndustryHierarchy | null> {
+    const classifications = await this.load();
+    return industryHierarchy(
+      code,
+      (levelCode) => classifications[levelCode]?.name,
+    );
+  }
+
+  private async load(): Promise<Record<string, IndustryClassification>> {
+    if (this.classifications) {
+      return this.classifications;
+    }
+
+    const snapshot = await this.readSnapshot();
+    if (snapshot) {
+      this.classifications = snapshot.items;
+      this.logger.log(
+        `Loaded ${Object.keys(snapshot.items).length} industry classifications from snapshot (fetched ${snapshot.fetchedAt})`,
+      );
+      return snapshot.items;
+    }
+
+    try {
+      const response = await axios.get<
+        ClassificationItem | ClassificationItem[]
+      >(STATISTICS_FI_API, {
+        headers: { Accept: 'application/json' },
+        timeout: 30000,
+      });
+      const items = Array.isArray(response.data)
+        ? response.data
+        : [response.data];
+
+      const classifications: Record<string, IndustryClassification> = {};
+      for (const item of items) {
+        if (!item.code) continue;
+        const names = item.classificationItemNames ?? [];
+        const englishName = names.find((n) => n.lang === 'en');
+        const finnishName = names.find((n) => n.lang === 'fi');
+        classifications[item.code] = {
+          name: englishName?.name || finnishName?.name || '',
+          isFinnish: !englishName,
+        };
+      }
+
+      this.classifications = classifications;
+      this.logger.log(
+        `Loaded ${Object.keys(classifications).length} industry classifications`,
+      );
+      return classifications;
+    } catch (error) {
+      // Not cached, so the next lookup retries the API
+      this.logger.warn(
+        `Error fetching industry classifications: ${(error as Error).message}`,
+      );
+      return {};
+    }
+  }
+
+  private async readSnapshot(): Promise<ClassificationSnapshot | null> {
+    try {
+      return JSON.parse(
+        await readFile(this.snapshotPath, 'utf8'),
+      ) as ClassificationSnapshot;
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code !== 'ENOENT') {
+        this.logger.warn(
+          `Error reading classification snapshot ${this.snapshotPath}: ${(error as Error).message}`,
+        );
+      }
+      return null;
+    }
+  }
+}
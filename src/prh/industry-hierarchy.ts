@@ -0,0 +1,69 @@
+import { IndustryHierarchy } from '../companies/interfaces/company.interface';
+
+// TOL 2025 (NACE Rev. 2.1) sections by their first and last division
+const SECTION_DIVISIONS: [string, number, number][] = [
+  ['A', 1, 3],
+  ['B', 5, 9],
+  ['C', 10, 33],
+  ['D', 35, 35],
+  ['E', 36, 39],
+  ['F', 41, 43],
+  ['G', 46, 47],
+  ['H', 49, 53],
+  ['I', 55, 56],
+  ['J', 58, 60],
+  ['K', 61, 63],
+  ['L', 64, 66],
+  ['M', 68, 68],
+  ['N', 69, 75],
+  ['O', 77, 82],
+  ['P', 84, 84],
+  ['Q', 85, 85],
+  ['R', 86, 88],
+  ['S', 90, 93],
+  ['T', 94, 96],
+  ['U', 97, 98],
+  ['V', 99, 99],
+];
+
+const LEVELS: (keyof IndustryHierarchy)[] = [
+  'section',
+  'division',
+  'group',
+  'class',
+  'subclass',
+];
+
+/**
+ * Full TOL hierarchy of an industry code, from the section down to the
+ * code itself. Keep in sync with industryHierarchy in
+ * script/lib/classifications.js.
+ */
+export function industryHierarchy(
+  code: string | undefined,
+  nameOf: (code: string) => string | undefined,
+): IndustryHierarchy | null {
+  if (!code || !/^\d{2,5}$/.test(code)) return null;
+
+  const division = parseInt(code.slice(0, 2), 10);
+  const section = SECTION_DIVISIONS.find(
+    ([, first, last]) => division >= first && division <= last,
+  )?.[0];
+
+  const codes = [
+    section,
+    ...[2, 3, 4, 5]
+      .filter((length) => length <= code.length)
+      .map((length) => code.slice(0, length)),
+  ];
+
+  const hierarchy: IndustryHierarchy = {};
+  codes.forEach((levelCode, index) => {
+    if (!levelCode) return;
+    hierarchy[LEVELS[index]] = {
+      code: levelCode,
+      name: nameOf(levelCode) || '',
+    };
+  });
+  return hierarchy;
+}
@@ -0,0 +1,194 @@
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { CompanyDetails } from '../companies/interfaces/company.interface';
+import { industryHierarchy } from './industry-hierarchy';
+import {
+  formatPrhAddress,
+  isDissolved,
+  normalizePrhCompany,
+  prhBusinessId,
+} from './prh-normalizer';
+import { PrhCompaniesResponse, PrhCompany } from './prh.types';
+
+// Expected output is shared with script/lib/prh.test.js, so both normalizers
+// are held to the same records
+interface ExpectedCompany {
+  businessId: string;
+  industryCode: string;
+  details: CompanyDetails;
+}
+
+function fixture(name: string): {
+  companies: PrhCompany[];
+  expected: ExpectedCompany[];
+} {
+  const read = (file: string): unknown =>
+    JSON.parse(readFileSync(join(__dirname, 'fixtures', file), 'utf-8'));
+  return {
+    companies: (read(`${name}.json`) as PrhCompaniesResponse).companies ?? [],
+    expected: read(`${name}.expected.json`) as ExpectedCompany[],
+  };
+}
+
+function normalize(company: PrhCompany, categoryName = ''): CompanyDetails {
+  return normalizePrhCompany(
+    company,
+    categoryName,
+    industryHierarchy(company.mainBusinessLine?.type, () => undefined),
+  );
+}
+
+describe('normalizePrhCompany', () => {
+  it.each(['active', 'situations', 'dissolved'])(
+    'normalizes the %s fixture',
+    (name) => {
+      const { companies, expected } = fixture(name);
+
+      expect(companies.map(prhBusinessId)).toEqual(
+        expected.map((company) => company.businessId),
+      );
+      companies.forEach((company, index) => {
+        expect(
+          normalize(company, expected[index].details.categoryName),
+        ).toEqual(expected[index].details);
+      });
+    },
+  );
+
+  describe('names', () => {
+    const [company] = fixture('active').companies;
+
+    it('uses the current official name', () => {
+      expect(normalize(company).name).toBe('Saaristo Robotics Oy');
+    });
+
+    it('keeps every name with its kind', () => {
+      expect(
+        normalize(company).names?.map(({ name, type }) => [name, type]),
+      ).toEqual([
+        ['Turun Varastorobotiikka Oy', 'official'],
+        ['Saaristo Robotics Oy', 'official'],
+        ['Skärgård Robotics Ab', 'parallel'],
+        ['Varastorobotti', 'auxiliary'],
+        ['SR Automation', 'auxiliary'],
+      ]);
+    });
+
+    it('lists only current auxiliary names', () => {
+      expect(normalize(company).auxiliaryNames).toEqual(['SR Automation']);
+    });
+
+    it('falls back to the first name when none is current', () => {
+      const [, dissolved] = fixture('dissolved').companies;
+      expect(normalize(dissolved).name).toBe('Kupittaan Kone Oy');
+    });
+  });
+
+  describe('addresses', () => {
+    it('uses the current visiting address, not an ended one', () => {
+      const [company] = fixture('active').companies;
+      const details = normalize(company);
+
+      expect(details.address).toBe('Tykistökatu 4 B 12, 20520 TURKU');
+      expect(details.addresses?.visiting).toMatchObject({
+        street: 'Tykistökatu 4 B 12',
+        postCode: '20520',
+        city: 'TURKU',
+        municipalityCode: '853',
+      });
+      expect(details.addresses?.postal).toMatchObject({
+        postOfficeBox: '123',
+        careOf: 'Tilitoimisto Laskuri Oy',
+        postCode: '20101',
+      });
+    });
+
+    it('falls back to the first address without a visiting address', () => {
+      const [, company] = fixture('situations').companies;
+      const details = normalize(company);
+
+      expect(details.addresses?.visiting).toBeNull();
+      expect(details.address).toBe('Satamakatu 3, 21100 NAANTALI');
+    });
+
+    it('formats an address without a street as post code and city', () => {
+      expect(
+        formatPrhAddress({
+          type: 2,
+          postCode: '20101',
+          postOffices: [{ city: 'TURKU', languageCode: '1' }],
+        }),
+      ).toBe('20101 TURKU');
+    });
+  });
+
+  describe('situations and status', () => {
+    it('maps situation codes and keeps ended situations', () => {
+      const [company] = fixture('situations').companies;
+
+      expect(
+        normalize(company).situations?.map(({ type, code, endDate }) => [
+          type,
+          code,
+          endDate,
+        ]),
+      ).toEqual([
+        ['restructuring', 'SANE', '2024-01-15'],
+        ['liquidation', 'SELTILA', null],
+        ['restructuring', 'SANE', null],
+      ]);
+    });
+
+    it('uses the most severe ongoing situation as the status', () => {
+      const [liquidation, bankruptcy] = fixture('situations').companies;
+
+      expect(normalize(liquidation).status).toBe('liquidation');
+      expect(normalize(bankruptcy).status).toBe('bankruptcy');
+    });
+
+    it('ignores situations it does not know', () => {
+      const [, company] = fixture('situations').companies;
+      const details = normalize(company);
+
+      expect(details.situations?.[2]).toMatchObject({
+        type: 'other',
+        code: 'SULAUTUMINEN',
+      });
+      expect(details.status).toBe('bankruptcy');
+    });
+
+    it('is active without ongoing situations', () => {
+      const [company] = fixture('active').companies;
+      expect(normalize(company).status).toBe('active');
+    });
+
+    it('is dissolved over any situation', () => {
+      for (const company of fixture('dissolved').companies) {
+        expect(normalize(company).status).toBe('dissolved');
+      }
+    });
+  });
+});
+
+describe('isDissolved', () => {
+  it('is true for a company with an end date', () => {
+    const [company] = fixture('dissolved').companies;
+    expect(isDissolved(company)).toBe(true);
+  });
+
+  it('is true when no official name is current', () => {
+    const [, company] = fixture('dissolved').companies;
+    expect(company.endDate).toBeUndefined();
+    expect(isDissolved(company)).toBe(true);
+  });
+
+  it('is false for companies in liquidation or bankruptcy', () => {
+    for (const company of fixture('situations').companies) {
+      expect(isDissolved(company)).toBe(false);
+    }
+  });
+
+  it('is false without any names on record', () => {
+    expect(isDissolved({ businessId: '3400001-1' })).toBe(false);
+  });
+});
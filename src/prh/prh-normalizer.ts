@@ -0,0 +1,218 @@
+import {
+  CompanyAddress,
+  CompanyDetails,
+  CompanySituation,
+  CompanyStatus,
+  IndustryHierarchy,
+} from '../companies/interfaces/company.interface';
+import { PrhAddress, PrhCompany, PrhDescription } from './prh.types';
+
+// PRH language codes in descriptions and post offices
+const LANGUAGE_FINNISH = '1';
+const LANGUAGE_ENGLISH = '3';
+
+const NAME_TYPES: Record<string, 'official' | 'parallel' | 'auxiliary'> = {
+  '1': 'official',
+  '2': 'parallel',
+  '3': 'auxiliary',
+};
+
+const ADDRESS_VISITING = 1;
+const ADDRESS_POSTAL = 2;
+
+const SITUATION_TYPES: Record<string, CompanySituation['type']> = {
+  SANE: 'restructuring',
+  SELTILA: 'liquidation',
+  KONK: 'bankruptcy',
+};
+
+// When several situations are ongoing, the most severe one is the status
+const STATUS_SEVERITY: CompanyStatus[] = [
+  'active',
+  'restructuring',
+  'liquidation',
+  'bankruptcy',
+  'dissolved',
+];
+
+export function prhBusinessId(company: PrhCompany): string {
+  return typeof company.businessId === 'string'
+    ? company.businessId
+    : company.businessId?.value || '';
+}
+
+/**
+ * Whether a PRH company has ceased to exist: it has an end date, or none of
+ * its official names is current. Liquidation and bankruptcy do not count.
+ */
+export function isDissolved(company: PrhCompany): boolean {
+  if (company.endDate) return true;
+  const officialNames = (company.names ?? []).filter(
+    (name) => String(name.type) === '1',
+  );
+  return (
+    officialNames.length > 0 && officialNames.every((name) => name.endDate)
+  );
+}
+
+/**
+ * Map a raw PRH v3 company into our company details. The industry name and
+ * hierarchy are looked up by the caller. Keep in sync with
+ * normalizePrhCompany in script/lib/prh.js.
+ */
+export function normalizePrhCompany(
+  company: PrhCompany,
+  categoryName: string,
+  industry: IndustryHierarchy | null,
+): CompanyDetails {
+  const names = (company.names ?? []).map((name) => ({
+    name: name.name,
+    type: NAME_TYPES[String(name.type)] ?? ('other' as const),
+    registrationDate: name.registrationDate || null,
+    endDate: name.endDate || null,
+  }));
+
+  // Current official name, falling back to the first one on record
+  const name =
+    names.find((n) => n.type === 'official' && !n.endDate)?.name ||
+    names[0]?.name ||
+    'Unknown';
+
+  const addresses = company.addresses ?? [];
+  const visiting = addresses.find(
+    (a) => a.type === ADDRESS_VISITING && !a.endDate,
+  );
+  const postal = addresses.find((a) => a.type === ADDRESS_POSTAL && !a.endDate);
+  const address = visiting ?? addresses[0];
+
+  const companyForm = (company.companyForms ?? []).find((f) => !f.endDate);
+
+  const situations: CompanySituation[] = (company.companySituations ?? []).map(
+    (situation) => ({
+      type: SITUATION_TYPES[situation.type] ?? 'other',
+      code: situation.type,
+      registrationDate: situation.registrationDate || null,
+      endDate: situation.endDate || null,
+    }),
+  );
+
+  return {
+    name,
+    description: pickDescription(company.mainBusinessLine?.descriptions),
+    address: address ? formatPrhAddress(address) : '',
+    registrationDate:
+      (typeof company.businessId === 'string'
+        ? undefined
+        : company.businessId?.registrationDate) ||
+      company.registrationDate ||
+      null,
+    categoryName,
+    industry,
+    euId: company.euId?.value || null,
+    status: companyStatus(company, situations),
+    endDate: company.endDate || null,
+    companyForm: companyForm
+      ? {
+          code: String(companyForm.type),
+          name: pickDescription(companyForm.descriptions),
+        }
+      : null,
+    names,
+    auxiliaryNames: names
+      .filter((n) => n.type === 'auxiliary' && !n.endDate)
+      .map((n) => n.name),
+    addresses: {
+      visiting: normalizeAddress(visiting),
+      postal: normalizeAddress(postal),
+    },
+    website: company.website?.url || null,
+    situations,
+    registeredEntries: (company.registeredEntries ?? []).map((entry) => ({
+      code: String(entry.type),
+      description: pickDescription(entry.descriptions),
+      register: entry.register != null ? String(entry.register) : null,
+      authority: entry.authority != null ? String(entry.authority) : null,
+      registrationDate: entry.registrationDate || null,
+      endDate: entry.endDate || null,
+    })),
+  };
+}
+
+/**
+ * One-line address. Part of the embedding text, so changing the format
+ * makes every company embedding stale.
+ */
+export function formatPrhAddress(address: PrhAddress): string {
+  const street = [
+    address.street,
+    address.buildingNumber,
+    address.entrance ? ` ${address.entrance}` : '',
+    address.apartmentNumber ? ` ${address.apartmentNumber}` : '',
+  ]
+    .filter((part) => part)
+    .join('');
+
+  return `${street}, ${address.postCode || ''} ${pickCity(address) || ''}`
+    .trim()
+    .replace(/^,\s*/, '')
+    .replace(/,\s*$/, '');
+}
+
+// English description, falling back to the first one (PRH lists Finnish first)
+function pickDescription(descriptions: PrhDescription[] | undefined): string {
+  const description =
+    descriptions?.find((d) => String(d.languageCode) === LANGUAGE_ENGLISH) ??
+    descriptions?.[0];
+  return description?.description || '';
+}
+
+function pickCity(address: PrhAddress): string | null {
+  const offices = address.postOffices ?? [];
+  const office =
+    offices.find((p) => String(p.languageCode) === LANGUAGE_ENGLISH) ??
+    offices.find((p) => String(p.languageCode) === LANGUAGE_FINNISH) ??
+    offices[0];
+  return office?.city || null;
+}
+
+function normalizeAddress(
+  address: PrhAddress | undefined,
+): CompanyAddress | null {
+  if (!address) return null;
+  const street = [address.street?.trim(), address.buildingNumber?.trim()]
+    .filter(Boolean)
+    .join(' ');
+
+  return {
+    formatted: formatPrhAddress(address),
+    street:
+      [street, address.entrance, address.apartmentNumber]
+        .filter(Boolean)
+        .join(' ') || null,
+    postOfficeBox: address.postOfficeBox || null,
+    careOf: address.co || null,
+    postCode: address.postCode || null,
+    city: pickCity(address),
+    municipalityCode:
+      address.postOffices?.find((p) => p.municipalityCode)?.municipalityCode ||
+      null,
+    country: address.country || null,
+  };
+}
+
+function companyStatus(
+  company: PrhCompany,
+  situations: CompanySituation[],
+): CompanyStatus {
+  if (isDissolved(company)) return 'dissolved';
+  return situations
+    .filter((situation) => !situation.endDate && situation.type !== 'other')
+    .reduce<CompanyStatus>(
+      (worst, { type }) =>
+        STATUS_SEVERITY.indexOf(type as CompanyStatus) >
+        STATUS_SEVERITY.indexOf(worst)
+          ? (type as CompanyStatus)
+          : worst,
+      'active',
+    );
+}
@@ -0,0 +1,10 @@
+import { Module } from '@nestjs/common';
+import { IndustryClassificationService } from './industry-classification.service';
+import { PrhService } from './prh.service';
+import { TranslationService } from './translation.service';
+
+@Module({
+  providers: [PrhService, IndustryClassificationService, TranslationService],
+  exports: [PrhService],
+})
+export class PrhModule {}
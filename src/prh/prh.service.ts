@@ -0,0 +1,73 @@
+import { Injectable, Logger } from '@nestjs/common';
+import axios from 'axios';
+import { Company } from '../companies/interfaces/company.interface';
+import { IndustryClassificationService } from './industry-classification.service';
+import { TranslationService } from './translation.service';
+import { normalizePrhCompany, prhBusinessId } from './prh-normalizer';
+import { PrhCompaniesResponse, PrhCompany } from './prh.types';
+
+// PRH API endpoint that returns JSON directly
+const PRH_API_URL = 'https://avoindata.prh.fi/opendata-ytj-api/v3/companies';
+
+@Injectable()
+export class PrhService {
+  private readonly logger = new Logger(PrhService.name);
+
+  constructor(
+    private readonly industryClassifications: IndustryClassificationService,
+    private readonly translation: TranslationService,
+  ) {}
+
+  /**
+   * Fetch a single company from PRH by business ID.
+   * Returns null when PRH has no record for it.
+   */
+  async findByBusinessId(businessId: string): Promise<Company | null> {
+    this.logger.log(`Fetching ${businessId} from PRH`);
+
+    const response = await axios.get<PrhCompaniesResponse>(PRH_API_URL, {
+      params: { businessId },
+      headers: { Accept: 'application/json' },
+      timeout: 60000,
+    });
+
+    const company = response.data.companies?.[0];
+    return company ? this.normalize(company) : null;
+  }
+
+  /**
+   * Map a raw PRH company into our company shape, mirroring processCompany
+   * in script/company/index.js. Dissolved companies are returned too, with
+   * status `dissolved`; only the pipelines leave them out.
+   */
+  async normalize(company: PrhCompany): Promise<Company> {
+    const industryCode = company.mainBusinessLine?.type;
+    let categoryName = '';
+    if (industryCode) {
+      const classification =
+        await this.industryClassifications.find(industryCode);
+      if (classification) {
+        categoryName =
+          classification.name && classification.isFinnish
+            ? await this.translation.toEnglish(classification.name)
+            : classification.name;
+      } else {
+        categoryName = `Industry Code: ${industryCode}`;
+      }
+    }
+
+    const details = normalizePrhCompany(
+      company,
+      categoryName,
+      await this.industryClassifications.hierarchy(industryCode),
+    );
+
+    return {
+      businessId: prhBusinessId(company),
+      name: details.name,
+      industryCode: industryCode || '',
+      details,
+      source: 'prh',
+    };
+  }
+}
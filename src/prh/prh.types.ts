@@ -0,0 +1,95 @@
+// The PRH opendata-ytj-api v3 company shape. Codes are strings in the
+// API; every field but businessId can be missing.
+
+export interface PrhDescription {
+  languageCode: string;
+  description: string;
+}
+
+export interface PrhName {
+  name: string;
+  // 1 = official name, 2 = parallel name, 3 = auxiliary name
+  type: string;
+  registrationDate?: string;
+  endDate?: string | null;
+  version?: number;
+  source?: string;
+}
+
+export interface PrhPostOffice {
+  city: string;
+  languageCode: string;
+  municipalityCode?: string;
+}
+
+export interface PrhAddress {
+  // 1 = visiting address, 2 = postal address
+  type: number;
+  street?: string;
+  buildingNumber?: string;
+  entrance?: string;
+  apartmentNumber?: string;
+  apartmentIdSuffix?: string;
+  postOfficeBox?: string;
+  postCode?: string;
+  co?: string;
+  country?: string;
+  freeAddressLine?: string;
+  postOffices?: PrhPostOffice[];
+  registrationDate?: string;
+  endDate?: string | null;
+  source?: string;
+}
+
+export interface PrhCompanyForm {
+  type: string;
+  descriptions?: PrhDescription[];
+  registrationDate?: string;
+  endDate?: string | null;
+  version?: number;
+  source?: string;
+}
+
+export interface PrhCompanySituation {
+  // SANE = restructuring, SELTILA = liquidation, KONK = bankruptcy
+  type: string;
+  registrationDate?: string;
+  endDate?: string | null;
+  source?: string;
+}
+
+export interface PrhRegisteredEntry {
+  type: string;
+  descriptions?: PrhDescription[];
+  registrationDate?: string;
+  endDate?: string | null;
+  register?: string;
+  authority?: string;
+}
+
+export interface PrhCompany {
+  businessId: { value: string; registrationDate?: string } | string;
+  euId?: { value: string; source?: string };
+  names?: PrhName[];
+  mainBusinessLine?: {
+    type?: string;
+    descriptions?: PrhDescription[];
+    typeCodeSet?: string;
+    registrationDate?: string;
+  };
+  website?: { url: string; registrationDate?: string };
+  companyForms?: PrhCompanyForm[];
+  companySituations?: PrhCompanySituation[];
+  registeredEntries?: PrhRegisteredEntry[];
+  addresses?: PrhAddress[];
+  tradeRegisterStatus?: string;
+  status?: string;
+  registrationDate?: string;
+  endDate?: string | null;
+  lastModified?: string;
+}
+
+export interface PrhCompaniesResponse {
+  totalResults?: number;
+  companies?: PrhCompany[];
+}
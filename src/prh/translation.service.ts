@@ -0,0 +1,112 @@
+import { Injectable, Logger } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import axios from 'axios';
+import { readFile } from 'fs/promises';
+import { join } from 'path';
+import { repoPath } from '../repo-paths';
+
+const DEEPL_API_URL = 'https://api-free.deepl.com/v2/translate';
+
+// Translation memory maintained by the pipelines in script/
+const DEFAULT_TRANSLATIONS_DIR = join('script', 'data', 'translations');
+
+interface DeeplResponse {
+  translations: { text: string }[];
+}
+
+interface MemoryEntry {
+  en: string;
+}
+
+@Injectable()
+export class TranslationService {
+  private readonly logger = new Logger(TranslationService.name);
+  private readonly cache = new Map<string, string>();
+  private memory: Promise<Map<string, string>> | null = null;
+
+  constructor(private readonly config: ConfigService) {}
+
+  /**
+   * Translate Finnish text to English: reviewer overrides and the
+   * pipelines' translation memory first, then DeepL. Falls back to the
+   * original text when no key is configured or the API call fails.
+   */
+  async toEnglish(text: string): Promise<string> {
+    if (!text) return text;
+
+    const remembered = (await this.loadMemory()).get(text);
+    if (remembered) return remembered;
+
+    const finnishChars = /[äöåÄÖÅ]/;
+    if (!finnishChars.test(text) && /^[a-zA-Z\s,.-]+$/.test(text)) {
+      return text;
+    }
+
+    const cached = this.cache.get(text);
+    if (cached) return cached;
+
+    const apiKey = this.config.get<string>('DEEPL_API_KEY');
+    if (!apiKey) return text;
+
+    try {
+      const response = await axios.post<DeeplResponse>(DEEPL_API_URL, null, {
+        params: {
+          auth_key: apiKey,
+          text,
+          source_lang: 'FI',
+          target_lang: 'EN',
+        },
+        timeout: 10000,
+      });
+      const translated = response.data.translations[0]?.text || text;
+      this.cache.set(text, translated);
+      return translated;
+    } catch (error) {
+      this.logger.warn(`Translation API failed: ${(error as Error).message}`);
+      return text;
+    }
+  }
+
+  /**
+   * Read the translation memory and reviewer overrides once. The API only
+   * reads them; new translations are kept in the in-process cache.
+   */
+  private loadMemory(): Promise<Map<string, string>> {
+    this.memory ??= (async () => {
+      const dir = repoPath(
+        this.config.get<string>('TRANSLATIONS_DIR') ?? DEFAULT_TRANSLATIONS_DIR,
+      );
+      const entries =
+        (await this.readJson<Record<string, MemoryEntry>>(
+          join(dir, 'memory.fi-en.json'),
+        )) ?? {};
+      const overrides =
+        (await this.readJson<Record<string, string>>(
+          join(dir, 'overrides.fi-en.json'),
+        )) ?? {};
+
+      const memory = new Map<string, string>();
+      for (const [text, entry] of Object.entries(entries)) {
+        memory.set(text, entry.en);
+      }
+      for (const [text, translated] of Object.entries(overrides)) {
+        memory.set(text, translated);
+      }
+      return memory;
+    })();
+    return this.memory;
+  }
+
+  private async readJson<T>(path: string): Promise<T | null> {
+    try {
+      return JSON.parse(await readFile(path, 'utf8')) as T;
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code !== 'ENOENT') {
+        this.logger.warn(
+          `Error reading translations ${path}: ${(error as Error).message}`,
+        );
+      }
+      return null;
+    }
+  }
+}
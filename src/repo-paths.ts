@@ -0,0 +1,15 @@
+import { join, resolve } from 'path';
+
+// The repository root, one level up from src/ and from dist/ after a build.
+// Files the pipelines keep in script/ are found from here, whatever
+// directory the API is started from.
+export const REPO_ROOT = join(__dirname, '..');
+
+/**
+ * Resolve a path against the repository root; absolute paths are kept.
+ * Relative paths in .env are written from the root, e.g.
+ * TRANSLATIONS_DIR=script/data/translations.
+ */
+export function repoPath(...segments: string[]): string {
+  return resolve(REPO_ROOT, ...segments);
+}
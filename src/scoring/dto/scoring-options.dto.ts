@@ -0,0 +1,69 @@
+import { Type } from 'class-transformer';
+import {
+  IsBoolean,
+  IsNumber,
+  IsOptional,
+  Min,
+  ValidateNested,
+} from 'class-validator';
+
+export class ScoringWeightsDto {
+  @IsOptional()
+  @IsNumber()
+  @Min(0)
+  similarity?: number;
+
+  @IsOptional()
+  @IsNumber()
+  @Min(0)
+  round?: number;
+
+  @IsOptional()
+  @IsNumber()
+  @Min(0)
+  geography?: number;
+
+  @IsOptional()
+  @IsNumber()
+  @Min(0)
+  checkSize?: number;
+
+  @IsOptional()
+  @IsNumber()
+  @Min(0)
+  activeStatus?: number;
+}
+
+export class ScoringExclusionsDto {
+  @IsOptional()
+  @IsBoolean()
+  avoidedIndustry?: boolean;
+
+  @IsOptional()
+  @IsBoolean()
+  roundMismatch?: boolean;
+
+  @IsOptional()
+  @IsBoolean()
+  geographyMismatch?: boolean;
+
+  @IsOptional()
+  @IsBoolean()
+  checkSizeMismatch?: boolean;
+
+  @IsOptional()
+  @IsBoolean()
+  inactive?: boolean;
+}
+
+export class ScoringOptionsDto {
+  @IsOptional()
+  @ValidateNested()
+  @Type(() => ScoringWeightsDto)
+  weights?: ScoringWeightsDto;
+
+  @IsOptional()
+  @ValidateNested()
+  @Type(() => ScoringExclusionsDto)
+  exclude?: ScoringExclusionsDto;
+}
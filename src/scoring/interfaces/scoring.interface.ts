@@ -0,0 +1,36 @@
+import { MatchJustification } from '../../match/interfaces/match.interface';
+
+export interface ScoringWeights {
+  similarity: number;
+  round: number;
+  geography: number;
+  checkSize: number;
+  activeStatus: number;
+}
+
+export interface ScoringExclusions {
+  // Drop investors whose avoid_industries cover the company's industry
+  avoidedIndustry?: boolean;
+  roundMismatch?: boolean;
+  geographyMismatch?: boolean;
+  checkSizeMismatch?: boolean;
+  inactive?: boolean;
+}
+
+export interface ScoringOptions {
+  weights?: Partial<ScoringWeights>;
+  exclude?: ScoringExclusions;
+}
+
+export type ScoreBreakdown = ScoringWeights;
+
+export interface ScoringCandidate {
+  similarity: number;
+  activeStatus?: string;
+  justification: MatchJustification;
+}
+
+export type Scored<T> = T & {
+  score: number;
+  scoreBreakdown: ScoreBreakdown;
+};
@@ -0,0 +1,97 @@
+import { MatchJustification } from '../match/interfaces/match.interface';
+import { ScoringCandidate } from './interfaces/scoring.interface';
+import { AVOIDED_INDUSTRY_FLAG } from '../match/justification';
+import {
+  AVOIDED_INDUSTRY_FACTOR,
+  DEFAULT_SCORING_WEIGHTS,
+  ScoringService,
+} from './scoring.service';
+
+function candidate(
+  similarity: number,
+  overrides: Partial<MatchJustification> = {},
+): ScoringCandidate {
+  return {
+    similarity,
+    activeStatus: 'active',
+    justification: {
+      industry: {
+        status: 'unknown',
+        categoryName: '',
+        matched: [],
+        avoided: [],
+      },
+      stage: { status: 'match', preferredRounds: [] },
+      geography: { status: 'mismatch', matched: [], geoFocus: [] },
+      checkSize: { status: 'unknown' },
+      flags: [],
+      reasons: [],
+      ...overrides,
+    },
+  };
+}
+
+describe('ScoringService', () => {
+  const scoring = new ScoringService();
+
+  it('scores with the default weights', () => {
+    const [ranked] = scoring.rank([candidate(0.8)]);
+    const expected =
+      DEFAULT_SCORING_WEIGHTS.similarity * 0.8 +
+      DEFAULT_SCORING_WEIGHTS.round * 1 +
+      DEFAULT_SCORING_WEIGHTS.geography * 0 +
+      DEFAULT_SCORING_WEIGHTS.checkSize * 0.5 +
+      DEFAULT_SCORING_WEIGHTS.activeStatus * 1;
+
+    expect(ranked.score).toBeCloseTo(expected);
+  });
+
+  it('keeps the defaults for weights that are missing or undefined', () => {
+    const [ranked] = scoring.rank([candidate(0.8)], {
+      weights: {
+        similarity: 1,
+        round: undefined,
+        geography: undefined,
+        checkSize: undefined,
+        activeStatus: undefined,
+      },
+    });
+    const { round, checkSize, activeStatus } = DEFAULT_SCORING_WEIGHTS;
+    const expected =
+      (1 * 0.8 + round * 1 + checkSize * 0.5 + activeStatus * 1) /
+      (1 +
+        round +
+        DEFAULT_SCORING_WEIGHTS.geography +
+        checkSize +
+        activeStatus);
+
+    expect(Number.isFinite(ranked.score)).toBe(true);
+    expect(ranked.score).toBeCloseTo(expected);
+  });
+
+  it('uses a weight of zero when given', () => {
+    const [ranked] = scoring.rank([candidate(0.8)], {
+      weights: {
+        similarity: 1,
+        round: 0,
+        geography: 0,
+        checkSize: 0,
+        activeStatus: 0,
+      },
+    });
+
+    expect(ranked.score).toBeCloseTo(0.8);
+  });
+
+  it('demotes candidates in an avoided industry but keeps them', () => {
+    const avoided = candidate(0.9, { flags: [AVOIDED_INDUSTRY_FLAG] });
+    const plain = candidate(0.5);
+    const [first, second] = scoring.rank([avoided, plain]);
+
+    expect(first.similarity).toBe(0.5);
+    expect(second.similarity).toBe(0.9);
+    expect(second.score).toBeCloseTo(
+      scoring.rank([candidate(0.9)])[0].score * AVOIDED_INDUSTRY_FACTOR,
+    );
+  });
+});
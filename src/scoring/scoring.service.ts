@@ -0,0 +1,132 @@
+import { Injectable } from '@nestjs/common';
+import { CriterionStatus } from '../match/interfaces/match.interface';
+import { AVOIDED_INDUSTRY_FLAG } from '../match/justification';
+import {
+  ScoreBreakdown,
+  Scored,
+  ScoringCandidate,
+  ScoringOptions,
+  ScoringWeights,
+} from './interfaces/scoring.interface';
+
+export const DEFAULT_SCORING_WEIGHTS: ScoringWeights = {
+  similarity: 0.6,
+  round: 0.15,
+  geography: 0.1,
+  checkSize: 0.1,
+  activeStatus: 0.05,
+};
+
+// Sub-score for a criterion we have no data for: neither reward nor punish
+const UNKNOWN_SCORE = 0.5;
+
+// Score multiplier for candidates in an avoided industry, so the score
+// agrees with their place at the end of the ranking
+export const AVOIDED_INDUSTRY_FACTOR = 0.5;
+
+@Injectable()
+export class ScoringService {
+  /**
+   * Combine embedding similarity with rule-based sub-scores, drop hard
+   * exclusions and sort best first. Candidates in an avoided industry are
+   * demoted: their score is scaled by AVOIDED_INDUSTRY_FACTOR and they
+   * always rank after the rest.
+   */
+  rank<T extends ScoringCandidate>(
+    candidates: T[],
+    options: ScoringOptions = {},
+  ): Scored<T>[] {
+    const weights = mergeWeights(options.weights);
+
+    return candidates
+      .filter((candidate) => !this.isExcluded(candidate, options))
+      .map((candidate) => {
+        const scoreBreakdown = this.breakdown(candidate);
+        const score = weightedScore(scoreBreakdown, weights);
+        return {
+          ...candidate,
+          score: isAvoided(candidate) ? score * AVOIDED_INDUSTRY_FACTOR : score,
+          scoreBreakdown,
+        };
+      })
+      .sort(
+        (a, b) =>
+          Number(isAvoided(a)) - Number(isAvoided(b)) || b.score - a.score,
+      );
+  }
+
+  /**
+   * Per-criterion sub-scores in the 0..1 range.
+   */
+  breakdown(candidate: ScoringCandidate): ScoreBreakdown {
+    const { justification } = candidate;
+    return {
+      similarity: clamp(candidate.similarity),
+      round: statusScore(justification.stage.status),
+      geography: statusScore(justification.geography.status),
+      checkSize: statusScore(justification.checkSize.status),
+      activeStatus: activeStatusScore(candidate.activeStatus),
+    };
+  }
+
+  isExcluded(candidate: ScoringCandidate, options: ScoringOptions): boolean {
+    const exclude = options.exclude ?? {};
+    const { justification } = candidate;
+
+    return Boolean(
+      (exclude.avoidedIndustry && isAvoided(candidate)) ||
+        (exclude.roundMismatch && justification.stage.status === 'mismatch') ||
+        (exclude.geographyMismatch &&
+          justification.geography.status === 'mismatch') ||
+        (exclude.checkSizeMismatch &&
+          justification.checkSize.status === 'mismatch') ||
+        (exclude.inactive && activeStatusScore(candidate.activeStatus) === 0),
+    );
+  }
+}
+
+/**
+ * Fill in the default for every weight that is not set. Optional DTO fields
+ * are present as undefined, so spreading them would erase the defaults.
+ */
+function mergeWeights(weights?: Partial<ScoringWeights>): ScoringWeights {
+  const merged = { ...DEFAULT_SCORING_WEIGHTS };
+  for (const key of Object.keys(merged) as (keyof ScoringWeights)[]) {
+    merged[key] = weights?.[key] ?? DEFAULT_SCORING_WEIGHTS[key];
+  }
+  return merged;
+}
+
+function weightedScore(
+  breakdown: ScoreBreakdown,
+  weights: ScoringWeights,
+): number {
+  const keys = Object.keys(weights) as (keyof ScoringWeights)[];
+  const totalWeight = keys.reduce((sum, key) => sum + weights[key], 0);
+  if (totalWeight <= 0) return breakdown.similarity;
+
+  const total = keys.reduce(
+    (sum, key) => sum + weights[key] * breakdown[key],
+    0,
+  );
+  return total / totalWeight;
+}
+
+function statusScore(status: CriterionStatus): number {
+  if (status === 'match') return 1;
+  if (status === 'mismatch') return 0;
+  return UNKNOWN_SCORE;
+}
+
+function activeStatusScore(activeStatus?: string): number {
+  if (!activeStatus) return UNKNOWN_SCORE;
+  return activeStatus.toLowerCase() === 'active' ? 1 : 0;
+}
+
+function isAvoided(candidate: ScoringCandidate): boolean {
+  return candidate.justification.flags.includes(AVOIDED_INDUSTRY_FLAG);
+}
+
+function clamp(value: number): number {
+  return Math.min(1, Math.max(0, value));
+}
@@ -0,0 +1,25 @@
+import { Injectable } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import { createClient, SupabaseClient } from '@supabase/supabase-js';
+
+@Injectable()
+export class SupabaseService {
+  readonly client: SupabaseClient<any, any>;
+
+  constructor(config: ConfigService) {
+    this.client = createClient(
+      config.getOrThrow<string>('SUPABASE_URL'),
+      config.getOrThrow<string>('SUPABASE_ANON_KEY'),
+    );
+  }
+
+  /**
+   * Call a set-returning Postgres function and return its rows.
+   * Throws the PostgREST error when the call fails.
+   */
+  async rpc<T>(fn: string, args: Record<string, unknown>): Promise<T[]> {
+    const response = await this.client.rpc(fn, args);
+    if (response.error) throw response.error;
+    return (response.data ?? []) as T[];
+  }
+}